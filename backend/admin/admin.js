@@ -0,0 +1,612 @@
+/**
+ * BahnBlitz Beta Admin - Dashboard
+ * Single-page admin UI on top of the /api admin endpoints
+ */
+
+const TOKEN_KEY = 'bahnblitz_admin_tokens';
+const STATUSES = ['unconfirmed', 'pending', 'approved', 'invited', 'installed', 'expired', 'rejected'];
+const BULK_POLL_MS = 2000;
+
+const state = {
+    admin: null,
+    cursor: null,
+    selected: new Set(),
+    detailId: null
+};
+
+// DOM Content Loaded
+document.addEventListener('DOMContentLoaded', function() {
+    document.getElementById('loginForm').addEventListener('submit', handleLogin);
+    document.getElementById('logoutButton').addEventListener('click', handleLogout);
+    document.getElementById('filterForm').addEventListener('submit', function(event) {
+        event.preventDefault();
+        loadSignups(true);
+    });
+    document.getElementById('loadMore').addEventListener('click', function() {
+        loadSignups(false);
+    });
+    document.getElementById('selectAll').addEventListener('change', handleSelectAll);
+    document.getElementById('exportLink').addEventListener('click', handleExport);
+    document.getElementById('closeDetail').addEventListener('click', closeDetail);
+    document.querySelectorAll('[data-bulk]').forEach(function(button) {
+        button.addEventListener('click', function() {
+            runBulkAction(button.dataset.bulk);
+        });
+    });
+
+    initializeSession();
+});
+
+// Session Handling
+function getTokens() {
+    try {
+        return JSON.parse(sessionStorage.getItem(TOKEN_KEY));
+    } catch (error) {
+        return null;
+    }
+}
+
+function setTokens(tokens) {
+    if (tokens) {
+        sessionStorage.setItem(TOKEN_KEY, JSON.stringify({
+            accessToken: tokens.accessToken,
+            refreshToken: tokens.refreshToken
+        }));
+    } else {
+        sessionStorage.removeItem(TOKEN_KEY);
+    }
+}
+
+async function initializeSession() {
+    if (!getTokens()) {
+        return showLogin();
+    }
+
+    try {
+        const result = await api('/api/auth/me');
+        showApp(result.data);
+    } catch (error) {
+        showLogin();
+    }
+}
+
+async function handleLogin(event) {
+    event.preventDefault();
+
+    const form = event.target;
+    const errorElement = document.getElementById('loginError');
+    errorElement.hidden = true;
+
+    try {
+        const response = await fetch('/api/auth/login', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({
+                email: form.email.value,
+                password: form.password.value
+            })
+        });
+        const result = await response.json();
+
+        if (!response.ok) {
+            throw new Error(result.message || 'Login failed');
+        }
+
+        setTokens(result.data);
+        form.reset();
+        showApp(result.data.admin);
+    } catch (error) {
+        errorElement.textContent = error.message;
+        errorElement.hidden = false;
+    }
+}
+
+async function handleLogout() {
+    try {
+        await api('/api/auth/logout', { method: 'POST' });
+    } catch (error) {
+        // Tokens are dropped locally either way
+    }
+    setTokens(null);
+    showLogin();
+}
+
+function showLogin() {
+    state.admin = null;
+    document.getElementById('appView').hidden = true;
+    document.getElementById('loginView').hidden = false;
+}
+
+function showApp(admin) {
+    state.admin = admin;
+    document.getElementById('adminName').textContent = admin.name;
+    document.getElementById('adminRole').textContent = admin.role;
+    document.getElementById('loginView').hidden = true;
+    document.getElementById('appView').hidden = false;
+
+    // Viewers cannot change anything
+    document.querySelectorAll('[data-bulk]').forEach(function(button) {
+        button.hidden = !canRunAction(button.dataset.bulk);
+    });
+
+    loadStats();
+    loadSignups(true);
+}
+
+function canRunAction(action) {
+    if (!state.admin) return false;
+    if (state.admin.role === 'admin') return true;
+    return action === 'invite' ? state.admin.role === 'inviter' : state.admin.role === 'reviewer';
+}
+
+// API Client
+// Sends the access token and renews it once with the refresh token on 401
+async function api(path, options = {}, retried = false) {
+    const tokens = getTokens();
+    const headers = { Accept: 'application/json' };
+
+    if (tokens) {
+        headers.Authorization = 'Bearer ' + tokens.accessToken;
+    }
+    if (options.body !== undefined) {
+        headers['Content-Type'] = 'application/json';
+    }
+
+    const response = await fetch(path, {
+        method: options.method || 'GET',
+        headers,
+        body: options.body !== undefined ? JSON.stringify(options.body) : undefined
+    });
+
+    if (response.status === 401 && tokens && !retried) {
+        if (await refreshTokens(tokens.refreshToken)) {
+            return api(path, options, true);
+        }
+        setTokens(null);
+        showLogin();
+    }
+
+    if (options.raw) {
+        if (!response.ok) throw new Error('Request failed (' + response.status + ')');
+        return response;
+    }
+
+    const result = await response.json().catch(function() {
+        return {};
+    });
+
+    if (!response.ok) {
+        const error = new Error(result.message || 'Request failed (' + response.status + ')');
+        error.status = response.status;
+        throw error;
+    }
+
+    result.status = response.status;
+    return result;
+}
+
+async function refreshTokens(refreshToken) {
+    try {
+        const response = await fetch('/api/auth/refresh', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ refreshToken })
+        });
+
+        if (!response.ok) return false;
+
+        const result = await response.json();
+        setTokens(result.data);
+        return true;
+    } catch (error) {
+        return false;
+    }
+}
+
+// DOM Helpers
+// Builds elements with textContent only, so API data is never parsed as HTML
+function el(tag, attributes, children) {
+    const element = document.createElement(tag);
+
+    Object.entries(attributes || {}).forEach(function([name, value]) {
+        if (value === undefined || value === null || value === false) return;
+        if (name === 'text') {
+            element.textContent = value;
+        } else if (name.startsWith('on')) {
+            element.addEventListener(name.slice(2), value);
+        } else {
+            element.setAttribute(name, value === true ? '' : value);
+        }
+    });
+
+    (children || []).forEach(function(child) {
+        if (child) element.append(child);
+    });
+
+    return element;
+}
+
+function statusBadge(status) {
+    return el('span', { class: 'badge status-' + status, text: status });
+}
+
+function formatDate(value, withTime) {
+    if (!value) return '–';
+    const date = new Date(value);
+    return withTime ? date.toLocaleString('de-DE') : date.toLocaleDateString('de-DE');
+}
+
+// e.g. "70 (flagged): bot_user_agent, busy_subnet"
+function formatRisk(risk) {
+    if (!risk || risk.score === undefined) return '–';
+
+    const signals = (risk.signals || []).join(', ');
+    return risk.score + (risk.flagged ? ' (flagged)' : '') + (signals ? ': ' + signals : '');
+}
+
+function showToast(message) {
+    const toast = document.getElementById('toast');
+    toast.textContent = message;
+    toast.hidden = false;
+
+    clearTimeout(showToast.timer);
+    showToast.timer = setTimeout(function() {
+        toast.hidden = true;
+    }, 4000);
+}
+
+// Stats & Charts
+async function loadStats() {
+    try {
+        const [stats, capacity] = await Promise.all([
+            api('/api/beta-signup/stats'),
+            api('/api/beta-signup/capacity')
+        ]);
+
+        renderStatusChart(stats.data);
+        renderCapacityChart(capacity.data);
+    } catch (error) {
+        showToast('Could not load statistics: ' + error.message);
+    }
+}
+
+function renderBar(label, value, max, className) {
+    const width = max ? Math.round(value / max * 100) : 0;
+
+    return el('div', { class: 'bar-row' }, [
+        el('span', { text: label }),
+        el('div', { class: 'bar-track' }, [
+            el('div', { class: 'bar-fill ' + (className || ''), style: 'width: ' + width + '%' })
+        ]),
+        el('span', { class: 'bar-value', text: String(value) })
+    ]);
+}
+
+function renderStatusChart(stats) {
+    const chart = document.getElementById('statusChart');
+    const max = Math.max.apply(null, STATUSES.map(function(status) {
+        return stats[status] || 0;
+    }));
+
+    chart.replaceChildren(
+        el('div', { class: 'big-number', text: String(stats.total) }),
+        el('div', { class: 'muted', text: 'total signups' }),
+        ...STATUSES.map(function(status) {
+            return renderBar(status, stats[status] || 0, max, 'status-' + status);
+        })
+    );
+}
+
+function renderCapacityChart(capacity) {
+    const chart = document.getElementById('capacityChart');
+
+    chart.replaceChildren(
+        el('div', { class: 'big-number', text: capacity.remaining + ' free' }),
+        el('div', { class: 'muted', text: capacity.used + ' of ' + capacity.capacity + ' tester slots used' }),
+        renderBar('used', capacity.used, capacity.capacity, 'status-invited')
+    );
+}
+
+// Signup Table
+function getFilterParams() {
+    const form = document.getElementById('filterForm');
+    const params = new URLSearchParams();
+
+    ['search', 'status', 'device', 'flagged', 'sort'].forEach(function(name) {
+        const value = form[name].value.trim();
+        if (value) params.set(name, value);
+    });
+
+    return params;
+}
+
+async function loadSignups(reset) {
+    const rows = document.getElementById('signupRows');
+    const params = getFilterParams();
+
+    if (reset) {
+        state.cursor = null;
+        state.selected.clear();
+        rows.replaceChildren();
+        updateBulkBar();
+    }
+
+    params.set('limit', '50');
+    if (state.cursor) {
+        params.set('cursor', state.cursor);
+    }
+
+    try {
+        const result = await api('/api/beta-signup?' + params.toString());
+        const { signups, pagination } = result.data;
+
+        signups.forEach(function(signup) {
+            rows.append(renderSignupRow(signup));
+        });
+
+        state.cursor = pagination.nextCursor;
+        document.getElementById('signupTotal').textContent = '(' + pagination.total + ')';
+        document.getElementById('loadMore').hidden = !pagination.nextCursor;
+        document.getElementById('emptyState').hidden = rows.children.length > 0;
+    } catch (error) {
+        showToast('Could not load signups: ' + error.message);
+    }
+}
+
+function renderSignupRow(signup) {
+    const checkbox = el('input', {
+        type: 'checkbox',
+        'aria-label': 'Select ' + signup.email,
+        onclick: function(event) {
+            event.stopPropagation();
+        },
+        onchange: function(event) {
+            if (event.target.checked) {
+                state.selected.add(signup._id);
+            } else {
+                state.selected.delete(signup._id);
+            }
+            updateBulkBar();
+        }
+    });
+
+    return el('tr', {
+        'data-id': signup._id,
+        onclick: function() {
+            openDetail(signup._id);
+        }
+    }, [
+        el('td', {}, [checkbox]),
+        el('td', { text: signup.name }),
+        el('td', { text: signup.email }),
+        el('td', { text: signup.device }),
+        el('td', {}, [statusBadge(signup.status)]),
+        el('td', { text: signup.source }),
+        el('td', { text: formatDate(signup.createdAt) })
+    ]);
+}
+
+function handleSelectAll(event) {
+    document.querySelectorAll('#signupRows input[type="checkbox"]').forEach(function(checkbox) {
+        checkbox.checked = event.target.checked;
+        checkbox.dispatchEvent(new Event('change'));
+    });
+}
+
+function updateBulkBar() {
+    const count = state.selected.size;
+    document.getElementById('bulkBar').hidden = count === 0;
+    document.getElementById('bulkCount').textContent = count + ' selected';
+    if (count === 0) {
+        document.getElementById('selectAll').checked = false;
+    }
+}
+
+// Bulk Actions
+async function runBulkAction(action) {
+    const ids = Array.from(state.selected);
+    if (!ids.length || !confirm(action + ' ' + ids.length + ' signup(s)?')) return;
+
+    const progress = document.getElementById('bulkProgress');
+    progress.textContent = 'Working…';
+
+    try {
+        let result = await api('/api/beta-signup/bulk', { method: 'POST', body: { action, ids } });
+        let job = result.data;
+
+        // Large selections run in the background; poll until done
+        while (job.status === 'queued' || job.status === 'running') {
+            progress.textContent = job.progress + '% (' + job.processed + '/' + job.total + ')';
+            await new Promise(function(resolve) {
+                setTimeout(resolve, BULK_POLL_MS);
+            });
+            result = await api('/api/beta-signup/bulk/' + job.id);
+            job = result.data;
+        }
+
+        progress.textContent = '';
+        showToast(job.status === 'failed'
+            ? 'Bulk ' + action + ' failed: ' + job.error
+            : 'Bulk ' + action + ': ' + job.succeeded + ' succeeded, ' + job.skipped + ' skipped, ' + job.failed + ' failed');
+
+        loadStats();
+        loadSignups(true);
+    } catch (error) {
+        progress.textContent = '';
+        showToast('Bulk ' + action + ' failed: ' + error.message);
+    }
+}
+
+// Export
+async function handleExport(event) {
+    event.preventDefault();
+
+    try {
+        const params = getFilterParams();
+        params.delete('sort');
+        params.set('format', 'csv');
+
+        const response = await api('/api/beta-signup/export?' + params.toString(), { raw: true });
+        const url = URL.createObjectURL(await response.blob());
+        const link = el('a', { href: url, download: 'bahnblitz-beta-signups.csv' });
+
+        document.body.append(link);
+        link.click();
+        link.remove();
+        URL.revokeObjectURL(url);
+    } catch (error) {
+        showToast('Export failed: ' + error.message);
+    }
+}
+
+// Detail Panel
+async function openDetail(id) {
+    state.detailId = id;
+    document.getElementById('detailPanel').hidden = false;
+    document.getElementById('detailMessage').hidden = true;
+
+    try {
+        const [detail, history] = await Promise.all([
+            api('/api/beta-signup/' + id),
+            api('/api/beta-signup/' + id + '/history')
+        ]);
+
+        renderDetail(detail.data, history.data.history);
+    } catch (error) {
+        showToast('Could not load signup: ' + error.message);
+    }
+}
+
+function closeDetail() {
+    state.detailId = null;
+    document.getElementById('detailPanel').hidden = true;
+}
+
+function renderDetail(detail, history) {
+    const signup = detail.signup;
+    document.getElementById('detailTitle').textContent = signup.name;
+
+    const fields = [
+        ['Email', signup.email],
+        ['Status', statusBadge(signup.status)],
+        ['Device', signup.device],
+        ['Experience', signup.experience || '–'],
+        ['Features', (signup.features || []).join(', ') || '–'],
+        ['Source', signup.source],
+        ['Risk', formatRisk(signup.risk)],
+        ['Language', signup.locale],
+        ['Tags', (signup.tags || []).join(', ') || '–'],
+        ['Waitlist position', signup.waitlistPosition || '–'],
+        ['Referrals', String(signup.referralCount || 0)],
+        ['Referral link', detail.referralUrl],
+        ['Signed up', formatDate(signup.createdAt, true)],
+        ['Confirmed', formatDate(signup.confirmedAt, true)],
+        ['Invited', formatDate(signup.inviteSentAt, true)],
+        ['Invite expires', formatDate(signup.inviteExpiresAt, true)],
+        ['Installed', formatDate(signup.installedAt, true)],
+        ['Unsubscribed', formatDate(signup.unsubscribedAt, true)],
+        ['Admin notes', signup.adminNotes || '–']
+    ];
+
+    // Only present for roles allowed to see PII
+    if (signup.ipAddress) fields.push(['IP address', signup.ipAddress]);
+    if (signup.userAgent) fields.push(['User agent', signup.userAgent]);
+
+    document.getElementById('detailFields').replaceChildren(...fields.flatMap(function([label, value]) {
+        return [
+            el('dt', { text: label }),
+            el('dd', {}, [typeof value === 'string' || typeof value === 'number' ? document.createTextNode(String(value)) : value])
+        ];
+    }));
+
+    document.getElementById('detailEmails').replaceChildren(...(signup.emailSent || []).map(function(email) {
+        return el('tr', { title: email.lastError || '' }, [
+            el('td', { text: email.type }),
+            el('td', {}, [statusBadge(email.status || 'sent')]),
+            el('td', { text: formatDate(email.queuedAt, true) }),
+            el('td', { text: formatDate(email.sentAt, true) }),
+            el('td', { text: String(email.attempts || 0) })
+        ]);
+    }));
+
+    document.getElementById('detailHistory').replaceChildren(...history.map(function(entry) {
+        return el('li', {}, [
+            el('strong', { text: entry.from + ' → ' + entry.to }),
+            el('div', { class: 'muted', text: formatDate(entry.changedAt, true) + ' · ' + (entry.changedBy || 'system') }),
+            entry.note ? el('div', { text: entry.note }) : null
+        ]);
+    }));
+
+    renderDetailActions(detail);
+}
+
+function renderDetailActions(detail) {
+    const actions = [];
+    const allowed = detail.allowedTransitions;
+
+    if (canRunAction('approve') && allowed.includes('approved')) {
+        actions.push(el('button', { type: 'button', class: 'btn btn-secondary', text: 'Approve', onclick: function() {
+            changeStatus('approved');
+        } }));
+    }
+    if (canRunAction('invite') && detail.canReceiveInvite) {
+        actions.push(el('button', { type: 'button', class: 'btn btn-primary', text: 'Send invite', onclick: sendInvite }));
+    }
+    if (canRunAction('approve') && allowed.includes('installed')) {
+        actions.push(el('button', { type: 'button', class: 'btn btn-secondary', text: 'Mark installed', onclick: function() {
+            changeStatus('installed');
+        } }));
+    }
+    if (canRunAction('reject') && allowed.includes('rejected')) {
+        actions.push(el('button', { type: 'button', class: 'btn btn-danger', text: 'Reject', onclick: function() {
+            changeStatus('rejected');
+        } }));
+    }
+
+    document.getElementById('detailActions').replaceChildren(...actions);
+}
+
+function showDetailMessage(message) {
+    const element = document.getElementById('detailMessage');
+    element.textContent = message;
+    element.hidden = false;
+}
+
+async function changeStatus(status) {
+    const note = prompt('Note for the status history (optional)');
+    if (note === null) return;
+
+    try {
+        const result = await api('/api/beta-signup/' + state.detailId + '/status', {
+            method: 'PUT',
+            body: note ? { status, note } : { status }
+        });
+        showDetailMessage(result.message);
+        refreshAfterChange();
+    } catch (error) {
+        showDetailMessage(error.message);
+    }
+}
+
+async function sendInvite() {
+    if (!confirm('Send the TestFlight invite now?')) return;
+
+    try {
+        const result = await api('/api/beta-signup/' + state.detailId + '/invite', { method: 'POST', body: {} });
+        showDetailMessage(result.message);
+        refreshAfterChange();
+    } catch (error) {
+        showDetailMessage(error.message);
+    }
+}
+
+function refreshAfterChange() {
+    const id = state.detailId;
+    const message = document.getElementById('detailMessage').textContent;
+
+    openDetail(id).then(function() {
+        showDetailMessage(message);
+    });
+    loadStats();
+    loadSignups(true);
+}
@@ -0,0 +1,141 @@
+const mongoose = require('mongoose');
+const bcrypt = require('bcryptjs');
+const jwt = require('jsonwebtoken');
+
+const ADMIN_ROLES = ['viewer', 'reviewer', 'inviter', 'admin'];
+
+// Roles allowed to see signup PII beyond name and email (IP address, user agent)
+const PII_ROLES = (process.env.PII_ROLES || 'admin')
+    .split(',')
+    .map((role) => role.trim())
+    .filter((role) => ADMIN_ROLES.includes(role));
+
+const adminUserSchema = new mongoose.Schema({
+    // Account
+    email: {
+        type: String,
+        required: [true, 'Email is required'],
+        unique: true,
+        lowercase: true,
+        trim: true
+    },
+    name: {
+        type: String,
+        trim: true,
+        maxlength: [100, 'Name cannot exceed 100 characters']
+    },
+    password: {
+        type: String,
+        required: [true, 'Password is required'],
+        minlength: [12, 'Password must be at least 12 characters'],
+        select: false
+    },
+
+    // Access Control
+    role: {
+        type: String,
+        enum: {
+            values: ADMIN_ROLES,
+            message: 'Role must be viewer, reviewer, inviter, or admin'
+        },
+        default: 'viewer'
+    },
+    isActive: {
+        type: Boolean,
+        default: true
+    },
+    // Bumped on logout, password, role or status changes to revoke outstanding tokens
+    tokenVersion: {
+        type: Number,
+        default: 0
+    },
+    lastLoginAt: {
+        type: Date
+    },
+
+    // Timestamps
+    createdAt: {
+        type: Date,
+        default: Date.now
+    },
+    updatedAt: {
+        type: Date,
+        default: Date.now
+    }
+});
+
+// Hash password and update updatedAt on save
+adminUserSchema.pre('save', async function(next) {
+    this.updatedAt = Date.now();
+
+    if (!this.isModified('password')) {
+        return next();
+    }
+
+    try {
+        const salt = await bcrypt.genSalt(12);
+        this.password = await bcrypt.hash(this.password, salt);
+        next();
+    } catch (error) {
+        next(error);
+    }
+});
+
+// Method to compare a plain-text password against the stored hash
+adminUserSchema.methods.comparePassword = function(candidatePassword) {
+    return bcrypt.compare(candidatePassword, this.password);
+};
+
+// Method to issue a short-lived access token bound to the current tokenVersion
+adminUserSchema.methods.generateAccessToken = function() {
+    return jwt.sign(
+        { id: this._id, role: this.role, tokenVersion: this.tokenVersion, type: 'access' },
+        process.env.JWT_SECRET,
+        { expiresIn: process.env.JWT_EXPIRE || '15m' }
+    );
+};
+
+// Method to issue a long-lived refresh token bound to the current tokenVersion
+adminUserSchema.methods.generateRefreshToken = function() {
+    return jwt.sign(
+        { id: this._id, tokenVersion: this.tokenVersion, type: 'refresh' },
+        process.env.JWT_REFRESH_SECRET || process.env.JWT_SECRET,
+        { expiresIn: process.env.JWT_REFRESH_EXPIRE || '30d' }
+    );
+};
+
+// Method to check if the admin holds one of the given roles ('admin' holds all)
+adminUserSchema.methods.hasRole = function(...roles) {
+    return this.role === 'admin' || roles.includes(this.role);
+};
+
+// Method to check if the admin may see signup PII such as IP addresses
+adminUserSchema.methods.canViewPii = function() {
+    return PII_ROLES.includes(this.role);
+};
+
+// Static method to create the initial admin from ADMIN_EMAIL/ADMIN_PASSWORD
+adminUserSchema.statics.ensureBootstrapAdmin = async function() {
+    const email = process.env.ADMIN_EMAIL;
+    const password = process.env.ADMIN_PASSWORD;
+
+    if (!email || !password) {
+        return null;
+    }
+
+    const existing = await this.findOne({ email: email.toLowerCase() });
+    if (existing) {
+        return existing;
+    }
+
+    return this.create({
+        email,
+        password,
+        name: 'Administrator',
+        role: 'admin'
+    });
+};
+
+adminUserSchema.statics.ROLES = ADMIN_ROLES;
+
+module.exports = mongoose.model('AdminUser', adminUserSchema);
@@ -1,4 +1,32 @@
+const crypto = require('crypto');
+const { EventEmitter } = require('events');
 const mongoose = require('mongoose');
+const jwt = require('jsonwebtoken');
+const { isValidEmail, getEmailKey } = require('../src/services/signupValidation');
+
+// Hours an unconfirmed signup (and its confirmation link) stays valid
+const CONFIRMATION_TTL_HOURS = parseInt(process.env.SIGNUP_CONFIRMATION_TTL_HOURS) || 48;
+// Minutes before signing up again with an unconfirmed address sends another confirmation email
+const CONFIRMATION_RESEND_MINUTES = parseInt(process.env.SIGNUP_CONFIRMATION_RESEND_MINUTES) || 15;
+
+// Days a TestFlight invite stays valid after it was sent
+const INVITE_VALIDITY_DAYS = parseInt(process.env.INVITE_VALIDITY_DAYS) || 90;
+
+// Allowed status changes; everything else is refused by transitionTo
+const STATUS_TRANSITIONS = {
+    unconfirmed: ['pending', 'rejected'],
+    pending: ['approved', 'invited', 'rejected'],
+    approved: ['pending', 'invited', 'rejected'],
+    invited: ['installed', 'expired', 'rejected'],
+    installed: ['rejected'],
+    expired: ['approved', 'invited', 'installed', 'rejected'],
+    rejected: ['pending']
+};
+
+// Emits 'created' (signup) and 'transition' (signup, statusHistory entry) once a save went through
+const lifecycleEvents = new EventEmitter();
+
+const hashToken = (value) => crypto.createHash('sha256').update(value).digest('hex');
 
 const betaSignupSchema = new mongoose.Schema({
     // Personal Information
@@ -8,7 +36,11 @@ const betaSignupSchema = new mongoose.Schema({
         unique: true,
         lowercase: true,
         trim: true,
-        match: [/^\w+([.-]?\w+)*@\w+([.-]?\w+)*(\.\w{2,3})+$/, 'Please enter a valid email']
+        validate: [isValidEmail, 'Please enter a valid email']
+    },
+    // Same for all variants of one mailbox (+tags, gmail dots), see getEmailKey
+    emailKey: {
+        type: String
     },
     name: {
         type: String,
@@ -32,6 +64,13 @@ const betaSignupSchema = new mongoose.Schema({
         default: ''
     },
 
+    // Preferred language for all emails
+    locale: {
+        type: String,
+        enum: ['de', 'en'],
+        default: 'de'
+    },
+
     // Feature Interests
     features: [{
         type: String,
@@ -41,12 +80,65 @@ const betaSignupSchema = new mongoose.Schema({
     // Status Tracking
     status: {
         type: String,
-        enum: ['pending', 'approved', 'invited', 'installed', 'rejected'],
-        default: 'pending'
+        enum: ['unconfirmed', 'pending', 'approved', 'invited', 'installed', 'rejected', 'expired'],
+        default: 'unconfirmed'
+    },
+
+    // Every status change, oldest first
+    statusHistory: [{
+        from: String,
+        to: String,
+        // Admin email, or system/subscriber for automatic changes
+        changedBy: {
+            type: String,
+            trim: true
+        },
+        changedAt: {
+            type: Date,
+            default: Date.now
+        },
+        note: {
+            type: String,
+            trim: true,
+            maxlength: 1000
+        }
+    }],
+
+    // Double Opt-In
+    confirmationNonceHash: {
+        type: String,
+        select: false
+    },
+    confirmationExpiresAt: {
+        type: Date
+    },
+    confirmationSentAt: {
+        type: Date
+    },
+    confirmedAt: {
+        type: Date
+    },
+    // Place in the invite queue for pending/approved signups, maintained by the waitlist job
+    waitlistPosition: {
+        type: Number
     },
     inviteSentAt: {
         type: Date
     },
+    inviteExpiresAt: {
+        type: Date
+    },
+    // Number of invites sent so far (re-invites after expiry included)
+    inviteCount: {
+        type: Number,
+        default: 0
+    },
+    expiredAt: {
+        type: Date
+    },
+    installedAt: {
+        type: Date
+    },
     invitedBy: {
         type: String,
         trim: true
@@ -77,17 +169,100 @@ const betaSignupSchema = new mongoose.Schema({
         enum: ['website', 'app_store', 'social', 'referral']
     },
 
+    // Bot/abuse assessment at signup (see signupRiskService.js); flagged signups need a manual look
+    risk: {
+        score: {
+            type: Number,
+            min: 0,
+            max: 100
+        },
+        signals: [String],
+        flagged: {
+            type: Boolean,
+            default: false
+        }
+    },
+
+    // Referral Program
+    referralCode: {
+        type: String,
+        unique: true,
+        sparse: true,
+        uppercase: true,
+        trim: true
+    },
+    referredBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'BetaSignup'
+    },
+    // Confirmed signups referred by this user
+    referralCount: {
+        type: Number,
+        default: 0
+    },
+
     // Communication
     emailSent: [{
         type: {
             type: String,
-            enum: ['welcome', 'invite', 'reminder', 'update']
+            enum: ['confirmation', 'welcome', 'invite', 'reminder', 'update']
         },
-        sentAt: {
+        // Delivery status, kept in sync by the email outbox worker and
+        // afterwards by provider events (delivered, bounced, complained)
+        status: {
+            type: String,
+            enum: ['queued', 'sent', 'failed', 'suppressed', 'delivered', 'bounced', 'complained'],
+            default: 'queued'
+        },
+        queuedAt: {
             type: Date,
             default: Date.now
         },
-        emailId: String
+        sentAt: {
+            type: Date
+        },
+        attempts: {
+            type: Number,
+            default: 0
+        },
+        lastError: String,
+        outboxId: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'EmailOutbox'
+        },
+        emailId: String,
+
+        // Provider events
+        deliveredAt: Date,
+        bouncedAt: Date,
+        bounceType: {
+            type: String,
+            enum: ['hard', 'soft']
+        },
+        complainedAt: Date,
+        // First open/click; counts include repeated events
+        openedAt: Date,
+        openCount: {
+            type: Number,
+            default: 0
+        },
+        clickedAt: Date,
+        clickCount: {
+            type: Number,
+            default: 0
+        }
+    }],
+
+    // Set when the user opted out of all emails
+    unsubscribedAt: {
+        type: Date
+    },
+
+    // Admin labels for grouping signups, e.g. "power-user"
+    tags: [{
+        type: String,
+        lowercase: true,
+        trim: true
     }],
 
     // Admin Notes
@@ -112,10 +287,58 @@ betaSignupSchema.index({ email: 1 });
 betaSignupSchema.index({ status: 1 });
 betaSignupSchema.index({ createdAt: -1 });
 betaSignupSchema.index({ device: 1 });
+betaSignupSchema.index({ status: 1, inviteExpiresAt: 1 });
+betaSignupSchema.index({ waitlistPosition: 1 });
+betaSignupSchema.index({ inviteSentAt: 1 });
+betaSignupSchema.index({ referralCount: -1 });
+betaSignupSchema.index({ referredBy: 1 });
+betaSignupSchema.index({ tags: 1 });
+// One signup per mailbox; sparse because signups from before emailKey existed get it from ensureEmailKeys
+betaSignupSchema.index({ emailKey: 1 }, { unique: true, sparse: true });
+betaSignupSchema.index({ 'risk.flagged': 1, createdAt: -1 });
+betaSignupSchema.index({ 'emailSent.emailId': 1 }, { sparse: true });
+// Unconfirmed signups are removed by MongoDB once their confirmation window has passed
+betaSignupSchema.index(
+    { confirmationExpiresAt: 1 },
+    { expireAfterSeconds: 0, partialFilterExpression: { status: 'unconfirmed' } }
+);
 
 // Update updatedAt on save
 betaSignupSchema.pre('save', function(next) {
     this.updatedAt = Date.now();
+    this.$locals.wasNew = this.isNew;
+    next();
+});
+
+// Announce new signups and status changes after they were written
+betaSignupSchema.post('save', function(doc) {
+    const transitions = doc.$locals.transitions || [];
+    const wasNew = doc.$locals.wasNew;
+    doc.$locals.transitions = [];
+    doc.$locals.wasNew = false;
+
+    if (wasNew) {
+        lifecycleEvents.emit('created', doc);
+    }
+    transitions.forEach((transition) => lifecycleEvents.emit('transition', doc, transition));
+});
+
+// Keep the duplicate detection key in sync with the address
+betaSignupSchema.pre('validate', function(next) {
+    if (this.email && (this.isModified('email') || !this.emailKey)) {
+        this.emailKey = getEmailKey(this.email);
+    }
+    next();
+});
+
+// Give every new signup its own referral code
+betaSignupSchema.pre('validate', function(next) {
+    if (!this.referralCode) {
+        // 8 characters without easily confused ones (0/O, 1/I)
+        const chars = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+        const bytes = crypto.randomBytes(8);
+        this.referralCode = Array.from(bytes, (byte) => chars[byte % chars.length]).join('');
+    }
     next();
 });
 
@@ -124,18 +347,202 @@ betaSignupSchema.virtual('isInvited').get(function() {
     return this.status === 'invited' || this.status === 'installed';
 });
 
+// Method to check if a status change is allowed
+betaSignupSchema.methods.canTransitionTo = function(status) {
+    return (STATUS_TRANSITIONS[this.status] || []).includes(status);
+};
+
+// Method to change the status and record it in the history (does not save).
+// Refused transitions throw an error with code INVALID_TRANSITION.
+betaSignupSchema.methods.transitionTo = function(status, { by = 'system', note } = {}) {
+    if (!this.canTransitionTo(status)) {
+        const error = new Error(`Cannot change status from ${this.status} to ${status}`);
+        error.code = 'INVALID_TRANSITION';
+        throw error;
+    }
+
+    const changedAt = new Date();
+    const transition = { from: this.status, to: status, changedBy: by, changedAt, note };
+    this.statusHistory.push(transition);
+    this.$locals.transitions = [...(this.$locals.transitions || []), transition];
+    this.status = status;
+
+    if (status === 'installed') {
+        this.installedAt = changedAt;
+    }
+    if (status === 'expired') {
+        this.expiredAt = changedAt;
+    }
+
+    return this;
+};
+
+// Static method to change the status of one signup only while it still matches the filter,
+// so concurrent workers never act on the same signup twice. The filter must name the
+// current status; returns the updated signup, or null when it no longer matched.
+betaSignupSchema.statics.claimTransition = async function(filter, status, { by = 'system', note } = {}) {
+    const from = filter.status;
+    if (!(STATUS_TRANSITIONS[from] || []).includes(status)) {
+        const error = new Error(`Cannot change status from ${from} to ${status}`);
+        error.code = 'INVALID_TRANSITION';
+        throw error;
+    }
+
+    const changedAt = new Date();
+    const transition = { from, to: status, changedBy: by, changedAt, note };
+    const update = { status, updatedAt: changedAt };
+    if (status === 'installed') {
+        update.installedAt = changedAt;
+    }
+    if (status === 'expired') {
+        update.expiredAt = changedAt;
+    }
+
+    const signup = await this.findOneAndUpdate(
+        filter,
+        { $set: update, $push: { statusHistory: transition } },
+        { new: true }
+    );
+
+    if (signup) {
+        lifecycleEvents.emit('transition', signup, transition);
+    }
+    return signup;
+};
+
 // Method to mark as invited
-betaSignupSchema.methods.markAsInvited = function(testflightUrl, testflightCode) {
-    this.status = 'invited';
+betaSignupSchema.methods.markAsInvited = function(testflightUrl, testflightCode, invitedBy) {
+    this.transitionTo('invited', { by: invitedBy });
     this.inviteSentAt = new Date();
+    this.inviteExpiresAt = new Date(this.inviteSentAt.getTime() + INVITE_VALIDITY_DAYS * 24 * 60 * 60 * 1000);
+    this.inviteCount = (this.inviteCount || 0) + 1;
+    this.expiredAt = undefined;
     this.testflightUrl = testflightUrl;
     this.testflightCode = testflightCode;
     return this.save();
 };
 
-// Method to check if user can receive invite
+// Method to issue a signed, single-use email confirmation token
+betaSignupSchema.methods.generateConfirmationToken = function() {
+    const nonce = crypto.randomBytes(16).toString('hex');
+
+    this.confirmationNonceHash = hashToken(nonce);
+    this.confirmationSentAt = new Date();
+    this.confirmationExpiresAt = new Date(this.confirmationSentAt.getTime() + CONFIRMATION_TTL_HOURS * 60 * 60 * 1000);
+
+    return jwt.sign(
+        { id: this._id, nonce, type: 'confirm' },
+        process.env.JWT_SECRET,
+        { expiresIn: `${CONFIRMATION_TTL_HOURS}h` }
+    );
+};
+
+// Method to check if another confirmation email may be sent, so repeated signups
+// with someone else's address cannot flood their inbox
+betaSignupSchema.methods.canResendConfirmation = function(now = new Date()) {
+    return !this.confirmationSentAt || now - this.confirmationSentAt >= CONFIRMATION_RESEND_MINUTES * 60 * 1000;
+};
+
+// Method to confirm the email address and release the signup for review
+betaSignupSchema.methods.confirmEmail = function() {
+    this.transitionTo('pending', { by: 'subscriber', note: 'Email confirmed' });
+    this.confirmedAt = new Date();
+    this.confirmationNonceHash = undefined;
+    this.confirmationExpiresAt = undefined;
+    return this.save();
+};
+
+// Static method to resolve a confirmation token to its unconfirmed signup
+// Returns null for unknown, already used or superseded tokens
+betaSignupSchema.statics.findByConfirmationToken = async function(token) {
+    // JsonWebTokenError/TokenExpiredError propagate to errorHandler
+    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+
+    if (decoded.type !== 'confirm') {
+        return null;
+    }
+
+    const signup = await this.findById(decoded.id).select('+confirmationNonceHash');
+    if (!signup || signup.status !== 'unconfirmed' || signup.confirmationNonceHash !== hashToken(decoded.nonce)) {
+        return null;
+    }
+
+    return signup;
+};
+
+// Method to issue the signed per-recipient token used in unsubscribe and
+// data-access links. It does not expire so links in old emails keep working.
+betaSignupSchema.methods.generateSubscriberToken = function() {
+    return jwt.sign(
+        { id: this._id, type: 'subscriber' },
+        process.env.JWT_SECRET
+    );
+};
+
+// Static method to resolve a subscriber token to its signup (null if gone)
+betaSignupSchema.statics.findBySubscriberToken = async function(token) {
+    // JsonWebTokenError propagates to errorHandler
+    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+
+    if (decoded.type !== 'subscriber') {
+        return null;
+    }
+
+    return this.findById(decoded.id);
+};
+
+// Method to build the public referral link for this signup
+betaSignupSchema.methods.getReferralUrl = function() {
+    const websiteUrl = process.env.WEBSITE_URL || 'https://bahnblitz.app';
+    return `${websiteUrl}/?ref=${this.referralCode}`;
+};
+
+// Method to check if user can receive invite (expired invites can be renewed)
 betaSignupSchema.methods.canReceiveInvite = function() {
-    return this.status === 'pending' || this.status === 'approved';
+    return this.canTransitionTo('invited');
+};
+
+// Static method to find the signup for an address or any variant of it
+// (exact address first, so signups from before emailKey existed are found too)
+betaSignupSchema.statics.findByEmailVariant = async function(email) {
+    const address = String(email).trim().toLowerCase();
+
+    return (await this.findOne({ email: address })) ||
+        this.findOne({ emailKey: getEmailKey(address) }).sort({ createdAt: 1 });
+};
+
+// Static method to fill in emailKey for signups created before it existed
+betaSignupSchema.statics.ensureEmailKeys = async function() {
+    const missing = await this.find({ emailKey: { $exists: false } }).select('email').lean();
+    let skipped = 0;
+
+    if (missing.length) {
+        try {
+            await this.bulkWrite(missing.map(({ _id, email }) => ({
+                updateOne: { filter: { _id }, update: { $set: { emailKey: getEmailKey(email) } } }
+            })), { ordered: false });
+        } catch (error) {
+            // Older signups for a variant of an address that already has the key stay without one;
+            // findByEmailVariant still finds them by their exact address
+            if (!error.writeErrors || error.writeErrors.some(({ code }) => code !== 11000)) {
+                throw error;
+            }
+            skipped = error.writeErrors.length;
+        }
+    }
+
+    return missing.length - skipped;
+};
+
+// Static method to set referralCount on signups created before it existed,
+// so sorting and paging by it sees the same value as the document default
+betaSignupSchema.statics.ensureReferralCounts = async function() {
+    const result = await this.updateMany(
+        { referralCount: { $exists: false } },
+        { $set: { referralCount: 0 } }
+    );
+
+    return result.modifiedCount;
 };
 
 // Static method to get signup stats
@@ -151,11 +558,13 @@ betaSignupSchema.statics.getStats = async function() {
 
     const result = {
         total: 0,
+        unconfirmed: 0,
         pending: 0,
         approved: 0,
         invited: 0,
         installed: 0,
-        rejected: 0
+        rejected: 0,
+        expired: 0
     };
 
     stats.forEach(stat => {
@@ -166,5 +575,9 @@ betaSignupSchema.statics.getStats = async function() {
     return result;
 };
 
+betaSignupSchema.statics.INVITE_VALIDITY_DAYS = INVITE_VALIDITY_DAYS;
+betaSignupSchema.statics.STATUS_TRANSITIONS = STATUS_TRANSITIONS;
+betaSignupSchema.statics.lifecycleEvents = lifecycleEvents;
+
 module.exports = mongoose.model('BetaSignup', betaSignupSchema);
 
@@ -0,0 +1,181 @@
+const BetaSignup = require('./BetaSignup');
+
+describe('BetaSignup', () => {
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    describe('transitionTo', () => {
+        const signup = (status) => new BetaSignup({ email: 'tester@example.com', name: 'Tester', device: 'iphone', status });
+
+        it.each([
+            ['unconfirmed', 'pending'],
+            ['pending', 'invited'],
+            ['approved', 'pending'],
+            ['invited', 'expired'],
+            ['expired', 'invited'],
+            ['rejected', 'pending']
+        ])('allows %s -> %s', (from, to) => {
+            expect(signup(from).canTransitionTo(to)).toBe(true);
+        });
+
+        it.each([
+            ['unconfirmed', 'invited'],
+            ['pending', 'installed'],
+            ['installed', 'invited'],
+            ['rejected', 'approved'],
+            ['invited', 'invited']
+        ])('refuses %s -> %s', (from, to) => {
+            const current = signup(from);
+
+            expect(current.canTransitionTo(to)).toBe(false);
+            expect(() => current.transitionTo(to)).toThrow(expect.objectContaining({
+                code: 'INVALID_TRANSITION',
+                message: `Cannot change status from ${from} to ${to}`
+            }));
+            expect(current.status).toBe(from);
+            expect(current.statusHistory).toHaveLength(0);
+        });
+
+        it('records every change in the history and for the save hook', () => {
+            const current = signup('pending');
+
+            current.transitionTo('approved', { by: 'admin@example.com', note: 'Looks good' });
+            current.transitionTo('invited');
+
+            expect(current.status).toBe('invited');
+            expect(current.statusHistory.map(({ from, to, changedBy }) => ({ from, to, changedBy }))).toEqual([
+                { from: 'pending', to: 'approved', changedBy: 'admin@example.com' },
+                { from: 'approved', to: 'invited', changedBy: 'system' }
+            ]);
+            expect(current.statusHistory[0].note).toBe('Looks good');
+            expect(current.$locals.transitions).toHaveLength(2);
+        });
+
+        it('stamps the install and expiry times', () => {
+            const installed = signup('invited').transitionTo('installed');
+            const expired = signup('invited').transitionTo('expired');
+
+            expect(installed.installedAt).toEqual(installed.statusHistory[0].changedAt);
+            expect(expired.expiredAt).toEqual(expired.statusHistory[0].changedAt);
+        });
+
+        it('starts a new invite round when an expired signup is invited again', async () => {
+            const current = signup('expired');
+            current.inviteCount = 1;
+            current.expiredAt = new Date();
+            jest.spyOn(current, 'save').mockResolvedValue(current);
+
+            await current.markAsInvited('https://testflight.apple.com/join/ABC123', 'ABC123', 'admin@example.com');
+
+            expect(current).toMatchObject({ status: 'invited', inviteCount: 2, expiredAt: undefined });
+            expect(current.inviteExpiresAt - current.inviteSentAt).toBe(BetaSignup.INVITE_VALIDITY_DAYS * 24 * 60 * 60 * 1000);
+            expect(current.statusHistory[0]).toMatchObject({ from: 'expired', to: 'invited', changedBy: 'admin@example.com' });
+        });
+    });
+
+    describe('claimTransition', () => {
+        it('updates only a signup that still has the status from the filter', async () => {
+            const signup = new BetaSignup({ email: 'tester@example.com', name: 'Tester', device: 'iphone', status: 'expired' });
+            jest.spyOn(BetaSignup, 'findOneAndUpdate').mockResolvedValue(signup);
+
+            await BetaSignup.claimTransition({ _id: signup._id, status: 'invited' }, 'expired', { note: 'Invite not used in time' });
+
+            const [filter, update, options] = BetaSignup.findOneAndUpdate.mock.calls[0];
+            expect(filter).toEqual({ _id: signup._id, status: 'invited' });
+            expect(update.$set).toEqual(expect.objectContaining({ status: 'expired', expiredAt: expect.any(Date) }));
+            expect(update.$push.statusHistory).toEqual(expect.objectContaining({
+                from: 'invited',
+                to: 'expired',
+                changedBy: 'system',
+                note: 'Invite not used in time'
+            }));
+            expect(options).toEqual({ new: true });
+        });
+
+        it('announces the transition once the update went through', async () => {
+            const signup = new BetaSignup({ email: 'tester@example.com', name: 'Tester', device: 'iphone' });
+            jest.spyOn(BetaSignup, 'findOneAndUpdate').mockResolvedValue(signup);
+            const listener = jest.fn();
+            BetaSignup.lifecycleEvents.on('transition', listener);
+
+            await BetaSignup.claimTransition({ _id: signup._id, status: 'invited' }, 'expired');
+            BetaSignup.lifecycleEvents.off('transition', listener);
+
+            expect(listener).toHaveBeenCalledWith(signup, expect.objectContaining({ from: 'invited', to: 'expired' }));
+        });
+
+        it('returns null without an event when the signup was claimed elsewhere', async () => {
+            jest.spyOn(BetaSignup, 'findOneAndUpdate').mockResolvedValue(null);
+            const listener = jest.fn();
+            BetaSignup.lifecycleEvents.on('transition', listener);
+
+            const result = await BetaSignup.claimTransition({ status: 'invited' }, 'expired');
+            BetaSignup.lifecycleEvents.off('transition', listener);
+
+            expect(result).toBeNull();
+            expect(listener).not.toHaveBeenCalled();
+        });
+
+        it('refuses transitions the state machine does not allow', async () => {
+            jest.spyOn(BetaSignup, 'findOneAndUpdate');
+
+            await expect(BetaSignup.claimTransition({ status: 'installed' }, 'expired'))
+                .rejects.toMatchObject({ code: 'INVALID_TRANSITION' });
+            expect(BetaSignup.findOneAndUpdate).not.toHaveBeenCalled();
+        });
+    });
+
+    describe('ensureEmailKeys', () => {
+        it('keeps going when an older variant of an address cannot take its key', async () => {
+            jest.spyOn(BetaSignup, 'find').mockReturnValue({
+                select: () => ({ lean: async () => [{ _id: 1, email: 'a.nna@gmail.com' }, { _id: 2, email: 'anna@gmail.com' }] })
+            });
+            jest.spyOn(BetaSignup, 'bulkWrite').mockRejectedValue(Object.assign(new Error('E11000'), { writeErrors: [{ code: 11000 }] }));
+
+            await expect(BetaSignup.ensureEmailKeys()).resolves.toBe(1);
+            expect(BetaSignup.bulkWrite).toHaveBeenCalledWith(expect.any(Array), { ordered: false });
+        });
+
+        it('rethrows other write errors', async () => {
+            jest.spyOn(BetaSignup, 'find').mockReturnValue({ select: () => ({ lean: async () => [{ _id: 1, email: 'anna@example.com' }] }) });
+            jest.spyOn(BetaSignup, 'bulkWrite').mockRejectedValue(new Error('not primary'));
+
+            await expect(BetaSignup.ensureEmailKeys()).rejects.toThrow('not primary');
+        });
+    });
+
+    describe('ensureReferralCounts', () => {
+        it('sets referralCount to 0 where it is missing', async () => {
+            jest.spyOn(BetaSignup, 'updateMany').mockResolvedValue({ modifiedCount: 3 });
+
+            expect(await BetaSignup.ensureReferralCounts()).toBe(3);
+            expect(BetaSignup.updateMany).toHaveBeenCalledWith(
+                { referralCount: { $exists: false } },
+                { $set: { referralCount: 0 } }
+            );
+        });
+    });
+
+    describe('canResendConfirmation', () => {
+        const signup = () => new BetaSignup({ email: 'tester@example.com', name: 'Tester', device: 'iphone' });
+
+        it('allows the first confirmation email', () => {
+            expect(signup().canResendConfirmation()).toBe(true);
+        });
+
+        it('refuses another email within the cooldown', () => {
+            const pending = signup();
+            pending.generateConfirmationToken();
+
+            expect(pending.canResendConfirmation(new Date(Date.now() + 14 * 60 * 1000))).toBe(false);
+        });
+
+        it('allows another email after the cooldown', () => {
+            const pending = signup();
+            pending.generateConfirmationToken();
+
+            expect(pending.canResendConfirmation(new Date(Date.now() + 15 * 60 * 1000))).toBe(true);
+        });
+    });
+});
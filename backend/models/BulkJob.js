@@ -0,0 +1,113 @@
+const mongoose = require('mongoose');
+
+const BULK_ACTIONS = ['approve', 'reject', 'invite', 'tag', 'note'];
+
+const bulkJobSchema = new mongoose.Schema({
+    // Operation
+    action: {
+        type: String,
+        required: true,
+        enum: BULK_ACTIONS
+    },
+    // Action arguments: note, tags, testflightUrl
+    params: {
+        type: mongoose.Schema.Types.Mixed,
+        default: {}
+    },
+    // Signups selected when the job was created, processed in this order
+    signupIds: [{
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'BetaSignup'
+    }],
+    // Filters the selection was resolved from, kept for reference
+    filters: {
+        type: mongoose.Schema.Types.Mixed
+    },
+    createdBy: {
+        type: String,
+        required: true,
+        trim: true
+    },
+
+    // Progress
+    status: {
+        type: String,
+        enum: ['queued', 'running', 'completed', 'failed'],
+        default: 'queued'
+    },
+    total: {
+        type: Number,
+        default: 0
+    },
+    processed: {
+        type: Number,
+        default: 0
+    },
+    succeeded: {
+        type: Number,
+        default: 0
+    },
+    skipped: {
+        type: Number,
+        default: 0
+    },
+    failed: {
+        type: Number,
+        default: 0
+    },
+    // Per-signup outcome in processing order
+    results: [{
+        _id: false,
+        id: mongoose.Schema.Types.ObjectId,
+        email: String,
+        outcome: {
+            type: String,
+            enum: ['succeeded', 'skipped', 'failed']
+        },
+        message: String
+    }],
+    // Refreshed while running; a stale heartbeat means the process died
+    heartbeatAt: {
+        type: Date
+    },
+    startedAt: {
+        type: Date
+    },
+    finishedAt: {
+        type: Date
+    },
+    error: {
+        type: String
+    },
+
+    // Timestamps
+    createdAt: {
+        type: Date,
+        default: Date.now
+    },
+    updatedAt: {
+        type: Date,
+        default: Date.now
+    }
+});
+
+// Indexes for performance
+bulkJobSchema.index({ status: 1, heartbeatAt: 1 });
+bulkJobSchema.index({ createdAt: -1 });
+
+// Update updatedAt on save
+bulkJobSchema.pre('save', function(next) {
+    this.updatedAt = Date.now();
+    next();
+});
+
+// Virtual for progress in percent
+bulkJobSchema.virtual('progress').get(function() {
+    return this.total ? Math.round(this.processed / this.total * 100) : 100;
+});
+
+bulkJobSchema.set('toJSON', { virtuals: true });
+
+bulkJobSchema.statics.ACTIONS = BULK_ACTIONS;
+
+module.exports = mongoose.model('BulkJob', bulkJobSchema);
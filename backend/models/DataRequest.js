@@ -0,0 +1,41 @@
+const mongoose = require('mongoose');
+
+// Audit log of data-subject requests (GDPR Art. 15/17) and unsubscribes.
+// Erasure entries act as tombstones for signups that no longer exist.
+const dataRequestSchema = new mongoose.Schema({
+    type: {
+        type: String,
+        required: true,
+        enum: ['export', 'erasure', 'unsubscribe']
+    },
+    signupId: {
+        type: mongoose.Schema.Types.ObjectId,
+        required: true
+    },
+    emailHash: {
+        type: String,
+        required: true
+    },
+
+    // Non-identifying facts kept after erasure
+    snapshot: {
+        status: String,
+        device: String,
+        source: String,
+        anonymisedIp: String,
+        signedUpAt: Date
+    },
+
+    // Timestamps
+    createdAt: {
+        type: Date,
+        default: Date.now
+    }
+});
+
+// Indexes for performance
+dataRequestSchema.index({ signupId: 1 });
+dataRequestSchema.index({ emailHash: 1 });
+dataRequestSchema.index({ type: 1, createdAt: -1 });
+
+module.exports = mongoose.model('DataRequest', dataRequestSchema);
@@ -0,0 +1,79 @@
+const mongoose = require('mongoose');
+
+const emailOutboxSchema = new mongoose.Schema({
+    // Message
+    signupId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'BetaSignup',
+        required: true
+    },
+    type: {
+        type: String,
+        required: true,
+        enum: ['confirmation', 'welcome', 'invite', 'reminder', 'update']
+    },
+    // Template arguments such as testflightUrl or confirmUrl
+    payload: {
+        type: mongoose.Schema.Types.Mixed,
+        default: {}
+    },
+    // One message per key; defaults to "<signupId>:<type>"
+    idempotencyKey: {
+        type: String,
+        required: true,
+        unique: true
+    },
+
+    // Delivery State
+    status: {
+        type: String,
+        enum: ['queued', 'processing', 'sent', 'dead', 'cancelled'],
+        default: 'queued'
+    },
+    attempts: {
+        type: Number,
+        default: 0
+    },
+    maxAttempts: {
+        type: Number,
+        default: 5
+    },
+    nextAttemptAt: {
+        type: Date,
+        default: Date.now
+    },
+    lockedAt: {
+        type: Date
+    },
+    lastError: {
+        type: String
+    },
+    messageId: {
+        type: String
+    },
+    sentAt: {
+        type: Date
+    },
+
+    // Timestamps
+    createdAt: {
+        type: Date,
+        default: Date.now
+    },
+    updatedAt: {
+        type: Date,
+        default: Date.now
+    }
+});
+
+// Indexes for performance
+emailOutboxSchema.index({ status: 1, nextAttemptAt: 1 });
+emailOutboxSchema.index({ signupId: 1 });
+
+// Update updatedAt on save
+emailOutboxSchema.pre('save', function(next) {
+    this.updatedAt = Date.now();
+    next();
+});
+
+module.exports = mongoose.model('EmailOutbox', emailOutboxSchema);
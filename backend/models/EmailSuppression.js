@@ -0,0 +1,51 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+
+// Only a hash of the address is stored, so the list itself holds no readable PII
+const emailSuppressionSchema = new mongoose.Schema({
+    emailHash: {
+        type: String,
+        required: true,
+        unique: true
+    },
+    reason: {
+        type: String,
+        required: true,
+        enum: ['unsubscribe', 'bounce', 'complaint', 'manual']
+    },
+    signupId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'BetaSignup'
+    },
+
+    // Timestamps
+    createdAt: {
+        type: Date,
+        default: Date.now
+    }
+});
+
+// Static method to hash an address the same way everywhere
+emailSuppressionSchema.statics.hashEmail = function(email) {
+    return crypto
+        .createHash('sha256')
+        .update(String(email).trim().toLowerCase())
+        .digest('hex');
+};
+
+// Static method to check if an address must not receive any email
+emailSuppressionSchema.statics.isSuppressed = async function(email) {
+    const entry = await this.exists({ emailHash: this.hashEmail(email) });
+    return Boolean(entry);
+};
+
+// Static method to add an address to the suppression list (idempotent)
+emailSuppressionSchema.statics.suppress = function(email, reason, signupId) {
+    return this.findOneAndUpdate(
+        { emailHash: this.hashEmail(email) },
+        { $setOnInsert: { reason, signupId, createdAt: new Date() } },
+        { upsert: true, new: true }
+    );
+};
+
+module.exports = mongoose.model('EmailSuppression', emailSuppressionSchema);
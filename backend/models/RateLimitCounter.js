@@ -0,0 +1,24 @@
+const mongoose = require('mongoose');
+
+// Request counters of the MongoDB rate limit store, shared by all server instances.
+// One document per policy and client for the current window.
+const rateLimitCounterSchema = new mongoose.Schema({
+    key: {
+        type: String,
+        required: true,
+        unique: true
+    },
+    hits: {
+        type: Number,
+        default: 0
+    },
+    resetAt: {
+        type: Date,
+        required: true
+    }
+});
+
+// Counters are removed by MongoDB once their window has ended
+rateLimitCounterSchema.index({ resetAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('RateLimitCounter', rateLimitCounterSchema);
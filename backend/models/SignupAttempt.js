@@ -0,0 +1,45 @@
+const mongoose = require('mongoose');
+
+const RETENTION_HOURS = parseInt(process.env.SIGNUP_ATTEMPT_RETENTION_HOURS) || 24;
+
+// Short-lived record of public signup attempts for velocity limits and form token replay checks.
+// Only the hashed email key and the anonymised subnet are kept, never the address or full IP.
+const signupAttemptSchema = new mongoose.Schema({
+    emailHash: {
+        type: String,
+        required: true
+    },
+    subnet: {
+        type: String,
+        required: true
+    },
+    // jti of the form token; each token can be used once
+    formTokenId: {
+        type: String
+    },
+    outcome: {
+        type: String,
+        required: true,
+        enum: ['accepted', 'limited', 'rejected'],
+        default: 'accepted'
+    },
+    // Why a rejected attempt was refused, e.g. honeypot or too_fast
+    reason: {
+        type: String
+    },
+
+    // Timestamps
+    createdAt: {
+        type: Date,
+        default: Date.now
+    }
+});
+
+// Indexes for performance
+signupAttemptSchema.index({ emailHash: 1, createdAt: -1 });
+signupAttemptSchema.index({ subnet: 1, createdAt: -1 });
+signupAttemptSchema.index({ formTokenId: 1 }, { unique: true, sparse: true });
+// Attempts are removed by MongoDB after SIGNUP_ATTEMPT_RETENTION_HOURS
+signupAttemptSchema.index({ createdAt: 1 }, { expireAfterSeconds: RETENTION_HOURS * 60 * 60 });
+
+module.exports = mongoose.model('SignupAttempt', signupAttemptSchema);
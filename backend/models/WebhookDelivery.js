@@ -0,0 +1,102 @@
+const mongoose = require('mongoose');
+
+// Days delivery log entries are kept
+const RETENTION_DAYS = parseInt(process.env.WEBHOOK_LOG_RETENTION_DAYS) || 30;
+
+const attemptSchema = new mongoose.Schema({
+    attemptedAt: {
+        type: Date,
+        default: Date.now
+    },
+    // HTTP status of the response (missing on network errors and timeouts)
+    statusCode: {
+        type: Number
+    },
+    durationMs: {
+        type: Number
+    },
+    // Start of the response body, for debugging the receiver
+    responseBody: {
+        type: String
+    },
+    error: {
+        type: String
+    }
+}, { _id: false });
+
+const webhookDeliverySchema = new mongoose.Schema({
+    // Message
+    subscriptionId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'WebhookSubscription',
+        required: true
+    },
+    event: {
+        type: String,
+        required: true
+    },
+    // Unique event id sent as X-BahnBlitz-Delivery, lets receivers drop duplicates
+    eventId: {
+        type: String,
+        required: true
+    },
+    // JSON body as sent, fixed when the event happened
+    payload: {
+        type: mongoose.Schema.Types.Mixed,
+        default: {}
+    },
+
+    // Delivery State
+    status: {
+        type: String,
+        enum: ['queued', 'processing', 'delivered', 'dead', 'cancelled'],
+        default: 'queued'
+    },
+    attempts: {
+        type: Number,
+        default: 0
+    },
+    maxAttempts: {
+        type: Number,
+        default: 8
+    },
+    nextAttemptAt: {
+        type: Date,
+        default: Date.now
+    },
+    lockedAt: {
+        type: Date
+    },
+    lastError: {
+        type: String
+    },
+    deliveredAt: {
+        type: Date
+    },
+    // One entry per attempt (the delivery log)
+    log: [attemptSchema],
+
+    // Timestamps
+    createdAt: {
+        type: Date,
+        default: Date.now
+    },
+    updatedAt: {
+        type: Date,
+        default: Date.now
+    }
+});
+
+// Indexes for performance
+webhookDeliverySchema.index({ status: 1, nextAttemptAt: 1 });
+webhookDeliverySchema.index({ subscriptionId: 1, createdAt: -1 });
+// Old log entries are removed by MongoDB
+webhookDeliverySchema.index({ createdAt: 1 }, { expireAfterSeconds: RETENTION_DAYS * 24 * 60 * 60 });
+
+// Update updatedAt on save
+webhookDeliverySchema.pre('save', function(next) {
+    this.updatedAt = Date.now();
+    next();
+});
+
+module.exports = mongoose.model('WebhookDelivery', webhookDeliverySchema);
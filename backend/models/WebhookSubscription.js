@@ -0,0 +1,85 @@
+const mongoose = require('mongoose');
+
+// Events a subscription can listen to; '*' subscribes to all of them
+const WEBHOOK_EVENTS = [
+    'signup.created',
+    'signup.confirmed',
+    'signup.pending',
+    'signup.approved',
+    'signup.rejected',
+    'signup.invited',
+    'signup.installed',
+    'signup.expired'
+];
+
+const webhookSubscriptionSchema = new mongoose.Schema({
+    // Endpoint
+    url: {
+        type: String,
+        required: [true, 'URL is required'],
+        trim: true
+    },
+    // HMAC key for the X-BahnBlitz-Signature header
+    secret: {
+        type: String,
+        required: true,
+        select: false
+    },
+    events: {
+        type: [{
+            type: String,
+            enum: [...WEBHOOK_EVENTS, '*']
+        }],
+        validate: [(events) => events.length > 0, 'At least one event is required']
+    },
+    description: {
+        type: String,
+        trim: true,
+        maxlength: [200, 'Description cannot exceed 200 characters']
+    },
+    isActive: {
+        type: Boolean,
+        default: true
+    },
+    createdBy: {
+        type: String,
+        trim: true
+    },
+
+    // Last Delivery
+    lastDeliveryAt: {
+        type: Date
+    },
+    lastDeliveryStatus: {
+        type: String,
+        enum: ['delivered', 'failed']
+    },
+
+    // Timestamps
+    createdAt: {
+        type: Date,
+        default: Date.now
+    },
+    updatedAt: {
+        type: Date,
+        default: Date.now
+    }
+});
+
+// Indexes for performance
+webhookSubscriptionSchema.index({ isActive: 1, events: 1 });
+
+// Update updatedAt on save
+webhookSubscriptionSchema.pre('save', function(next) {
+    this.updatedAt = Date.now();
+    next();
+});
+
+// Method to check if the subscription wants an event
+webhookSubscriptionSchema.methods.listensTo = function(event) {
+    return this.events.includes('*') || this.events.includes(event);
+};
+
+webhookSubscriptionSchema.statics.EVENTS = WEBHOOK_EVENTS;
+
+module.exports = mongoose.model('WebhookSubscription', webhookSubscriptionSchema);
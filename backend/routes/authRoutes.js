@@ -0,0 +1,354 @@
+const express = require('express');
+const jwt = require('jsonwebtoken');
+const { body, param, validationResult } = require('express-validator');
+const AdminUser = require('../models/AdminUser');
+const { protect, authorize } = require('../src/middleware/auth');
+const { logger } = require('../src/logger');
+
+const router = express.Router();
+
+// Validation middleware
+const validateLogin = [
+    body('email')
+        .isEmail()
+        .withMessage('Please provide a valid email address'),
+    body('password')
+        .isString()
+        .notEmpty()
+        .withMessage('Password is required')
+];
+
+const validateRefresh = [
+    body('refreshToken')
+        .isString()
+        .notEmpty()
+        .withMessage('Refresh token is required')
+];
+
+const validateAdminAccount = [
+    body('email')
+        .isEmail()
+        .withMessage('Please provide a valid email address'),
+    body('name')
+        .optional()
+        .isString()
+        .isLength({ max: 100 })
+        .withMessage('Name cannot exceed 100 characters'),
+    body('password')
+        .isString()
+        .isLength({ min: 12 })
+        .withMessage('Password must be at least 12 characters'),
+    body('role')
+        .isIn(AdminUser.ROLES)
+        .withMessage(`Role must be one of ${AdminUser.ROLES.join(', ')}`)
+];
+
+const validateAdminUpdate = [
+    param('id')
+        .isMongoId()
+        .withMessage('Invalid admin id'),
+    body('name')
+        .optional()
+        .isString()
+        .isLength({ max: 100 })
+        .withMessage('Name cannot exceed 100 characters'),
+    body('password')
+        .optional()
+        .isString()
+        .isLength({ min: 12 })
+        .withMessage('Password must be at least 12 characters'),
+    body('role')
+        .optional()
+        .isIn(AdminUser.ROLES)
+        .withMessage(`Role must be one of ${AdminUser.ROLES.join(', ')}`),
+    body('isActive')
+        .optional()
+        .isBoolean({ strict: true })
+        .withMessage('isActive must be true or false')
+];
+
+// Public fields of an admin account
+const toAdminAccount = (admin) => ({
+    id: admin._id,
+    email: admin.email,
+    name: admin.name,
+    role: admin.role,
+    isActive: admin.isActive,
+    lastLoginAt: admin.lastLoginAt,
+    createdAt: admin.createdAt
+});
+
+// Build the token pair returned by login and refresh
+const issueTokens = (admin) => ({
+    accessToken: admin.generateAccessToken(),
+    refreshToken: admin.generateRefreshToken(),
+    tokenType: 'Bearer',
+    expiresIn: process.env.JWT_EXPIRE || '15m',
+    admin: {
+        id: admin._id,
+        email: admin.email,
+        name: admin.name,
+        role: admin.role
+    }
+});
+
+// @route   POST /api/auth/login
+// @desc    Log in as an admin and receive access/refresh tokens
+// @access  Public
+router.post('/auth/login', validateLogin, async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        const { email, password } = req.body;
+
+        const admin = await AdminUser
+            .findOne({ email: email.toLowerCase() })
+            .select('+password');
+
+        if (!admin || !admin.isActive || !(await admin.comparePassword(password))) {
+            return res.status(401).json({
+                success: false,
+                message: 'Invalid email or password'
+            });
+        }
+
+        admin.lastLoginAt = new Date();
+        await admin.save();
+
+        res.json({
+            success: true,
+            data: issueTokens(admin)
+        });
+
+    } catch (error) {
+        logger.error('Login error', { err: error });
+        res.status(500).json({
+            success: false,
+            message: 'Server error occurred during login'
+        });
+    }
+});
+
+// @route   POST /api/auth/refresh
+// @desc    Exchange a refresh token for a new token pair
+// @access  Public
+router.post('/auth/refresh', validateRefresh, async (req, res, next) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        // JsonWebTokenError/TokenExpiredError are mapped by errorHandler
+        const decoded = jwt.verify(
+            req.body.refreshToken,
+            process.env.JWT_REFRESH_SECRET || process.env.JWT_SECRET
+        );
+
+        if (decoded.type !== 'refresh') {
+            return res.status(401).json({
+                success: false,
+                message: 'Invalid token'
+            });
+        }
+
+        const admin = await AdminUser.findById(decoded.id);
+        if (!admin || !admin.isActive || admin.tokenVersion !== decoded.tokenVersion) {
+            return res.status(401).json({
+                success: false,
+                message: 'Refresh token has been revoked'
+            });
+        }
+
+        res.json({
+            success: true,
+            data: issueTokens(admin)
+        });
+
+    } catch (error) {
+        next(error);
+    }
+});
+
+// @route   POST /api/auth/logout
+// @desc    Revoke all outstanding refresh tokens for the current admin
+// @access  Private (Admin only)
+router.post('/auth/logout', protect, async (req, res) => {
+    try {
+        req.admin.tokenVersion += 1;
+        await req.admin.save();
+
+        res.json({
+            success: true,
+            message: 'Logged out successfully'
+        });
+    } catch (error) {
+        logger.error('Logout error', { err: error });
+        res.status(500).json({
+            success: false,
+            message: 'Failed to log out'
+        });
+    }
+});
+
+// @route   GET /api/auth/me
+// @desc    Get the currently authenticated admin
+// @access  Private (Admin only)
+router.get('/auth/me', protect, (req, res) => {
+    res.json({
+        success: true,
+        data: {
+            id: req.admin._id,
+            email: req.admin.email,
+            name: req.admin.name,
+            role: req.admin.role,
+            lastLoginAt: req.admin.lastLoginAt
+        }
+    });
+});
+
+// @route   GET /api/auth/admins
+// @desc    List admin accounts
+// @access  Private (Admin only)
+router.get('/auth/admins', protect, authorize(), async (req, res) => {
+    try {
+        const admins = await AdminUser.find().sort({ createdAt: 1 });
+
+        res.json({
+            success: true,
+            data: admins.map(toAdminAccount)
+        });
+    } catch (error) {
+        logger.error('Admin list error', { err: error });
+        res.status(500).json({
+            success: false,
+            message: 'Failed to fetch admin accounts'
+        });
+    }
+});
+
+// @route   POST /api/auth/admins
+// @desc    Create an admin account (viewer, reviewer, inviter or admin)
+// @access  Private (Admin only)
+router.post('/auth/admins', protect, authorize(), validateAdminAccount, async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        const { email, name, password, role } = req.body;
+
+        // Created through the model so the password is hashed by the pre-save hook
+        const admin = await AdminUser.create({ email, name, password, role });
+
+        logger.info('Admin account created', { adminId: admin._id, role, createdBy: req.admin._id });
+
+        res.status(201).json({
+            success: true,
+            data: toAdminAccount(admin)
+        });
+    } catch (error) {
+        if (error.code === 11000) {
+            return res.status(409).json({
+                success: false,
+                message: 'An admin account with this email already exists'
+            });
+        }
+
+        logger.error('Admin create error', { err: error });
+        res.status(500).json({
+            success: false,
+            message: 'Failed to create admin account'
+        });
+    }
+});
+
+// @route   PUT /api/auth/admins/:id
+// @desc    Change name, role, password or active state of an admin account.
+//          Role, password and active changes sign the account out everywhere.
+// @access  Private (Admin only)
+router.put('/auth/admins/:id', protect, authorize(), validateAdminUpdate, async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        const { name, password, role, isActive } = req.body;
+
+        // Admins cannot lock themselves out
+        if (String(req.params.id) === String(req.admin._id) && ((role && role !== 'admin') || isActive === false)) {
+            return res.status(400).json({
+                success: false,
+                message: 'You cannot remove your own admin role or disable your own account'
+            });
+        }
+
+        const admin = await AdminUser.findById(req.params.id);
+        if (!admin) {
+            return res.status(404).json({
+                success: false,
+                message: 'Admin account not found'
+            });
+        }
+
+        // Outstanding tokens carry the old role or password state
+        const revokeTokens = password !== undefined ||
+            (role !== undefined && role !== admin.role) ||
+            (isActive !== undefined && isActive !== admin.isActive);
+
+        if (name !== undefined) {
+            admin.name = name;
+        }
+        if (password !== undefined) {
+            admin.password = password;
+        }
+        if (role !== undefined) {
+            admin.role = role;
+        }
+        if (isActive !== undefined) {
+            admin.isActive = isActive;
+        }
+
+        if (revokeTokens) {
+            admin.tokenVersion += 1;
+        }
+
+        await admin.save();
+
+        logger.info('Admin account updated', { adminId: admin._id, updatedBy: req.admin._id });
+
+        res.json({
+            success: true,
+            data: toAdminAccount(admin)
+        });
+    } catch (error) {
+        logger.error('Admin update error', { err: error });
+        res.status(500).json({
+            success: false,
+            message: 'Failed to update admin account'
+        });
+    }
+});
+
+module.exports = router;
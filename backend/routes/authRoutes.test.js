@@ -0,0 +1,228 @@
+const request = require('supertest');
+const bcrypt = require('bcryptjs');
+const jwt = require('jsonwebtoken');
+const AdminUser = require('../models/AdminUser');
+const authRoutes = require('./authRoutes');
+const { createApp, loginAs } = require('../test/helpers');
+
+const app = createApp(authRoutes);
+
+describe('authRoutes', () => {
+    let admin;
+
+    beforeEach(() => {
+        // Hashed with a low cost so tests stay fast
+        admin = new AdminUser({
+            email: 'reviewer@bahnblitz.app',
+            name: 'Reviewer',
+            role: 'reviewer',
+            password: bcrypt.hashSync('correct horse battery', 4)
+        });
+        jest.spyOn(admin, 'save').mockResolvedValue(admin);
+        jest.spyOn(AdminUser, 'findOne').mockReturnValue({ select: async () => admin });
+        jest.spyOn(AdminUser, 'findById').mockResolvedValue(admin);
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    const login = (password) => request(app)
+        .post('/api/auth/login')
+        .send({ email: 'Reviewer@BahnBlitz.app', password });
+
+    describe('POST /api/auth/login', () => {
+        it('returns an access and refresh token pair', async () => {
+            const res = await login('correct horse battery');
+
+            expect(res.status).toBe(200);
+            expect(AdminUser.findOne).toHaveBeenCalledWith({ email: 'reviewer@bahnblitz.app' });
+            expect(jwt.decode(res.body.data.accessToken)).toEqual(expect.objectContaining({ type: 'access', role: 'reviewer' }));
+            expect(jwt.decode(res.body.data.refreshToken)).toEqual(expect.objectContaining({ type: 'refresh', tokenVersion: 0 }));
+            expect(admin.lastLoginAt).toBeInstanceOf(Date);
+        });
+
+        it('refuses a wrong password', async () => {
+            const res = await login('wrong password');
+
+            expect(res.status).toBe(401);
+            expect(res.body.data).toBeUndefined();
+        });
+
+        it('refuses disabled accounts', async () => {
+            admin.isActive = false;
+
+            const res = await login('correct horse battery');
+
+            expect(res.status).toBe(401);
+        });
+    });
+
+    describe('POST /api/auth/refresh', () => {
+        it('exchanges a refresh token for a new pair', async () => {
+            const res = await request(app)
+                .post('/api/auth/refresh')
+                .send({ refreshToken: admin.generateRefreshToken() });
+
+            expect(res.status).toBe(200);
+            expect(res.body.data.accessToken).toEqual(expect.any(String));
+        });
+
+        it('refuses refresh tokens issued before a logout', async () => {
+            const refreshToken = admin.generateRefreshToken();
+            admin.tokenVersion += 1;
+
+            const res = await request(app).post('/api/auth/refresh').send({ refreshToken });
+
+            expect(res.status).toBe(401);
+            expect(res.body.message).toBe('Refresh token has been revoked');
+        });
+
+        it('refuses access tokens', async () => {
+            const res = await request(app)
+                .post('/api/auth/refresh')
+                .send({ refreshToken: admin.generateAccessToken() });
+
+            expect(res.status).toBe(401);
+        });
+    });
+
+    describe('protect', () => {
+        it('accepts access tokens', async () => {
+            const res = await request(app)
+                .get('/api/auth/me')
+                .set('Authorization', `Bearer ${admin.generateAccessToken()}`);
+
+            expect(res.status).toBe(200);
+            expect(res.body.data).toEqual(expect.objectContaining({ email: 'reviewer@bahnblitz.app', role: 'reviewer' }));
+        });
+
+        it('refuses refresh tokens as access tokens', async () => {
+            const res = await request(app)
+                .get('/api/auth/me')
+                .set('Authorization', `Bearer ${admin.generateRefreshToken()}`);
+
+            expect(res.status).toBe(401);
+        });
+
+        it('refuses expired access tokens', async () => {
+            const expired = jwt.sign({ id: admin._id, role: 'reviewer', type: 'access' }, process.env.JWT_SECRET, { expiresIn: -1 });
+
+            const res = await request(app).get('/api/auth/me').set('Authorization', `Bearer ${expired}`);
+
+            expect(res.status).toBe(401);
+            expect(res.body.message).toBe('Token expired');
+        });
+
+        it('refuses access tokens issued before a logout', async () => {
+            const accessToken = admin.generateAccessToken();
+            admin.tokenVersion += 1;
+
+            const res = await request(app).get('/api/auth/me').set('Authorization', `Bearer ${accessToken}`);
+
+            expect(res.status).toBe(401);
+            expect(res.body.message).toBe('Token has been revoked');
+        });
+
+        it('revokes refresh tokens on logout', async () => {
+            const res = await request(app)
+                .post('/api/auth/logout')
+                .set('Authorization', `Bearer ${admin.generateAccessToken()}`);
+
+            expect(res.status).toBe(200);
+            expect(admin.tokenVersion).toBe(1);
+            expect(admin.save).toHaveBeenCalled();
+        });
+    });
+
+    describe('/api/auth/admins', () => {
+        let current;
+
+        // Sign in as an admin; the account looked up next is the reviewer from beforeEach
+        const asAdmin = () => {
+            current = new AdminUser({ email: 'admin@bahnblitz.app', name: 'Admin', role: 'admin' });
+            AdminUser.findById.mockResolvedValueOnce(current);
+            return `Bearer ${current.generateAccessToken()}`;
+        };
+
+        it('creates accounts through the model so the password gets hashed', async () => {
+            const create = jest.spyOn(AdminUser, 'create').mockImplementation(async (doc) => new AdminUser(doc));
+
+            const res = await request(app)
+                .post('/api/auth/admins')
+                .set('Authorization', asAdmin())
+                .send({ email: 'Inviter@BahnBlitz.app', name: 'Inviter', password: 'a long enough password', role: 'inviter' });
+
+            expect(res.status).toBe(201);
+            expect(create).toHaveBeenCalledWith({ email: 'Inviter@BahnBlitz.app', name: 'Inviter', password: 'a long enough password', role: 'inviter' });
+            expect(res.body.data).toEqual(expect.objectContaining({ email: 'inviter@bahnblitz.app', role: 'inviter', isActive: true }));
+            expect(res.body.data).not.toHaveProperty('password');
+        });
+
+        it('rejects unknown roles and short passwords', async () => {
+            const res = await request(app)
+                .post('/api/auth/admins')
+                .set('Authorization', asAdmin())
+                .send({ email: 'new@bahnblitz.app', password: 'short', role: 'owner' });
+
+            expect(res.status).toBe(400);
+            expect(res.body.errors.map(({ path }) => path)).toEqual(['password', 'role']);
+        });
+
+        it('answers 409 for an email that already has an account', async () => {
+            jest.spyOn(AdminUser, 'create').mockRejectedValue(Object.assign(new Error('E11000 duplicate key'), { code: 11000 }));
+
+            const res = await request(app)
+                .post('/api/auth/admins')
+                .set('Authorization', asAdmin())
+                .send({ email: 'reviewer@bahnblitz.app', password: 'a long enough password', role: 'viewer' });
+
+            expect(res.status).toBe(409);
+        });
+
+        it('is only open to admins', async () => {
+            const res = await request(app)
+                .get('/api/auth/admins')
+                .set('Authorization', `Bearer ${admin.generateAccessToken()}`);
+
+            expect(res.status).toBe(403);
+        });
+
+        it('signs an account out everywhere when its role changes', async () => {
+            const refreshToken = admin.generateRefreshToken();
+
+            const res = await request(app)
+                .put(`/api/auth/admins/${admin._id}`)
+                .set('Authorization', asAdmin())
+                .send({ role: 'viewer' });
+            const refresh = await request(app).post('/api/auth/refresh').send({ refreshToken });
+
+            expect(res.status).toBe(200);
+            expect(admin).toMatchObject({ role: 'viewer', tokenVersion: 1 });
+            expect(admin.save).toHaveBeenCalled();
+            expect(refresh.status).toBe(401);
+        });
+
+        it('keeps the name change without signing the account out', async () => {
+            const res = await request(app)
+                .put(`/api/auth/admins/${admin._id}`)
+                .set('Authorization', asAdmin())
+                .send({ name: 'Lead Reviewer' });
+
+            expect(res.status).toBe(200);
+            expect(admin).toMatchObject({ name: 'Lead Reviewer', tokenVersion: 0 });
+        });
+
+        it('does not let admins disable themselves', async () => {
+            const auth = asAdmin();
+
+            const res = await request(app)
+                .put(`/api/auth/admins/${current._id}`)
+                .set('Authorization', auth)
+                .send({ isActive: false });
+
+            expect(res.status).toBe(400);
+            expect(current.isActive).toBe(true);
+        });
+    });
+});
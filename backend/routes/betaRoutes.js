@@ -1,17 +1,62 @@
 const express = require('express');
-const { body, validationResult } = require('express-validator');
+const mongoose = require('mongoose');
+const multer = require('multer');
+const { body, query, validationResult } = require('express-validator');
 const BetaSignup = require('../models/BetaSignup');
-const { sendWelcomeEmail, sendTestFlightInvite } = require('../services/emailService');
-const { generateTestFlightCode } = require('../services/testflightService');
+const { enqueueEmail } = require('../src/services/emailOutbox');
+const { getPublicUrl } = require('../src/services/emailService');
+const { resolveLocale } = require('../src/services/templateService');
+const { normaliseEmail, validateSignupEmail } = require('../src/services/signupValidation');
+const { issueFormToken } = require('../src/services/challengeVerifier');
+const { runReminderCampaign } = require('../src/services/reminderService');
+const { sendInvite, sendBulkInvites } = require('../src/services/testflightService');
+const { findExpiringInvites } = require('../src/services/inviteExpiryService');
+const { getAnalytics } = require('../src/services/analyticsService');
+const { SORT_FIELDS, getSignupProjection, toAdminSignup, listSignups } = require('../src/services/signupQueryService');
+const { IMPORT_STATUSES, exportSignups, importStatusUpdates } = require('../src/services/signupTransferService');
+const {
+    getCapacity,
+    getInviteThroughput,
+    getWaitlistPosition,
+    estimateWaitForNewSignup
+} = require('../src/services/waitlistService');
+const {
+    findReferrer,
+    creditReferral,
+    getLeaderboard,
+    getReferralStats
+} = require('../src/services/referralService');
+const { protect, authorize } = require('../src/middleware/auth');
+const { validateSignupFilters } = require('../src/middleware/signupFilters');
+const { protectSignup } = require('../src/middleware/signupProtection');
+const { validateTestflightUrl } = require('../src/middleware/testflightUrl');
+const { renderPage, respond } = require('../src/pages');
+const { logger } = require('../src/logger');
 
 const router = express.Router();
 
+// CSV uploads for imports are kept in memory
+const upload = multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: 5 * 1024 * 1024 }
+});
+
 // Validation middleware
 const validateBetaSignup = [
+    // Addresses are only trimmed and lowercased; gmail dots and +tags are kept
+    // and handled by duplicate detection instead (see signupValidation.js)
     body('email')
-        .isEmail()
-        .normalizeEmail()
-        .withMessage('Please provide a valid email address'),
+        .isString()
+        .withMessage('Please provide a valid email address')
+        .bail()
+        .customSanitizer(normaliseEmail)
+        .custom(async (email) => {
+            const result = await validateSignupEmail(email);
+            if (!result.valid) {
+                throw new Error(result.message);
+            }
+            return true;
+        }),
     body('name')
         .trim()
         .isLength({ min: 2, max: 100 })
@@ -30,13 +75,210 @@ const validateBetaSignup = [
     body('features.*')
         .optional()
         .isIn(['siri', 'widgets', 'semester', 'offline', 'notifications', 'analytics'])
-        .withMessage('Invalid feature selection')
+        .withMessage('Invalid feature selection'),
+    body('locale')
+        .optional()
+        .isString()
+        .isLength({ max: 35 })
+        .withMessage('Invalid locale'),
+    body('ref')
+        .optional({ values: 'falsy' })
+        .isAlphanumeric()
+        .isLength({ max: 16 })
+        .withMessage('Invalid referral code'),
+    body('formToken')
+        .optional()
+        .isString()
+        .isLength({ max: 2000 })
+        .withMessage('Invalid form token'),
+    body('challengeSolution')
+        .optional()
+        .isString()
+        .isLength({ max: 2000 })
+        .withMessage('Invalid challenge solution')
+];
+
+// Accept a single value or an array for list filters
+const toArray = (value) => (value === undefined || Array.isArray(value) ? value : [value]);
+
+const validateInviteBatch = [
+    body('count')
+        .optional()
+        .isInt({ min: 1, max: 1000 })
+        .withMessage('Count must be between 1 and 1000'),
+    body('dryRun')
+        .optional()
+        .isBoolean()
+        .withMessage('dryRun must be a boolean'),
+    validateTestflightUrl(),
+    body('filters.status')
+        .optional()
+        .customSanitizer(toArray)
+        .isArray()
+        .custom((values) => values.every((value) => ['pending', 'approved', 'expired'].includes(value)))
+        .withMessage('Status filter must be pending, approved or expired'),
+    body('filters.device')
+        .optional()
+        .customSanitizer(toArray)
+        .custom((values) => values.every((value) => ['iphone', 'ipad', 'ipod'].includes(value)))
+        .withMessage('Device filter must be iphone, ipad or ipod'),
+    body('filters.experience')
+        .optional()
+        .customSanitizer(toArray)
+        .custom((values) => values.every((value) => ['daily', 'weekly', 'monthly', 'rarely', ''].includes(value)))
+        .withMessage('Invalid experience filter'),
+    body('filters.features')
+        .optional()
+        .customSanitizer(toArray)
+        .custom((values) => values.every((value) => ['siri', 'widgets', 'semester', 'offline', 'notifications', 'analytics'].includes(value)))
+        .withMessage('Invalid features filter'),
+    body(['filters.minSignupAgeDays', 'filters.maxSignupAgeDays'])
+        .optional()
+        .isFloat({ min: 0 })
+        .withMessage('Signup age must be a positive number of days')
 ];
 
+const validateAnalytics = [
+    query(['from', 'to'])
+        .optional()
+        .isISO8601()
+        .withMessage('Date range must use ISO 8601 dates'),
+    query('interval')
+        .optional()
+        .isIn(['day', 'week'])
+        .withMessage('Interval must be day or week')
+];
+
+const validateSignupList = [
+    ...validateSignupFilters('query'),
+    query('sort')
+        .optional()
+        .custom((value) => Object.keys(SORT_FIELDS).includes(String(value).replace(/^[-+]/, '')))
+        .withMessage(`Sort must be one of ${Object.keys(SORT_FIELDS).join(', ')} (prefix - for descending)`),
+    query('limit')
+        .optional()
+        .isInt({ min: 1, max: 200 })
+        .withMessage('Limit must be between 1 and 200')
+];
+
+const validateExport = [
+    ...validateSignupFilters('query'),
+    query('format')
+        .optional()
+        .isIn(['csv', 'ndjson'])
+        .withMessage('Format must be csv or ndjson')
+];
+
+const validateImport = [
+    body('status')
+        .isIn(IMPORT_STATUSES)
+        .withMessage(`Status must be one of ${IMPORT_STATUSES.join(', ')}`),
+    body('dryRun')
+        .optional()
+        .isBoolean()
+        .toBoolean()
+        .withMessage('dryRun must be a boolean'),
+    body('emailColumn')
+        .optional()
+        .isString()
+        .isLength({ max: 100 }),
+    body('note')
+        .optional()
+        .isString()
+        .isLength({ max: 1000 })
+];
+
+// Invites are sent through the invite endpoints so they get an email and an expiry date
+const validateStatusChange = [
+    body('status')
+        .isIn(['pending', 'approved', 'installed', 'rejected', 'expired'])
+        .withMessage('Status must be pending, approved, installed, rejected or expired (use the invite endpoints to invite)'),
+    body(['note', 'adminNotes'])
+        .optional()
+        .isString()
+        .isLength({ max: 1000 })
+        .withMessage('Note cannot exceed 1000 characters')
+];
+
+// Build the candidate query for a batch invite
+const buildInviteBatchQuery = (filters = {}) => {
+    const query = {
+        status: { $in: filters.status || ['approved'] }
+    };
+
+    if (filters.device) {
+        query.device = { $in: filters.device };
+    }
+    if (filters.experience) {
+        query.experience = { $in: filters.experience };
+    }
+    if (filters.features) {
+        // Any of the requested features
+        query.features = { $in: filters.features };
+    }
+
+    const dayMs = 24 * 60 * 60 * 1000;
+    if (filters.minSignupAgeDays !== undefined || filters.maxSignupAgeDays !== undefined) {
+        query.createdAt = {};
+        if (filters.minSignupAgeDays !== undefined) {
+            query.createdAt.$lte = new Date(Date.now() - filters.minSignupAgeDays * dayMs);
+        }
+        if (filters.maxSignupAgeDays !== undefined) {
+            query.createdAt.$gte = new Date(Date.now() - filters.maxSignupAgeDays * dayMs);
+        }
+    }
+
+    return query;
+};
+
+// Build the public confirmation link for a double opt-in token
+const buildConfirmationUrl = (token) => {
+    return `${getPublicUrl()}/api/beta-signup/confirm/${encodeURIComponent(token)}`;
+};
+
+// Answer for an address (or a variant of it) that already signed up
+const alreadyRegistered = (res) => res.status(409).json({
+    success: false,
+    message: 'This email is already registered for beta testing'
+});
+
+// Issue a fresh confirmation token and queue it for delivery.
+// Every token gets its own outbox entry so re-sends are not deduplicated away.
+const sendConfirmation = async (signup) => {
+    const token = signup.generateConfirmationToken();
+    await signup.save();
+
+    await enqueueEmail(
+        signup,
+        'confirmation',
+        { confirmUrl: buildConfirmationUrl(token) },
+        { key: `${signup._id}:confirmation:${signup.confirmationExpiresAt.getTime()}` }
+    );
+};
+
+// @route   GET /api/beta-signup/challenge
+// @desc    Form token and challenge (SIGNUP_CHALLENGE) for the signup form, fetched when the form loads
+// @access  Public
+router.get('/beta-signup/challenge', (req, res) => {
+    try {
+        res.set('Cache-Control', 'no-store');
+        res.json({
+            success: true,
+            data: issueFormToken()
+        });
+    } catch (error) {
+        logger.error('Signup challenge error', { err: error });
+        res.status(500).json({
+            success: false,
+            message: 'Failed to create signup challenge'
+        });
+    }
+});
+
 // @route   POST /api/beta-signup
-// @desc    Register for beta testing
+// @desc    Register for beta testing (honeypot, form token and velocity checks in signupProtection.js)
 // @access  Public
-router.post('/beta-signup', validateBetaSignup, async (req, res) => {
+router.post('/beta-signup', validateBetaSignup, protectSignup, async (req, res) => {
     try {
         // Check for validation errors
         const errors = validationResult(req);
@@ -54,12 +296,33 @@ router.post('/beta-signup', validateBetaSignup, async (req, res) => {
             device,
             experience,
             features,
-            source
+            source,
+            locale
         } = req.body;
 
-        // Check if email already exists
-        const existingSignup = await BetaSignup.findOne({ email: email.toLowerCase() });
+        // Referral code from the form or the ?ref= query parameter; unknown codes are ignored
+        const referrer = await findReferrer(req.body.ref || req.query.ref);
+
+        // Check if this address or a variant of it (+tag, gmail dots) already signed up
+        const existingSignup = await BetaSignup.findByEmailVariant(email);
         if (existingSignup) {
+            // Re-send the confirmation link instead of revealing the signup state;
+            // within the resend cooldown the answer is the same but no email goes out
+            if (existingSignup.status === 'unconfirmed') {
+                if (existingSignup.canResendConfirmation()) {
+                    await sendConfirmation(existingSignup);
+                }
+
+                return res.status(200).json({
+                    success: true,
+                    message: 'Please check your email and confirm your signup.',
+                    data: {
+                        status: existingSignup.status,
+                        confirmationExpiresAt: existingSignup.confirmationExpiresAt
+                    }
+                });
+            }
+
             if (existingSignup.status === 'invited') {
                 return res.status(200).json({
                     success: true,
@@ -71,46 +334,49 @@ router.post('/beta-signup', validateBetaSignup, async (req, res) => {
                 });
             }
 
-            return res.status(409).json({
-                success: false,
-                message: 'This email is already registered for beta testing'
-            });
+            return alreadyRegistered(res);
         }
 
         // Create new beta signup
         const newSignup = new BetaSignup({
-            email: email.toLowerCase(),
+            email,
             name,
             device,
             experience,
             features: features || [],
-            source: source || 'website',
+            source: referrer ? 'referral' : source || 'website',
+            referredBy: referrer ? referrer._id : undefined,
+            // Form value wins over the browser's Accept-Language header
+            locale: resolveLocale(locale, req.get('Accept-Language')),
             ipAddress: req.ip,
-            userAgent: req.get('User-Agent')
+            userAgent: req.get('User-Agent'),
+            risk: req.signupRisk
         });
 
-        await newSignup.save();
+        // Double opt-in: the welcome email is only sent once the address is confirmed
+        await sendConfirmation(newSignup);
 
-        // Send welcome email
-        try {
-            await sendWelcomeEmail(newSignup);
-        } catch (emailError) {
-            console.error('Welcome email failed:', emailError);
-            // Don't fail the signup if email fails
-        }
+        const wait = await estimateWaitForNewSignup();
 
         res.status(201).json({
             success: true,
-            message: 'Successfully registered for BahnBlitz beta! Check your email for updates.',
+            message: 'Almost done! Please check your email and confirm your signup.',
             data: {
                 id: newSignup._id,
                 status: newSignup.status,
-                estimatedWaitTime: '24-48 hours'
+                confirmationExpiresAt: newSignup.confirmationExpiresAt,
+                estimatedWaitDays: wait.days === null ? null : Math.ceil(wait.days),
+                estimatedWaitTime: wait.text
             }
         });
 
     } catch (error) {
-        console.error('Beta signup error:', error);
+        // A parallel signup for the same mailbox won the race to the unique emailKey index
+        if (error.code === 11000) {
+            return alreadyRegistered(res);
+        }
+
+        logger.error('Beta signup error', { err: error });
         res.status(500).json({
             success: false,
             message: 'Server error occurred during signup'
@@ -118,12 +384,164 @@ router.post('/beta-signup', validateBetaSignup, async (req, res) => {
     }
 });
 
+// @route   GET /api/beta-signup/confirm/:token
+// @desc    Show the email confirmation page. Confirming takes a POST so link
+//          scanners that open the link cannot confirm on the subscriber's behalf.
+// @access  Public (signed link)
+router.get('/beta-signup/confirm/:token', (req, res) => {
+    res.send(renderPage('Confirm your signup', `
+        <p>Please confirm that you want to join the BahnBlitz beta with this email address.</p>
+        <form method="post">
+            <button type="submit" class="button">Confirm my email</button>
+        </form>`));
+});
+
+// @route   POST /api/beta-signup/confirm/:token
+// @desc    Confirm email address (double opt-in) and release signup for review
+// @access  Public (signed link)
+router.post('/beta-signup/confirm/:token', async (req, res, next) => {
+    try {
+        const signup = await BetaSignup.findByConfirmationToken(req.params.token);
+        if (!signup) {
+            return respond(res, 400, 'Link expired', 'Confirmation link is invalid or has already been used');
+        }
+
+        await signup.confirmEmail();
+
+        // Referrals only count once the referred address is confirmed
+        await creditReferral(signup);
+
+        // Queue welcome email with the expected wait for an invite
+        const { estimatedWaitDays } = await getWaitlistPosition(signup);
+        await enqueueEmail(signup, 'welcome', { estimatedWaitDays });
+
+        if (process.env.CONFIRMATION_REDIRECT_URL) {
+            return res.redirect(303, `${process.env.CONFIRMATION_REDIRECT_URL}?status=confirmed`);
+        }
+
+        respond(res, 200, 'Email confirmed', 'Your email is confirmed. Welcome to the BahnBlitz beta!', {
+            data: {
+                id: signup._id,
+                status: signup.status,
+                confirmedAt: signup.confirmedAt,
+                positionToken: signup.generateSubscriberToken(),
+                referralCode: signup.referralCode,
+                referralUrl: signup.getReferralUrl()
+            }
+        });
+
+    } catch (error) {
+        if (error.name === 'JsonWebTokenError' || error.name === 'TokenExpiredError') {
+            return next(error);
+        }
+
+        logger.error('Confirmation error', { err: error });
+        respond(res, 500, 'Something went wrong', 'Failed to confirm signup');
+    }
+});
+
+// @route   GET /api/beta-signup/position/:token
+// @desc    Get the signup's place in the invite queue
+// @access  Public (signed link)
+router.get('/beta-signup/position/:token', async (req, res, next) => {
+    try {
+        const signup = await BetaSignup.findBySubscriberToken(req.params.token);
+        if (!signup) {
+            return res.status(404).json({
+                success: false,
+                message: 'Beta signup not found'
+            });
+        }
+
+        const position = await getWaitlistPosition(signup);
+
+        res.json({
+            success: true,
+            data: position
+        });
+
+    } catch (error) {
+        if (error.name === 'JsonWebTokenError') {
+            return next(error);
+        }
+
+        logger.error('Waitlist position error', { err: error });
+        res.status(500).json({
+            success: false,
+            message: 'Failed to fetch waitlist position'
+        });
+    }
+});
+
+// @route   GET /api/beta-signup/capacity
+// @desc    Get tester capacity usage and invite throughput
+// @access  Private (viewer, reviewer, inviter)
+router.get('/beta-signup/capacity', protect, authorize('viewer', 'reviewer', 'inviter'), async (req, res) => {
+    try {
+        const [capacity, throughput] = await Promise.all([getCapacity(), getInviteThroughput()]);
+
+        res.json({
+            success: true,
+            data: {
+                ...capacity,
+                throughput
+            }
+        });
+    } catch (error) {
+        logger.error('Capacity error', { err: error });
+        res.status(500).json({
+            success: false,
+            message: 'Failed to fetch capacity'
+        });
+    }
+});
+
+// @route   GET /api/beta-signup/referrals/leaderboard?limit=20
+// @desc    Top referrers by confirmed referrals
+// @access  Private (viewer, reviewer, inviter)
+router.get('/beta-signup/referrals/leaderboard', protect, authorize('viewer', 'reviewer', 'inviter'), async (req, res) => {
+    try {
+        const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+        const leaderboard = await getLeaderboard(limit);
+
+        res.json({
+            success: true,
+            data: leaderboard
+        });
+    } catch (error) {
+        logger.error('Referral leaderboard error', { err: error });
+        res.status(500).json({
+            success: false,
+            message: 'Failed to fetch referral leaderboard'
+        });
+    }
+});
+
+// @route   GET /api/beta-signup/referrals/stats
+// @desc    Referral program statistics
+// @access  Private (viewer, reviewer, inviter)
+router.get('/beta-signup/referrals/stats', protect, authorize('viewer', 'reviewer', 'inviter'), async (req, res) => {
+    try {
+        const stats = await getReferralStats();
+
+        res.json({
+            success: true,
+            data: stats
+        });
+    } catch (error) {
+        logger.error('Referral stats error', { err: error });
+        res.status(500).json({
+            success: false,
+            message: 'Failed to fetch referral statistics'
+        });
+    }
+});
+
 // @route   GET /api/beta-signup/stats
 // @desc    Get beta signup statistics
-// @access  Private (Admin only)
-router.get('/beta-signup/stats', async (req, res) => {
+// @access  Private (viewer, reviewer, inviter)
+router.get('/beta-signup/stats', protect, authorize('viewer', 'reviewer', 'inviter'), async (req, res) => {
     try {
-        // In production, add authentication middleware here
         const stats = await BetaSignup.getStats();
 
         res.json({
@@ -131,7 +549,7 @@ router.get('/beta-signup/stats', async (req, res) => {
             data: stats
         });
     } catch (error) {
-        console.error('Stats error:', error);
+        logger.error('Stats error', { err: error });
         res.status(500).json({
             success: false,
             message: 'Failed to fetch statistics'
@@ -139,11 +557,50 @@ router.get('/beta-signup/stats', async (req, res) => {
     }
 });
 
+// @route   GET /api/beta-signup/analytics?from=2025-01-01&to=2025-01-31&interval=week
+// @desc    Invite timeline, conversion, time-to-install, breakdowns and signup funnel
+// @access  Private (viewer, reviewer, inviter)
+router.get('/beta-signup/analytics', protect, authorize('viewer', 'reviewer', 'inviter'), validateAnalytics, async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        const { from, to, interval } = req.query;
+        const analytics = await getAnalytics({ from, to, interval });
+
+        res.json({
+            success: true,
+            data: analytics
+        });
+    } catch (error) {
+        logger.error('Analytics error', { err: error });
+        res.status(500).json({
+            success: false,
+            message: 'Failed to fetch analytics'
+        });
+    }
+});
+
 // @route   POST /api/beta-signup/:id/invite
 // @desc    Send TestFlight invite to user
-// @access  Private (Admin only)
-router.post('/beta-signup/:id/invite', async (req, res) => {
+// @access  Private (inviter)
+router.post('/beta-signup/:id/invite', protect, authorize('inviter'), validateTestflightUrl(), async (req, res) => {
     try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
         const { id } = req.params;
         const { testflightUrl } = req.body;
 
@@ -164,8 +621,6 @@ router.post('/beta-signup/:id/invite', async (req, res) => {
             });
         }
 
-        // Generate TestFlight code if not provided
-        const testflightCode = signup.testflightCode || generateTestFlightCode();
         const inviteUrl = testflightUrl || process.env.TESTFLIGHT_URL;
 
         if (!inviteUrl) {
@@ -175,29 +630,31 @@ router.post('/beta-signup/:id/invite', async (req, res) => {
             });
         }
 
-        // Mark as invited
-        await signup.markAsInvited(inviteUrl, testflightCode);
-
-        // Send TestFlight invite email
-        try {
-            await sendTestFlightInvite(signup, inviteUrl);
-        } catch (emailError) {
-            console.error('TestFlight invite email failed:', emailError);
-            // Update status but don't fail the request
+        const capacity = await getCapacity();
+        if (capacity.remaining === 0) {
+            return res.status(409).json({
+                success: false,
+                message: `Tester capacity of ${capacity.capacity} reached`
+            });
         }
 
+        // Mark as invited and queue TestFlight invite email
+        const outboxEntry = await sendInvite(signup, inviteUrl, req.admin.email);
+
         res.json({
             success: true,
-            message: 'TestFlight invite sent successfully',
+            message: 'TestFlight invite queued for delivery',
             data: {
                 email: signup.email,
                 testflightUrl: inviteUrl,
-                sentAt: signup.inviteSentAt
+                sentAt: signup.inviteSentAt,
+                expiresAt: signup.inviteExpiresAt,
+                emailStatus: outboxEntry.status
             }
         });
 
     } catch (error) {
-        console.error('Invite error:', error);
+        logger.error('Invite error', { err: error });
         res.status(500).json({
             success: false,
             message: 'Failed to send TestFlight invite'
@@ -205,10 +662,269 @@ router.post('/beta-signup/:id/invite', async (req, res) => {
     }
 });
 
+// @route   GET /api/beta-signup/reminders/preview
+// @desc    Dry run of the reminder campaign: who would be reminded now
+// @access  Private (viewer, reviewer, inviter)
+router.get('/beta-signup/reminders/preview', protect, authorize('viewer', 'reviewer', 'inviter'), async (req, res) => {
+    try {
+        const report = await runReminderCampaign({ dryRun: true });
+
+        res.json({
+            success: true,
+            data: report
+        });
+    } catch (error) {
+        logger.error('Reminder preview error', { err: error });
+        res.status(500).json({
+            success: false,
+            message: 'Failed to preview reminders'
+        });
+    }
+});
+
+// @route   POST /api/beta-signup/reminders/run
+// @desc    Queue due reminders now instead of waiting for the scheduler
+// @access  Private (inviter)
+router.post('/beta-signup/reminders/run', protect, authorize('inviter'), async (req, res) => {
+    try {
+        const report = await runReminderCampaign({ dryRun: req.body.dryRun === true });
+
+        res.json({
+            success: true,
+            message: `${report.remindersQueued} reminder(s) queued`,
+            data: report
+        });
+    } catch (error) {
+        logger.error('Reminder run error', { err: error });
+        res.status(500).json({
+            success: false,
+            message: 'Failed to run reminders'
+        });
+    }
+});
+
+// @route   GET /api/beta-signup/invites/expiring?days=7
+// @desc    List invites expiring within the next N days
+// @access  Private (viewer, reviewer, inviter)
+router.get('/beta-signup/invites/expiring', protect, authorize('viewer', 'reviewer', 'inviter'), async (req, res) => {
+    try {
+        const days = Math.min(Math.max(parseInt(req.query.days) || 7, 1), 365);
+        const signups = await findExpiringInvites(days);
+
+        res.json({
+            success: true,
+            data: {
+                days,
+                count: signups.length,
+                signups
+            }
+        });
+    } catch (error) {
+        logger.error('Expiring invites error', { err: error });
+        res.status(500).json({
+            success: false,
+            message: 'Failed to fetch expiring invites'
+        });
+    }
+});
+
+// @route   POST /api/beta-signup/invite-batch
+// @desc    Invite the top N candidates matching the filters, ranked by priority
+// @access  Private (inviter)
+router.post('/beta-signup/invite-batch', protect, authorize('inviter'), validateInviteBatch, async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        const { count, dryRun = false, testflightUrl, filters } = req.body;
+        const inviteUrl = testflightUrl || process.env.TESTFLIGHT_URL;
+
+        if (!inviteUrl) {
+            return res.status(400).json({
+                success: false,
+                message: 'TestFlight URL not configured'
+            });
+        }
+
+        const candidates = await BetaSignup.find(buildInviteBatchQuery(filters));
+        const capacity = await getCapacity();
+
+        // Never invite beyond the free tester slots
+        const requested = count ? parseInt(count) : candidates.length;
+        const results = await sendBulkInvites(candidates, inviteUrl, {
+            limit: Math.min(requested, capacity.remaining),
+            dryRun: dryRun === true || dryRun === 'true',
+            invitedBy: req.admin.email
+        });
+        results.capacity = capacity;
+
+        res.json({
+            success: true,
+            message: results.dryRun
+                ? `${results.successful.length} user(s) would be invited`
+                : `${results.successful.length} user(s) invited`,
+            data: results
+        });
+
+    } catch (error) {
+        logger.error('Batch invite error', { err: error });
+        res.status(500).json({
+            success: false,
+            message: 'Failed to send batch invites'
+        });
+    }
+});
+
+// @route   GET /api/beta-signup?status=pending,approved&search=anna&sort=-createdAt&limit=50&cursor=...
+// @desc    List signups with filters, search, sorting and cursor pagination
+// @access  Private (viewer, reviewer, inviter)
+router.get('/beta-signup', protect, authorize('viewer', 'reviewer', 'inviter'), validateSignupList, async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        const { sort, limit, cursor, ...filters } = req.query;
+
+        const result = await listSignups(filters, {
+            sort,
+            limit,
+            cursor,
+            includePii: req.admin.canViewPii()
+        });
+
+        res.json({
+            success: true,
+            data: result
+        });
+    } catch (error) {
+        if (error.code === 'INVALID_QUERY') {
+            return res.status(400).json({
+                success: false,
+                message: error.message
+            });
+        }
+
+        logger.error('Signup list error', { err: error });
+        res.status(500).json({
+            success: false,
+            message: 'Failed to fetch signups'
+        });
+    }
+});
+
+// @route   GET /api/beta-signup/export?format=csv&status=installed
+// @desc    Stream signups as CSV or NDJSON, filtered like the admin list
+// @access  Private (viewer, reviewer, inviter)
+router.get('/beta-signup/export', protect, authorize('viewer', 'reviewer', 'inviter'), validateExport, async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({
+            success: false,
+            message: 'Validation failed',
+            errors: errors.array()
+        });
+    }
+
+    const { format = 'csv', ...filters } = req.query;
+    const date = new Date().toISOString().slice(0, 10);
+
+    res.set({
+        'Content-Type': format === 'csv' ? 'text/csv; charset=utf-8' : 'application/x-ndjson; charset=utf-8',
+        'Content-Disposition': `attachment; filename="bahnblitz-beta-signups-${date}.${format}"`,
+        'Cache-Control': 'no-store'
+    });
+
+    try {
+        await exportSignups(res, filters, { format, includePii: req.admin.canViewPii() });
+        res.end();
+    } catch (error) {
+        if (error.code === 'EXPORT_ABORTED') {
+            return logger.info('Signup export aborted by the client');
+        }
+        logger.error('Signup export error', { err: error });
+
+        // Part of the file may already be sent, so a JSON error is no longer possible
+        if (res.headersSent) {
+            return res.destroy(error);
+        }
+        res.status(500).json({
+            success: false,
+            message: 'Failed to export signups'
+        });
+    }
+});
+
+// @route   POST /api/beta-signup/import
+// @desc    Update the status of all signups listed in a CSV of tester emails
+//          (multipart field "file", or JSON { "csv": "..." })
+// @access  Private (reviewer)
+router.post('/beta-signup/import', protect, authorize('reviewer'), upload.single('file'), validateImport, async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        const csv = req.file ? req.file.buffer.toString('utf8') : req.body.csv;
+        if (typeof csv !== 'string' || !csv.trim()) {
+            return res.status(400).json({
+                success: false,
+                message: 'A CSV file or csv field is required'
+            });
+        }
+
+        const { status, dryRun, emailColumn, note } = req.body;
+        const report = await importStatusUpdates(csv, {
+            status,
+            dryRun,
+            emailColumn,
+            note,
+            changedBy: req.admin.email
+        });
+
+        res.json({
+            success: true,
+            message: dryRun
+                ? `Dry run: ${report.summary.updated} signups would be set to ${status}`
+                : `${report.summary.updated} signups set to ${status}`,
+            data: report
+        });
+    } catch (error) {
+        if (error.code === 'INVALID_IMPORT') {
+            return res.status(400).json({
+                success: false,
+                message: error.message
+            });
+        }
+
+        logger.error('Signup import error', { err: error });
+        res.status(500).json({
+            success: false,
+            message: 'Failed to import signups'
+        });
+    }
+});
+
 // @route   GET /api/beta-signup/pending
 // @desc    Get pending beta signups
-// @access  Private (Admin only)
-router.get('/beta-signup/pending', async (req, res) => {
+// @access  Private (viewer, reviewer, inviter)
+router.get('/beta-signup/pending', protect, authorize('viewer', 'reviewer', 'inviter'), async (req, res) => {
     try {
         const page = parseInt(req.query.page) || 1;
         const limit = parseInt(req.query.limit) || 50;
@@ -219,7 +935,7 @@ router.get('/beta-signup/pending', async (req, res) => {
             .sort({ createdAt: -1 })
             .skip(skip)
             .limit(limit)
-            .select('-__v');
+            .select(getSignupProjection(req.admin.canViewPii()));
 
         const total = await BetaSignup.countDocuments({ status: 'pending' });
 
@@ -236,7 +952,7 @@ router.get('/beta-signup/pending', async (req, res) => {
             }
         });
     } catch (error) {
-        console.error('Pending signups error:', error);
+        logger.error('Pending signups error', { err: error });
         res.status(500).json({
             success: false,
             message: 'Failed to fetch pending signups'
@@ -245,30 +961,25 @@ router.get('/beta-signup/pending', async (req, res) => {
 });
 
 // @route   PUT /api/beta-signup/:id/status
-// @desc    Update beta signup status
-// @access  Private (Admin only)
-router.put('/beta-signup/:id/status', async (req, res) => {
+// @desc    Change the status of a beta signup along an allowed transition
+// @access  Private (reviewer)
+router.put('/beta-signup/:id/status', protect, authorize('reviewer'), validateStatusChange, async (req, res) => {
     try {
-        const { id } = req.params;
-        const { status, adminNotes } = req.body;
-
-        const validStatuses = ['pending', 'approved', 'invited', 'installed', 'rejected'];
-        if (!validStatuses.includes(status)) {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
             return res.status(400).json({
                 success: false,
-                message: 'Invalid status'
+                message: 'Validation failed',
+                errors: errors.array()
             });
         }
 
-        const signup = await BetaSignup.findByIdAndUpdate(
-            id,
-            {
-                status,
-                adminNotes,
-                updatedAt: new Date()
-            },
-            { new: true }
-        );
+        const { id } = req.params;
+        const { status } = req.body;
+        // adminNotes is accepted as the note for older clients
+        const note = req.body.note || req.body.adminNotes;
+
+        const signup = await BetaSignup.findById(id);
 
         if (!signup) {
             return res.status(404).json({
@@ -277,14 +988,26 @@ router.put('/beta-signup/:id/status', async (req, res) => {
             });
         }
 
+        if (!signup.canTransitionTo(status)) {
+            return res.status(400).json({
+                success: false,
+                message: `Cannot change status from ${signup.status} to ${status}`,
+                allowedTransitions: BetaSignup.STATUS_TRANSITIONS[signup.status]
+                    .filter((next) => next !== 'invited')
+            });
+        }
+
+        signup.transitionTo(status, { by: req.admin.email, note });
+        await signup.save();
+
         res.json({
             success: true,
             message: `Status updated to ${status}`,
-            data: signup
+            data: toAdminSignup(signup, req.admin.canViewPii())
         });
 
     } catch (error) {
-        console.error('Status update error:', error);
+        logger.error('Status update error', { err: error });
         res.status(500).json({
             success: false,
             message: 'Failed to update status'
@@ -292,5 +1015,79 @@ router.put('/beta-signup/:id/status', async (req, res) => {
     }
 });
 
+// @route   GET /api/beta-signup/:id/history
+// @desc    Status history of a beta signup, oldest first
+// @access  Private (viewer, reviewer, inviter)
+router.get('/beta-signup/:id/history', protect, authorize('viewer', 'reviewer', 'inviter'), async (req, res) => {
+    try {
+        const signup = await BetaSignup
+            .findById(req.params.id)
+            .select('status statusHistory');
+
+        if (!signup) {
+            return res.status(404).json({
+                success: false,
+                message: 'Beta signup not found'
+            });
+        }
+
+        res.json({
+            success: true,
+            data: {
+                id: signup._id,
+                status: signup.status,
+                history: signup.statusHistory
+            }
+        });
+    } catch (error) {
+        logger.error('Status history error', { err: error });
+        res.status(500).json({
+            success: false,
+            message: 'Failed to fetch status history'
+        });
+    }
+});
+
+// @route   GET /api/beta-signup/:id
+// @desc    Single signup with email history and the statuses it can move to
+// @access  Private (viewer, reviewer, inviter)
+router.get('/beta-signup/:id', protect, authorize('viewer', 'reviewer', 'inviter'), async (req, res) => {
+    try {
+        if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+            return res.status(404).json({
+                success: false,
+                message: 'Beta signup not found'
+            });
+        }
+
+        const signup = await BetaSignup
+            .findById(req.params.id)
+            .select(getSignupProjection(req.admin.canViewPii()));
+
+        if (!signup) {
+            return res.status(404).json({
+                success: false,
+                message: 'Beta signup not found'
+            });
+        }
+
+        res.json({
+            success: true,
+            data: {
+                signup,
+                allowedTransitions: BetaSignup.STATUS_TRANSITIONS[signup.status] || [],
+                canReceiveInvite: signup.canReceiveInvite(),
+                referralUrl: signup.getReferralUrl()
+            }
+        });
+    } catch (error) {
+        logger.error('Signup detail error', { err: error });
+        res.status(500).json({
+            success: false,
+            message: 'Failed to fetch signup'
+        });
+    }
+});
+
 module.exports = router;
 
@@ -0,0 +1,289 @@
+const request = require('supertest');
+const mongoose = require('mongoose');
+const BetaSignup = require('../models/BetaSignup');
+const SignupAttempt = require('../models/SignupAttempt');
+
+jest.mock('../src/services/emailOutbox', () => ({
+    ...jest.requireActual('../src/services/emailOutbox'),
+    enqueueEmail: jest.fn()
+}));
+
+const { enqueueEmail } = require('../src/services/emailOutbox');
+const betaRoutes = require('./betaRoutes');
+const { createApp, loginAs, issueFormTokenAgo } = require('../test/helpers');
+
+const app = createApp(betaRoutes);
+
+/**
+ * Let signup attempts pass the velocity checks without a database
+ */
+const allowSignupAttempts = () => {
+    jest.spyOn(SignupAttempt, 'create').mockImplementation(async (doc) => ({ ...doc, save: jest.fn() }));
+    jest.spyOn(SignupAttempt, 'countDocuments').mockResolvedValue(0);
+};
+
+describe('betaRoutes', () => {
+    beforeEach(() => {
+        enqueueEmail.mockReset().mockResolvedValue({ status: 'queued' });
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    describe('POST /api/beta-signup with an unconfirmed address', () => {
+        let existing;
+
+        beforeEach(() => {
+            allowSignupAttempts();
+            existing = new BetaSignup({ email: 'tester@example.com', name: 'Tester', device: 'iphone' });
+            jest.spyOn(BetaSignup, 'findByEmailVariant').mockResolvedValue(existing);
+            jest.spyOn(existing, 'save').mockResolvedValue(existing);
+        });
+
+        const signUpAgain = () => request(app)
+            .post('/api/beta-signup')
+            .send({ email: 'tester@example.com', name: 'Tester', device: 'iphone', formToken: issueFormTokenAgo().formToken });
+
+        it('re-sends the confirmation link once the cooldown has passed', async () => {
+            existing.confirmationSentAt = new Date(Date.now() - 60 * 60 * 1000);
+
+            const res = await signUpAgain();
+
+            expect(res.status).toBe(200);
+            expect(enqueueEmail).toHaveBeenCalledWith(existing, 'confirmation', expect.any(Object), expect.any(Object));
+            expect(Date.now() - existing.confirmationSentAt).toBeLessThan(5000);
+        });
+
+        it('answers the same without sending within the cooldown', async () => {
+            existing.generateConfirmationToken();
+            const sentAt = existing.confirmationSentAt;
+
+            const first = await signUpAgain();
+            const second = await signUpAgain();
+
+            expect(first.status).toBe(200);
+            expect(second.body).toEqual(first.body);
+            expect(enqueueEmail).not.toHaveBeenCalled();
+            expect(existing.confirmationSentAt).toBe(sentAt);
+        });
+
+        it('builds the confirmation link from PUBLIC_API_URL, not the Host header', async () => {
+            process.env.PUBLIC_API_URL = 'https://api.bahnblitz.app';
+
+            await signUpAgain().set('Host', 'evil.example');
+            delete process.env.PUBLIC_API_URL;
+
+            const [, , payload] = enqueueEmail.mock.calls[0];
+            expect(payload.confirmUrl).toMatch(/^https:\/\/api\.bahnblitz\.app\/api\/beta-signup\/confirm\//);
+        });
+    });
+
+    describe('POST /api/beta-signup with a new address', () => {
+        it('answers a parallel signup for the same mailbox like any other duplicate', async () => {
+            allowSignupAttempts();
+            jest.spyOn(BetaSignup, 'findByEmailVariant').mockResolvedValue(null);
+            jest.spyOn(BetaSignup.prototype, 'save').mockRejectedValue(Object.assign(new Error('E11000 duplicate key error'), { code: 11000 }));
+
+            const res = await request(app)
+                .post('/api/beta-signup')
+                .send({ email: 'tester+beta@example.com', name: 'Tester', device: 'iphone', formToken: issueFormTokenAgo().formToken });
+
+            expect(res.status).toBe(409);
+            expect(res.body).toEqual({ success: false, message: 'This email is already registered for beta testing' });
+            expect(enqueueEmail).not.toHaveBeenCalled();
+        });
+    });
+
+    describe('/api/beta-signup/confirm/:token', () => {
+        let signup;
+        let token;
+
+        beforeEach(() => {
+            signup = new BetaSignup({ email: 'tester@example.com', name: 'Tester', device: 'iphone' });
+            token = signup.generateConfirmationToken();
+            jest.spyOn(signup, 'save').mockResolvedValue(signup);
+            jest.spyOn(BetaSignup, 'findById').mockReturnValue({ select: async () => signup });
+            // 10 waiting signups and 10 invites over the 14-day throughput window
+            jest.spyOn(BetaSignup, 'countDocuments').mockResolvedValue(10);
+        });
+
+        afterEach(() => {
+            delete process.env.CONFIRMATION_REDIRECT_URL;
+        });
+
+        it('shows a confirm page without confirming when the link is opened', async () => {
+            const res = await request(app).get(`/api/beta-signup/confirm/${token}`);
+
+            expect(res.status).toBe(200);
+            expect(res.text).toContain('<form method="post">');
+            expect(signup.status).toBe('unconfirmed');
+            expect(signup.save).not.toHaveBeenCalled();
+            expect(enqueueEmail).not.toHaveBeenCalled();
+        });
+
+        it('confirms the signup and queues the welcome email on POST', async () => {
+            const res = await request(app)
+                .post(`/api/beta-signup/confirm/${token}`)
+                .set('Accept', 'application/json');
+
+            expect(res.status).toBe(200);
+            expect(res.body.data).toEqual(expect.objectContaining({ status: 'pending', positionToken: expect.any(String) }));
+            expect(signup.status).toBe('pending');
+            expect(enqueueEmail).toHaveBeenCalledWith(signup, 'welcome', { estimatedWaitDays: 14 });
+        });
+
+        it('renders a page for the confirm button', async () => {
+            const res = await request(app)
+                .post(`/api/beta-signup/confirm/${token}`)
+                .set('Accept', 'text/html');
+
+            expect(res.status).toBe(200);
+            expect(res.text).toContain('Email confirmed');
+        });
+
+        it('redirects to CONFIRMATION_REDIRECT_URL with 303', async () => {
+            process.env.CONFIRMATION_REDIRECT_URL = 'https://bahnblitz.example/confirmed';
+
+            const res = await request(app).post(`/api/beta-signup/confirm/${token}`);
+
+            expect(res.status).toBe(303);
+            expect(res.headers.location).toBe('https://bahnblitz.example/confirmed?status=confirmed');
+        });
+
+        it('refuses a link that was already used', async () => {
+            await request(app).post(`/api/beta-signup/confirm/${token}`);
+            enqueueEmail.mockClear();
+
+            const res = await request(app)
+                .post(`/api/beta-signup/confirm/${token}`)
+                .set('Accept', 'application/json');
+
+            expect(res.status).toBe(400);
+            expect(res.body.success).toBe(false);
+            expect(enqueueEmail).not.toHaveBeenCalled();
+        });
+    });
+
+    describe('POST /api/beta-signup/:id/invite', () => {
+        it('refuses links outside TestFlight', async () => {
+            const findById = jest.spyOn(BetaSignup, 'findById');
+            const res = await request(app)
+                .post(`/api/beta-signup/${new mongoose.Types.ObjectId()}/invite`)
+                .set('Authorization', loginAs('inviter'))
+                .send({ testflightUrl: 'https://evil.example/join/ABC123' });
+
+            expect(res.status).toBe(400);
+            expect(res.body.errors[0].path).toBe('testflightUrl');
+            expect(findById).not.toHaveBeenCalled();
+        });
+    });
+
+    describe('PUT /api/beta-signup/:id/status', () => {
+        let signup;
+
+        beforeEach(() => {
+            signup = new BetaSignup({
+                email: 'tester@example.com',
+                name: 'Tester',
+                device: 'iphone',
+                status: 'pending',
+                ipAddress: '203.0.113.42',
+                userAgent: 'Mozilla/5.0'
+            });
+            jest.spyOn(BetaSignup, 'findById').mockResolvedValue(signup);
+            jest.spyOn(signup, 'save').mockResolvedValue(signup);
+        });
+
+        const changeStatus = (auth) => request(app)
+            .put(`/api/beta-signup/${signup._id}/status`)
+            .set('Authorization', auth)
+            .send({ status: 'approved', note: 'Looks good' });
+
+        it('hides IP address and user agent from reviewers', async () => {
+            const res = await changeStatus(loginAs('reviewer'));
+
+            expect(res.status).toBe(200);
+            expect(res.body.data.status).toBe('approved');
+            expect(res.body.data).not.toHaveProperty('ipAddress');
+            expect(res.body.data).not.toHaveProperty('userAgent');
+            expect(res.body.data).not.toHaveProperty('__v');
+        });
+
+        it('returns IP address and user agent to admins allowed to see PII', async () => {
+            const res = await changeStatus(loginAs('admin'));
+
+            expect(res.status).toBe(200);
+            expect(res.body.data.ipAddress).toBe('203.0.113.42');
+            expect(res.body.data.userAgent).toBe('Mozilla/5.0');
+        });
+
+        it('records the change in the status history', async () => {
+            await changeStatus(loginAs('reviewer'));
+
+            expect(signup.save).toHaveBeenCalled();
+            expect(signup.statusHistory[signup.statusHistory.length - 1]).toMatchObject({
+                from: 'pending',
+                to: 'approved',
+                changedBy: 'reviewer@bahnblitz.app',
+                note: 'Looks good'
+            });
+        });
+
+        it('refuses viewers', async () => {
+            const res = await changeStatus(loginAs('viewer'));
+
+            expect(res.status).toBe(403);
+            expect(signup.save).not.toHaveBeenCalled();
+        });
+
+        it('requires a token', async () => {
+            const res = await request(app).put(`/api/beta-signup/${new mongoose.Types.ObjectId()}/status`).send({ status: 'approved' });
+
+            expect(res.status).toBe(401);
+        });
+    });
+
+    describe('GET /api/beta-signup/:id', () => {
+        let signup;
+        let select;
+
+        beforeEach(() => {
+            signup = new BetaSignup({ email: 'tester@example.com', name: 'Tester', device: 'iphone', status: 'approved' });
+            select = jest.fn().mockResolvedValue(signup);
+        });
+
+        const getSignup = (auth, id = signup._id) => {
+            jest.spyOn(BetaSignup, 'findById').mockReturnValue({ select });
+            return request(app).get(`/api/beta-signup/${id}`).set('Authorization', auth);
+        };
+
+        it('returns the signup with the statuses it can move to and its referral link', async () => {
+            const res = await getSignup(loginAs('viewer'));
+
+            expect(res.status).toBe(200);
+            expect(res.body.data).toMatchObject({
+                signup: { email: 'tester@example.com', status: 'approved' },
+                allowedTransitions: ['pending', 'invited', 'rejected'],
+                canReceiveInvite: true,
+                referralUrl: signup.getReferralUrl()
+            });
+        });
+
+        it('leaves out IP address and user agent for admins without PII access', async () => {
+            await getSignup(loginAs('viewer'));
+            await getSignup(loginAs('admin'));
+
+            expect(select).toHaveBeenNthCalledWith(1, '-__v -ipAddress -userAgent');
+            expect(select).toHaveBeenNthCalledWith(2, '-__v');
+        });
+
+        it('answers 404 for unknown and malformed ids', async () => {
+            select.mockResolvedValue(null);
+
+            expect((await getSignup(loginAs('viewer'), new mongoose.Types.ObjectId())).status).toBe(404);
+            expect((await getSignup(loginAs('viewer'), 'not-an-id')).status).toBe(404);
+            expect(select).toHaveBeenCalledTimes(1);
+        });
+    });
+});
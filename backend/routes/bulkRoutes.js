@@ -0,0 +1,173 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const { body, validationResult } = require('express-validator');
+const BulkJob = require('../models/BulkJob');
+const { MAX_ITEMS, createBulkJob, startBulkJob } = require('../src/services/bulkActionService');
+const { protect, authorize } = require('../src/middleware/auth');
+const { TAG_PATTERN, toList, validateSignupFilters } = require('../src/middleware/signupFilters');
+const { validateTestflightUrl } = require('../src/middleware/testflightUrl');
+const { logger } = require('../src/logger');
+
+const router = express.Router();
+
+// Role needed per action
+const ACTION_ROLES = {
+    approve: 'reviewer',
+    reject: 'reviewer',
+    tag: 'reviewer',
+    note: 'reviewer',
+    invite: 'inviter'
+};
+
+// Validation middleware
+const validateBulkAction = [
+    body('action')
+        .isIn(BulkJob.ACTIONS)
+        .withMessage(`Action must be one of ${BulkJob.ACTIONS.join(', ')}`),
+    body('ids')
+        .optional()
+        .isArray({ min: 1, max: MAX_ITEMS })
+        .withMessage(`ids must be a list of 1 to ${MAX_ITEMS} signup ids`)
+        .custom((ids) => ids.every((id) => mongoose.Types.ObjectId.isValid(id)))
+        .withMessage('ids must be valid signup ids'),
+    body('filters')
+        .optional()
+        .isObject()
+        .withMessage('filters must be an object')
+        .custom((filters) => Object.keys(filters).length > 0)
+        .withMessage('filters must contain at least one filter'),
+    body()
+        .custom((value) => Boolean(value.ids) !== Boolean(value.filters))
+        .withMessage('Provide either ids or filters'),
+    ...validateSignupFilters('body', 'filters.'),
+    body('note')
+        .optional()
+        .isString()
+        .trim()
+        .isLength({ min: 1, max: 1000 })
+        .withMessage('Note must be between 1 and 1000 characters'),
+    body('tags')
+        .optional()
+        .customSanitizer((value) => toList(value).map((tag) => tag.toLowerCase()))
+        .custom((values) => values.length > 0 && values.every((value) => TAG_PATTERN.test(value)))
+        .withMessage('Tags may only contain letters, digits, _ and - (max 32 characters)'),
+    validateTestflightUrl()
+];
+
+// Job summary returned by create and poll
+const describeJob = (job, { withResults = false } = {}) => ({
+    id: job._id,
+    action: job.action,
+    status: job.status,
+    total: job.total,
+    processed: job.processed,
+    succeeded: job.succeeded,
+    skipped: job.skipped,
+    failed: job.failed,
+    progress: job.progress,
+    createdBy: job.createdBy,
+    createdAt: job.createdAt,
+    startedAt: job.startedAt,
+    finishedAt: job.finishedAt,
+    error: job.error,
+    ...(withResults ? { results: job.results } : {})
+});
+
+// @route   POST /api/beta-signup/bulk
+// @desc    Approve, reject, invite, tag or annotate signups by ids or filters.
+//          Small sets finish within the request, larger ones run in the background.
+// @access  Private (reviewer; inviter for invite)
+router.post('/beta-signup/bulk', protect, authorize('reviewer', 'inviter'), validateBulkAction, async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        const { action, ids, filters, note, tags, testflightUrl } = req.body;
+
+        if (!req.admin.hasRole(ACTION_ROLES[action])) {
+            return res.status(403).json({
+                success: false,
+                message: `Role ${req.admin.role} is not allowed to ${action} signups`
+            });
+        }
+
+        const job = await createBulkJob({
+            action,
+            ids,
+            filters,
+            params: { note, tags, testflightUrl },
+            createdBy: req.admin.email
+        });
+
+        const { job: current, background } = await startBulkJob(job);
+
+        if (background) {
+            return res.status(202).json({
+                success: true,
+                message: `Bulk ${action} of ${job.total} signups started`,
+                data: describeJob(current)
+            });
+        }
+
+        res.json({
+            success: true,
+            message: `Bulk ${action} finished: ${current.succeeded} succeeded, ${current.skipped} skipped, ${current.failed} failed`,
+            data: describeJob(current, { withResults: true })
+        });
+    } catch (error) {
+        if (error.code === 'INVALID_BULK_ACTION') {
+            return res.status(400).json({
+                success: false,
+                message: error.message
+            });
+        }
+
+        logger.error('Bulk action error', { err: error });
+        res.status(500).json({
+            success: false,
+            message: 'Failed to run bulk action'
+        });
+    }
+});
+
+// @route   GET /api/beta-signup/bulk/:jobId
+// @desc    Progress and per-signup results of a bulk job
+// @access  Private (viewer, reviewer, inviter)
+router.get('/beta-signup/bulk/:jobId', protect, authorize('viewer', 'reviewer', 'inviter'), async (req, res) => {
+    try {
+        if (!mongoose.Types.ObjectId.isValid(req.params.jobId)) {
+            return res.status(404).json({
+                success: false,
+                message: 'Bulk job not found'
+            });
+        }
+
+        const job = await BulkJob.findById(req.params.jobId).select('-signupIds');
+
+        if (!job) {
+            return res.status(404).json({
+                success: false,
+                message: 'Bulk job not found'
+            });
+        }
+
+        res.json({
+            success: true,
+            data: describeJob(job, { withResults: true })
+        });
+    } catch (error) {
+        logger.error('Bulk job status error', { err: error });
+        res.status(500).json({
+            success: false,
+            message: 'Failed to fetch bulk job'
+        });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,59 @@
+const request = require('supertest');
+const mongoose = require('mongoose');
+
+jest.mock('../src/services/bulkActionService', () => ({
+    ...jest.requireActual('../src/services/bulkActionService'),
+    createBulkJob: jest.fn(),
+    startBulkJob: jest.fn()
+}));
+
+const { createBulkJob, startBulkJob } = require('../src/services/bulkActionService');
+const bulkRoutes = require('./bulkRoutes');
+const { createApp, loginAs } = require('../test/helpers');
+
+const app = createApp(bulkRoutes);
+
+describe('bulkRoutes', () => {
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    describe('POST /api/beta-signup/bulk', () => {
+        let token;
+
+        beforeEach(() => {
+            token = loginAs('inviter');
+            const job = { _id: new mongoose.Types.ObjectId(), action: 'invite', total: 1, succeeded: 1, skipped: 0, failed: 0, results: [] };
+            createBulkJob.mockReset().mockResolvedValue(job);
+            startBulkJob.mockReset().mockResolvedValue({ job, background: false });
+        });
+
+        const invite = (testflightUrl) => request(app)
+            .post('/api/beta-signup/bulk')
+            .set('Authorization', token)
+            .send({ action: 'invite', ids: [String(new mongoose.Types.ObjectId())], testflightUrl });
+
+        it('accepts a TestFlight link', async () => {
+            const res = await invite('https://testflight.apple.com/join/ABC123');
+
+            expect(res.status).toBe(200);
+            expect(createBulkJob).toHaveBeenCalledWith(expect.objectContaining({
+                params: expect.objectContaining({ testflightUrl: 'https://testflight.apple.com/join/ABC123' })
+            }));
+        });
+
+        it.each([
+            'https://testflight.apple.com.evil.example/join/ABC123',
+            'https://evil.example/join/ABC123',
+            'http://testflight.apple.com/join/ABC123',
+            'testflight.apple.com/join/ABC123',
+            'javascript:alert(1)'
+        ])('refuses %s', async (testflightUrl) => {
+            const res = await invite(testflightUrl);
+
+            expect(res.status).toBe(400);
+            expect(res.body.errors[0].path).toBe('testflightUrl');
+            expect(createBulkJob).not.toHaveBeenCalled();
+        });
+    });
+});
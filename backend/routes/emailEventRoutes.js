@@ -0,0 +1,118 @@
+const crypto = require('crypto');
+const express = require('express');
+const { PROVIDERS, processEmailEvents, confirmSnsSubscription } = require('../src/services/emailEventService');
+const { logger } = require('../src/logger');
+
+const router = express.Router();
+
+/**
+ * Compare two strings in constant time
+ * @param {string} a - Given value
+ * @param {string} b - Expected value
+ * @returns {boolean} True if equal
+ */
+const safeEqual = (a, b) => {
+    const left = crypto.createHash('sha256').update(String(a)).digest();
+    const right = crypto.createHash('sha256').update(String(b)).digest();
+    return crypto.timingSafeEqual(left, right);
+};
+
+// Providers authenticate with EMAIL_EVENTS_SECRET as ?token= or as HTTP Basic password
+const verifySecret = (req, res, next) => {
+    const secret = process.env.EMAIL_EVENTS_SECRET;
+
+    if (!secret) {
+        return res.status(503).json({
+            success: false,
+            message: 'Email event webhook is not configured'
+        });
+    }
+
+    const authorization = req.get('Authorization') || '';
+    const basicPassword = authorization.startsWith('Basic ')
+        ? Buffer.from(authorization.slice(6), 'base64').toString().split(':').slice(1).join(':')
+        : undefined;
+    const token = req.query.token || basicPassword;
+
+    if (!token || !safeEqual(token, secret)) {
+        return res.status(401).json({
+            success: false,
+            message: 'Invalid email event webhook token'
+        });
+    }
+
+    next();
+};
+
+// Amazon SNS posts JSON as text/plain
+const parseTextBody = (req, res, next) => {
+    if (typeof req.body !== 'string') {
+        return next();
+    }
+
+    try {
+        req.body = JSON.parse(req.body);
+        next();
+    } catch (error) {
+        res.status(400).json({
+            success: false,
+            message: 'Request body is not valid JSON'
+        });
+    }
+};
+
+// @route   POST /api/email-events/:provider
+// @desc    Delivery, bounce, complaint, open and click events from the email provider
+//          (sendgrid, ses via SNS, postmark). Hard bounces and complaints suppress the address.
+// @access  Public (EMAIL_EVENTS_SECRET)
+router.post('/email-events/:provider', verifySecret, express.text({ type: 'text/plain', limit: '1mb' }), parseTextBody, async (req, res) => {
+    try {
+        const { provider } = req.params;
+
+        if (!PROVIDERS.includes(provider)) {
+            return res.status(404).json({
+                success: false,
+                message: `Unknown email provider, use one of ${PROVIDERS.join(', ')}`
+            });
+        }
+
+        // SNS asks once to confirm the topic subscription
+        if (provider === 'ses' && req.body.Type === 'SubscriptionConfirmation') {
+            await confirmSnsSubscription(req.body);
+            return res.json({
+                success: true,
+                message: 'SNS subscription confirmed'
+            });
+        }
+
+        if (provider === 'ses' && req.body.Type === 'UnsubscribeConfirmation') {
+            return res.json({
+                success: true,
+                message: 'SNS unsubscribe noted'
+            });
+        }
+
+        const summary = await processEmailEvents(provider, req.body);
+
+        res.json({
+            success: true,
+            data: summary
+        });
+    } catch (error) {
+        if (error.code === 'INVALID_EMAIL_EVENT') {
+            return res.status(400).json({
+                success: false,
+                message: error.message
+            });
+        }
+
+        // 500 makes the provider retry later
+        logger.error('Email event error', { err: error });
+        res.status(500).json({
+            success: false,
+            message: 'Failed to process email events'
+        });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,140 @@
+const express = require('express');
+const { param, query, validationResult } = require('express-validator');
+const EmailOutbox = require('../models/EmailOutbox');
+const { retryEntry } = require('../src/services/emailOutbox');
+const { protect, authorize } = require('../src/middleware/auth');
+const { logger } = require('../src/logger');
+
+const router = express.Router();
+
+// Allowed values of an enum field on EmailOutbox
+const enumValues = (path) => EmailOutbox.schema.path(path).enumValues;
+
+// Payloads hold live links such as confirmation tokens, so they are never returned
+const OUTBOX_PROJECTION = '-__v -payload';
+
+// Outbox entry without the fields left out by OUTBOX_PROJECTION
+const toOutboxEntry = (entry) => {
+    const { payload, __v, ...data } = entry.toObject();
+    return data;
+};
+
+// Validation middleware; filters must be plain values so they cannot carry query operators
+const validateOutboxList = [
+    query('status')
+        .optional()
+        .isIn(enumValues('status'))
+        .withMessage(`Status must be one of ${enumValues('status').join(', ')}`),
+    query('type')
+        .optional()
+        .isIn(enumValues('type'))
+        .withMessage(`Type must be one of ${enumValues('type').join(', ')}`),
+    query('page')
+        .optional()
+        .isInt({ min: 1 })
+        .withMessage('Page must be a positive number'),
+    query('limit')
+        .optional()
+        .isInt({ min: 1, max: 200 })
+        .withMessage('Limit must be between 1 and 200')
+];
+
+const validateOutboxId = [
+    param('id')
+        .isMongoId()
+        .withMessage('Invalid outbox entry id')
+];
+
+// @route   GET /api/email-outbox
+// @desc    List outbox entries, e.g. ?status=dead for the dead letters
+// @access  Private (viewer, reviewer, inviter)
+router.get('/email-outbox', protect, authorize('viewer', 'reviewer', 'inviter'), validateOutboxList, async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        const page = parseInt(req.query.page) || 1;
+        const limit = parseInt(req.query.limit) || 50;
+        const skip = (page - 1) * limit;
+
+        const query = {};
+        if (req.query.status) {
+            query.status = req.query.status;
+        }
+        if (req.query.type) {
+            query.type = req.query.type;
+        }
+
+        const entries = await EmailOutbox
+            .find(query)
+            .sort({ createdAt: -1 })
+            .skip(skip)
+            .limit(limit)
+            .select(OUTBOX_PROJECTION);
+
+        const total = await EmailOutbox.countDocuments(query);
+
+        res.json({
+            success: true,
+            data: {
+                entries,
+                pagination: {
+                    page,
+                    limit,
+                    total,
+                    pages: Math.ceil(total / limit)
+                }
+            }
+        });
+    } catch (error) {
+        logger.error('Outbox list error', { err: error });
+        res.status(500).json({
+            success: false,
+            message: 'Failed to fetch email outbox'
+        });
+    }
+});
+
+// @route   POST /api/email-outbox/:id/retry
+// @desc    Requeue a dead or cancelled email
+// @access  Private (inviter)
+router.post('/email-outbox/:id/retry', protect, authorize('inviter'), validateOutboxId, async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        const entry = await retryEntry(req.params.id);
+        if (!entry) {
+            return res.status(404).json({
+                success: false,
+                message: 'No dead or cancelled outbox entry with this id'
+            });
+        }
+
+        res.json({
+            success: true,
+            message: 'Email requeued',
+            data: toOutboxEntry(entry)
+        });
+    } catch (error) {
+        logger.error('Outbox retry error', { err: error });
+        res.status(500).json({
+            success: false,
+            message: 'Failed to requeue email'
+        });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,111 @@
+const request = require('supertest');
+const mongoose = require('mongoose');
+const EmailOutbox = require('../models/EmailOutbox');
+
+jest.mock('../src/services/emailOutbox', () => ({
+    ...jest.requireActual('../src/services/emailOutbox'),
+    retryEntry: jest.fn()
+}));
+
+const { retryEntry } = require('../src/services/emailOutbox');
+const outboxRoutes = require('./outboxRoutes');
+const { createApp, loginAs } = require('../test/helpers');
+
+const app = createApp(outboxRoutes);
+
+/**
+ * Stand-in for EmailOutbox.find(...).sort().skip().limit().select()
+ */
+const mockFind = (entries) => {
+    const cursor = {};
+    ['sort', 'skip', 'limit'].forEach((method) => {
+        cursor[method] = jest.fn(() => cursor);
+    });
+    cursor.select = jest.fn(async () => entries);
+
+    jest.spyOn(EmailOutbox, 'find').mockReturnValue(cursor);
+    jest.spyOn(EmailOutbox, 'countDocuments').mockResolvedValue(entries.length);
+    return cursor;
+};
+
+describe('outboxRoutes', () => {
+    beforeEach(() => {
+        retryEntry.mockReset();
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    describe('GET /api/email-outbox', () => {
+        it('filters by status and type', async () => {
+            const cursor = mockFind([{ type: 'invite', status: 'dead' }]);
+
+            const res = await request(app)
+                .get('/api/email-outbox?status=dead&type=invite&page=2&limit=10')
+                .set('Authorization', loginAs('viewer'));
+
+            expect(res.status).toBe(200);
+            expect(EmailOutbox.find).toHaveBeenCalledWith({ status: 'dead', type: 'invite' });
+            expect(cursor.skip).toHaveBeenCalledWith(10);
+            expect(res.body.data.pagination).toEqual({ page: 2, limit: 10, total: 1, pages: 1 });
+        });
+
+        it.each([
+            ['an operator', 'status[$ne]=sent'],
+            ['an unknown status', 'status=lost'],
+            ['an unknown type', 'type[$exists]=true'],
+            ['a huge limit', 'limit=100000']
+        ])('refuses %s', async (label, queryString) => {
+            mockFind([]);
+
+            const res = await request(app)
+                .get(`/api/email-outbox?${queryString}`)
+                .set('Authorization', loginAs('viewer'));
+
+            expect(res.status).toBe(400);
+            expect(EmailOutbox.find).not.toHaveBeenCalled();
+        });
+    });
+
+    describe('POST /api/email-outbox/:id/retry', () => {
+        it('requeues a dead entry', async () => {
+            const id = String(new mongoose.Types.ObjectId());
+            retryEntry.mockResolvedValue(new EmailOutbox({
+                _id: id,
+                type: 'confirmation',
+                status: 'queued',
+                payload: { confirmUrl: 'https://api.bahnblitz.app/api/beta-signup/confirm/live-token' }
+            }));
+
+            const res = await request(app)
+                .post(`/api/email-outbox/${id}/retry`)
+                .set('Authorization', loginAs('inviter'));
+
+            expect(res.status).toBe(200);
+            expect(retryEntry).toHaveBeenCalledWith(id);
+            expect(res.body.data).toMatchObject({ _id: id, status: 'queued' });
+            expect(res.body.data).not.toHaveProperty('payload');
+            expect(JSON.stringify(res.body)).not.toContain('live-token');
+        });
+
+        it('answers 404 when there is no dead or cancelled entry', async () => {
+            retryEntry.mockResolvedValue(null);
+
+            const res = await request(app)
+                .post(`/api/email-outbox/${new mongoose.Types.ObjectId()}/retry`)
+                .set('Authorization', loginAs('inviter'));
+
+            expect(res.status).toBe(404);
+        });
+
+        it('answers 400 for an invalid id', async () => {
+            const res = await request(app)
+                .post('/api/email-outbox/not-an-id/retry')
+                .set('Authorization', loginAs('inviter'));
+
+            expect(res.status).toBe(400);
+            expect(retryEntry).not.toHaveBeenCalled();
+        });
+    });
+});
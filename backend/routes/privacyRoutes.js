@@ -0,0 +1,107 @@
+const express = require('express');
+const BetaSignup = require('../models/BetaSignup');
+const { unsubscribe, exportSignupData, eraseSignup } = require('../src/services/privacyService');
+const { renderPage, respond } = require('../src/pages');
+const { logger } = require('../src/logger');
+
+const router = express.Router();
+
+// Load the signup for a subscriber token or answer with 404
+const loadSignup = async (req, res) => {
+    const signup = await BetaSignup.findBySubscriberToken(req.params.token);
+    if (!signup) {
+        respond(res, 404, 'Not found', 'No data is stored for this link anymore.');
+        return null;
+    }
+    return signup;
+};
+
+// Token errors go to errorHandler, everything else is a 500
+const handleError = (res, next, error, message) => {
+    if (error.name === 'JsonWebTokenError') {
+        return next(error);
+    }
+
+    logger.error(message, { err: error });
+    respond(res, 500, 'Something went wrong', message);
+};
+
+// @route   GET /api/beta-signup/unsubscribe/:token
+// @desc    Show the unsubscribe confirmation page
+// @access  Public (signed link)
+router.get('/beta-signup/unsubscribe/:token', (req, res) => {
+    res.send(renderPage('Unsubscribe', `
+        <p>Do you want to stop receiving all emails about the BahnBlitz beta?</p>
+        <form method="post">
+            <button type="submit" class="button">Unsubscribe</button>
+        </form>`));
+});
+
+// @route   POST /api/beta-signup/unsubscribe/:token
+// @desc    Unsubscribe from all emails (also the RFC 8058 one-click target)
+// @access  Public (signed link)
+router.post('/beta-signup/unsubscribe/:token', async (req, res, next) => {
+    try {
+        const signup = await BetaSignup.findBySubscriberToken(req.params.token);
+
+        // Nothing stored anymore means nothing will be sent either
+        if (signup) {
+            await unsubscribe(signup);
+        }
+
+        respond(res, 200, 'Unsubscribed', 'You have been unsubscribed and will not receive any further emails from us.');
+    } catch (error) {
+        handleError(res, next, error, 'Failed to unsubscribe');
+    }
+});
+
+// @route   GET /api/beta-signup/privacy/export/:token
+// @desc    Download all data stored about the signup (GDPR Art. 15)
+// @access  Public (signed link)
+router.get('/beta-signup/privacy/export/:token', async (req, res, next) => {
+    try {
+        const signup = await loadSignup(req, res);
+        if (!signup) return;
+
+        const data = await exportSignupData(signup);
+
+        res.set('Content-Disposition', 'attachment; filename="bahnblitz-beta-data.json"');
+        res.json({
+            success: true,
+            data
+        });
+    } catch (error) {
+        handleError(res, next, error, 'Failed to export data');
+    }
+});
+
+// @route   GET /api/beta-signup/privacy/erase/:token
+// @desc    Show the data deletion confirmation page
+// @access  Public (signed link)
+router.get('/beta-signup/privacy/erase/:token', (req, res) => {
+    res.send(renderPage('Delete my data', `
+        <p>This permanently deletes your BahnBlitz beta signup and all personal data we stored about it. This cannot be undone.</p>
+        <form method="post">
+            <button type="submit" class="button danger">Delete my data</button>
+        </form>`));
+});
+
+// @route   POST /api/beta-signup/privacy/erase/:token
+// @desc    Delete all personal data of the signup (GDPR Art. 17)
+// @access  Public (signed link)
+router.post('/beta-signup/privacy/erase/:token', async (req, res, next) => {
+    try {
+        const signup = await loadSignup(req, res);
+        if (!signup) return;
+
+        const tombstone = await eraseSignup(signup);
+
+        respond(res, 200, 'Data deleted', 'Your signup and all personal data have been deleted.', {
+            data: { requestId: tombstone._id, erasedAt: tombstone.createdAt }
+        });
+    } catch (error) {
+        handleError(res, next, error, 'Failed to delete data');
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,122 @@
+const request = require('supertest');
+const mongoose = require('mongoose');
+const BetaSignup = require('../models/BetaSignup');
+const DataRequest = require('../models/DataRequest');
+const EmailSuppression = require('../models/EmailSuppression');
+
+jest.mock('../src/services/privacyService', () => ({
+    ...jest.requireActual('../src/services/privacyService'),
+    eraseSignup: jest.fn()
+}));
+
+const { eraseSignup } = require('../src/services/privacyService');
+const privacyRoutes = require('./privacyRoutes');
+const { createApp } = require('../test/helpers');
+
+const app = createApp(privacyRoutes);
+
+describe('privacyRoutes', () => {
+    let signup;
+    let token;
+
+    beforeEach(() => {
+        signup = new BetaSignup({ email: 'tester@example.com', name: 'Tester', device: 'iphone', status: 'pending' });
+        token = signup.generateSubscriberToken();
+        jest.spyOn(signup, 'save').mockResolvedValue(signup);
+        jest.spyOn(BetaSignup, 'findById').mockResolvedValue(signup);
+        jest.spyOn(EmailSuppression, 'suppress').mockResolvedValue({});
+        jest.spyOn(DataRequest, 'create').mockImplementation(async (doc) => ({ _id: new mongoose.Types.ObjectId(), createdAt: new Date(), ...doc }));
+        eraseSignup.mockReset();
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    describe('unsubscribe', () => {
+        it('only shows a confirm page when the link is opened', async () => {
+            const res = await request(app).get(`/api/beta-signup/unsubscribe/${token}`);
+
+            expect(res.status).toBe(200);
+            expect(res.text).toContain('<form method="post">');
+            expect(EmailSuppression.suppress).not.toHaveBeenCalled();
+        });
+
+        it('suppresses the address on POST, once', async () => {
+            await request(app).post(`/api/beta-signup/unsubscribe/${token}`);
+            const res = await request(app)
+                .post(`/api/beta-signup/unsubscribe/${token}`)
+                .set('Accept', 'application/json');
+
+            expect(res.status).toBe(200);
+            expect(res.body.success).toBe(true);
+            expect(EmailSuppression.suppress).toHaveBeenCalledWith('tester@example.com', 'unsubscribe', signup._id);
+            expect(signup.unsubscribedAt).toBeInstanceOf(Date);
+            expect(DataRequest.create).toHaveBeenCalledTimes(1);
+        });
+
+        it('answers the same when the signup is gone', async () => {
+            BetaSignup.findById.mockResolvedValue(null);
+
+            const res = await request(app).post(`/api/beta-signup/unsubscribe/${token}`).set('Accept', 'application/json');
+
+            expect(res.status).toBe(200);
+            expect(EmailSuppression.suppress).not.toHaveBeenCalled();
+        });
+
+        it('refuses forged links', async () => {
+            const res = await request(app).post('/api/beta-signup/unsubscribe/forged').set('Accept', 'application/json');
+
+            expect(res.status).toBe(401);
+        });
+    });
+
+    describe('export', () => {
+        it('downloads the stored data without internal fields', async () => {
+            const select = jest.fn(() => ({ lean: async () => ({ email: signup.email, name: signup.name }) }));
+            // First the token lookup, then the export query
+            BetaSignup.findById.mockResolvedValueOnce(signup).mockReturnValueOnce({ select });
+            jest.spyOn(EmailSuppression, 'isSuppressed').mockResolvedValue(false);
+
+            const res = await request(app).get(`/api/beta-signup/privacy/export/${token}`);
+
+            expect(res.status).toBe(200);
+            expect(res.headers['content-disposition']).toContain('attachment');
+            expect(res.body.data.signup).toEqual({ email: 'tester@example.com', name: 'Tester' });
+            expect(select).toHaveBeenCalledWith('-__v -confirmationNonceHash');
+            expect(DataRequest.create).toHaveBeenCalledWith(expect.objectContaining({ type: 'export' }));
+        });
+    });
+
+    describe('erase', () => {
+        it('only shows a confirm page when the link is opened', async () => {
+            const res = await request(app).get(`/api/beta-signup/privacy/erase/${token}`);
+
+            expect(res.status).toBe(200);
+            expect(eraseSignup).not.toHaveBeenCalled();
+        });
+
+        it('erases the signup on POST', async () => {
+            eraseSignup.mockResolvedValue({ _id: new mongoose.Types.ObjectId(), createdAt: new Date() });
+
+            const res = await request(app)
+                .post(`/api/beta-signup/privacy/erase/${token}`)
+                .set('Accept', 'application/json');
+
+            expect(res.status).toBe(200);
+            expect(eraseSignup).toHaveBeenCalledWith(signup);
+            expect(res.body.data.requestId).toEqual(expect.any(String));
+        });
+
+        it('answers 404 when nothing is stored anymore', async () => {
+            BetaSignup.findById.mockResolvedValue(null);
+
+            const res = await request(app)
+                .post(`/api/beta-signup/privacy/erase/${token}`)
+                .set('Accept', 'application/json');
+
+            expect(res.status).toBe(404);
+            expect(eraseSignup).not.toHaveBeenCalled();
+        });
+    });
+});
@@ -0,0 +1,368 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const { body, query, validationResult } = require('express-validator');
+const WebhookSubscription = require('../models/WebhookSubscription');
+const WebhookDelivery = require('../models/WebhookDelivery');
+const {
+    generateSecret,
+    assertPublicUrl,
+    sendPing,
+    retryDelivery,
+    cancelPendingDeliveries
+} = require('../src/services/webhookService');
+const { protect, authorize } = require('../src/middleware/auth');
+const { logger } = require('../src/logger');
+
+const router = express.Router();
+
+const EVENT_OPTIONS = [...WebhookSubscription.EVENTS, '*'];
+
+// Required when creating, optional when updating
+const field = (name, optional, requiredMessage) => (optional
+    ? body(name).optional()
+    : body(name).exists().withMessage(requiredMessage).bail());
+
+// Validation middleware
+const subscriptionFields = (optional) => [
+    field('url', optional, 'URL is required')
+        .isURL({
+            protocols: process.env.NODE_ENV === 'production' ? ['https'] : ['http', 'https'],
+            require_protocol: true,
+            require_tld: process.env.NODE_ENV === 'production'
+        })
+        .withMessage(process.env.NODE_ENV === 'production' ? 'URL must be an https URL' : 'URL must be an http(s) URL')
+        .bail()
+        .custom(assertPublicUrl),
+    field('events', optional, 'Events are required')
+        .isArray({ min: 1 })
+        .withMessage('Events must be a non-empty list')
+        .custom((events) => events.every((event) => EVENT_OPTIONS.includes(event)))
+        .withMessage(`Events must be among ${EVENT_OPTIONS.join(', ')}`),
+    body('description')
+        .optional()
+        .isString()
+        .trim()
+        .isLength({ max: 200 })
+        .withMessage('Description cannot exceed 200 characters'),
+    body('secret')
+        .optional()
+        .isString()
+        .isLength({ min: 16, max: 200 })
+        .withMessage('Secret must be between 16 and 200 characters')
+];
+
+const validateCreate = subscriptionFields(false);
+
+const validateUpdate = [
+    ...subscriptionFields(true),
+    body('isActive')
+        .optional()
+        .isBoolean()
+        .withMessage('isActive must be true or false'),
+    body('rotateSecret')
+        .optional()
+        .isBoolean()
+        .withMessage('rotateSecret must be true or false')
+];
+
+const validateDeliveryList = [
+    query('status')
+        .optional()
+        .isIn(WebhookDelivery.schema.path('status').enumValues)
+        .withMessage('Invalid delivery status'),
+    query('event')
+        .optional()
+        .isIn([...WebhookSubscription.EVENTS, 'ping'])
+        .withMessage('Invalid event')
+];
+
+/**
+ * Find a subscription by id
+ * @param {string} id - Subscription id from the URL
+ * @returns {Object|null} Subscription, null for unknown or malformed ids
+ */
+const findSubscription = (id) => {
+    return mongoose.Types.ObjectId.isValid(id) ? WebhookSubscription.findById(id) : null;
+};
+
+const notFound = (res) => res.status(404).json({
+    success: false,
+    message: 'Webhook subscription not found'
+});
+
+// Delivery summary without the payload
+const describeDelivery = (delivery) => ({
+    id: delivery._id,
+    subscriptionId: delivery.subscriptionId,
+    event: delivery.event,
+    eventId: delivery.eventId,
+    status: delivery.status,
+    attempts: delivery.attempts,
+    maxAttempts: delivery.maxAttempts,
+    nextAttemptAt: delivery.status === 'queued' ? delivery.nextAttemptAt : undefined,
+    deliveredAt: delivery.deliveredAt,
+    lastError: delivery.lastError,
+    log: delivery.log,
+    createdAt: delivery.createdAt
+});
+
+// @route   GET /api/webhooks
+// @desc    List webhook subscriptions and the available events
+// @access  Private (admin)
+router.get('/webhooks', protect, authorize(), async (req, res) => {
+    try {
+        const subscriptions = await WebhookSubscription.find().sort({ createdAt: -1 }).select('-__v');
+
+        res.json({
+            success: true,
+            data: {
+                subscriptions,
+                events: WebhookSubscription.EVENTS
+            }
+        });
+    } catch (error) {
+        logger.error('Webhook list error', { err: error });
+        res.status(500).json({
+            success: false,
+            message: 'Failed to fetch webhooks'
+        });
+    }
+});
+
+// @route   POST /api/webhooks
+// @desc    Subscribe a URL to events. The signing secret is only returned here and on rotation.
+// @access  Private (admin)
+router.post('/webhooks', protect, authorize(), validateCreate, async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        const { url, events, description } = req.body;
+        const secret = req.body.secret || generateSecret();
+
+        const subscription = await WebhookSubscription.create({
+            url,
+            events: [...new Set(events)],
+            description,
+            secret,
+            createdBy: req.admin.email
+        });
+
+        res.status(201).json({
+            success: true,
+            message: 'Webhook created',
+            data: {
+                ...subscription.toObject({ versionKey: false }),
+                secret
+            }
+        });
+    } catch (error) {
+        logger.error('Webhook create error', { err: error });
+        res.status(500).json({
+            success: false,
+            message: 'Failed to create webhook'
+        });
+    }
+});
+
+// @route   PUT /api/webhooks/:id
+// @desc    Change URL, events, description or active state, or rotate the secret
+// @access  Private (admin)
+router.put('/webhooks/:id', protect, authorize(), validateUpdate, async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        const subscription = await findSubscription(req.params.id);
+        if (!subscription) {
+            return notFound(res);
+        }
+
+        const { url, events, description, isActive, secret, rotateSecret } = req.body;
+
+        if (url !== undefined) subscription.url = url;
+        if (events !== undefined) subscription.events = [...new Set(events)];
+        if (description !== undefined) subscription.description = description;
+        if (isActive !== undefined) subscription.isActive = isActive;
+
+        const newSecret = secret || (rotateSecret ? generateSecret() : undefined);
+        if (newSecret) {
+            subscription.secret = newSecret;
+        }
+
+        await subscription.save();
+
+        if (subscription.isActive === false) {
+            await cancelPendingDeliveries(subscription._id);
+        }
+
+        res.json({
+            success: true,
+            message: 'Webhook updated',
+            data: {
+                ...subscription.toObject({ versionKey: false }),
+                secret: newSecret
+            }
+        });
+    } catch (error) {
+        logger.error('Webhook update error', { err: error });
+        res.status(500).json({
+            success: false,
+            message: 'Failed to update webhook'
+        });
+    }
+});
+
+// @route   DELETE /api/webhooks/:id
+// @desc    Remove a subscription; waiting deliveries are cancelled, the log is kept
+// @access  Private (admin)
+router.delete('/webhooks/:id', protect, authorize(), async (req, res) => {
+    try {
+        const subscription = await findSubscription(req.params.id);
+        if (!subscription) {
+            return notFound(res);
+        }
+
+        await cancelPendingDeliveries(subscription._id);
+        await subscription.deleteOne();
+
+        res.json({
+            success: true,
+            message: 'Webhook deleted'
+        });
+    } catch (error) {
+        logger.error('Webhook delete error', { err: error });
+        res.status(500).json({
+            success: false,
+            message: 'Failed to delete webhook'
+        });
+    }
+});
+
+// @route   POST /api/webhooks/:id/ping
+// @desc    Send a signed test event right away and return the result
+// @access  Private (admin)
+router.post('/webhooks/:id/ping', protect, authorize(), async (req, res) => {
+    try {
+        const subscription = await findSubscription(req.params.id);
+        if (!subscription) {
+            return notFound(res);
+        }
+
+        const delivery = await sendPing(subscription, req.admin.email);
+        const delivered = delivery.status === 'delivered';
+
+        res.json({
+            success: true,
+            message: delivered ? 'Ping delivered' : `Ping failed: ${delivery.lastError}`,
+            data: describeDelivery(delivery)
+        });
+    } catch (error) {
+        logger.error('Webhook ping error', { err: error });
+        res.status(500).json({
+            success: false,
+            message: 'Failed to send ping'
+        });
+    }
+});
+
+// @route   GET /api/webhooks/:id/deliveries
+// @desc    Delivery log of a subscription, newest first (?status, ?event)
+// @access  Private (admin)
+router.get('/webhooks/:id/deliveries', protect, authorize(), validateDeliveryList, async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        const subscription = await findSubscription(req.params.id);
+        if (!subscription) {
+            return notFound(res);
+        }
+
+        const page = parseInt(req.query.page) || 1;
+        const limit = Math.min(parseInt(req.query.limit) || 50, 200);
+        const skip = (page - 1) * limit;
+
+        const filter = { subscriptionId: subscription._id };
+        if (req.query.status) {
+            filter.status = req.query.status;
+        }
+        if (req.query.event) {
+            filter.event = req.query.event;
+        }
+
+        const [deliveries, total] = await Promise.all([
+            WebhookDelivery.find(filter).sort({ createdAt: -1 }).skip(skip).limit(limit).select('-payload'),
+            WebhookDelivery.countDocuments(filter)
+        ]);
+
+        res.json({
+            success: true,
+            data: {
+                deliveries: deliveries.map(describeDelivery),
+                pagination: {
+                    page,
+                    limit,
+                    total,
+                    pages: Math.ceil(total / limit)
+                }
+            }
+        });
+    } catch (error) {
+        logger.error('Webhook delivery log error', { err: error });
+        res.status(500).json({
+            success: false,
+            message: 'Failed to fetch webhook deliveries'
+        });
+    }
+});
+
+// @route   POST /api/webhooks/deliveries/:deliveryId/retry
+// @desc    Requeue a dead or cancelled delivery
+// @access  Private (admin)
+router.post('/webhooks/deliveries/:deliveryId/retry', protect, authorize(), async (req, res) => {
+    try {
+        const delivery = mongoose.Types.ObjectId.isValid(req.params.deliveryId)
+            ? await retryDelivery(req.params.deliveryId)
+            : null;
+
+        if (!delivery) {
+            return res.status(404).json({
+                success: false,
+                message: 'No dead or cancelled delivery with this id'
+            });
+        }
+
+        res.json({
+            success: true,
+            message: 'Delivery requeued',
+            data: describeDelivery(delivery)
+        });
+    } catch (error) {
+        logger.error('Webhook retry error', { err: error });
+        res.status(500).json({
+            success: false,
+            message: 'Failed to requeue delivery'
+        });
+    }
+});
+
+module.exports = router;
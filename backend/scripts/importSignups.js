@@ -0,0 +1,88 @@
+#!/usr/bin/env node
+
+/**
+ * BahnBlitz Signup Import Script
+ * Bulk-updates the status of signups listed in a CSV of tester emails
+ *
+ * Usage: node scripts/importSignups.js <file.csv> --status installed [--dry-run] [--column Email] [--note "..."]
+ */
+
+const fs = require('fs');
+const path = require('path');
+const mongoose = require('mongoose');
+require('dotenv').config({ path: path.join(__dirname, '../.env') });
+
+const { IMPORT_STATUSES, importStatusUpdates } = require('../src/services/signupTransferService');
+const { startWebhookDispatcher, flushWebhookEvents } = require('../src/services/webhookService');
+
+const parseArgs = (argv) => {
+    const args = { dryRun: false };
+
+    for (let i = 0; i < argv.length; i++) {
+        switch (argv[i]) {
+            case '--status':
+                args.status = argv[++i];
+                break;
+            case '--column':
+                args.emailColumn = argv[++i];
+                break;
+            case '--note':
+                args.note = argv[++i];
+                break;
+            case '--dry-run':
+                args.dryRun = true;
+                break;
+            default:
+                args.file = argv[i];
+        }
+    }
+
+    return args;
+};
+
+const run = async () => {
+    const args = parseArgs(process.argv.slice(2));
+
+    if (!args.file || !IMPORT_STATUSES.includes(args.status)) {
+        console.error('Usage: node scripts/importSignups.js <file.csv> --status <status> [--dry-run] [--column <header>] [--note <text>]');
+        console.error(`Status must be one of: ${IMPORT_STATUSES.join(', ')}`);
+        process.exit(1);
+    }
+
+    const csv = fs.readFileSync(args.file, 'utf8');
+
+    await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/bahnblitz-beta');
+    // Status changes are announced to webhook subscribers like changes made through the API
+    startWebhookDispatcher();
+
+    try {
+        const report = await importStatusUpdates(csv, { ...args, changedBy: 'import-cli' });
+
+        console.log(`${report.dryRun ? '🔍 Dry run: ' : ''}${report.totalRows} rows → ${args.status}`);
+        console.log(`✅ Updated:    ${report.summary.updated}`);
+        console.log(`➖ Unchanged:  ${report.summary.unchanged}`);
+        console.log(`⛔ Not allowed: ${report.summary.notAllowed}`);
+        console.log(`❓ Not found:  ${report.summary.notFound}`);
+        console.log(`⚠️  Invalid:    ${report.summary.invalid}`);
+        console.log(`🔁 Duplicates: ${report.summary.duplicates}`);
+
+        const problems = [
+            ...report.notFound.map(({ row, email }) => ({ row, value: email, reason: 'no signup with this email' })),
+            ...report.notAllowed.map(({ row, email, from }) => ({ row, value: email, reason: `cannot change from ${from}` })),
+            ...report.invalid,
+            ...report.duplicates.map(({ row, email }) => ({ row, value: email, reason: 'duplicate row' }))
+        ];
+
+        problems
+            .sort((a, b) => a.row - b.row)
+            .forEach(({ row, value, reason }) => console.log(`   row ${row}: ${value} (${reason})`));
+    } finally {
+        await flushWebhookEvents();
+        await mongoose.disconnect();
+    }
+};
+
+run().catch((error) => {
+    console.error('❌ Import failed:', error.message);
+    process.exit(1);
+});
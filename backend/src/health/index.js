@@ -0,0 +1,92 @@
+// Health checks: whether this instance can serve traffic (MongoDB reachable, email transport working)
+
+const mongoose = require('mongoose');
+const { verifyTransport } = require('../services/mailTransport');
+const { logger } = require('../logger');
+
+// A check that does not answer within this time counts as failed
+const CHECK_TIMEOUT_MS = parseInt(process.env.HEALTH_CHECK_TIMEOUT_MS) || 3000;
+
+const CONNECTION_STATES = ['disconnected', 'connected', 'connecting', 'disconnecting'];
+
+/**
+ * MongoDB: connected and answering a ping
+ */
+const checkMongo = async () => {
+    const state = mongoose.connection.readyState;
+    if (state !== 1) {
+        throw new Error(`MongoDB ${CONNECTION_STATES[state] || 'unavailable'}`);
+    }
+
+    await mongoose.connection.db.admin().ping();
+};
+
+/**
+ * Email: the configured transport accepts connections
+ */
+const checkEmail = async () => {
+    const result = await verifyTransport();
+    if (!result.ok) {
+        throw new Error(`Email transport ${result.transport}: ${result.error}`);
+    }
+};
+
+// Readiness checks by name. Only critical checks fail readiness: emails wait in
+// the outbox during an SMTP outage, so taking the instance out of rotation would not help.
+const checks = {
+    mongodb: { run: checkMongo, critical: true },
+    email: { run: checkEmail, critical: false }
+};
+
+/**
+ * Run one check with a timeout. The reason of a failure is logged, not returned,
+ * because the readiness endpoint is public.
+ * @param {string} name - Check name
+ * @param {Function} check - Async check, throws when unhealthy
+ * @returns {Object} { status: 'ok'|'fail', latencyMs }
+ */
+const runCheck = async (name, check) => {
+    const startedAt = Date.now();
+    let timer;
+
+    try {
+        await Promise.race([
+            check(),
+            new Promise((resolve, reject) => {
+                timer = setTimeout(() => reject(new Error(`Timed out after ${CHECK_TIMEOUT_MS}ms`)), CHECK_TIMEOUT_MS);
+            })
+        ]);
+        return { status: 'ok', latencyMs: Date.now() - startedAt };
+    } catch (error) {
+        logger.warn('Health check failed', { check: name, err: error });
+        return { status: 'fail', latencyMs: Date.now() - startedAt };
+    } finally {
+        clearTimeout(timer);
+    }
+};
+
+/**
+ * Run all readiness checks in parallel
+ * @returns {Object} { ready, degraded, checks: { name: { status, latencyMs } } }
+ */
+const checkReadiness = async () => {
+    const names = Object.keys(checks);
+    const results = await Promise.all(names.map((name) => runCheck(name, checks[name].run)));
+
+    const report = {};
+    names.forEach((name, index) => {
+        report[name] = results[index];
+    });
+
+    const failed = names.filter((name) => report[name].status !== 'ok');
+
+    return {
+        ready: failed.every((name) => !checks[name].critical),
+        degraded: failed.length > 0,
+        checks: report
+    };
+};
+
+module.exports = {
+    checkReadiness
+};
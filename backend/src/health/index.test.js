@@ -0,0 +1,68 @@
+const mongoose = require('mongoose');
+
+jest.mock('../services/mailTransport', () => ({
+    ...jest.requireActual('../services/mailTransport'),
+    verifyTransport: jest.fn()
+}));
+
+const { verifyTransport } = require('../services/mailTransport');
+const { logger } = require('../logger');
+const { checkReadiness } = require('./index');
+
+describe('health', () => {
+    let ping;
+
+    beforeEach(() => {
+        ping = jest.fn().mockResolvedValue({ ok: 1 });
+        // readyState cannot be spied on; the connection is never opened in tests
+        mongoose.connection.readyState = 1;
+        mongoose.connection.db = { admin: () => ({ ping }) };
+        verifyTransport.mockReset().mockResolvedValue({ ok: true, transport: 'smtp' });
+        jest.spyOn(logger, 'warn').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+        mongoose.connection.readyState = 0;
+        delete mongoose.connection.db;
+        jest.restoreAllMocks();
+    });
+
+    it('is ready when all checks pass', async () => {
+        const result = await checkReadiness();
+
+        expect(result.ready).toBe(true);
+        expect(result.degraded).toBe(false);
+        expect(result.checks.mongodb).toEqual({ status: 'ok', latencyMs: expect.any(Number) });
+        expect(result.checks.email).toEqual({ status: 'ok', latencyMs: expect.any(Number) });
+    });
+
+    it('is not ready while MongoDB is disconnected', async () => {
+        mongoose.connection.readyState = 0;
+
+        const result = await checkReadiness();
+
+        expect(result.ready).toBe(false);
+        expect(result.checks.mongodb.status).toBe('fail');
+        expect(ping).not.toHaveBeenCalled();
+    });
+
+    it('stays ready but degraded during an SMTP outage', async () => {
+        verifyTransport.mockResolvedValue({ ok: false, transport: 'smtp', error: 'Invalid login: 535 smtp.example.com' });
+
+        const result = await checkReadiness();
+
+        expect(result.ready).toBe(true);
+        expect(result.degraded).toBe(true);
+        expect(result.checks.email.status).toBe('fail');
+    });
+
+    it('logs the failure reason instead of returning it', async () => {
+        ping.mockRejectedValue(new Error('connect ECONNREFUSED 10.0.0.5:27017'));
+
+        const result = await checkReadiness();
+
+        expect(JSON.stringify(result)).not.toContain('ECONNREFUSED');
+        expect(result.checks.mongodb).toEqual({ status: 'fail', latencyMs: expect.any(Number) });
+        expect(logger.warn).toHaveBeenCalledWith('Health check failed', expect.objectContaining({ check: 'mongodb' }));
+    });
+});
@@ -0,0 +1,112 @@
+// IP address helpers: anonymising client addresses before they are stored or logged,
+// recognising addresses outside the public internet
+
+const net = require('net');
+
+/**
+ * Expand an IPv6 address to its eight 16-bit groups
+ * @param {string} address - IPv6 address, compressed or not, with or without a trailing IPv4 part
+ * @returns {number[]} Groups
+ */
+const expandIpv6 = (address) => {
+    // A trailing dotted IPv4 part (e.g. ::ffff:192.0.2.1) holds the last two groups
+    const ipv4 = address.match(/(\d+)\.(\d+)\.(\d+)\.(\d+)$/);
+    let hex = address;
+    if (ipv4) {
+        const [a, b, c, d] = ipv4.slice(1).map(Number);
+        hex = `${address.slice(0, ipv4.index)}${((a << 8) | b).toString(16)}:${((c << 8) | d).toString(16)}`;
+    }
+
+    const [head, tail] = hex.split('::');
+    const headGroups = head ? head.split(':') : [];
+    const tailGroups = tail ? tail.split(':') : [];
+    const zeros = tail === undefined ? [] : new Array(8 - headGroups.length - tailGroups.length).fill('0');
+
+    return [...headGroups, ...zeros, ...tailGroups].map((group) => parseInt(group, 16));
+};
+
+/**
+ * Anonymise an IP address by dropping its host part: the last octet for IPv4
+ * (and IPv4-mapped IPv6), everything after the /48 prefix for IPv6
+ * @param {string} ip - IP address, e.g. req.ip
+ * @returns {string|undefined} Network address, undefined if ip is missing or not an address
+ */
+const anonymiseIp = (ip) => {
+    // Zone ids (fe80::1%eth0) name the local interface, not part of the address
+    const address = String(ip || '').split('%')[0];
+
+    if (net.isIPv4(address)) {
+        return address.split('.').slice(0, 3).concat('0').join('.');
+    }
+    if (!net.isIPv6(address)) {
+        return undefined;
+    }
+
+    const groups = expandIpv6(address);
+
+    // ::ffff:0:0/96 carries an IPv4 address
+    if (groups.slice(0, 5).every((group) => group === 0) && groups[5] === 0xffff) {
+        return [groups[6] >> 8, groups[6] & 0xff, groups[7] >> 8, 0].join('.');
+    }
+
+    return `${groups.slice(0, 3).map((group) => group.toString(16)).join(':')}::`;
+};
+
+// IPv4 ranges that are not reachable on the public internet: [network, prefix length]
+const NON_PUBLIC_IPV4_RANGES = [
+    ['0.0.0.0', 8], // "this" network
+    ['10.0.0.0', 8], // RFC 1918
+    ['100.64.0.0', 10], // carrier-grade NAT
+    ['127.0.0.0', 8], // loopback
+    ['169.254.0.0', 16], // link-local, incl. cloud metadata at 169.254.169.254
+    ['172.16.0.0', 12], // RFC 1918
+    ['192.0.0.0', 24], // IETF protocol assignments
+    ['192.168.0.0', 16], // RFC 1918
+    ['198.18.0.0', 15], // benchmarking
+    ['224.0.0.0', 3] // multicast, reserved and broadcast
+];
+
+/**
+ * Check if an IPv4 address lies in a range
+ * @param {string} address - Dotted IPv4 address
+ * @param {Array} range - [network, prefix length]
+ * @returns {boolean} True if inside the range
+ */
+const inIpv4Range = (address, [network, bits]) => {
+    const toNumber = (ip) => ip.split('.').reduce((number, octet) => number * 256 + Number(octet), 0);
+    const size = 2 ** (32 - bits);
+    return Math.floor(toNumber(address) / size) === Math.floor(toNumber(network) / size);
+};
+
+/**
+ * Check if an address is loopback, private, link-local or otherwise not public
+ * (IPv4-mapped IPv6 addresses are checked as IPv4)
+ * @param {string} ip - IP address
+ * @returns {boolean} True for non-public addresses and for anything that is not an address
+ */
+const isNonPublicAddress = (ip) => {
+    const address = String(ip || '').split('%')[0];
+
+    if (net.isIPv4(address)) {
+        return NON_PUBLIC_IPV4_RANGES.some((range) => inIpv4Range(address, range));
+    }
+    if (!net.isIPv6(address)) {
+        return true;
+    }
+
+    const groups = expandIpv6(address);
+
+    if (groups.slice(0, 5).every((group) => group === 0) && groups[5] === 0xffff) {
+        return isNonPublicAddress([groups[6] >> 8, groups[6] & 0xff, groups[7] >> 8, groups[7] & 0xff].join('.'));
+    }
+
+    return groups.slice(0, 7).every((group) => group === 0) || // :: and ::1
+        (groups[0] & 0xffc0) === 0xfe80 || // link-local fe80::/10
+        (groups[0] & 0xfe00) === 0xfc00 || // unique local fc00::/7
+        (groups[0] & 0xff00) === 0xff00; // multicast ff00::/8
+};
+
+module.exports = {
+    anonymiseIp,
+    isNonPublicAddress
+};
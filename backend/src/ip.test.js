@@ -0,0 +1,58 @@
+const net = require('net');
+const { anonymiseIp, isNonPublicAddress } = require('./ip');
+
+describe('anonymiseIp', () => {
+    it('drops the last octet of IPv4 addresses', () => {
+        expect(anonymiseIp('203.0.113.42')).toBe('203.0.113.0');
+        expect(anonymiseIp('10.0.0.1')).toBe('10.0.0.0');
+    });
+
+    it('keeps the /48 prefix of full IPv6 addresses', () => {
+        expect(anonymiseIp('2001:0db8:85a3:08d3:1319:8a2e:0370:7344')).toBe('2001:db8:85a3::');
+    });
+
+    it('expands compressed IPv6 addresses before masking', () => {
+        expect(anonymiseIp('2001:db8::1')).toBe('2001:db8:0::');
+        expect(anonymiseIp('2001:db8:1:2::')).toBe('2001:db8:1::');
+        expect(anonymiseIp('::1')).toBe('0:0:0::');
+        expect(anonymiseIp('::')).toBe('0:0:0::');
+        expect(anonymiseIp('fe80::1%eth0')).toBe('fe80:0:0::');
+    });
+
+    it('treats IPv4-mapped IPv6 addresses as IPv4', () => {
+        expect(anonymiseIp('::ffff:203.0.113.42')).toBe('203.0.113.0');
+        expect(anonymiseIp('::ffff:cb00:712a')).toBe('203.0.113.0');
+        expect(anonymiseIp('0:0:0:0:0:ffff:203.0.113.42')).toBe('203.0.113.0');
+    });
+
+    it('masks IPv4 parts of other IPv6 addresses as IPv6', () => {
+        expect(anonymiseIp('64:ff9b::203.0.113.42')).toBe('64:ff9b:0::');
+    });
+
+    it('returns valid addresses only', () => {
+        ['203.0.113.42', '2001:db8::1', '::1', '2001:db8:85a3:8d3:1319:8a2e:370:7344'].forEach((ip) => {
+            expect(net.isIP(anonymiseIp(ip))).not.toBe(0);
+        });
+    });
+
+    it('returns undefined for missing or invalid addresses', () => {
+        expect(anonymiseIp(undefined)).toBeUndefined();
+        expect(anonymiseIp('')).toBeUndefined();
+        expect(anonymiseIp('not-an-ip')).toBeUndefined();
+        expect(anonymiseIp('2001:db8:::1')).toBeUndefined();
+    });
+});
+
+describe('isNonPublicAddress', () => {
+    it.each([
+        '127.0.0.1', '10.1.2.3', '172.16.0.1', '172.31.255.255', '192.168.1.1', '169.254.169.254',
+        '100.64.0.1', '0.0.0.0', '255.255.255.255', '::1', '::', 'fe80::1%eth0', 'fd12:3456::1',
+        '::ffff:127.0.0.1', '::ffff:a9fe:a9fe', 'not-an-ip'
+    ])('treats %s as not public', (ip) => {
+        expect(isNonPublicAddress(ip)).toBe(true);
+    });
+
+    it.each(['93.184.216.34', '172.32.0.1', '100.128.0.1', '2606:4700::1111', '::ffff:8.8.8.8'])('treats %s as public', (ip) => {
+        expect(isNonPublicAddress(ip)).toBe(false);
+    });
+});
@@ -0,0 +1,172 @@
+// Structured logger: one JSON line per entry with level, request id and personal data redacted
+
+const crypto = require('crypto');
+const { AsyncLocalStorage } = require('async_hooks');
+const { anonymiseIp } = require('./ip');
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+// Cloud Logging reads the level from the severity field
+const SEVERITIES = { debug: 'DEBUG', info: 'INFO', warn: 'WARNING', error: 'ERROR' };
+
+// Request id of the request being handled, set by the requestId middleware
+const requestContext = new AsyncLocalStorage();
+
+const REDACTED = '[redacted]';
+const MAX_DEPTH = 6;
+
+// Fields that are never logged
+const SECRET_KEY_PATTERN = /password|secret|token|authorization|cookie|api[-_]?key/i;
+// Fields holding an IP address
+const IP_KEYS = ['ip', 'ipAddress', 'remoteAddress', 'clientIp'];
+// Fields that look like email addresses but identify messages, not people
+const MESSAGE_ID_KEYS = ['messageId', 'emailId'];
+
+const EMAIL_PATTERN = /[A-Za-z0-9.!#$%&'*+/=?^_`{|}~-]+@[A-Za-z0-9-]+(\.[A-Za-z0-9-]+)+/g;
+const IPV4_PATTERN = /\b(\d{1,3}\.\d{1,3}\.\d{1,3})\.\d{1,3}\b/g;
+
+/**
+ * Replace an email address by a short hash, the same prefix as emailHash in the database
+ * @param {string} email - Email address
+ * @returns {string} e.g. "[email:3fa2c1d0e4b5]"
+ */
+const maskEmail = (email) => {
+    const hash = crypto.createHash('sha256').update(email.trim().toLowerCase()).digest('hex');
+    return `[email:${hash.slice(0, 12)}]`;
+};
+
+/**
+ * Drop the host part of an IP address (/24 for IPv4, /48 for IPv6)
+ * @param {string} ip - IP address
+ * @returns {string} Subnet address, [redacted] for values that are no address
+ */
+const maskIp = (ip) => anonymiseIp(ip) || REDACTED;
+
+/**
+ * Mask email addresses and IPv4 addresses inside free text
+ * @param {string} text - Text, e.g. an error message
+ * @returns {string} Redacted text
+ */
+const redactText = (text) => text
+    .replace(EMAIL_PATTERN, maskEmail)
+    .replace(IPV4_PATTERN, '$1.0');
+
+/**
+ * Turn an error into plain fields
+ * @param {Error} error - Error
+ * @returns {Object} { name, message, code, stack }
+ */
+const serializeError = (error) => ({
+    name: error.name,
+    message: error.message,
+    code: error.code,
+    statusCode: error.statusCode,
+    stack: error.stack
+});
+
+/**
+ * Copy a value with secrets removed and personal data masked
+ * @param {*} value - Value to log
+ * @param {string} [key] - Field name the value is stored under
+ * @param {number} [depth] - Nesting depth, deeper values are cut off
+ * @returns {*} Redacted copy
+ */
+const redact = (value, key = '', depth = 0) => {
+    if (value === null || value === undefined) {
+        return value;
+    }
+    if (SECRET_KEY_PATTERN.test(key)) {
+        return REDACTED;
+    }
+    if (IP_KEYS.includes(key)) {
+        return maskIp(value);
+    }
+    if (typeof value === 'string') {
+        return MESSAGE_ID_KEYS.includes(key) ? value : redactText(value);
+    }
+    if (typeof value !== 'object') {
+        return value;
+    }
+    if (depth >= MAX_DEPTH) {
+        return '[truncated]';
+    }
+    if (value instanceof Error) {
+        return redact(serializeError(value), key, depth + 1);
+    }
+    if (value instanceof Date) {
+        return value.toISOString();
+    }
+    if (Array.isArray(value)) {
+        return value.map((item) => redact(item, key, depth + 1));
+    }
+    // ObjectIds, Mongoose documents and other objects with their own JSON form
+    if (typeof value.toJSON === 'function') {
+        return redact(value.toJSON(), key, depth + 1);
+    }
+
+    const copy = {};
+    Object.entries(value).forEach(([field, fieldValue]) => {
+        copy[field] = redact(fieldValue, field, depth + 1);
+    });
+    return copy;
+};
+
+/**
+ * Format an entry as one line
+ * @param {Object} entry - Redacted entry
+ * @returns {string} JSON, or "time LEVEL [requestId] message {fields}" with LOG_FORMAT=pretty
+ */
+const formatEntry = (entry) => {
+    if (process.env.LOG_FORMAT !== 'pretty') {
+        return JSON.stringify(entry);
+    }
+
+    const { time, level, severity, message, requestId, ...fields } = entry;
+    const context = requestId ? ` [${requestId}]` : '';
+    const details = Object.keys(fields).length ? ` ${JSON.stringify(fields)}` : '';
+    return `${time} ${level.toUpperCase()}${context} ${message}${details}`;
+};
+
+/**
+ * Create a logger
+ * @param {Object} [bindings] - Fields added to every entry, e.g. { module: 'scheduler' }
+ * @returns {Object} Logger with debug, info, warn, error(message, fields) and child(bindings)
+ */
+const createLogger = (bindings = {}) => {
+    const write = (level, message, fields = {}) => {
+        const minLevel = LEVELS[process.env.LOG_LEVEL] || LEVELS.info;
+        if (LEVELS[level] < minLevel) {
+            return;
+        }
+
+        const context = requestContext.getStore();
+        const entry = redact({
+            time: new Date().toISOString(),
+            level,
+            severity: SEVERITIES[level],
+            message,
+            requestId: context ? context.requestId : undefined,
+            ...bindings,
+            ...fields
+        });
+
+        const stream = LEVELS[level] >= LEVELS.warn ? process.stderr : process.stdout;
+        stream.write(`${formatEntry(entry)}\n`);
+    };
+
+    return {
+        debug: (message, fields) => write('debug', message, fields),
+        info: (message, fields) => write('info', message, fields),
+        warn: (message, fields) => write('warn', message, fields),
+        error: (message, fields) => write('error', message, fields),
+        child: (childBindings) => createLogger({ ...bindings, ...childBindings })
+    };
+};
+
+const logger = createLogger();
+
+module.exports = {
+    logger,
+    createLogger,
+    requestContext,
+    redact
+};
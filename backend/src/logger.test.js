@@ -0,0 +1,124 @@
+const crypto = require('crypto');
+const { createLogger, requestContext, redact } = require('./logger');
+
+const hashOf = (email) => crypto.createHash('sha256').update(email).digest('hex').slice(0, 12);
+
+/**
+ * Capture the lines written to stdout and stderr
+ */
+const captureOutput = () => {
+    const lines = { stdout: [], stderr: [] };
+    ['stdout', 'stderr'].forEach((name) => {
+        jest.spyOn(process[name], 'write').mockImplementation((chunk) => lines[name].push(String(chunk)));
+    });
+    return lines;
+};
+
+describe('logger', () => {
+    const logLevel = process.env.LOG_LEVEL;
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+        process.env.LOG_LEVEL = logLevel;
+        delete process.env.LOG_FORMAT;
+    });
+
+    describe('redact', () => {
+        it('removes secrets by field name at any depth', () => {
+            expect(redact({
+                password: 'hunter2',
+                headers: { Authorization: 'Bearer abc', 'x-api-key': 'k' },
+                webhook: { secret: 'whsec_1' },
+                refreshToken: 'r'
+            })).toEqual({
+                password: '[redacted]',
+                headers: { Authorization: '[redacted]', 'x-api-key': '[redacted]' },
+                webhook: { secret: '[redacted]' },
+                refreshToken: '[redacted]'
+            });
+        });
+
+        it('masks email addresses with a stable hash, also inside messages', () => {
+            const masked = `[email:${hashOf('jane@example.com')}]`;
+
+            expect(redact({ email: 'Jane@Example.com', note: 'Bounce for jane@example.com' })).toEqual({
+                email: masked,
+                note: `Bounce for ${masked}`
+            });
+        });
+
+        it('keeps message ids that look like addresses', () => {
+            expect(redact({ messageId: '<abc@mail.example.com>', emailId: 'x@y.z' })).toEqual({
+                messageId: '<abc@mail.example.com>',
+                emailId: 'x@y.z'
+            });
+        });
+
+        it('drops the host part of IP addresses', () => {
+            expect(redact({ ip: '203.0.113.42', ipAddress: '2001:db8:1234:5678::1', clientIp: 'unknown', note: 'from 198.51.100.7' })).toEqual({
+                ip: '203.0.113.0',
+                ipAddress: '2001:db8:1234::',
+                clientIp: '[redacted]',
+                note: 'from 198.51.100.0'
+            });
+        });
+
+        it('serialises errors, dates and documents', () => {
+            const error = Object.assign(new Error('Send to jane@example.com failed'), { code: 'EENVELOPE' });
+            const result = redact({ err: error, at: new Date('2025-03-01T10:00:00Z'), doc: { toJSON: () => ({ token: 't' }) } });
+
+            expect(result.err).toMatchObject({ name: 'Error', code: 'EENVELOPE', message: expect.not.stringContaining('jane@example.com') });
+            expect(result.at).toBe('2025-03-01T10:00:00.000Z');
+            expect(result.doc).toEqual({ token: '[redacted]' });
+        });
+
+        it('cuts off deeply nested values', () => {
+            const nested = { a: { b: { c: { d: { e: { f: { g: 1 } } } } } } };
+
+            expect(JSON.stringify(redact(nested))).toContain('[truncated]');
+        });
+    });
+
+    it('writes one JSON line with severity, request id and bindings', () => {
+        process.env.LOG_LEVEL = 'debug';
+        const lines = captureOutput();
+
+        requestContext.run({ requestId: 'req-1' }, () => {
+            createLogger({ module: 'scheduler' }).child({ job: 'reminders' }).info('Job finished', { sent: 3 });
+        });
+
+        expect(JSON.parse(lines.stdout[0])).toEqual({
+            time: expect.any(String),
+            level: 'info',
+            severity: 'INFO',
+            message: 'Job finished',
+            requestId: 'req-1',
+            module: 'scheduler',
+            job: 'reminders',
+            sent: 3
+        });
+    });
+
+    it('writes warnings and errors to stderr and skips levels below LOG_LEVEL', () => {
+        process.env.LOG_LEVEL = 'warn';
+        const lines = captureOutput();
+        const logger = createLogger();
+
+        logger.info('Ignored');
+        logger.warn('Slow query');
+        logger.error('Failed');
+
+        expect(lines.stdout).toEqual([]);
+        expect(lines.stderr.map((line) => JSON.parse(line).severity)).toEqual(['WARNING', 'ERROR']);
+    });
+
+    it('writes readable lines with LOG_FORMAT=pretty', () => {
+        process.env.LOG_LEVEL = 'info';
+        process.env.LOG_FORMAT = 'pretty';
+        const lines = captureOutput();
+
+        requestContext.run({ requestId: 'req-2' }, () => createLogger().info('Started', { port: 5000 }));
+
+        expect(lines.stdout[0]).toMatch(/^\S+ INFO \[req-2\] Started \{"port":5000\}\n$/);
+    });
+});
@@ -0,0 +1,131 @@
+// Application metrics for Prometheus: HTTP traffic, signups, invites, emails, rate limits and MongoDB
+
+const mongoose = require('mongoose');
+const BetaSignup = require('../../models/BetaSignup');
+const { createCounter, createGauge, createHistogram } = require('./registry');
+
+const httpRequests = createCounter({
+    name: 'http_requests_total',
+    help: 'HTTP requests by method, route and status',
+    labelNames: ['method', 'route', 'status']
+});
+
+const httpRequestDuration = createHistogram({
+    name: 'http_request_duration_seconds',
+    help: 'HTTP request latency in seconds by method, route and status',
+    labelNames: ['method', 'route', 'status'],
+    buckets: [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10]
+});
+
+const signupsCreated = createCounter({
+    name: 'bahnblitz_signups_created_total',
+    help: 'Beta signups created by source and device',
+    labelNames: ['source', 'device']
+});
+
+const invitesSent = createCounter({
+    name: 'bahnblitz_invites_sent_total',
+    help: 'TestFlight invites sent, re-invites included'
+});
+
+const emailSends = createCounter({
+    name: 'bahnblitz_email_sends_total',
+    help: 'Email send attempts by template type and result (sent, failed, suppressed)',
+    labelNames: ['type', 'result']
+});
+
+const rateLimitRejections = createCounter({
+    name: 'bahnblitz_rate_limit_rejections_total',
+    help: 'Requests rejected by the rate limiter by policy',
+    labelNames: ['policy']
+});
+
+// mongoose readyState: 0 disconnected, 1 connected, 2 connecting, 3 disconnecting
+createGauge({
+    name: 'bahnblitz_mongodb_connection_state',
+    help: 'MongoDB connection state (0 disconnected, 1 connected, 2 connecting, 3 disconnecting)',
+    collect: (gauge) => gauge.set({}, mongoose.connection.readyState)
+});
+
+createGauge({
+    name: 'process_resident_memory_bytes',
+    help: 'Resident memory size in bytes',
+    collect: (gauge) => gauge.set({}, process.memoryUsage().rss)
+});
+
+createGauge({
+    name: 'process_uptime_seconds',
+    help: 'Process uptime in seconds',
+    collect: (gauge) => gauge.set({}, Math.round(process.uptime()))
+});
+
+/**
+ * Route label of a request: the route pattern, so ids and tokens do not create new series
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @returns {string} e.g. "/api/beta-signup/:id", "unmatched" for unknown URLs
+ */
+const getRouteLabel = (req, res) => {
+    if (req.route) {
+        return `${req.baseUrl}${req.route.path}`;
+    }
+    // Static files are labelled by their mount path, 404s share one label
+    return res.statusCode !== 404 && req.baseUrl ? req.baseUrl : 'unmatched';
+};
+
+/**
+ * Count requests and measure their latency
+ */
+const measureRequests = (req, res, next) => {
+    const startedAt = process.hrtime.bigint();
+
+    res.on('finish', () => {
+        const labels = { method: req.method, route: getRouteLabel(req, res), status: res.statusCode };
+        httpRequests.inc(labels);
+        httpRequestDuration.observe(labels, Number(process.hrtime.bigint() - startedAt) / 1e9);
+    });
+
+    next();
+};
+
+/**
+ * Record the outcome of one email send attempt
+ * @param {string} type - Template type (confirmation, welcome, invite, reminder, update)
+ * @param {string} result - sent, failed or suppressed
+ */
+const recordEmailSend = (type, result) => emailSends.inc({ type, result });
+
+/**
+ * Record a request rejected by a rate limit policy
+ * @param {string} policy - Policy name
+ */
+const recordRateLimitRejection = (policy) => rateLimitRejections.inc({ policy });
+
+let collecting = false;
+
+/**
+ * Count signups and invites from signup lifecycle events
+ */
+const startMetricsCollection = () => {
+    if (collecting) {
+        return;
+    }
+    collecting = true;
+
+    BetaSignup.lifecycleEvents.on('created', (signup) => {
+        signupsCreated.inc({ source: signup.source, device: signup.device });
+    });
+
+    BetaSignup.lifecycleEvents.on('transition', (signup, transition) => {
+        if (transition.to === 'invited') {
+            invitesSent.inc();
+        }
+    });
+};
+
+module.exports = {
+    measureRequests,
+    recordEmailSend,
+    recordRateLimitRejection,
+    startMetricsCollection
+};
@@ -0,0 +1,51 @@
+const express = require('express');
+const request = require('supertest');
+const BetaSignup = require('../../models/BetaSignup');
+const { measureRequests, recordEmailSend, recordRateLimitRejection, startMetricsCollection } = require('.');
+const { renderMetrics } = require('./registry');
+
+const lineOf = (series) => renderMetrics().split('\n').find((line) => line.startsWith(`${series} `));
+
+describe('metrics', () => {
+    it('labels requests by route pattern, not by URL', async () => {
+        const app = express();
+        app.use(measureRequests);
+        app.get('/api/beta-signup/:id', (req, res) => res.json({}));
+
+        await request(app).get('/api/beta-signup/64b7f0a1c2d3e4f5a6b7c8d9');
+        await request(app).get('/api/beta-signup/74b7f0a1c2d3e4f5a6b7c8d9');
+        await request(app).get('/api/unknown/token-123');
+
+        expect(lineOf('http_requests_total{method="GET",route="/api/beta-signup/:id",status="200"}')).toMatch(/ 2$/);
+        expect(lineOf('http_requests_total{method="GET",route="unmatched",status="404"}')).toMatch(/ 1$/);
+        expect(renderMetrics()).not.toContain('token-123');
+        expect(lineOf('http_request_duration_seconds_count{method="GET",route="/api/beta-signup/:id",status="200"}')).toMatch(/ 2$/);
+    });
+
+    it('counts signups and invites from lifecycle events', () => {
+        startMetricsCollection();
+        startMetricsCollection();
+        const signup = new BetaSignup({ email: 'tester@example.com', name: 'Tester', device: 'ipad', source: 'social', status: 'approved' });
+
+        BetaSignup.lifecycleEvents.emit('created', signup);
+        BetaSignup.lifecycleEvents.emit('transition', signup, { from: 'approved', to: 'invited' });
+        BetaSignup.lifecycleEvents.emit('transition', signup, { from: 'invited', to: 'installed' });
+
+        expect(lineOf('bahnblitz_signups_created_total{source="social",device="ipad"}')).toMatch(/ 1$/);
+        expect(lineOf('bahnblitz_invites_sent_total')).toMatch(/ 1$/);
+    });
+
+    it('counts email sends and rate limit rejections', () => {
+        recordEmailSend('invite', 'sent');
+        recordEmailSend('invite', 'failed');
+        recordRateLimitRejection('signup');
+
+        expect(lineOf('bahnblitz_email_sends_total{type="invite",result="sent"}')).toMatch(/ 1$/);
+        expect(lineOf('bahnblitz_email_sends_total{type="invite",result="failed"}')).toMatch(/ 1$/);
+        expect(lineOf('bahnblitz_rate_limit_rejections_total{policy="signup"}')).toMatch(/ 1$/);
+    });
+
+    it('reports the MongoDB connection state', () => {
+        expect(lineOf('bahnblitz_mongodb_connection_state')).toBe('bahnblitz_mongodb_connection_state 0');
+    });
+});
@@ -0,0 +1,176 @@
+// Metrics registry: counters, gauges and histograms rendered in the Prometheus text format
+
+const metrics = new Map();
+
+/**
+ * Escape a label value for the text format
+ * @param {string} value - Label value
+ * @returns {string} Escaped value
+ */
+const escapeLabel = (value) => String(value)
+    .replace(/\\/g, '\\\\')
+    .replace(/\n/g, '\\n')
+    .replace(/"/g, '\\"');
+
+/**
+ * Format labels as {name="value",...}
+ * @param {Object} labels - Label values by name
+ * @returns {string} Label set, empty without labels
+ */
+const formatLabels = (labels) => {
+    const entries = Object.entries(labels);
+    if (!entries.length) {
+        return '';
+    }
+    return `{${entries.map(([name, value]) => `${name}="${escapeLabel(value)}"`).join(',')}}`;
+};
+
+/**
+ * Keep only the declared labels, missing ones as empty strings
+ * @param {string[]} labelNames - Declared label names
+ * @param {Object} [labels] - Given label values
+ * @returns {Object} Label values in declaration order
+ */
+const pickLabels = (labelNames, labels = {}) => {
+    const picked = {};
+    labelNames.forEach((name) => {
+        picked[name] = labels[name] === undefined || labels[name] === null ? '' : String(labels[name]);
+    });
+    return picked;
+};
+
+/**
+ * Add a metric to the registry
+ * @param {Object} metric - { name, help, type, collect }
+ * @returns {Object} The metric
+ */
+const register = (metric) => {
+    if (metrics.has(metric.name)) {
+        throw new Error(`Metric already registered: ${metric.name}`);
+    }
+    metrics.set(metric.name, metric);
+    return metric;
+};
+
+/**
+ * Get the time series of a metric for a label set, creating it on first use
+ * @param {Map} series - Series of the metric
+ * @param {string[]} labelNames - Declared label names
+ * @param {Object} labels - Given label values
+ * @param {Function} create - Returns the initial series state
+ * @returns {Object} Series { labels, ... }
+ */
+const getSeries = (series, labelNames, labels, create) => {
+    const picked = pickLabels(labelNames, labels);
+    const key = JSON.stringify(picked);
+
+    if (!series.has(key)) {
+        series.set(key, { labels: picked, ...create() });
+    }
+    return series.get(key);
+};
+
+/**
+ * Create a counter (only goes up)
+ * @param {Object} options - { name, help, labelNames }
+ * @returns {Object} Counter with inc(labels, value)
+ */
+const createCounter = ({ name, help, labelNames = [] }) => {
+    const series = new Map();
+
+    return register({
+        name,
+        help,
+        type: 'counter',
+        inc(labels, value = 1) {
+            getSeries(series, labelNames, labels, () => ({ value: 0 })).value += value;
+        },
+        collect: () => [...series.values()].map(({ labels, value }) => `${name}${formatLabels(labels)} ${value}`)
+    });
+};
+
+/**
+ * Create a gauge (current value)
+ * @param {Object} options - { name, help, labelNames, collect }; collect(gauge) runs before
+ *   every scrape to set values that are read rather than counted, e.g. connection state
+ * @returns {Object} Gauge with set(labels, value)
+ */
+const createGauge = ({ name, help, labelNames = [], collect }) => {
+    const series = new Map();
+
+    const gauge = register({
+        name,
+        help,
+        type: 'gauge',
+        set(labels, value) {
+            getSeries(series, labelNames, labels, () => ({ value: 0 })).value = value;
+        },
+        collect: () => {
+            if (collect) {
+                collect(gauge);
+            }
+            return [...series.values()].map(({ labels, value }) => `${name}${formatLabels(labels)} ${value}`);
+        }
+    });
+
+    return gauge;
+};
+
+/**
+ * Create a histogram
+ * @param {Object} options - { name, help, labelNames, buckets } with ascending upper bounds
+ * @returns {Object} Histogram with observe(labels, value)
+ */
+const createHistogram = ({ name, help, labelNames = [], buckets }) => {
+    const series = new Map();
+
+    return register({
+        name,
+        help,
+        type: 'histogram',
+        observe(labels, value) {
+            const entry = getSeries(series, labelNames, labels, () => ({
+                counts: buckets.map(() => 0),
+                sum: 0,
+                count: 0
+            }));
+
+            // Buckets are cumulative: a value counts for every bound it does not exceed
+            buckets.forEach((bound, index) => {
+                if (value <= bound) {
+                    entry.counts[index]++;
+                }
+            });
+            entry.sum += value;
+            entry.count++;
+        },
+        collect: () => [...series.values()].flatMap(({ labels, counts, sum, count }) => [
+            ...buckets.map((bound, index) => `${name}_bucket${formatLabels({ ...labels, le: bound })} ${counts[index]}`),
+            `${name}_bucket${formatLabels({ ...labels, le: '+Inf' })} ${count}`,
+            `${name}_sum${formatLabels(labels)} ${sum}`,
+            `${name}_count${formatLabels(labels)} ${count}`
+        ])
+    });
+};
+
+/**
+ * Render all metrics
+ * @returns {string} Prometheus text exposition format (version 0.0.4)
+ */
+const renderMetrics = () => {
+    const blocks = [...metrics.values()].map((metric) => [
+        `# HELP ${metric.name} ${metric.help}`,
+        `# TYPE ${metric.name} ${metric.type}`,
+        ...metric.collect()
+    ].join('\n'));
+
+    return `${blocks.join('\n')}\n`;
+};
+
+module.exports = {
+    CONTENT_TYPE: 'text/plain; version=0.0.4; charset=utf-8',
+    createCounter,
+    createGauge,
+    createHistogram,
+    renderMetrics
+};
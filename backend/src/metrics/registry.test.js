@@ -0,0 +1,59 @@
+const { createCounter, createGauge, createHistogram, renderMetrics } = require('./registry');
+
+// Lines of one metric in the rendered output
+const linesOf = (name) => renderMetrics().split('\n').filter((line) => line.startsWith(name));
+
+describe('metrics registry', () => {
+    it('renders help, type and one line per label set', () => {
+        const counter = createCounter({ name: 'test_jobs_total', help: 'Jobs run', labelNames: ['job', 'result'] });
+
+        counter.inc({ job: 'reminders', result: 'ok' });
+        counter.inc({ result: 'ok', job: 'reminders' }, 2);
+        counter.inc({ job: 'expiry', result: 'failed', extra: 'ignored' });
+
+        const output = renderMetrics();
+        expect(output).toContain('# HELP test_jobs_total Jobs run\n# TYPE test_jobs_total counter\n');
+        expect(linesOf('test_jobs_total')).toEqual([
+            'test_jobs_total{job="reminders",result="ok"} 3',
+            'test_jobs_total{job="expiry",result="failed"} 1'
+        ]);
+        expect(output.endsWith('\n')).toBe(true);
+    });
+
+    it('escapes label values and fills in missing ones', () => {
+        const counter = createCounter({ name: 'test_labels_total', help: 'Labels', labelNames: ['path', 'status'] });
+
+        counter.inc({ path: 'a "quoted"\\path\nnext' });
+
+        expect(linesOf('test_labels_total')).toEqual(['test_labels_total{path="a \\"quoted\\"\\\\path\\nnext",status=""} 1']);
+    });
+
+    it('reads gauge values on every scrape', () => {
+        let queued = 4;
+        createGauge({ name: 'test_queue_size', help: 'Queued items', collect: (gauge) => gauge.set({}, queued) });
+
+        expect(linesOf('test_queue_size')).toEqual(['test_queue_size 4']);
+        queued = 7;
+        expect(linesOf('test_queue_size')).toEqual(['test_queue_size 7']);
+    });
+
+    it('renders cumulative histogram buckets with sum and count', () => {
+        const histogram = createHistogram({ name: 'test_duration_seconds', help: 'Durations', labelNames: ['route'], buckets: [0.1, 1] });
+
+        [0.05, 0.1, 0.5, 3].forEach((value) => histogram.observe({ route: '/api' }, value));
+
+        expect(linesOf('test_duration_seconds')).toEqual([
+            'test_duration_seconds_bucket{route="/api",le="0.1"} 2',
+            'test_duration_seconds_bucket{route="/api",le="1"} 3',
+            'test_duration_seconds_bucket{route="/api",le="+Inf"} 4',
+            'test_duration_seconds_sum{route="/api"} 3.65',
+            'test_duration_seconds_count{route="/api"} 4'
+        ]);
+    });
+
+    it('refuses to register a name twice', () => {
+        createCounter({ name: 'test_unique_total', help: 'Once' });
+
+        expect(() => createCounter({ name: 'test_unique_total', help: 'Twice' })).toThrow('Metric already registered: test_unique_total');
+    });
+});
@@ -0,0 +1,81 @@
+// Authentication and role-based access middleware for admin routes
+
+const jwt = require('jsonwebtoken');
+const AdminUser = require('../../models/AdminUser');
+
+/**
+ * Require a valid admin access token (Authorization: Bearer <token>)
+ * and attach the authenticated admin to req.admin
+ */
+const protect = async (req, res, next) => {
+    const header = req.get('Authorization') || '';
+    const [scheme, token] = header.split(' ');
+
+    if (scheme !== 'Bearer' || !token) {
+        return res.status(401).json({
+            success: false,
+            message: 'Not authorized, no token provided'
+        });
+    }
+
+    try {
+        // JsonWebTokenError/TokenExpiredError are mapped by errorHandler
+        const decoded = jwt.verify(token, process.env.JWT_SECRET);
+
+        if (decoded.type !== 'access') {
+            return res.status(401).json({
+                success: false,
+                message: 'Invalid token'
+            });
+        }
+
+        const admin = await AdminUser.findById(decoded.id);
+        if (!admin || !admin.isActive) {
+            return res.status(401).json({
+                success: false,
+                message: 'Not authorized, account not found or disabled'
+            });
+        }
+
+        // Logout and account changes revoke access tokens issued before them
+        if (admin.tokenVersion !== decoded.tokenVersion) {
+            return res.status(401).json({
+                success: false,
+                message: 'Token has been revoked'
+            });
+        }
+
+        req.admin = admin;
+        next();
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * Restrict a route to admins holding one of the given roles.
+ * The 'admin' role is always allowed.
+ * @param {...string} roles - Allowed roles
+ */
+const authorize = (...roles) => (req, res, next) => {
+    if (!req.admin) {
+        return res.status(401).json({
+            success: false,
+            message: 'Not authorized'
+        });
+    }
+
+    if (!req.admin.hasRole(...roles)) {
+        return res.status(403).json({
+            success: false,
+            message: `Role ${req.admin.role} is not allowed to access this resource`
+        });
+    }
+
+    next();
+};
+
+module.exports = {
+    protect,
+    authorize
+};
@@ -1,12 +1,11 @@
 // Global error handling middleware
 
+const { logger } = require('../logger');
+
 const errorHandler = (err, req, res, next) => {
     let error = { ...err };
     error.message = err.message;
 
-    // Log error
-    console.error('Error:', err);
-
     // Mongoose bad ObjectId
     if (err.name === 'CastError') {
         const message = 'Resource not found';
@@ -36,7 +35,16 @@ const errorHandler = (err, req, res, next) => {
         error = { message, statusCode: 401 };
     }
 
-    res.status(error.statusCode || 500).json({
+    const statusCode = error.statusCode || 500;
+
+    // Client errors (bad ids, expired tokens, ...) are logged without the stack trace
+    if (statusCode >= 500) {
+        logger.error('Unhandled request error', { err });
+    } else {
+        logger.warn('Request error', { error: { name: err.name, message: err.message }, statusCode });
+    }
+
+    res.status(statusCode).json({
         success: false,
         message: error.message || 'Server Error',
         ...(process.env.NODE_ENV === 'development' && { stack: err.stack })
@@ -0,0 +1,51 @@
+// Request correlation: every request gets an id, taken from X-Request-Id or generated,
+// which is returned in the response and added to every log entry written while handling it
+
+const crypto = require('crypto');
+const { logger, requestContext } = require('../logger');
+
+// Ids from upstream proxies or clients; anything else is replaced
+const REQUEST_ID_PATTERN = /^[\w.:-]{1,128}$/;
+
+/**
+ * Route pattern of a handled request, so tokens in URLs do not end up in logs
+ * @param {Object} req - Express request
+ * @returns {string} e.g. "/api/beta-signup/confirm/:token"
+ */
+const getRoutePath = (req) => (req.route ? `${req.baseUrl}${req.route.path}` : req.baseUrl || req.path);
+
+/**
+ * Assign the request id and log each request once it is answered
+ */
+const assignRequestId = (req, res, next) => {
+    const incoming = req.get('X-Request-Id');
+    const requestId = incoming && REQUEST_ID_PATTERN.test(incoming) ? incoming : crypto.randomUUID();
+    const startedAt = process.hrtime.bigint();
+
+    req.id = requestId;
+    res.set('X-Request-Id', requestId);
+
+    res.on('finish', () => {
+        const fields = {
+            requestId,
+            method: req.method,
+            route: getRoutePath(req),
+            status: res.statusCode,
+            durationMs: Number(process.hrtime.bigint() - startedAt) / 1e6,
+            ip: req.ip
+        };
+
+        if (res.statusCode >= 500) {
+            logger.warn('Request failed', fields);
+        } else {
+            logger.info('Request completed', fields);
+        }
+    });
+
+    requestContext.run({ requestId }, next);
+};
+
+module.exports = {
+    getRoutePath,
+    assignRequestId
+};
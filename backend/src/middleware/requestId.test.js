@@ -0,0 +1,62 @@
+const express = require('express');
+const request = require('supertest');
+const { assignRequestId } = require('./requestId');
+const { logger } = require('../logger');
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-4[0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/;
+
+const createApp = () => {
+    const app = express();
+    app.use(assignRequestId);
+    app.get('/api/beta-signup/confirm/:token', (req, res) => {
+        logger.info('Handling', { seen: req.id });
+        res.json({ success: true });
+    });
+    app.get('/api/fail', (req, res) => res.status(503).json({ success: false }));
+    return app;
+};
+
+describe('assignRequestId', () => {
+    beforeEach(() => {
+        jest.spyOn(logger, 'info').mockImplementation(() => {});
+        jest.spyOn(logger, 'warn').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    it('keeps a well-formed incoming id', async () => {
+        const res = await request(createApp()).get('/api/beta-signup/confirm/abc').set('X-Request-Id', 'lb-1234.5:6');
+
+        expect(res.headers['x-request-id']).toBe('lb-1234.5:6');
+        expect(logger.info).toHaveBeenCalledWith('Handling', { seen: 'lb-1234.5:6' });
+    });
+
+    it.each([undefined, 'has spaces', 'x'.repeat(129)])('generates an id instead of %j', async (incoming) => {
+        const req = request(createApp()).get('/api/beta-signup/confirm/abc');
+        if (incoming) req.set('X-Request-Id', incoming);
+
+        const res = await req;
+
+        expect(res.headers['x-request-id']).toMatch(UUID_PATTERN);
+    });
+
+    it('logs the route pattern, not the token in the URL', async () => {
+        const res = await request(createApp()).get('/api/beta-signup/confirm/secret-token');
+
+        expect(logger.info).toHaveBeenCalledWith('Request completed', expect.objectContaining({
+            requestId: res.headers['x-request-id'],
+            method: 'GET',
+            route: '/api/beta-signup/confirm/:token',
+            status: 200
+        }));
+        expect(JSON.stringify(logger.info.mock.calls)).not.toContain('secret-token');
+    });
+
+    it('logs server errors as warnings', async () => {
+        await request(createApp()).get('/api/fail');
+
+        expect(logger.warn).toHaveBeenCalledWith('Request failed', expect.objectContaining({ status: 503, route: '/api/fail' }));
+    });
+});
@@ -0,0 +1,67 @@
+// Validation for the signup filters shared by the admin list, the export and bulk actions
+
+const { buildCheckFunction } = require('express-validator');
+const BetaSignup = require('../../models/BetaSignup');
+
+// "a,b", ['a', 'b'] or ?x=a&x=b -> ['a', 'b']
+const toList = (value) => {
+    if (value === undefined) {
+        return value;
+    }
+    return (Array.isArray(value) ? value : [value]).join(',').split(',').map((item) => item.trim()).filter(Boolean);
+};
+
+// Tags are short lowercase labels like "power-user"
+const TAG_PATTERN = /^[\w-]{1,32}$/;
+
+// Allowed values of an enum field on BetaSignup
+const enumValues = (path) => BetaSignup.schema.path(path).enumValues || BetaSignup.schema.path(path).caster.enumValues;
+
+/**
+ * Build the validation chain for signup filters
+ * @param {string} location - Where the filters are read from (query or body)
+ * @param {string} [prefix] - Path prefix, e.g. "filters." for { filters: { ... } }
+ * @returns {Array} express-validator chains
+ */
+const validateSignupFilters = (location, prefix = '') => {
+    const check = buildCheckFunction([location]);
+
+    const listOf = (name, allowed, message) => check(`${prefix}${name}`)
+        .optional()
+        .customSanitizer(toList)
+        .custom((values) => values.every((value) => allowed.includes(value)))
+        .withMessage(message);
+
+    return [
+        listOf('status', enumValues('status'), 'Invalid status filter'),
+        listOf('device', enumValues('device'), 'Device filter must be iphone, ipad or ipod'),
+        listOf('experience', enumValues('experience').filter(Boolean), 'Invalid experience filter'),
+        listOf('features', enumValues('features'), 'Invalid features filter'),
+        listOf('source', enumValues('source'), 'Invalid source filter'),
+        check(`${prefix}tags`)
+            .optional()
+            .customSanitizer((value) => toList(value).map((tag) => tag.toLowerCase()))
+            .custom((values) => values.every((value) => TAG_PATTERN.test(value)))
+            .withMessage('Tags may only contain letters, digits, _ and - (max 32 characters)'),
+        check(['createdFrom', 'createdTo', 'invitedFrom', 'invitedTo'].map((name) => `${prefix}${name}`))
+            .optional()
+            .isISO8601()
+            .withMessage('Date filters must use ISO 8601 dates'),
+        check(`${prefix}flagged`)
+            .optional()
+            .isBoolean()
+            .withMessage('flagged must be true or false')
+            .toBoolean(),
+        check(`${prefix}search`)
+            .optional()
+            .isString()
+            .isLength({ max: 100 })
+            .withMessage('Search must be at most 100 characters')
+    ];
+};
+
+module.exports = {
+    TAG_PATTERN,
+    toList,
+    validateSignupFilters
+};
@@ -0,0 +1,101 @@
+// Bot and abuse protection for the public signup endpoint
+
+const { validationResult } = require('express-validator');
+const { readFormToken, verifyChallenge } = require('../services/challengeVerifier');
+const { getAttemptKeys, recordAttempt, checkVelocity, assessRisk } = require('../services/signupRiskService');
+const { logger } = require('../logger');
+
+// Hidden form field that people never see and bots fill in
+const HONEYPOT_FIELD = 'website';
+// Time from loading the form to submitting it below which nobody typed by hand
+const MIN_FILL_MS = parseInt(process.env.SIGNUP_MIN_FILL_MS) || 3000;
+
+/**
+ * Check a validated signup request: honeypot, form token (fill time, single use, challenge)
+ * and velocity limits. Passes on with req.signupRisk = { score, signals, flagged }.
+ * Must run after the signup validation chain.
+ */
+const protectSignup = async (req, res, next) => {
+    // Invalid requests are answered by the route with the validation errors
+    if (!validationResult(req).isEmpty()) {
+        return next();
+    }
+
+    try {
+        const keys = getAttemptKeys(req.body.email, req.ip);
+
+        const reject = async (reason, message) => {
+            await recordAttempt(keys, { outcome: 'rejected', reason });
+            return res.status(400).json({
+                success: false,
+                message
+            });
+        };
+
+        // Bots get the usual answer so they do not learn what gave them away
+        if (req.body[HONEYPOT_FIELD]) {
+            await recordAttempt(keys, { outcome: 'rejected', reason: 'honeypot' });
+            return res.status(201).json({
+                success: true,
+                message: 'Almost done! Please check your email and confirm your signup.'
+            });
+        }
+
+        // Every signup needs a form token, also without a challenge, so the fill time
+        // and single-use checks cannot be skipped by leaving it out
+        const formToken = req.body.formToken ? readFormToken(req.body.formToken) : null;
+        if (!formToken) {
+            return reject('invalid_form_token', 'The signup form has expired, please reload the page and try again');
+        }
+
+        if (Date.now() - formToken.issuedAt < MIN_FILL_MS) {
+            return reject('too_fast', 'That was quick! Please check your details and submit the form again');
+        }
+
+        const result = await verifyChallenge(formToken, req.body.challengeSolution, {
+            ip: req.ip,
+            userAgent: req.get('User-Agent')
+        });
+        if (!result.ok) {
+            return reject('challenge_failed', 'Verification failed, please reload the page and try again');
+        }
+        const challengeScore = result.score || 0;
+
+        // Each form token is good for one signup (unique index on formTokenId)
+        let attempt;
+        try {
+            attempt = await recordAttempt(keys, { formTokenId: formToken.id });
+        } catch (error) {
+            if (error.code === 11000) {
+                return reject('form_token_reused', 'The signup form has expired, please reload the page and try again');
+            }
+            throw error;
+        }
+
+        const velocity = await checkVelocity(keys);
+        if (velocity.limited) {
+            attempt.outcome = 'limited';
+            attempt.reason = `${velocity.limited}_velocity`;
+            await attempt.save();
+
+            return res.status(429).json({
+                success: false,
+                message: 'Too many signup attempts, please try again later'
+            });
+        }
+
+        req.signupRisk = assessRisk(req, { challengeScore, velocity });
+        next();
+    } catch (error) {
+        logger.error('Signup protection error', { err: error });
+        res.status(500).json({
+            success: false,
+            message: 'Server error occurred during signup'
+        });
+    }
+};
+
+module.exports = {
+    HONEYPOT_FIELD,
+    protectSignup
+};
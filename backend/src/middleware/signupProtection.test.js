@@ -0,0 +1,120 @@
+const express = require('express');
+const request = require('supertest');
+const { body } = require('express-validator');
+const SignupAttempt = require('../../models/SignupAttempt');
+const { protectSignup } = require('./signupProtection');
+const { createApp, issueFormTokenAgo } = require('../../test/helpers');
+
+const router = express.Router();
+router.post('/signup', body('email').isEmail(), protectSignup, (req, res) => {
+    res.status(201).json({ success: true, risk: req.signupRisk });
+});
+const app = createApp(router);
+
+describe('protectSignup', () => {
+    let attempts;
+    let counts;
+
+    beforeEach(() => {
+        attempts = [];
+        counts = { accepted: 0, rejected: 0 };
+
+        // Form token ids are unique like the index on SignupAttempt.formTokenId
+        jest.spyOn(SignupAttempt, 'create').mockImplementation(async (doc) => {
+            if (doc.formTokenId && attempts.some((attempt) => attempt.formTokenId === doc.formTokenId)) {
+                throw Object.assign(new Error('E11000 duplicate key'), { code: 11000 });
+            }
+            const attempt = { outcome: 'accepted', ...doc, save: jest.fn() };
+            attempts.push(attempt);
+            return attempt;
+        });
+        jest.spyOn(SignupAttempt, 'countDocuments').mockImplementation(async (filter) => counts[filter.outcome]);
+    });
+
+    afterEach(() => {
+        delete process.env.SIGNUP_CHALLENGE;
+        jest.restoreAllMocks();
+    });
+
+    const signUp = (fields) => request(app)
+        .post('/api/signup')
+        .set('User-Agent', 'Mozilla/5.0 (iPhone; CPU iPhone OS 18_0 like Mac OS X)')
+        .set('Accept-Language', 'de-DE')
+        .send({ email: 'tester@example.com', name: 'Tester', ...fields });
+
+    it('passes a signup with a form token', async () => {
+        const res = await signUp({ formToken: issueFormTokenAgo().formToken });
+
+        expect(res.status).toBe(201);
+        expect(res.body.risk).toEqual({ score: 0, signals: [], flagged: false });
+        expect(attempts).toHaveLength(1);
+    });
+
+    it('requires a form token even without a challenge', async () => {
+        const res = await signUp({});
+
+        expect(res.status).toBe(400);
+        expect(attempts).toEqual([expect.objectContaining({ outcome: 'rejected', reason: 'invalid_form_token' })]);
+    });
+
+    it('refuses a forged form token', async () => {
+        const res = await signUp({ formToken: 'not-a-token' });
+
+        expect(res.status).toBe(400);
+        expect(attempts[0].reason).toBe('invalid_form_token');
+    });
+
+    it('refuses forms submitted faster than the minimum fill time', async () => {
+        const res = await signUp({ formToken: issueFormTokenAgo(500).formToken });
+
+        expect(res.status).toBe(400);
+        expect(attempts[0].reason).toBe('too_fast');
+    });
+
+    it('accepts each form token once', async () => {
+        const { formToken } = issueFormTokenAgo();
+
+        await signUp({ formToken });
+        const res = await signUp({ formToken, email: 'other@example.com' });
+
+        expect(res.status).toBe(400);
+        expect(attempts[1]).toEqual(expect.objectContaining({ outcome: 'rejected', reason: 'form_token_reused' }));
+    });
+
+    it('checks the challenge solution', async () => {
+        process.env.SIGNUP_CHALLENGE = 'stub';
+        const { formToken, challenge } = issueFormTokenAgo();
+
+        const wrong = await signUp({ formToken, challengeSolution: 'wrong' });
+        const right = await signUp({ formToken, challengeSolution: challenge.token });
+
+        expect(wrong.status).toBe(400);
+        expect(attempts[0].reason).toBe('challenge_failed');
+        expect(right.status).toBe(201);
+    });
+
+    it('answers bots that fill the honeypot as if they signed up', async () => {
+        const res = await signUp({ formToken: issueFormTokenAgo().formToken, website: 'https://spam.example' });
+
+        expect(res.status).toBe(201);
+        expect(res.body.risk).toBeUndefined();
+        expect(attempts[0].reason).toBe('honeypot');
+    });
+
+    it('applies the velocity limits', async () => {
+        counts.accepted = 1000;
+
+        const res = await signUp({ formToken: issueFormTokenAgo().formToken });
+
+        expect(res.status).toBe(429);
+        expect(attempts[0].outcome).toBe('limited');
+        expect(attempts[0].save).toHaveBeenCalled();
+    });
+
+    it('leaves invalid requests to the route', async () => {
+        const res = await signUp({ email: 'not-an-email' });
+
+        expect(res.status).toBe(201);
+        expect(attempts).toHaveLength(0);
+    });
+});
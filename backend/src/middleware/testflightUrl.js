@@ -0,0 +1,23 @@
+// Validation for the TestFlight link sent with invites (single, batch and bulk)
+
+const { body } = require('express-validator');
+
+// Only public TestFlight links, so an invite cannot point recipients anywhere else
+const TESTFLIGHT_URL_OPTIONS = {
+    protocols: ['https'],
+    require_protocol: true,
+    host_whitelist: ['testflight.apple.com']
+};
+
+/**
+ * Build the validation chain for an optional testflightUrl body field
+ * @returns {Object} express-validator chain
+ */
+const validateTestflightUrl = () => body('testflightUrl')
+    .optional()
+    .isURL(TESTFLIGHT_URL_OPTIONS)
+    .withMessage('TestFlight URL must be an https://testflight.apple.com link');
+
+module.exports = {
+    validateTestflightUrl
+};
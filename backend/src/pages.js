@@ -0,0 +1,55 @@
+// Public pages: minimal HTML for links opened from emails, JSON for API clients
+
+/**
+ * Render a minimal HTML page
+ * @param {string} title - Page title and heading
+ * @param {string} body - HTML below the heading
+ * @returns {string} HTML document
+ */
+const renderPage = (title, body) => {
+    return `
+<!DOCTYPE html>
+<html>
+<head>
+    <meta charset="utf-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1">
+    <title>${title} - BahnBlitz</title>
+    <style>
+        body { font-family: 'Inter', Arial, sans-serif; line-height: 1.6; color: #333; }
+        .container { max-width: 600px; margin: 60px auto; padding: 30px; background: #f9f9f9; border-radius: 10px; text-align: center; }
+        .button { display: inline-block; background: #1a73e8; color: white; padding: 12px 30px; border: 0; border-radius: 5px; font-size: 16px; cursor: pointer; }
+        .button.danger { background: #ef4444; }
+    </style>
+</head>
+<body>
+    <div class="container">
+        <h1>${title}</h1>
+        ${body}
+    </div>
+</body>
+</html>`;
+};
+
+/**
+ * Respond with HTML for browsers and JSON for API clients
+ * @param {Object} res - Express response
+ * @param {number} status - HTTP status
+ * @param {string} title - Page title
+ * @param {string} message - Message shown on the page and returned as message
+ * @param {Object} extra - Additional JSON fields, e.g. { data }
+ */
+const respond = (res, status, title, message, extra = {}) => {
+    res.status(status).format({
+        html: () => res.send(renderPage(title, `<p>${message}</p>`)),
+        default: () => res.json({
+            success: status < 400,
+            message,
+            ...extra
+        })
+    });
+};
+
+module.exports = {
+    renderPage,
+    respond
+};
@@ -0,0 +1,144 @@
+// Rate limiting: separate policies for signups, logins, admins and other public requests,
+// counted in a store shared by all instances (RATE_LIMIT_STORE)
+
+const jwt = require('jsonwebtoken');
+const rateLimit = require('express-rate-limit');
+const { createStore, closeStores } = require('./stores');
+const { recordRateLimitRejection } = require('../metrics');
+
+const WINDOW_MS = (parseInt(process.env.RATE_LIMIT_WINDOW_MINUTES) || 15) * 60 * 1000;
+
+/**
+ * Id of the admin a request is authenticated as
+ * @param {Object} req - Express request
+ * @returns {string|null} Admin id from a valid access token, null otherwise
+ */
+const getAdminId = (req) => {
+    const [scheme, token] = (req.get('Authorization') || '').split(' ');
+    if (scheme !== 'Bearer' || !token) {
+        return null;
+    }
+
+    try {
+        const decoded = jwt.verify(token, process.env.JWT_SECRET);
+        return decoded.type === 'access' ? String(decoded.id) : null;
+    } catch (error) {
+        return null;
+    }
+};
+
+// Policies by name: requests per window and what a client is counted by
+const POLICIES = {
+    // New signups per client IP
+    signup: {
+        limit: parseInt(process.env.RATE_LIMIT_SIGNUP_MAX) || 10,
+        key: (req) => req.ip,
+        message: 'Too many signups from this network, please try again later.'
+    },
+    // Login and token refresh per client IP
+    auth: {
+        limit: parseInt(process.env.RATE_LIMIT_AUTH_MAX) || 20,
+        key: (req) => req.ip,
+        message: 'Too many login attempts, please try again later.'
+    },
+    // Requests with a valid admin access token per admin account
+    admin: {
+        limit: parseInt(process.env.RATE_LIMIT_ADMIN_MAX) || 1000,
+        key: (req) => `admin:${getAdminId(req)}`,
+        message: 'Too many requests, please slow down.'
+    },
+    // Everything else per client IP
+    public: {
+        limit: parseInt(process.env.RATE_LIMIT_PUBLIC_MAX) || 100,
+        key: (req) => req.ip,
+        message: 'Too many requests from this IP, please try again later.'
+    }
+};
+
+/**
+ * Choose the policy a request is counted under (each request counts once)
+ * @param {Object} req - Express request, path relative to /api
+ * @returns {string} Policy name
+ */
+const selectPolicy = (req) => {
+    if (req.method === 'POST' && req.path === '/beta-signup') {
+        return 'signup';
+    }
+    if (req.method === 'POST' && ['/auth/login', '/auth/refresh'].includes(req.path)) {
+        return 'auth';
+    }
+    return getAdminId(req) ? 'admin' : 'public';
+};
+
+/**
+ * Create the limiter for one policy
+ * @param {string} name - Policy name
+ * @param {Object} policy - { limit, key, message }
+ * @returns {Function} Express middleware
+ */
+const createLimiter = (name, policy) => rateLimit({
+    windowMs: WINDOW_MS,
+    limit: policy.limit,
+    keyGenerator: policy.key,
+    store: createStore(name),
+    // RateLimit-Limit, RateLimit-Remaining, RateLimit-Reset and RateLimit-Policy
+    standardHeaders: 'draft-6',
+    legacyHeaders: false,
+    // A store outage must not take the API down with it
+    passOnStoreError: true,
+    message: {
+        success: false,
+        message: policy.message
+    },
+    handler: (req, res, next, options) => {
+        recordRateLimitRejection(name);
+        res.status(options.statusCode).json(options.message);
+    }
+});
+
+/**
+ * Create the rate limiting middleware for /api
+ * @returns {Function} Express middleware
+ */
+const createRateLimiter = () => {
+    const limiters = {};
+    Object.entries(POLICIES).forEach(([name, policy]) => {
+        limiters[name] = createLimiter(name, policy);
+    });
+
+    return (req, res, next) => {
+        // Email providers post events from a few addresses in bursts
+        if (req.path.startsWith('/email-events/')) {
+            return next();
+        }
+        return limiters[selectPolicy(req)](req, res, next);
+    };
+};
+
+/**
+ * Parse TRUST_PROXY for app.set('trust proxy'): a number of proxy hops, true/false,
+ * or addresses and subnets (e.g. "loopback, 10.0.0.0/8").
+ * Defaults to one hop (the Cloud Run load balancer) in production.
+ * @param {string} [value] - TRUST_PROXY
+ * @returns {number|boolean|string} Express trust proxy setting
+ */
+const parseTrustProxy = (value = process.env.TRUST_PROXY) => {
+    if (value === undefined || value === '') {
+        return process.env.NODE_ENV === 'production' ? 1 : false;
+    }
+    if (/^\d+$/.test(value)) {
+        return parseInt(value);
+    }
+    if (value === 'true' || value === 'false') {
+        return value === 'true';
+    }
+    return value;
+};
+
+module.exports = {
+    POLICIES,
+    selectPolicy,
+    createRateLimiter,
+    parseTrustProxy,
+    closeStores
+};
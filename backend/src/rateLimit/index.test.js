@@ -0,0 +1,121 @@
+const express = require('express');
+const request = require('supertest');
+const jwt = require('jsonwebtoken');
+const { registerStore } = require('./stores');
+const { POLICIES, selectPolicy, createRateLimiter, parseTrustProxy } = require('.');
+
+const accessToken = (id) => jwt.sign({ id, type: 'access' }, process.env.JWT_SECRET);
+
+const createApp = () => {
+    const app = express();
+    app.use('/api', createRateLimiter());
+    app.use('/api', (req, res) => res.json({ success: true }));
+    return app;
+};
+
+// Send the same request until one is limited or one more than max went through
+const sendUntilLimited = async (app, send, max) => {
+    let res;
+    let sent = 0;
+    do {
+        res = await send(request(app));
+        sent++;
+    } while (res.status !== 429 && sent <= max);
+    return { sent, res };
+};
+
+describe('rate limiting', () => {
+    afterEach(() => {
+        jest.restoreAllMocks();
+        delete process.env.RATE_LIMIT_STORE;
+        delete process.env.TRUST_PROXY;
+    });
+
+    describe('selectPolicy', () => {
+        it.each([
+            ['POST', '/beta-signup', {}, 'signup'],
+            ['POST', '/auth/login', {}, 'auth'],
+            ['POST', '/auth/refresh', {}, 'auth'],
+            ['GET', '/beta-signup/stats', { Authorization: `Bearer ${accessToken('a1')}` }, 'admin'],
+            ['GET', '/beta-signup/stats', { Authorization: 'Bearer forged' }, 'public'],
+            ['GET', '/beta-signup/position/abc', {}, 'public']
+        ])('%s %s counts as %s', (method, path, headers, policy) => {
+            const req = { method, path, get: (name) => headers[name] };
+
+            expect(selectPolicy(req)).toBe(policy);
+        });
+
+        it('does not count refresh tokens as admin requests', () => {
+            const refresh = jwt.sign({ id: 'a1', type: 'refresh' }, process.env.JWT_SECRET);
+
+            expect(selectPolicy({ method: 'GET', path: '/beta-signup', get: () => `Bearer ${refresh}` })).toBe('public');
+        });
+    });
+
+    it('limits signups per client and answers with the policy message', async () => {
+        const app = createApp();
+
+        const { sent, res } = await sendUntilLimited(app, (agent) => agent.post('/api/beta-signup'), POLICIES.signup.limit);
+
+        expect(sent).toBe(POLICIES.signup.limit + 1);
+        expect(res.status).toBe(429);
+        expect(res.body).toEqual({ success: false, message: POLICIES.signup.message });
+        expect(res.headers['ratelimit-limit']).toBe(String(POLICIES.signup.limit));
+
+        // Other public requests are counted separately
+        expect((await request(app).get('/api/beta-signup/position/abc')).status).toBe(200);
+    });
+
+    it('counts admins per account, not per client', async () => {
+        const app = createApp();
+        const first = await request(app).get('/api/beta-signup').set('Authorization', `Bearer ${accessToken('a1')}`);
+        const second = await request(app).get('/api/beta-signup').set('Authorization', `Bearer ${accessToken('a2')}`);
+
+        expect(first.headers['ratelimit-remaining']).toBe(String(POLICIES.admin.limit - 1));
+        expect(second.headers['ratelimit-remaining']).toBe(String(POLICIES.admin.limit - 1));
+    });
+
+    it('never limits email provider events', async () => {
+        const app = createApp();
+
+        const { res } = await sendUntilLimited(app, (agent) => agent.get('/api/email-events/sendgrid'), POLICIES.public.limit);
+
+        expect(res.status).toBe(200);
+    });
+
+    it('lets requests through while the store is unavailable', async () => {
+        registerStore('broken', () => ({
+            init() {},
+            increment: async () => {
+                throw new Error('store unavailable');
+            },
+            decrement: async () => {},
+            resetKey: async () => {}
+        }));
+        process.env.RATE_LIMIT_STORE = 'broken';
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+
+        const res = await request(createApp()).post('/api/beta-signup');
+
+        expect(res.status).toBe(200);
+    });
+
+    describe('parseTrustProxy', () => {
+        it.each([
+            ['2', 2],
+            ['true', true],
+            ['false', false],
+            ['loopback, 10.0.0.0/8', 'loopback, 10.0.0.0/8']
+        ])('reads %s', (value, expected) => {
+            expect(parseTrustProxy(value)).toEqual(expected);
+        });
+
+        it('trusts one proxy hop by default in production only', () => {
+            expect(parseTrustProxy(undefined)).toBe(false);
+
+            process.env.NODE_ENV = 'production';
+            expect(parseTrustProxy(undefined)).toBe(1);
+            process.env.NODE_ENV = 'test';
+        });
+    });
+});
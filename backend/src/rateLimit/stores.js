@@ -0,0 +1,195 @@
+// Rate limit stores: where request counters are kept. Every store implements the
+// express-rate-limit Store interface (init, increment, decrement, resetKey).
+// memory counts per instance; mongo and redis are shared by all instances.
+
+const { MemoryStore } = require('express-rate-limit');
+const RateLimitCounter = require('../../models/RateLimitCounter');
+const { logger } = require('../logger');
+
+// INCR and start the window on the first hit; returns [hits, milliseconds left]
+const REDIS_INCREMENT_SCRIPT = `
+local hits = redis.call('INCR', KEYS[1])
+local ttl = redis.call('PTTL', KEYS[1])
+if ttl < 0 then
+    redis.call('PEXPIRE', KEYS[1], ARGV[1])
+    ttl = tonumber(ARGV[1])
+end
+return { hits, ttl }
+`;
+
+// DECR without creating a counter that has already expired
+const REDIS_DECREMENT_SCRIPT = `
+if redis.call('EXISTS', KEYS[1]) == 1 then
+    return redis.call('DECR', KEYS[1])
+end
+return 0
+`;
+
+/**
+ * Create a store on the RateLimitCounter collection
+ * @param {string} prefix - Key prefix, one per policy
+ * @returns {Object} express-rate-limit store
+ */
+const createMongoStore = (prefix) => {
+    let windowMs;
+
+    return {
+        prefix,
+        localKeys: false,
+        init(options) {
+            windowMs = options.windowMs;
+        },
+        async increment(key) {
+            const now = new Date();
+            // Counters whose window ended (the TTL monitor runs once a minute) start over
+            const active = { $gt: ['$resetAt', now] };
+
+            const update = () => RateLimitCounter.findOneAndUpdate(
+                { key: prefix + key },
+                [{
+                    $set: {
+                        hits: { $cond: [active, { $add: ['$hits', 1] }, 1] },
+                        resetAt: { $cond: [active, '$resetAt', new Date(now.getTime() + windowMs)] }
+                    }
+                }],
+                { upsert: true, new: true }
+            );
+
+            let counter;
+            try {
+                counter = await update();
+            } catch (error) {
+                // Two instances inserted the same new counter at once; the second one increments
+                if (error.code !== 11000) {
+                    throw error;
+                }
+                counter = await update();
+            }
+
+            return { totalHits: counter.hits, resetTime: counter.resetAt };
+        },
+        async decrement(key) {
+            await RateLimitCounter.updateOne(
+                { key: prefix + key, hits: { $gt: 0 }, resetAt: { $gt: new Date() } },
+                { $inc: { hits: -1 } }
+            );
+        },
+        async resetKey(key) {
+            await RateLimitCounter.deleteOne({ key: prefix + key });
+        }
+    };
+};
+
+/**
+ * Create a store on a Redis-compatible server (Redis, Valkey, Memorystore, ...)
+ * @param {string} prefix - Key prefix, one per policy
+ * @param {Function} sendCommand - Runs a raw command, e.g. (args) => client.sendCommand(args)
+ * @returns {Object} express-rate-limit store
+ */
+const createRedisStore = (prefix, sendCommand) => {
+    let windowMs;
+
+    return {
+        prefix,
+        localKeys: false,
+        init(options) {
+            windowMs = options.windowMs;
+        },
+        async increment(key) {
+            const [hits, ttl] = await sendCommand(['EVAL', REDIS_INCREMENT_SCRIPT, '1', prefix + key, String(windowMs)]);
+            return { totalHits: Number(hits), resetTime: new Date(Date.now() + Number(ttl)) };
+        },
+        async decrement(key) {
+            await sendCommand(['EVAL', REDIS_DECREMENT_SCRIPT, '1', prefix + key]);
+        },
+        async resetKey(key) {
+            await sendCommand(['DEL', prefix + key]);
+        }
+    };
+};
+
+let redisClient = null;
+let redisReady = null;
+
+/**
+ * Connect to REDIS_URL once, using the optional redis package
+ * @returns {Function} sendCommand(args) for createRedisStore
+ */
+const getRedisCommand = () => {
+    if (!redisClient) {
+        let redis;
+        try {
+            redis = require('redis');
+        } catch (error) {
+            throw new Error('RATE_LIMIT_STORE=redis needs the redis package (npm install redis)');
+        }
+
+        redisClient = redis.createClient({ url: process.env.REDIS_URL });
+        redisClient.on('error', (error) => logger.error('Redis rate limit store error', { err: error }));
+        redisReady = redisClient.connect();
+    }
+
+    return async (args) => {
+        await redisReady;
+        return redisClient.sendCommand(args);
+    };
+};
+
+/**
+ * Close the Redis connection, if one was opened (on shutdown)
+ */
+const closeStores = async () => {
+    if (!redisClient) {
+        return;
+    }
+
+    const client = redisClient;
+    redisClient = null;
+    redisReady = null;
+    await client.quit();
+};
+
+// Available stores by name; extend with registerStore
+const storeFactories = {
+    memory: () => new MemoryStore(),
+    mongo: (prefix) => createMongoStore(prefix),
+    redis: (prefix) => createRedisStore(prefix, getRedisCommand())
+};
+
+/**
+ * Resolve the store name from RATE_LIMIT_STORE
+ * @returns {string} Store name
+ */
+const getStoreName = () => process.env.RATE_LIMIT_STORE || 'memory';
+
+/**
+ * Create a store for one policy
+ * @param {string} policy - Policy name, used as key prefix
+ * @param {string} [name] - Registered store name, defaults to the configured one
+ * @returns {Object} express-rate-limit store
+ */
+const createStore = (policy, name = getStoreName()) => {
+    const factory = storeFactories[name];
+    if (!factory) {
+        throw new Error(`Unknown rate limit store: ${name}`);
+    }
+    return factory(`rl:${policy}:`);
+};
+
+/**
+ * Register an additional store
+ * @param {string} name - Name used in RATE_LIMIT_STORE
+ * @param {Function} factory - Receives the key prefix and returns an express-rate-limit store
+ */
+const registerStore = (name, factory) => {
+    storeFactories[name] = factory;
+};
+
+module.exports = {
+    createMongoStore,
+    createRedisStore,
+    getStoreName,
+    createStore,
+    registerStore,
+    closeStores
+};
@@ -0,0 +1,149 @@
+const RateLimitCounter = require('../../models/RateLimitCounter');
+const { createMongoStore, createRedisStore, createStore, registerStore } = require('./stores');
+
+const WINDOW_MS = 15 * 60 * 1000;
+
+// Evaluate the aggregation expressions the mongo store uses against a document
+const evaluate = (expression, doc) => {
+    if (typeof expression === 'string' && expression.startsWith('$')) return doc[expression.slice(1)];
+    if (expression instanceof Date || typeof expression !== 'object') return expression;
+
+    const [operator, args] = Object.entries(expression)[0];
+    const values = operator === '$cond' ? args : args.map((arg) => evaluate(arg, doc));
+    switch (operator) {
+        case '$cond': return evaluate(args[0], doc) ? evaluate(args[1], doc) : evaluate(args[2], doc);
+        case '$gt': return values[0] !== undefined && values[0] > values[1];
+        case '$add': return values[0] + values[1];
+    }
+    throw new Error(`Unsupported operator ${operator}`);
+};
+
+/**
+ * Back RateLimitCounter with an in-memory collection that applies the update pipeline
+ */
+const useCounters = () => {
+    const counters = new Map();
+
+    jest.spyOn(RateLimitCounter, 'findOneAndUpdate').mockImplementation(async ({ key }, [{ $set }]) => {
+        const doc = counters.get(key) || { key };
+        Object.entries($set).forEach(([field, expression]) => {
+            doc[field] = evaluate(expression, { ...doc });
+        });
+        counters.set(key, doc);
+        return doc;
+    });
+    jest.spyOn(RateLimitCounter, 'deleteOne').mockImplementation(async ({ key }) => counters.delete(key));
+
+    return counters;
+};
+
+describe('rate limit stores', () => {
+    afterEach(() => {
+        jest.restoreAllMocks();
+        jest.useRealTimers();
+    });
+
+    describe('mongo', () => {
+        let counters;
+        let store;
+
+        beforeEach(() => {
+            counters = useCounters();
+            store = createMongoStore('rl:signup:');
+            store.init({ windowMs: WINDOW_MS });
+        });
+
+        it('counts hits per key within the window', async () => {
+            jest.useFakeTimers({ now: new Date('2025-03-01T10:00:00Z') });
+
+            await store.increment('203.0.113.7');
+            const result = await store.increment('203.0.113.7');
+            await store.increment('198.51.100.1');
+
+            expect(result).toEqual({ totalHits: 2, resetTime: new Date('2025-03-01T10:15:00Z') });
+            expect(counters.get('rl:signup:198.51.100.1').hits).toBe(1);
+        });
+
+        it('starts over once the window ended, even before the TTL monitor removed the counter', async () => {
+            jest.useFakeTimers({ now: new Date('2025-03-01T10:00:00Z') });
+            await store.increment('203.0.113.7');
+            await store.increment('203.0.113.7');
+
+            jest.setSystemTime(new Date('2025-03-01T10:16:00Z'));
+            const result = await store.increment('203.0.113.7');
+
+            expect(result).toEqual({ totalHits: 1, resetTime: new Date('2025-03-01T10:31:00Z') });
+        });
+
+        it('retries once when another instance created the counter at the same time', async () => {
+            const duplicate = Object.assign(new Error('E11000 duplicate key'), { code: 11000 });
+            RateLimitCounter.findOneAndUpdate.mockRejectedValueOnce(duplicate);
+
+            const result = await store.increment('203.0.113.7');
+
+            expect(result.totalHits).toBe(1);
+            expect(RateLimitCounter.findOneAndUpdate).toHaveBeenCalledTimes(2);
+        });
+
+        it('passes other errors on', async () => {
+            RateLimitCounter.findOneAndUpdate.mockRejectedValueOnce(new Error('connection lost'));
+
+            await expect(store.increment('203.0.113.7')).rejects.toThrow('connection lost');
+        });
+
+        it('only decrements live counters and deletes on reset', async () => {
+            jest.spyOn(RateLimitCounter, 'updateOne').mockResolvedValue({});
+
+            await store.decrement('203.0.113.7');
+            await store.increment('203.0.113.7');
+            await store.resetKey('203.0.113.7');
+
+            expect(RateLimitCounter.updateOne).toHaveBeenCalledWith(
+                { key: 'rl:signup:203.0.113.7', hits: { $gt: 0 }, resetAt: { $gt: expect.any(Date) } },
+                { $inc: { hits: -1 } }
+            );
+            expect(counters.has('rl:signup:203.0.113.7')).toBe(false);
+        });
+    });
+
+    describe('redis', () => {
+        it('runs the increment script with the prefixed key and window', async () => {
+            jest.useFakeTimers({ now: new Date('2025-03-01T10:00:00Z') });
+            const sendCommand = jest.fn().mockResolvedValue([3, 60000]);
+            const store = createRedisStore('rl:auth:', sendCommand);
+            store.init({ windowMs: WINDOW_MS });
+
+            const result = await store.increment('203.0.113.7');
+
+            expect(sendCommand).toHaveBeenCalledWith(['EVAL', expect.stringContaining('INCR'), '1', 'rl:auth:203.0.113.7', String(WINDOW_MS)]);
+            expect(result).toEqual({ totalHits: 3, resetTime: new Date('2025-03-01T10:01:00Z') });
+        });
+
+        it('decrements and resets the prefixed key', async () => {
+            const sendCommand = jest.fn().mockResolvedValue(0);
+            const store = createRedisStore('rl:auth:', sendCommand);
+
+            await store.decrement('203.0.113.7');
+            await store.resetKey('203.0.113.7');
+
+            expect(sendCommand).toHaveBeenCalledWith(['EVAL', expect.stringContaining('DECR'), '1', 'rl:auth:203.0.113.7']);
+            expect(sendCommand).toHaveBeenCalledWith(['DEL', 'rl:auth:203.0.113.7']);
+        });
+    });
+
+    describe('createStore', () => {
+        it('creates registered stores with a prefix per policy', () => {
+            const factory = jest.fn().mockReturnValue({});
+            registerStore('custom', factory);
+
+            createStore('admin', 'custom');
+
+            expect(factory).toHaveBeenCalledWith('rl:admin:');
+            expect(createStore('admin', 'mongo').prefix).toBe('rl:admin:');
+        });
+
+        it('refuses unknown stores', () => {
+            expect(() => createStore('admin', 'memcached')).toThrow('Unknown rate limit store: memcached');
+        });
+    });
+});
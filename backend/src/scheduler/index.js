@@ -0,0 +1,115 @@
+// Scheduler: runs registered background jobs at fixed intervals
+
+const { logger } = require('../logger');
+
+const jobs = new Map();
+
+/**
+ * Register a job
+ * @param {Object} job - { name, intervalMs, run, enabled }
+ */
+const registerJob = ({ name, intervalMs, run, enabled = true }) => {
+    if (jobs.has(name)) {
+        throw new Error(`Job already registered: ${name}`);
+    }
+
+    jobs.set(name, {
+        name,
+        intervalMs,
+        run,
+        enabled,
+        timer: null,
+        running: false,
+        current: null,
+        lastRunAt: null,
+        lastResult: null,
+        lastError: null
+    });
+};
+
+/**
+ * Run a job once. A job never runs twice at the same time in one process.
+ * @param {string} name - Job name
+ * @returns {*} Job result, or undefined if it was already running
+ */
+const runJob = async (name) => {
+    const job = jobs.get(name);
+    if (!job) {
+        throw new Error(`Unknown job: ${name}`);
+    }
+
+    if (job.running) {
+        return undefined;
+    }
+
+    job.running = true;
+    job.current = (async () => {
+        try {
+            job.lastResult = await job.run();
+            job.lastError = null;
+            return job.lastResult;
+        } catch (error) {
+            job.lastError = error.message;
+            logger.error('Scheduled job failed', { job: name, err: error });
+            return undefined;
+        } finally {
+            job.running = false;
+            job.current = null;
+            job.lastRunAt = new Date();
+        }
+    })();
+
+    return job.current;
+};
+
+/**
+ * Start all enabled jobs
+ */
+const startScheduler = () => {
+    jobs.forEach((job) => {
+        if (!job.enabled || job.timer) {
+            return;
+        }
+
+        job.timer = setInterval(() => runJob(job.name), job.intervalMs);
+        logger.info('Scheduled job', { job: job.name, intervalSeconds: Math.round(job.intervalMs / 1000) });
+    });
+};
+
+/**
+ * Stop all jobs
+ * @returns {Promise} Resolves once runs in progress have finished
+ */
+const stopScheduler = async () => {
+    jobs.forEach((job) => {
+        if (job.timer) {
+            clearInterval(job.timer);
+            job.timer = null;
+        }
+    });
+
+    await Promise.all(Array.from(jobs.values()).map((job) => job.current));
+};
+
+/**
+ * Get the state of all registered jobs
+ * @returns {Object[]} Job states
+ */
+const getJobStates = () => {
+    return Array.from(jobs.values()).map(({ name, intervalMs, enabled, running, lastRunAt, lastError }) => ({
+        name,
+        intervalMs,
+        enabled,
+        running,
+        lastRunAt,
+        lastError
+    }));
+};
+
+module.exports = {
+    registerJob,
+    runJob,
+    startScheduler,
+    stopScheduler,
+    getJobStates
+};
@@ -0,0 +1,11 @@
+// Bulk action job: starts queued bulk jobs and resumes those interrupted by a restart
+
+const { registerJob } = require('../index');
+const { resumeBulkJobs } = require('../../services/bulkActionService');
+
+registerJob({
+    name: 'bulk-actions',
+    intervalMs: parseInt(process.env.BULK_JOB_INTERVAL_MS) || 60 * 1000,
+    enabled: process.env.BULK_JOB_ENABLED !== 'false',
+    run: resumeBulkJobs
+});
@@ -0,0 +1,7 @@
+// Registers all scheduled jobs
+
+require('./reminderJob');
+require('./inviteExpiryJob');
+require('./waitlistJob');
+require('./bulkActionJob');
+require('./webhookDeliveryJob');
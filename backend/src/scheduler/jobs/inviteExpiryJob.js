@@ -0,0 +1,23 @@
+// Invite expiry job: expires unused invites and optionally re-invites
+
+const { registerJob } = require('../index');
+const { expireStaleInvites } = require('../../services/inviteExpiryService');
+const { logger } = require('../../logger');
+
+registerJob({
+    name: 'invite-expiry',
+    intervalMs: parseInt(process.env.INVITE_EXPIRY_JOB_INTERVAL_MS) || 60 * 60 * 1000,
+    enabled: process.env.INVITE_EXPIRY_JOB_ENABLED !== 'false',
+    run: async () => {
+        const report = await expireStaleInvites();
+        if (report.expired.length > 0 || report.failed.length > 0) {
+            logger.info('Expired invites', {
+                expired: report.expired.length,
+                reinvited: report.reinvited.length,
+                skipped: report.skipped.length,
+                failed: report.failed.length
+            });
+        }
+        return report;
+    }
+});
@@ -0,0 +1,18 @@
+// Reminder job: queues reminder emails for invited-but-not-installed testers
+
+const { registerJob } = require('../index');
+const { runReminderCampaign } = require('../../services/reminderService');
+const { logger } = require('../../logger');
+
+registerJob({
+    name: 'invite-reminders',
+    intervalMs: parseInt(process.env.REMINDER_JOB_INTERVAL_MS) || 60 * 60 * 1000,
+    enabled: process.env.REMINDER_JOB_ENABLED !== 'false',
+    run: async () => {
+        const report = await runReminderCampaign();
+        if (report.remindersQueued > 0) {
+            logger.info('Queued invite reminders', { count: report.remindersQueued });
+        }
+        return report;
+    }
+});
@@ -0,0 +1,11 @@
+// Waitlist job: keeps waitlistPosition of waiting signups up to date
+
+const { registerJob } = require('../index');
+const { recomputeWaitlist } = require('../../services/waitlistService');
+
+registerJob({
+    name: 'waitlist-ranking',
+    intervalMs: parseInt(process.env.WAITLIST_JOB_INTERVAL_MS) || 10 * 60 * 1000,
+    enabled: process.env.WAITLIST_JOB_ENABLED !== 'false',
+    run: recomputeWaitlist
+});
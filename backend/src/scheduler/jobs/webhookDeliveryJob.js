@@ -0,0 +1,11 @@
+// Webhook delivery job: sends queued webhook deliveries and retries failed ones
+
+const { registerJob } = require('../index');
+const { processWebhookDeliveries } = require('../../services/webhookService');
+
+registerJob({
+    name: 'webhook-deliveries',
+    intervalMs: parseInt(process.env.WEBHOOK_WORKER_INTERVAL_MS) || 10 * 1000,
+    enabled: process.env.WEBHOOK_WORKER_ENABLED !== 'false',
+    run: processWebhookDeliveries
+});
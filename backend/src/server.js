@@ -1,16 +1,55 @@
 const express = require('express');
 const cors = require('cors');
 const helmet = require('helmet');
-const rateLimit = require('express-rate-limit');
 const mongoose = require('mongoose');
 const path = require('path');
 require('dotenv').config();
 
-const betaRoutes = require('./routes/betaRoutes');
+const betaRoutes = require('../routes/betaRoutes');
+const authRoutes = require('../routes/authRoutes');
+const privacyRoutes = require('../routes/privacyRoutes');
+const outboxRoutes = require('../routes/outboxRoutes');
+const bulkRoutes = require('../routes/bulkRoutes');
+const webhookRoutes = require('../routes/webhookRoutes');
+const emailEventRoutes = require('../routes/emailEventRoutes');
+const AdminUser = require('../models/AdminUser');
+const BetaSignup = require('../models/BetaSignup');
+const { startOutboxWorker, stopOutboxWorker } = require('./services/emailOutbox');
+const { startWebhookDispatcher, flushWebhookEvents } = require('./services/webhookService');
+const { getActiveJobCount } = require('./services/bulkActionService');
+const { startScheduler, stopScheduler } = require('./scheduler');
+const { createRateLimiter, parseTrustProxy, closeStores } = require('./rateLimit');
+const { checkReadiness } = require('./health');
+const { measureRequests, startMetricsCollection } = require('./metrics');
+const { CONTENT_TYPE, renderMetrics } = require('./metrics/registry');
+require('./scheduler/jobs');
 const { errorHandler } = require('./middleware/errorHandler');
+const { assignRequestId } = require('./middleware/requestId');
+const { logger } = require('./logger');
 
 const app = express();
 const PORT = process.env.PORT || 3001;
+// Time to drain requests and workers after SIGTERM (Cloud Run kills the instance after 10 seconds)
+const SHUTDOWN_TIMEOUT_MS = parseInt(process.env.SHUTDOWN_TIMEOUT_MS) || 8000;
+// Wait between database connection attempts, doubling up to the maximum
+const DB_RETRY_BASE_MS = parseInt(process.env.DB_RETRY_BASE_MS) || 1000;
+const DB_RETRY_MAX_MS = parseInt(process.env.DB_RETRY_MAX_MS) || 30 * 1000;
+// Links in emails and signed tokens cannot work without these, so production refuses to start
+const REQUIRED_IN_PRODUCTION = ['PUBLIC_API_URL', 'JWT_SECRET'];
+
+let server = null;
+// Ready once the database is connected and the workers run, until shutdown starts
+let ready = false;
+let shuttingDown = false;
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// req.ip is the client address from X-Forwarded-For behind TRUST_PROXY proxies
+app.set('trust proxy', parseTrustProxy());
+
+// Request ids for log correlation (X-Request-Id) and request metrics
+app.use(assignRequestId);
+app.use(measureRequests);
 
 // Security middleware
 app.use(helmet());
@@ -21,13 +60,8 @@ app.use(cors({
     credentials: true
 }));
 
-// Rate limiting
-const limiter = rateLimit({
-    windowMs: 15 * 60 * 1000, // 15 minutes
-    max: 100, // limit each IP to 100 requests per windowMs
-    message: 'Too many requests from this IP, please try again later.'
-});
-app.use('/api/', limiter);
+// Rate limiting (policies in src/rateLimit, store from RATE_LIMIT_STORE)
+app.use('/api/', createRateLimiter());
 
 // Body parsing middleware
 app.use(express.json({ limit: '10mb' }));
@@ -35,17 +69,62 @@ app.use(express.urlencoded({ extended: true, limit: '10mb' }));
 
 // Static files
 app.use('/uploads', express.static(path.join(__dirname, '../uploads')));
+// Admin dashboard (talks to the /api admin endpoints with a bearer token)
+app.use('/admin', express.static(path.join(__dirname, '../admin')));
 
-// Health check
-app.get('/health', (req, res) => {
+// Liveness: the process is up and answering (/health kept for existing checks)
+const liveness = (req, res) => {
     res.status(200).json({
         status: 'OK',
         timestamp: new Date().toISOString(),
         uptime: process.uptime()
     });
+};
+app.get('/health', liveness);
+app.get('/health/live', liveness);
+
+// Readiness: started, not shutting down, and MongoDB works (an email outage only degrades)
+app.get('/health/ready', async (req, res) => {
+    if (!ready) {
+        return res.status(503).json({
+            status: shuttingDown ? 'SHUTTING_DOWN' : 'STARTING',
+            timestamp: new Date().toISOString()
+        });
+    }
+
+    const { ready: healthy, degraded, checks } = await checkReadiness();
+    let status = healthy ? 'OK' : 'UNAVAILABLE';
+    if (healthy && degraded) {
+        status = 'DEGRADED';
+    }
+
+    res.status(healthy ? 200 : 503).json({
+        status,
+        timestamp: new Date().toISOString(),
+        checks
+    });
+});
+
+// Prometheus metrics; with METRICS_TOKEN set, scrapers must send it as bearer token
+app.get('/metrics', (req, res) => {
+    if (process.env.METRICS_TOKEN && req.get('Authorization') !== `Bearer ${process.env.METRICS_TOKEN}`) {
+        return res.status(401).json({
+            success: false,
+            message: 'Not authorized'
+        });
+    }
+
+    res.set('Content-Type', CONTENT_TYPE);
+    res.send(renderMetrics());
 });
 
 // API routes
+app.use('/api', authRoutes);
+app.use('/api', privacyRoutes);
+app.use('/api', outboxRoutes);
+app.use('/api', bulkRoutes);
+app.use('/api', webhookRoutes);
+app.use('/api', emailEventRoutes);
 app.use('/api', betaRoutes);
 
 // Error handling middleware
@@ -59,51 +138,160 @@ app.use('*', (req, res) => {
     });
 });
 
-// Database connection
+// Database connection, retried with backoff until it succeeds or shutdown starts
 const connectDB = async () => {
-    try {
-        const mongoURI = process.env.MONGODB_URI || 'mongodb://localhost:27017/bahnblitz-beta';
+    const mongoURI = process.env.MONGODB_URI || 'mongodb://localhost:27017/bahnblitz-beta';
 
-        await mongoose.connect(mongoURI, {
-            useNewUrlParser: true,
-            useUnifiedTopology: true,
-        });
+    for (let attempt = 1; !shuttingDown; attempt++) {
+        try {
+            await mongoose.connect(mongoURI, {
+                useNewUrlParser: true,
+                useUnifiedTopology: true,
+            });
 
-        console.log('✅ MongoDB connected successfully');
-    } catch (error) {
-        console.error('❌ MongoDB connection error:', error);
-        process.exit(1);
+            logger.info('MongoDB connected', { attempt });
+            return true;
+        } catch (error) {
+            const retryMs = Math.min(DB_RETRY_BASE_MS * Math.pow(2, attempt - 1), DB_RETRY_MAX_MS);
+            logger.error('MongoDB connection failed', { attempt, retryInSeconds: retryMs / 1000, err: error });
+            await sleep(retryMs);
+        }
     }
+
+    return false;
 };
 
 // Start server
 const startServer = async () => {
-    try {
-        await connectDB();
+    const missing = process.env.NODE_ENV === 'production'
+        ? REQUIRED_IN_PRODUCTION.filter((name) => !process.env[name])
+        : [];
+    if (missing.length) {
+        logger.error('Missing required configuration', { missing });
+        process.exit(1);
+    }
 
-        app.listen(PORT, () => {
-            console.log(`🚀 BahnBlitz Backend Server running on port ${PORT}`);
-            console.log(`📊 Health check: http://localhost:${PORT}/health`);
-            console.log(`🌍 Environment: ${process.env.NODE_ENV || 'development'}`);
+    // Listen right away so liveness checks pass while the database connects; readiness waits
+    server = app.listen(PORT, () => {
+        logger.info('BahnBlitz Backend Server running', {
+            port: Number(PORT),
+            environment: process.env.NODE_ENV || 'development'
         });
+    });
+
+    try {
+        if (!await connectDB()) {
+            return;
+        }
+
+        // Create the initial admin account from ADMIN_EMAIL/ADMIN_PASSWORD
+        const bootstrapAdmin = await AdminUser.ensureBootstrapAdmin();
+        if (bootstrapAdmin) {
+            logger.info('Admin account ready', { email: bootstrapAdmin.email });
+        }
+
+        // Duplicate detection needs emailKey on signups from older versions
+        const backfilled = await BetaSignup.ensureEmailKeys();
+        if (backfilled) {
+            logger.info('Added email keys to signups', { count: backfilled });
+        }
+
+        // Paging by referralCount needs the field on signups from older versions
+        const countsAdded = await BetaSignup.ensureReferralCounts();
+        if (countsAdded) {
+            logger.info('Added referral counts to signups', { count: countsAdded });
+        }
+
+        if (shuttingDown) {
+            return;
+        }
+
+        // Deliver queued emails and webhooks and run scheduled jobs in the background
+        startMetricsCollection();
+        startWebhookDispatcher();
+        startOutboxWorker();
+        startScheduler();
+
+        ready = true;
+        logger.info('Server ready');
     } catch (error) {
-        console.error('❌ Failed to start server:', error);
-        process.exit(1);
+        logger.error('Failed to start server', { err: error });
+        shutdown('startup failed', 1);
     }
 };
 
-// Handle unhandled promise rejections
-process.on('unhandledRejection', (err, promise) => {
-    console.error('Unhandled Promise Rejection:', err.message);
-    // Close server & exit process
-    server.close(() => {
-        process.exit(1);
+/**
+ * Wait until no bulk job runs in this process
+ */
+const waitForBulkJobs = async () => {
+    while (getActiveJobCount() > 0) {
+        await sleep(250);
+    }
+};
+
+/**
+ * Stop gracefully: fail readiness, stop accepting connections, let in-flight requests,
+ * outbox and scheduler runs, bulk jobs and webhook event queuing finish (up to
+ * SHUTDOWN_TIMEOUT_MS), then close the rate limit store and MongoDB and exit.
+ * Bulk jobs cut off by the timeout are resumed by another instance.
+ * @param {string} reason - Signal or event that triggered the shutdown
+ * @param {number} [exitCode] - Process exit code
+ */
+const shutdown = async (reason, exitCode = 0) => {
+    if (shuttingDown) {
+        return;
+    }
+    shuttingDown = true;
+    ready = false;
+    logger.info('Shutting down', { reason });
+
+    const serverClosed = new Promise((resolve) => {
+        if (!server) {
+            return resolve();
+        }
+        server.close(() => resolve());
+        server.closeIdleConnections();
     });
+
+    const drained = Promise.all([serverClosed, stopOutboxWorker(), stopScheduler(), waitForBulkJobs()])
+        // Requests and jobs that just finished may still be queuing webhook events
+        .then(() => flushWebhookEvents())
+        .then(() => true);
+    const timeout = sleep(SHUTDOWN_TIMEOUT_MS).then(() => false);
+
+    try {
+        if (!await Promise.race([drained, timeout])) {
+            logger.warn('Shutdown timed out, closing remaining connections', {
+                timeoutMs: SHUTDOWN_TIMEOUT_MS,
+                activeBulkJobs: getActiveJobCount()
+            });
+            if (server) {
+                server.closeAllConnections();
+            }
+        }
+
+        await closeStores();
+        await mongoose.connection.close();
+    } catch (error) {
+        logger.error('Error during shutdown', { err: error });
+    }
+
+    logger.info('Shutdown complete', { exitCode });
+    process.exit(exitCode);
+};
+
+process.on('SIGTERM', () => shutdown('SIGTERM'));
+process.on('SIGINT', () => shutdown('SIGINT'));
+
+// Handle unhandled promise rejections: drain and exit
+process.on('unhandledRejection', (err) => {
+    logger.error('Unhandled promise rejection', { err });
+    shutdown('unhandledRejection', 1);
 });
 
 // Handle uncaught exceptions
 process.on('uncaughtException', (err) => {
-    console.error('Uncaught Exception:', err.message);
+    logger.error('Uncaught exception', { err });
     process.exit(1);
 });
 
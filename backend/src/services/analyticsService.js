@@ -0,0 +1,249 @@
+// Analytics service: invite, conversion and funnel aggregations over beta signups
+
+const BetaSignup = require('../../models/BetaSignup');
+
+// Statuses a signup can only reach after it was invited
+const INVITED_STATUSES = ['invited', 'installed', 'expired'];
+
+// Percentiles reported for the invite -> install time
+const INSTALL_PERCENTILES = [50, 75, 90, 95];
+
+const HOUR_MS = 60 * 60 * 1000;
+
+/**
+ * Build a MongoDB date condition for a range
+ * @param {Object} range - { from, to } (either may be missing)
+ * @returns {Object|null} Condition like { $gte, $lte } or null for no range
+ */
+const buildDateCondition = ({ from, to } = {}) => {
+    const condition = {};
+
+    if (from) {
+        condition.$gte = new Date(from);
+    }
+    if (to) {
+        // A plain date includes the whole day
+        condition.$lte = /^\d{4}-\d{2}-\d{2}$/.test(to)
+            ? new Date(new Date(to).getTime() + 24 * HOUR_MS - 1)
+            : new Date(to);
+    }
+
+    return Object.keys(condition).length ? condition : null;
+};
+
+/**
+ * Round a ratio to a percentage with one decimal
+ * @param {number} part - Numerator
+ * @param {number} total - Denominator
+ * @returns {number} Percentage (0 when total is 0)
+ */
+const toPercent = (part, total) => {
+    return total ? Number((part / total * 100).toFixed(1)) : 0;
+};
+
+/**
+ * Pick a percentile from sorted values (nearest rank)
+ * @param {number[]} sorted - Values in ascending order
+ * @param {number} percentile - 0-100
+ * @returns {number|null} Value or null for no data
+ */
+const pickPercentile = (sorted, percentile) => {
+    if (!sorted.length) {
+        return null;
+    }
+
+    const rank = Math.ceil(percentile / 100 * sorted.length);
+    return sorted[Math.max(rank - 1, 0)];
+};
+
+/**
+ * Invites sent per day or ISO week
+ * @param {Object} range - { from, to } applied to inviteSentAt
+ * @param {string} [interval] - day or week
+ * @returns {Object[]} Array of { period, invites, installed }
+ */
+const getInviteTimeline = async (range, interval = 'day') => {
+    const sentAt = buildDateCondition(range);
+    const format = interval === 'week' ? '%G-W%V' : '%Y-%m-%d';
+
+    const timeline = await BetaSignup.aggregate([
+        { $match: { inviteSentAt: sentAt || { $exists: true } } },
+        {
+            $group: {
+                _id: { $dateToString: { format, date: '$inviteSentAt', timezone: 'Europe/Berlin' } },
+                invites: { $sum: 1 },
+                installed: { $sum: { $cond: [{ $eq: ['$status', 'installed'] }, 1, 0] } }
+            }
+        },
+        { $sort: { _id: 1 } }
+    ]);
+
+    return timeline.map(({ _id, invites, installed }) => ({ period: _id, invites, installed }));
+};
+
+/**
+ * Invited -> installed conversion and time-to-install percentiles
+ * @param {Object} range - { from, to } applied to inviteSentAt
+ * @returns {Object} Conversion statistics
+ */
+const getInviteConversion = async (range) => {
+    const sentAt = buildDateCondition(range);
+
+    const [result] = await BetaSignup.aggregate([
+        { $match: { inviteSentAt: sentAt || { $exists: true } } },
+        {
+            $facet: {
+                totals: [
+                    {
+                        $group: {
+                            _id: null,
+                            invited: { $sum: 1 },
+                            installed: { $sum: { $cond: [{ $eq: ['$status', 'installed'] }, 1, 0] } },
+                            expired: { $sum: { $cond: [{ $eq: ['$status', 'expired'] }, 1, 0] } }
+                        }
+                    }
+                ],
+                installHours: [
+                    { $match: { status: 'installed', installedAt: { $exists: true } } },
+                    { $project: { hours: { $divide: [{ $subtract: ['$installedAt', '$inviteSentAt'] }, HOUR_MS] } } },
+                    { $match: { hours: { $gte: 0 } } },
+                    { $sort: { hours: 1 } }
+                ]
+            }
+        }
+    ]);
+
+    const totals = result.totals[0] || { invited: 0, installed: 0, expired: 0 };
+    const hours = result.installHours.map(({ hours: value }) => value);
+
+    const timeToInstallHours = INSTALL_PERCENTILES.reduce((all, percentile) => {
+        const value = pickPercentile(hours, percentile);
+        all[`p${percentile}`] = value === null ? null : Number(value.toFixed(1));
+        return all;
+    }, { samples: hours.length });
+
+    return {
+        invited: totals.invited,
+        installed: totals.installed,
+        expired: totals.expired,
+        conversionRate: toPercent(totals.installed, totals.invited),
+        timeToInstallHours
+    };
+};
+
+/**
+ * Signups, invites and installs broken down by device, experience,
+ * source and requested feature
+ * @param {Object} range - { from, to } applied to createdAt
+ * @returns {Object} Breakdowns keyed by dimension
+ */
+const getBreakdowns = async (range) => {
+    const createdAt = buildDateCondition(range);
+
+    // Count per value of the grouped field
+    const countBy = (field) => [
+        {
+            $group: {
+                _id: field,
+                signups: { $sum: 1 },
+                invited: { $sum: { $cond: [{ $in: ['$status', INVITED_STATUSES] }, 1, 0] } },
+                installed: { $sum: { $cond: [{ $eq: ['$status', 'installed'] }, 1, 0] } }
+            }
+        },
+        { $sort: { signups: -1 } }
+    ];
+
+    const [result] = await BetaSignup.aggregate([
+        { $match: createdAt ? { createdAt } : {} },
+        {
+            $facet: {
+                device: countBy('$device'),
+                experience: countBy('$experience'),
+                source: countBy('$source'),
+                feature: [{ $unwind: '$features' }, ...countBy('$features')]
+            }
+        }
+    ]);
+
+    return Object.keys(result).reduce((all, dimension) => {
+        all[dimension] = result[dimension].map(({ _id, signups, invited, installed }) => ({
+            value: _id || 'unknown',
+            signups,
+            invited,
+            installed,
+            conversionRate: toPercent(installed, invited)
+        }));
+        return all;
+    }, {});
+};
+
+/**
+ * Signup funnel from signup to install with drop-off per step
+ * @param {Object} range - { from, to } applied to createdAt
+ * @returns {Object[]} Funnel steps in order
+ */
+const getFunnel = async (range) => {
+    const createdAt = buildDateCondition(range);
+
+    const [counts] = await BetaSignup.aggregate([
+        { $match: createdAt ? { createdAt } : {} },
+        {
+            $group: {
+                _id: null,
+                signedUp: { $sum: 1 },
+                confirmed: { $sum: { $cond: [{ $ne: ['$status', 'unconfirmed'] }, 1, 0] } },
+                approved: {
+                    $sum: { $cond: [{ $in: ['$status', ['approved', ...INVITED_STATUSES]] }, 1, 0] }
+                },
+                invited: { $sum: { $cond: [{ $in: ['$status', INVITED_STATUSES] }, 1, 0] } },
+                installed: { $sum: { $cond: [{ $eq: ['$status', 'installed'] }, 1, 0] } }
+            }
+        }
+    ]);
+
+    const steps = ['signedUp', 'confirmed', 'approved', 'invited', 'installed'];
+
+    return steps.map((step, index) => {
+        const count = counts ? counts[step] : 0;
+        const previous = index > 0 && counts ? counts[steps[index - 1]] : count;
+
+        return {
+            step,
+            count,
+            ofSignups: toPercent(count, counts ? counts.signedUp : 0),
+            dropOff: index > 0 ? toPercent(previous - count, previous) : 0
+        };
+    });
+};
+
+/**
+ * Full analytics report for the admin dashboard
+ * @param {Object} [options] - { from, to, interval }
+ * @returns {Object} Analytics report
+ */
+const getAnalytics = async ({ from, to, interval = 'day' } = {}) => {
+    const range = { from, to };
+
+    const [invitesOverTime, conversion, breakdowns, funnel] = await Promise.all([
+        getInviteTimeline(range, interval),
+        getInviteConversion(range),
+        getBreakdowns(range),
+        getFunnel(range)
+    ]);
+
+    return {
+        range: { from: from || null, to: to || null, interval },
+        invitesOverTime,
+        conversion,
+        breakdowns,
+        funnel
+    };
+};
+
+module.exports = {
+    getInviteTimeline,
+    getInviteConversion,
+    getBreakdowns,
+    getFunnel,
+    getAnalytics
+};
@@ -0,0 +1,100 @@
+const BetaSignup = require('../../models/BetaSignup');
+const { getInviteConversion, getBreakdowns, getFunnel, getInviteTimeline } = require('./analyticsService');
+
+describe('analyticsService', () => {
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    describe('getInviteTimeline', () => {
+        it('limits invites to the range, including the whole last day', async () => {
+            jest.spyOn(BetaSignup, 'aggregate').mockResolvedValue([{ _id: '2025-W10', invites: 4, installed: 1 }]);
+
+            const timeline = await getInviteTimeline({ from: '2025-03-01', to: '2025-03-31' }, 'week');
+
+            const [match, group] = BetaSignup.aggregate.mock.calls[0][0];
+            expect(match.$match.inviteSentAt).toEqual({
+                $gte: new Date('2025-03-01T00:00:00.000Z'),
+                $lte: new Date('2025-03-31T23:59:59.999Z')
+            });
+            expect(group.$group._id.$dateToString.format).toBe('%G-W%V');
+            expect(timeline).toEqual([{ period: '2025-W10', invites: 4, installed: 1 }]);
+        });
+
+        it('counts all invites without a range', async () => {
+            jest.spyOn(BetaSignup, 'aggregate').mockResolvedValue([]);
+
+            await getInviteTimeline({});
+
+            expect(BetaSignup.aggregate.mock.calls[0][0][0].$match).toEqual({ inviteSentAt: { $exists: true } });
+        });
+    });
+
+    describe('getInviteConversion', () => {
+        it('reports the conversion rate and nearest-rank install time percentiles', async () => {
+            const hours = [1, 2, 3, 4, 5, 6, 7, 8, 9, 10].map((value) => ({ hours: value }));
+            jest.spyOn(BetaSignup, 'aggregate').mockResolvedValue([{
+                totals: [{ invited: 40, installed: 10, expired: 5 }],
+                installHours: hours
+            }]);
+
+            const conversion = await getInviteConversion({});
+
+            expect(conversion).toEqual({
+                invited: 40,
+                installed: 10,
+                expired: 5,
+                conversionRate: 25,
+                timeToInstallHours: { samples: 10, p50: 5, p75: 8, p90: 9, p95: 10 }
+            });
+        });
+
+        it('reports zeros and no percentiles without invites', async () => {
+            jest.spyOn(BetaSignup, 'aggregate').mockResolvedValue([{ totals: [], installHours: [] }]);
+
+            const conversion = await getInviteConversion({});
+
+            expect(conversion.conversionRate).toBe(0);
+            expect(conversion.timeToInstallHours).toEqual({ samples: 0, p50: null, p75: null, p90: null, p95: null });
+        });
+    });
+
+    describe('getBreakdowns', () => {
+        it('labels missing values as unknown and adds the conversion rate', async () => {
+            jest.spyOn(BetaSignup, 'aggregate').mockResolvedValue([{
+                device: [{ _id: 'iphone', signups: 30, invited: 9, installed: 3 }],
+                experience: [{ _id: null, signups: 5, invited: 0, installed: 0 }],
+                source: [],
+                feature: []
+            }]);
+
+            const breakdowns = await getBreakdowns({});
+
+            expect(breakdowns.device).toEqual([{ value: 'iphone', signups: 30, invited: 9, installed: 3, conversionRate: 33.3 }]);
+            expect(breakdowns.experience[0]).toEqual(expect.objectContaining({ value: 'unknown', conversionRate: 0 }));
+        });
+    });
+
+    describe('getFunnel', () => {
+        it('reports each step against signups and the previous step', async () => {
+            jest.spyOn(BetaSignup, 'aggregate').mockResolvedValue([
+                { signedUp: 200, confirmed: 150, approved: 100, invited: 80, installed: 20 }
+            ]);
+
+            const funnel = await getFunnel({});
+
+            expect(funnel.map(({ step }) => step)).toEqual(['signedUp', 'confirmed', 'approved', 'invited', 'installed']);
+            expect(funnel[0]).toEqual({ step: 'signedUp', count: 200, ofSignups: 100, dropOff: 0 });
+            expect(funnel[1]).toEqual({ step: 'confirmed', count: 150, ofSignups: 75, dropOff: 25 });
+            expect(funnel[4]).toEqual({ step: 'installed', count: 20, ofSignups: 10, dropOff: 75 });
+        });
+
+        it('reports empty steps without signups', async () => {
+            jest.spyOn(BetaSignup, 'aggregate').mockResolvedValue([]);
+
+            const funnel = await getFunnel({});
+
+            expect(funnel.every(({ count, ofSignups, dropOff }) => count === 0 && ofSignups === 0 && dropOff === 0)).toBe(true);
+        });
+    });
+});
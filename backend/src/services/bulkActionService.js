@@ -0,0 +1,326 @@
+// Bulk action service: approve, reject, invite, tag or annotate many signups as a background job
+
+const BetaSignup = require('../../models/BetaSignup');
+const BulkJob = require('../../models/BulkJob');
+const { buildListQuery } = require('./signupQueryService');
+const { sendInvite } = require('./testflightService');
+const { getCapacity } = require('./waitlistService');
+const { logger } = require('../logger');
+
+// Most signups a single job may touch
+const MAX_ITEMS = parseInt(process.env.BULK_MAX_ITEMS) || 10000;
+// Jobs up to this size finish within the request, larger ones run in the background
+const INLINE_LIMIT = parseInt(process.env.BULK_INLINE_LIMIT) || 100;
+// Progress is written to the job every this many signups
+const PROGRESS_EVERY = 25;
+// Actions with side effects outside the database (invites send email) write progress after every signup,
+// so a resumed job does not repeat them
+const PROGRESS_EVERY_SIGNUP = ['invite'];
+// Running jobs without a heartbeat for this long are resumed
+const STALE_AFTER_MS = 5 * 60 * 1000;
+
+// Jobs running in this process
+const activeJobs = new Set();
+
+/**
+ * Create an error for an invalid bulk request (answered with 400)
+ * @param {string} message - Error message
+ * @returns {Error} Error with code INVALID_BULK_ACTION
+ */
+const invalidBulkAction = (message) => {
+    const error = new Error(message);
+    error.code = 'INVALID_BULK_ACTION';
+    return error;
+};
+
+/**
+ * Apply a status transition, skipping signups already in the target status
+ * @param {string} status - Target status
+ * @returns {Function} Action handler
+ */
+const transitionHandler = (status) => async (signup, job) => {
+    if (signup.status === status) {
+        return { outcome: 'skipped', message: `Already ${status}` };
+    }
+
+    if (!signup.canTransitionTo(status)) {
+        return { outcome: 'failed', message: `Cannot change status from ${signup.status} to ${status}` };
+    }
+
+    signup.transitionTo(status, { by: job.createdBy, note: job.params.note });
+    await signup.save();
+
+    return { outcome: 'succeeded', message: `Status changed to ${status}` };
+};
+
+// Handler per action: (signup, job, context) -> { outcome, message }
+const handlers = {
+    approve: transitionHandler('approved'),
+    reject: transitionHandler('rejected'),
+
+    invite: async (signup, job, context) => {
+        if (signup.status === 'invited') {
+            return { outcome: 'skipped', message: 'Already invited' };
+        }
+
+        if (!signup.canReceiveInvite()) {
+            return { outcome: 'failed', message: `User status is ${signup.status}, cannot send invite` };
+        }
+
+        if (context.remainingCapacity <= 0) {
+            return { outcome: 'skipped', message: 'Tester capacity reached' };
+        }
+
+        await sendInvite(signup, job.params.testflightUrl, job.createdBy);
+        context.remainingCapacity--;
+
+        return { outcome: 'succeeded', message: 'Invite queued' };
+    },
+
+    tag: async (signup, job) => {
+        const missing = job.params.tags.filter((tag) => !signup.tags.includes(tag));
+
+        if (!missing.length) {
+            return { outcome: 'skipped', message: 'Already tagged' };
+        }
+
+        await BetaSignup.updateOne(
+            { _id: signup._id },
+            { $addToSet: { tags: { $each: missing } }, $set: { updatedAt: new Date() } }
+        );
+
+        return { outcome: 'succeeded', message: `Tagged ${missing.join(', ')}` };
+    },
+
+    note: async (signup, job) => {
+        signup.adminNotes = [signup.adminNotes, job.params.note].filter(Boolean).join('\n');
+        await signup.save();
+
+        return { outcome: 'succeeded', message: 'Note added' };
+    }
+};
+
+/**
+ * Check the action arguments
+ * @param {string} action - Bulk action
+ * @param {Object} params - { note, tags, testflightUrl }
+ * @returns {Object} Normalised params
+ */
+const normaliseParams = (action, params = {}) => {
+    if (!handlers[action]) {
+        throw invalidBulkAction(`Unknown action: ${action}`);
+    }
+
+    if (action === 'note' && !params.note) {
+        throw invalidBulkAction('A note is required');
+    }
+
+    if (action === 'tag' && (!params.tags || !params.tags.length)) {
+        throw invalidBulkAction('At least one tag is required');
+    }
+
+    if (action === 'invite') {
+        const testflightUrl = params.testflightUrl || process.env.TESTFLIGHT_URL;
+        if (!testflightUrl) {
+            throw invalidBulkAction('TestFlight URL not configured');
+        }
+        return { ...params, testflightUrl };
+    }
+
+    return params;
+};
+
+/**
+ * Create a bulk job for a list of ids or the signups matching filters
+ * @param {Object} options - { action, ids, filters, params, createdBy }
+ * @returns {Object} Bulk job (queued)
+ */
+const createBulkJob = async ({ action, ids, filters, params, createdBy }) => {
+    const normalisedParams = normaliseParams(action, params);
+
+    if (!ids && !filters) {
+        throw invalidBulkAction('Either ids or filters are required');
+    }
+
+    // Resolve the selection now so the job works on a fixed set of signups.
+    // Explicit ids are kept as given so unknown ones show up in the results.
+    let signupIds;
+    if (ids) {
+        signupIds = [...new Set(ids.map(String))];
+    } else {
+        const selected = await BetaSignup
+            .find(buildListQuery(filters))
+            .sort({ createdAt: 1, _id: 1 })
+            .limit(MAX_ITEMS + 1)
+            .select('_id');
+        signupIds = selected.map(({ _id }) => _id);
+    }
+
+    if (signupIds.length > MAX_ITEMS) {
+        throw invalidBulkAction(`A bulk action can cover at most ${MAX_ITEMS} signups`);
+    }
+
+    return BulkJob.create({
+        action,
+        params: normalisedParams,
+        signupIds,
+        filters: ids ? undefined : filters,
+        createdBy,
+        total: signupIds.length
+    });
+};
+
+/**
+ * Write the progress of a running job
+ * @param {Object} job - Bulk job
+ * @param {Object[]} results - Results since the last write
+ */
+const saveProgress = (job, results) => {
+    const counts = { succeeded: 0, skipped: 0, failed: 0 };
+    results.forEach(({ outcome }) => counts[outcome]++);
+
+    return BulkJob.updateOne(
+        { _id: job._id },
+        {
+            $push: { results: { $each: results } },
+            $inc: { processed: results.length, ...counts },
+            $set: { heartbeatAt: new Date(), updatedAt: new Date() }
+        }
+    );
+};
+
+/**
+ * Claim a queued or stale job and process its remaining signups
+ * @param {string} jobId - Bulk job id
+ * @returns {Object|null} Finished job, or null if another worker has it
+ */
+const processBulkJob = async (jobId) => {
+    const now = new Date();
+    const job = await BulkJob.findOneAndUpdate(
+        {
+            _id: jobId,
+            $or: [
+                { status: 'queued' },
+                { status: 'running', heartbeatAt: { $lte: new Date(now - STALE_AFTER_MS) } }
+            ]
+        },
+        { $set: { status: 'running', heartbeatAt: now, updatedAt: now }, $min: { startedAt: now } },
+        { new: true }
+    );
+
+    if (!job || activeJobs.has(String(job._id))) {
+        return null;
+    }
+
+    activeJobs.add(String(job._id));
+
+    try {
+        const context = {};
+        if (job.action === 'invite') {
+            context.remainingCapacity = (await getCapacity()).remaining;
+        }
+
+        // Resume after the signups a previous run already handled
+        const pending = job.signupIds.slice(job.processed);
+        const progressEvery = PROGRESS_EVERY_SIGNUP.includes(job.action) ? 1 : PROGRESS_EVERY;
+        let batch = [];
+
+        for (const id of pending) {
+            const signup = await BetaSignup.findById(id);
+            let result;
+
+            if (!signup) {
+                result = { id, outcome: 'failed', message: 'Beta signup not found' };
+            } else {
+                try {
+                    result = { id, email: signup.email, ...(await handlers[job.action](signup, job, context)) };
+                } catch (error) {
+                    result = { id, email: signup.email, outcome: 'failed', message: error.message };
+                }
+            }
+
+            batch.push(result);
+            if (batch.length >= progressEvery) {
+                await saveProgress(job, batch);
+                batch = [];
+            }
+        }
+
+        if (batch.length) {
+            await saveProgress(job, batch);
+        }
+
+        return BulkJob.findByIdAndUpdate(
+            job._id,
+            { $set: { status: 'completed', finishedAt: new Date(), updatedAt: new Date() } },
+            { new: true }
+        );
+    } catch (error) {
+        logger.error('Bulk job failed', { jobId: job._id, err: error });
+        return BulkJob.findByIdAndUpdate(
+            job._id,
+            { $set: { status: 'failed', error: error.message, finishedAt: new Date(), updatedAt: new Date() } },
+            { new: true }
+        );
+    } finally {
+        activeJobs.delete(String(job._id));
+    }
+};
+
+/**
+ * Run a job: small jobs finish before returning, large ones continue in the background
+ * @param {Object} job - Queued bulk job
+ * @returns {Object} { job, background }
+ */
+const startBulkJob = async (job) => {
+    if (job.total <= INLINE_LIMIT) {
+        return { job: await processBulkJob(job._id), background: false };
+    }
+
+    processBulkJob(job._id).catch((error) => {
+        logger.error('Bulk job failed', { jobId: job._id, err: error });
+    });
+
+    return { job, background: true };
+};
+
+/**
+ * Pick up queued jobs and resume jobs whose process died (scheduler entry point)
+ * @returns {Object} { resumed }
+ */
+const resumeBulkJobs = async () => {
+    const jobs = await BulkJob
+        .find({
+            $or: [
+                { status: 'queued' },
+                { status: 'running', heartbeatAt: { $lte: new Date(Date.now() - STALE_AFTER_MS) } }
+            ]
+        })
+        .sort({ createdAt: 1 })
+        .select('_id');
+
+    let resumed = 0;
+    for (const { _id } of jobs) {
+        if (await processBulkJob(_id)) {
+            resumed++;
+        }
+    }
+
+    return { resumed };
+};
+
+/**
+ * Number of bulk jobs running in this process
+ * @returns {number} Running jobs
+ */
+const getActiveJobCount = () => activeJobs.size;
+
+module.exports = {
+    MAX_ITEMS,
+    INLINE_LIMIT,
+    createBulkJob,
+    processBulkJob,
+    startBulkJob,
+    resumeBulkJobs,
+    getActiveJobCount
+};
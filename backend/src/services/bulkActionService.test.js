@@ -0,0 +1,243 @@
+const mongoose = require('mongoose');
+const BetaSignup = require('../../models/BetaSignup');
+const BulkJob = require('../../models/BulkJob');
+
+jest.mock('./testflightService', () => ({
+    ...jest.requireActual('./testflightService'),
+    sendInvite: jest.fn()
+}));
+jest.mock('./waitlistService', () => ({
+    ...jest.requireActual('./waitlistService'),
+    getCapacity: jest.fn()
+}));
+
+const { sendInvite } = require('./testflightService');
+const { getCapacity } = require('./waitlistService');
+const { MAX_ITEMS, createBulkJob, processBulkJob } = require('./bulkActionService');
+
+const STALE_MS = 10 * 60 * 1000;
+
+/**
+ * Keep one bulk job in memory: claims follow the queued/stale-heartbeat
+ * rule of the real filter, progress and completion updates are applied to it
+ */
+const useJob = (fields) => {
+    const job = {
+        _id: new mongoose.Types.ObjectId(),
+        status: 'queued',
+        params: {},
+        createdBy: 'admin@example.com',
+        processed: 0,
+        succeeded: 0,
+        skipped: 0,
+        failed: 0,
+        results: [],
+        ...fields
+    };
+
+    jest.spyOn(BulkJob, 'findOneAndUpdate').mockImplementation(async (filter, update) => {
+        const stale = job.status === 'running' && job.heartbeatAt <= filter.$or[1].heartbeatAt.$lte;
+        if (job.status !== 'queued' && !stale) {
+            return null;
+        }
+        Object.assign(job, update.$set);
+        return { ...job };
+    });
+    jest.spyOn(BulkJob, 'updateOne').mockImplementation(async (filter, update) => {
+        job.results.push(...update.$push.results.$each);
+        Object.entries(update.$inc).forEach(([key, count]) => {
+            job[key] += count;
+        });
+    });
+    jest.spyOn(BulkJob, 'findByIdAndUpdate').mockImplementation(async (id, update) => Object.assign(job, update.$set));
+
+    return job;
+};
+
+const useSignups = (signups) => {
+    jest.spyOn(BetaSignup, 'findById').mockImplementation(async (id) => (
+        signups.find(({ _id }) => String(_id) === String(id)) || null
+    ));
+    jest.spyOn(BetaSignup.prototype, 'save').mockImplementation(async function() {
+        return this;
+    });
+};
+
+const makeSignup = (name, status) => new BetaSignup({ email: `${name}@example.com`, name, device: 'iphone', status });
+
+const outcomesOf = (job) => job.results.map(({ email, outcome }) => [email, outcome]);
+
+describe('bulkActionService', () => {
+    afterEach(() => {
+        jest.restoreAllMocks();
+        delete process.env.TESTFLIGHT_URL;
+    });
+
+    describe('createBulkJob', () => {
+        beforeEach(() => {
+            jest.spyOn(BulkJob, 'create').mockImplementation(async (doc) => doc);
+        });
+
+        it('keeps explicit ids once each, in the given order', async () => {
+            const [first, second] = [new mongoose.Types.ObjectId(), new mongoose.Types.ObjectId()];
+
+            const job = await createBulkJob({ action: 'approve', ids: [first, second, String(first)], createdBy: 'admin@example.com' });
+
+            expect(job).toMatchObject({ signupIds: [String(first), String(second)], total: 2, filters: undefined });
+        });
+
+        it('resolves filters to a fixed selection', async () => {
+            const ids = [new mongoose.Types.ObjectId(), new mongoose.Types.ObjectId()];
+            const query = { sort: jest.fn().mockReturnThis(), limit: jest.fn().mockReturnThis(), select: jest.fn().mockResolvedValue(ids.map((_id) => ({ _id }))) };
+            jest.spyOn(BetaSignup, 'find').mockReturnValue(query);
+
+            const job = await createBulkJob({ action: 'reject', filters: { status: ['pending'] }, createdBy: 'admin@example.com' });
+
+            expect(BetaSignup.find).toHaveBeenCalledWith({ status: { $in: ['pending'] } });
+            expect(query.sort).toHaveBeenCalledWith({ createdAt: 1, _id: 1 });
+            expect(job).toMatchObject({ signupIds: ids, total: 2, filters: { status: ['pending'] } });
+        });
+
+        it('refuses selections above the limit', async () => {
+            const ids = Array.from({ length: MAX_ITEMS + 1 }, (value, index) => String(index));
+
+            await expect(createBulkJob({ action: 'approve', ids, createdBy: 'admin@example.com' }))
+                .rejects.toMatchObject({ code: 'INVALID_BULK_ACTION', message: `A bulk action can cover at most ${MAX_ITEMS} signups` });
+            expect(BulkJob.create).not.toHaveBeenCalled();
+        });
+
+        it.each([
+            [{ action: 'delete', ids: [] }, 'Unknown action: delete'],
+            [{ action: 'note', ids: [] }, 'A note is required'],
+            [{ action: 'tag', ids: [], params: { tags: [] } }, 'At least one tag is required'],
+            [{ action: 'invite', ids: [] }, 'TestFlight URL not configured'],
+            [{ action: 'approve' }, 'Either ids or filters are required']
+        ])('rejects %j', async (options, message) => {
+            await expect(createBulkJob({ ...options, createdBy: 'admin@example.com' }))
+                .rejects.toMatchObject({ code: 'INVALID_BULK_ACTION', message });
+        });
+    });
+
+    describe('processBulkJob', () => {
+        it('reports an outcome for every signup and completes the job', async () => {
+            const signups = [makeSignup('pending', 'pending'), makeSignup('approved', 'approved'), makeSignup('installed', 'installed')];
+            useSignups(signups);
+            const missing = new mongoose.Types.ObjectId();
+            const job = useJob({ action: 'approve', params: { note: 'Batch 3' }, signupIds: [...signups.map(({ _id }) => _id), missing] });
+
+            await processBulkJob(job._id);
+
+            expect(outcomesOf(job)).toEqual([
+                ['pending@example.com', 'succeeded'],
+                ['approved@example.com', 'skipped'],
+                ['installed@example.com', 'failed'],
+                [undefined, 'failed']
+            ]);
+            expect(job.results[3]).toMatchObject({ id: missing, message: 'Beta signup not found' });
+            expect(job).toMatchObject({ status: 'completed', processed: 4, succeeded: 1, skipped: 1, failed: 2 });
+            expect(signups[0].statusHistory[0]).toMatchObject({ to: 'approved', changedBy: 'admin@example.com', note: 'Batch 3' });
+        });
+
+        it('resumes a stale job after the signups it already handled', async () => {
+            const signups = [makeSignup('done', 'pending'), makeSignup('left', 'pending')];
+            useSignups(signups);
+            const job = useJob({
+                action: 'reject',
+                status: 'running',
+                heartbeatAt: new Date(Date.now() - STALE_MS),
+                signupIds: signups.map(({ _id }) => _id),
+                processed: 1
+            });
+
+            await processBulkJob(job._id);
+
+            expect(outcomesOf(job)).toEqual([['left@example.com', 'succeeded']]);
+            expect(signups[0].status).toBe('pending');
+            expect(job.processed).toBe(2);
+        });
+
+        it('leaves a job another worker is running alone', async () => {
+            const job = useJob({ action: 'approve', status: 'running', heartbeatAt: new Date(), signupIds: [] });
+
+            expect(await processBulkJob(job._id)).toBeNull();
+            expect(BulkJob.findByIdAndUpdate).not.toHaveBeenCalled();
+        });
+
+        it('invites until the tester capacity is used up', async () => {
+            const signups = [makeSignup('first', 'approved'), makeSignup('second', 'approved'), makeSignup('rejected', 'rejected')];
+            useSignups(signups);
+            getCapacity.mockResolvedValue({ remaining: 1 });
+            sendInvite.mockReset().mockResolvedValue({});
+            const job = useJob({ action: 'invite', params: { testflightUrl: 'https://testflight.apple.com/join/ABC123' }, signupIds: signups.map(({ _id }) => _id) });
+
+            await processBulkJob(job._id);
+
+            expect(outcomesOf(job)).toEqual([
+                ['first@example.com', 'succeeded'],
+                ['second@example.com', 'skipped'],
+                ['rejected@example.com', 'failed']
+            ]);
+            expect(sendInvite).toHaveBeenCalledTimes(1);
+            expect(sendInvite).toHaveBeenCalledWith(signups[0], 'https://testflight.apple.com/join/ABC123', 'admin@example.com');
+        });
+
+        it('skips signups that were already invited', async () => {
+            const signups = [makeSignup('invited', 'invited'), makeSignup('approved', 'approved')];
+            useSignups(signups);
+            getCapacity.mockResolvedValue({ remaining: 10 });
+            sendInvite.mockReset().mockResolvedValue({});
+            const job = useJob({ action: 'invite', params: { testflightUrl: 'https://testflight.apple.com/join/ABC123' }, signupIds: signups.map(({ _id }) => _id) });
+
+            await processBulkJob(job._id);
+
+            expect(job.results[0]).toMatchObject({ email: 'invited@example.com', outcome: 'skipped', message: 'Already invited' });
+            expect(sendInvite).toHaveBeenCalledTimes(1);
+            expect(sendInvite).toHaveBeenCalledWith(signups[1], expect.any(String), expect.any(String));
+        });
+
+        it('writes progress after every invite so a resumed job does not send it again', async () => {
+            const signups = [makeSignup('first', 'approved'), makeSignup('second', 'approved'), makeSignup('third', 'approved')];
+            useSignups(signups);
+            getCapacity.mockResolvedValue({ remaining: 10 });
+            sendInvite.mockReset().mockResolvedValue({});
+            const job = useJob({ action: 'invite', params: { testflightUrl: 'https://testflight.apple.com/join/ABC123' }, signupIds: signups.map(({ _id }) => _id) });
+
+            await processBulkJob(job._id);
+
+            expect(BulkJob.updateOne).toHaveBeenCalledTimes(3);
+            expect(job.processed).toBe(3);
+        });
+
+        it('only adds missing tags', async () => {
+            const signups = [makeSignup('tagged', 'pending'), makeSignup('untagged', 'pending')];
+            signups[0].tags = ['vip', 'press'];
+            signups[1].tags = ['vip'];
+            useSignups(signups);
+            jest.spyOn(BetaSignup, 'updateOne').mockResolvedValue({});
+            const job = useJob({ action: 'tag', params: { tags: ['vip', 'press'] }, signupIds: signups.map(({ _id }) => _id) });
+
+            await processBulkJob(job._id);
+
+            expect(outcomesOf(job)).toEqual([['tagged@example.com', 'skipped'], ['untagged@example.com', 'succeeded']]);
+            expect(BetaSignup.updateOne).toHaveBeenCalledWith(
+                { _id: signups[1]._id },
+                { $addToSet: { tags: { $each: ['press'] } }, $set: { updatedAt: expect.any(Date) } }
+            );
+        });
+
+        it('records a failing signup and continues with the next', async () => {
+            const signups = [makeSignup('broken', 'pending'), makeSignup('fine', 'pending')];
+            useSignups(signups);
+            BetaSignup.prototype.save.mockRejectedValueOnce(new Error('write conflict'));
+            const job = useJob({ action: 'note', params: { note: 'Called' }, signupIds: signups.map(({ _id }) => _id) });
+
+            await processBulkJob(job._id);
+
+            expect(job.results).toEqual([
+                expect.objectContaining({ outcome: 'failed', message: 'write conflict' }),
+                expect.objectContaining({ outcome: 'succeeded', message: 'Note added' })
+            ]);
+            expect(job.status).toBe('completed');
+        });
+    });
+});
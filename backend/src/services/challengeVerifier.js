@@ -0,0 +1,168 @@
+// Signup challenge layer: form tokens and the proof-of-work or CAPTCHA check on the public signup form
+
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+
+const FORM_TOKEN_TYPE = 'signup-form';
+// A loaded form can be submitted for this long
+const FORM_TOKEN_TTL_SECONDS = 60 * 60;
+
+/**
+ * Count the leading zero bits of a hash
+ * @param {Buffer} hash - Digest
+ * @returns {number} Leading zero bits
+ */
+const leadingZeroBits = (hash) => {
+    let bits = 0;
+
+    for (const byte of hash) {
+        if (byte !== 0) {
+            return bits + Math.clz32(byte) - 24;
+        }
+        bits += 8;
+    }
+
+    return bits;
+};
+
+// Available verifiers by name; extend with registerVerifier.
+// A verifier has createChallenge(), returning the data the browser needs (null for none),
+// and verify(challenge, solution, context), resolving to { ok, score } where the optional
+// score (0-100) is added to the signup's risk score, e.g. from a CAPTCHA provider.
+const verifierFactories = {
+    // No challenge; honeypot, fill time and velocity limits still apply
+    none: () => ({
+        createChallenge: () => null,
+        verify: async () => ({ ok: true })
+    }),
+    // Local stand-in for a CAPTCHA: the browser echoes the token back
+    stub: () => ({
+        createChallenge: () => ({ type: 'stub', token: crypto.randomBytes(8).toString('hex') }),
+        verify: async (challenge, solution) => ({ ok: solution === challenge.token })
+    }),
+    // Hashcash: sha256("<nonce>:<counter>") must start with `difficulty` zero bits
+    pow: () => ({
+        createChallenge: () => ({
+            type: 'pow',
+            nonce: crypto.randomBytes(16).toString('hex'),
+            difficulty: parseInt(process.env.SIGNUP_POW_DIFFICULTY) || 16
+        }),
+        verify: async (challenge, solution) => {
+            if (!/^\d{1,15}$/.test(String(solution))) {
+                return { ok: false };
+            }
+
+            const hash = crypto.createHash('sha256').update(`${challenge.nonce}:${solution}`).digest();
+            return { ok: leadingZeroBits(hash) >= challenge.difficulty };
+        }
+    })
+};
+
+const activeVerifiers = {};
+
+/**
+ * Resolve the verifier name from SIGNUP_CHALLENGE
+ * @returns {string} Verifier name
+ */
+const getVerifierName = () => process.env.SIGNUP_CHALLENGE || 'none';
+
+/**
+ * Get a verifier by name (created once and reused)
+ * @param {string} [name] - Registered verifier name, defaults to the configured one
+ * @returns {Object} Verifier
+ */
+const getVerifier = (name = getVerifierName()) => {
+    if (!activeVerifiers[name]) {
+        const factory = verifierFactories[name];
+        if (!factory) {
+            throw new Error(`Unknown signup challenge: ${name}`);
+        }
+        activeVerifiers[name] = factory();
+    }
+    return activeVerifiers[name];
+};
+
+/**
+ * Register an additional verifier, e.g. a hosted CAPTCHA
+ * @param {string} name - Name used in SIGNUP_CHALLENGE
+ * @param {Function} factory - Returns { createChallenge, verify }
+ */
+const registerVerifier = (name, factory) => {
+    verifierFactories[name] = factory;
+    delete activeVerifiers[name];
+};
+
+/**
+ * Check if signups must carry a form token with a solved challenge
+ * @returns {boolean} True unless SIGNUP_CHALLENGE is none
+ */
+const isChallengeRequired = () => getVerifierName() !== 'none';
+
+/**
+ * Issue a signed form token with a fresh challenge, fetched when the signup form loads
+ * @returns {Object} { formToken, challenge, expiresIn }
+ */
+const issueFormToken = () => {
+    const verifier = getVerifierName();
+    const challenge = getVerifier(verifier).createChallenge();
+
+    const formToken = jwt.sign(
+        { type: FORM_TOKEN_TYPE, verifier, challenge, issuedAt: Date.now() },
+        process.env.JWT_SECRET,
+        { expiresIn: FORM_TOKEN_TTL_SECONDS, jwtid: crypto.randomUUID() }
+    );
+
+    return { formToken, challenge, expiresIn: FORM_TOKEN_TTL_SECONDS };
+};
+
+/**
+ * Read a form token
+ * @param {string} token - Form token from the signup request
+ * @returns {Object|null} { id, verifier, challenge, issuedAt }, null if invalid or expired
+ */
+const readFormToken = (token) => {
+    try {
+        const decoded = jwt.verify(String(token), process.env.JWT_SECRET);
+        if (decoded.type !== FORM_TOKEN_TYPE || !decoded.jti) {
+            return null;
+        }
+
+        return {
+            id: decoded.jti,
+            verifier: decoded.verifier,
+            challenge: decoded.challenge,
+            issuedAt: decoded.issuedAt
+        };
+    } catch (error) {
+        return null;
+    }
+};
+
+/**
+ * Check the solution to the challenge of a form token
+ * @param {Object} formToken - Result of readFormToken
+ * @param {*} solution - Solution sent by the browser
+ * @param {Object} context - { ip, userAgent } for verifiers that call a provider
+ * @returns {Object} { ok, score }
+ */
+const verifyChallenge = async (formToken, solution, context) => {
+    // Tokens issued while SIGNUP_CHALLENGE was none carry no challenge
+    if (!formToken.challenge) {
+        return { ok: !isChallengeRequired() };
+    }
+    if (solution === undefined || solution === null || solution === '') {
+        return { ok: false };
+    }
+
+    // Checked by the verifier that issued the token, even if SIGNUP_CHALLENGE changed since
+    return getVerifier(formToken.verifier).verify(formToken.challenge, solution, context);
+};
+
+module.exports = {
+    getVerifierName,
+    registerVerifier,
+    isChallengeRequired,
+    issueFormToken,
+    readFormToken,
+    verifyChallenge
+};
@@ -0,0 +1,329 @@
+// Email event service: delivery, bounce, complaint, open and click events reported by the email provider
+
+const BetaSignup = require('../../models/BetaSignup');
+const EmailSuppression = require('../../models/EmailSuppression');
+
+const PROVIDERS = ['sendgrid', 'ses', 'postmark'];
+
+// Postmark bounce types after which the address must not be mailed again
+const POSTMARK_HARD_BOUNCES = ['HardBounce', 'BadEmailAddress', 'ManuallyDeactivated', 'Blocked'];
+
+/**
+ * Create an error for a payload that cannot be read (answered with 400)
+ * @param {string} message - Error message
+ * @returns {Error} Error with code INVALID_EMAIL_EVENT
+ */
+const invalidEvent = (message) => {
+    const error = new Error(message);
+    error.code = 'INVALID_EMAIL_EVENT';
+    return error;
+};
+
+/**
+ * Strip angle brackets and whitespace from a message id
+ * @param {string} id - Message id as reported
+ * @returns {string} Bare message id
+ */
+const normaliseMessageId = (id) => String(id).trim().replace(/^<|>$/g, '');
+
+/**
+ * Parse a date or a unix timestamp in seconds
+ * @param {string|number} value - Provider timestamp
+ * @returns {Date} Date, now if missing or invalid
+ */
+const toDate = (value) => {
+    const date = typeof value === 'number' ? new Date(value * 1000) : new Date(value);
+    return value && !isNaN(date) ? date : new Date();
+};
+
+// SendGrid event webhook: an array of events
+const SENDGRID_TYPES = {
+    delivered: 'delivered',
+    bounce: 'bounced',
+    dropped: 'bounced',
+    spamreport: 'complained',
+    open: 'opened',
+    click: 'clicked'
+};
+
+/**
+ * Normalise SendGrid events
+ * @param {Object[]} body - Event webhook payload
+ * @returns {Object[]} Normalised events
+ */
+const parseSendGrid = (body) => {
+    if (!Array.isArray(body)) {
+        throw invalidEvent('SendGrid payload must be an array of events');
+    }
+    if (!body.every((event) => event && typeof event === 'object')) {
+        throw invalidEvent('SendGrid events must be objects');
+    }
+
+    return body.map((event) => ({
+        type: SENDGRID_TYPES[event.event],
+        providerType: event.event,
+        messageIds: [event.email_id, event['smtp-id'], event.sg_message_id],
+        recipient: event.email,
+        // type "blocked" marks a soft bounce in newer payloads
+        hardBounce: event.event === 'bounce' && event.type !== 'blocked',
+        occurredAt: toDate(event.timestamp),
+        detail: event.reason || event.url
+    }));
+};
+
+/**
+ * Read the addresses of an SES bounce or complaint
+ * @param {Object[]} recipients - bouncedRecipients or complainedRecipients
+ * @param {string} field - Field name, for the error message
+ * @returns {string[]} Email addresses
+ */
+const sesRecipients = (recipients, field) => {
+    if (!Array.isArray(recipients) || !recipients.every((recipient) => recipient && typeof recipient === 'object')) {
+        throw invalidEvent(`SES ${field} must be an array of recipients`);
+    }
+
+    return recipients.map(({ emailAddress }) => emailAddress);
+};
+
+// Amazon SES notification or event types
+const SES_TYPES = {
+    Delivery: 'delivered',
+    Bounce: 'bounced',
+    Complaint: 'complained',
+    Open: 'opened',
+    Click: 'clicked'
+};
+
+/**
+ * Normalise an SES notification, posted directly or wrapped in an SNS message
+ * @param {Object} body - SES notification or SNS envelope
+ * @returns {Object[]} Normalised events (one per affected recipient)
+ */
+const parseSes = (body) => {
+    let message = body;
+
+    if (body && body.Type === 'Notification') {
+        try {
+            message = JSON.parse(body.Message);
+        } catch (error) {
+            throw invalidEvent('SNS message is not valid JSON');
+        }
+    }
+
+    if (!message || !message.mail) {
+        throw invalidEvent('SES payload must contain a mail object');
+    }
+
+    const providerType = message.eventType || message.notificationType;
+    const { mail } = message;
+    const messageIds = [mail.commonHeaders && mail.commonHeaders.messageId, mail.messageId];
+
+    let recipients = mail.destination || [];
+    let detail;
+    let hardBounce = false;
+
+    if (message.bounce) {
+        recipients = sesRecipients(message.bounce.bouncedRecipients, 'bouncedRecipients');
+        hardBounce = message.bounce.bounceType === 'Permanent';
+        detail = `${message.bounce.bounceType}/${message.bounce.bounceSubType}`;
+    } else if (message.complaint) {
+        recipients = sesRecipients(message.complaint.complainedRecipients, 'complainedRecipients');
+        detail = message.complaint.complaintFeedbackType;
+    } else if (message.click) {
+        detail = message.click.link;
+    }
+
+    const details = message.bounce || message.complaint || message.delivery || message.open || message.click || {};
+
+    return recipients.map((recipient) => ({
+        type: SES_TYPES[providerType],
+        providerType,
+        messageIds,
+        recipient,
+        hardBounce,
+        occurredAt: toDate(details.timestamp || mail.timestamp),
+        detail
+    }));
+};
+
+// Postmark webhook record types
+const POSTMARK_TYPES = {
+    Delivery: 'delivered',
+    Bounce: 'bounced',
+    SpamComplaint: 'complained',
+    Open: 'opened',
+    Click: 'clicked'
+};
+
+/**
+ * Normalise a Postmark webhook
+ * @param {Object} body - Webhook payload (one event)
+ * @returns {Object[]} Normalised events
+ */
+const parsePostmark = (body) => {
+    if (!body || !body.RecordType) {
+        throw invalidEvent('Postmark payload must contain a RecordType');
+    }
+
+    return [{
+        type: POSTMARK_TYPES[body.RecordType],
+        providerType: body.RecordType,
+        messageIds: [body.Metadata && body.Metadata['email-id'], body.MessageID],
+        recipient: body.Recipient || body.Email,
+        hardBounce: body.RecordType === 'Bounce' && POSTMARK_HARD_BOUNCES.includes(body.Type),
+        occurredAt: toDate(body.DeliveredAt || body.BouncedAt || body.ReceivedAt),
+        detail: body.Type || body.OriginalLink || body.Details
+    }];
+};
+
+const parsers = {
+    sendgrid: parseSendGrid,
+    ses: parseSes,
+    postmark: parsePostmark
+};
+
+// Keep the first occurrence when events arrive out of order
+const earliest = (current, at) => (current && current < at ? current : at);
+
+/**
+ * Apply one event to the matching emailSent entry
+ * @param {Object} entry - emailSent subdocument
+ * @param {Object} event - Normalised event
+ */
+const applyEvent = (entry, event) => {
+    const at = event.occurredAt;
+    // A later delivered/open/click never hides a bounce or complaint
+    const undelivered = !['bounced', 'complained'].includes(entry.status);
+
+    switch (event.type) {
+        case 'delivered':
+            entry.deliveredAt = entry.deliveredAt || at;
+            if (undelivered) entry.status = 'delivered';
+            break;
+        case 'bounced':
+            entry.bouncedAt = at;
+            entry.bounceType = event.hardBounce ? 'hard' : 'soft';
+            entry.lastError = event.detail ? `Bounced: ${event.detail}` : 'Bounced';
+            if (entry.status !== 'complained') entry.status = 'bounced';
+            break;
+        case 'complained':
+            entry.complainedAt = at;
+            entry.status = 'complained';
+            break;
+        case 'opened':
+            entry.openedAt = earliest(entry.openedAt, at);
+            entry.openCount += 1;
+            if (undelivered) entry.status = 'delivered';
+            break;
+        case 'clicked':
+            entry.clickedAt = earliest(entry.clickedAt, at);
+            entry.clickCount += 1;
+            if (undelivered) entry.status = 'delivered';
+            break;
+    }
+};
+
+/**
+ * Record one normalised event and suppress the address after hard bounces and complaints
+ * @param {Object} event - Normalised event
+ * @returns {Object} { matched, suppressed }
+ */
+const recordEvent = async (event) => {
+    const ids = event.messageIds.filter(Boolean).map(normaliseMessageId);
+    const candidates = ids.flatMap((id) => [id, `<${id}>`]);
+
+    const signup = candidates.length
+        ? await BetaSignup.findOne({ 'emailSent.emailId': { $in: candidates } })
+        : null;
+    const entry = signup && signup.emailSent.find(({ emailId }) => emailId && ids.includes(normaliseMessageId(emailId)));
+
+    if (entry) {
+        applyEvent(entry, event);
+        await signup.save();
+    }
+
+    let suppressReason = null;
+    if (event.type === 'complained') {
+        suppressReason = 'complaint';
+    } else if (event.type === 'bounced' && event.hardBounce) {
+        suppressReason = 'bounce';
+    }
+
+    // Unmatched events (e.g. mail sent before emailIds were tracked) still suppress the recipient
+    const address = signup ? signup.email : event.recipient;
+    let suppressed = false;
+
+    if (suppressReason && address) {
+        await EmailSuppression.suppress(address, suppressReason, signup ? signup._id : undefined);
+        suppressed = true;
+    }
+
+    return { matched: Boolean(entry), suppressed };
+};
+
+/**
+ * Record the events of one provider webhook request
+ * @param {string} provider - sendgrid, ses or postmark
+ * @param {Object|Object[]} body - Parsed request body
+ * @returns {Object} { received, matched, unmatched, ignored, suppressed }
+ */
+const processEmailEvents = async (provider, body) => {
+    if (!parsers[provider]) {
+        throw invalidEvent(`Unknown email provider: ${provider}`);
+    }
+
+    const events = parsers[provider](body);
+    const summary = { received: events.length, matched: 0, unmatched: 0, ignored: 0, suppressed: 0 };
+
+    for (const event of events) {
+        // Event types we do not track, e.g. SendGrid "processed" or Postmark "SubscriptionChange"
+        if (!event.type) {
+            summary.ignored++;
+            continue;
+        }
+
+        const result = await recordEvent(event);
+        summary[result.matched ? 'matched' : 'unmatched']++;
+        if (result.suppressed) {
+            summary.suppressed++;
+        }
+    }
+
+    return summary;
+};
+
+/**
+ * Check if an SNS SubscribeURL points to Amazon SNS
+ * @param {string} url - SubscribeURL from the SNS message
+ * @returns {boolean} True for https://sns.<region>.amazonaws.com URLs
+ */
+const isSnsUrl = (url) => {
+    try {
+        const { protocol, hostname } = new URL(url);
+        return protocol === 'https:' && /^sns\.[a-z0-9-]+\.amazonaws\.com$/.test(hostname);
+    } catch (error) {
+        return false;
+    }
+};
+
+/**
+ * Confirm an SNS topic subscription for SES notifications
+ * @param {Object} body - SNS SubscriptionConfirmation message
+ */
+const confirmSnsSubscription = async (body) => {
+    if (!isSnsUrl(body.SubscribeURL)) {
+        throw invalidEvent('SubscribeURL is not an Amazon SNS URL');
+    }
+
+    const response = await fetch(body.SubscribeURL, { signal: AbortSignal.timeout(10 * 1000) });
+    if (!response.ok) {
+        throw new Error(`SNS subscription confirmation failed with HTTP ${response.status}`);
+    }
+};
+
+module.exports = {
+    PROVIDERS,
+    normaliseMessageId,
+    processEmailEvents,
+    confirmSnsSubscription
+};
@@ -0,0 +1,161 @@
+const BetaSignup = require('../../models/BetaSignup');
+const EmailSuppression = require('../../models/EmailSuppression');
+const { normaliseMessageId, processEmailEvents, confirmSnsSubscription } = require('./emailEventService');
+
+/**
+ * A signup with one sent email, found by any of its message ids
+ */
+const useSentEmail = (emailId, fields = {}) => {
+    const signup = new BetaSignup({
+        email: 'tester@example.com',
+        name: 'Tester',
+        device: 'iphone',
+        emailSent: [{ type: 'invite', status: 'sent', emailId, ...fields }]
+    });
+    jest.spyOn(BetaSignup, 'findOne').mockResolvedValue(signup);
+    jest.spyOn(signup, 'save').mockResolvedValue(signup);
+    return signup.emailSent[0];
+};
+
+const sesNotification = (message) => ({ Type: 'Notification', Message: JSON.stringify(message) });
+
+describe('emailEventService', () => {
+    beforeEach(() => {
+        jest.spyOn(EmailSuppression, 'suppress').mockResolvedValue({});
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    it('strips angle brackets from message ids', () => {
+        expect(normaliseMessageId(' <abc@mail.example.com> ')).toBe('abc@mail.example.com');
+    });
+
+    describe('SendGrid', () => {
+        it('records deliveries, counts opens and ignores untracked events', async () => {
+            const entry = useSentEmail('<sg-1@example.com>');
+
+            const summary = await processEmailEvents('sendgrid', [
+                { event: 'processed', 'smtp-id': '<sg-1@example.com>', timestamp: 1700000000 },
+                { event: 'delivered', 'smtp-id': '<sg-1@example.com>', timestamp: 1700000000 },
+                { event: 'open', 'smtp-id': 'sg-1@example.com', timestamp: 1700000600 },
+                { event: 'open', 'smtp-id': 'sg-1@example.com', timestamp: 1700000300 }
+            ]);
+
+            expect(summary).toEqual({ received: 4, matched: 3, unmatched: 0, ignored: 1, suppressed: 0 });
+            expect(entry).toMatchObject({
+                status: 'delivered',
+                deliveredAt: new Date(1700000000 * 1000),
+                openedAt: new Date(1700000300 * 1000),
+                openCount: 2
+            });
+            expect(BetaSignup.findOne).toHaveBeenCalledWith({ 'emailSent.emailId': { $in: ['sg-1@example.com', '<sg-1@example.com>'] } });
+        });
+
+        it('suppresses hard bounces but not blocked (soft) ones', async () => {
+            const entry = useSentEmail('sg-2');
+
+            await processEmailEvents('sendgrid', [{ event: 'bounce', type: 'blocked', email_id: 'sg-2', reason: 'Mailbox full' }]);
+            expect(entry).toMatchObject({ status: 'bounced', bounceType: 'soft', lastError: 'Bounced: Mailbox full' });
+            expect(EmailSuppression.suppress).not.toHaveBeenCalled();
+
+            await processEmailEvents('sendgrid', [{ event: 'bounce', type: 'bounce', email_id: 'sg-2' }]);
+            expect(entry.bounceType).toBe('hard');
+            expect(EmailSuppression.suppress).toHaveBeenCalledWith('tester@example.com', 'bounce', expect.anything());
+        });
+
+        it('rejects payloads that are not an array', async () => {
+            await expect(processEmailEvents('sendgrid', { event: 'open' })).rejects.toMatchObject({ code: 'INVALID_EMAIL_EVENT' });
+        });
+
+        it('rejects arrays with events that are not objects', async () => {
+            await expect(processEmailEvents('sendgrid', [{ event: 'open', email_id: 'sg-1' }, null]))
+                .rejects.toMatchObject({ code: 'INVALID_EMAIL_EVENT', message: 'SendGrid events must be objects' });
+        });
+    });
+
+    describe('SES', () => {
+        it('reads bounces wrapped in an SNS notification, one event per recipient', async () => {
+            jest.spyOn(BetaSignup, 'findOne').mockResolvedValue(null);
+
+            const summary = await processEmailEvents('ses', sesNotification({
+                notificationType: 'Bounce',
+                mail: { messageId: 'ses-1', destination: ['a@example.com', 'b@example.com'] },
+                bounce: {
+                    bounceType: 'Permanent',
+                    bounceSubType: 'General',
+                    bouncedRecipients: [{ emailAddress: 'a@example.com' }, { emailAddress: 'b@example.com' }]
+                }
+            }));
+
+            expect(summary).toMatchObject({ received: 2, unmatched: 2, suppressed: 2 });
+            expect(EmailSuppression.suppress).toHaveBeenCalledWith('a@example.com', 'bounce', undefined);
+            expect(EmailSuppression.suppress).toHaveBeenCalledWith('b@example.com', 'bounce', undefined);
+        });
+
+        it('keeps a complaint when a later open arrives', async () => {
+            const entry = useSentEmail('ses-2');
+            const mail = { messageId: 'ses-2', destination: ['tester@example.com'] };
+
+            await processEmailEvents('ses', { eventType: 'Complaint', mail, complaint: { complainedRecipients: [{ emailAddress: 'tester@example.com' }] } });
+            await processEmailEvents('ses', { eventType: 'Open', mail, open: { timestamp: '2025-03-01T10:00:00Z' } });
+
+            expect(entry).toMatchObject({ status: 'complained', openCount: 1 });
+            expect(EmailSuppression.suppress).toHaveBeenCalledWith('tester@example.com', 'complaint', expect.anything());
+        });
+
+        it('rejects unreadable SNS messages', async () => {
+            await expect(processEmailEvents('ses', { Type: 'Notification', Message: '{' }))
+                .rejects.toMatchObject({ code: 'INVALID_EMAIL_EVENT', message: 'SNS message is not valid JSON' });
+        });
+
+        it('rejects bounces and complaints without a recipient list', async () => {
+            const mail = { messageId: 'ses-3', destination: ['tester@example.com'] };
+
+            await expect(processEmailEvents('ses', { notificationType: 'Bounce', mail, bounce: { bounceType: 'Permanent' } }))
+                .rejects.toMatchObject({ code: 'INVALID_EMAIL_EVENT', message: 'SES bouncedRecipients must be an array of recipients' });
+            await expect(processEmailEvents('ses', { notificationType: 'Complaint', mail, complaint: { complainedRecipients: [null] } }))
+                .rejects.toMatchObject({ code: 'INVALID_EMAIL_EVENT', message: 'SES complainedRecipients must be an array of recipients' });
+        });
+    });
+
+    describe('Postmark', () => {
+        it('treats only the listed bounce types as hard bounces', async () => {
+            useSentEmail('pm-1');
+
+            await processEmailEvents('postmark', { RecordType: 'Bounce', Type: 'SoftBounce', MessageID: 'pm-1' });
+            expect(EmailSuppression.suppress).not.toHaveBeenCalled();
+
+            await processEmailEvents('postmark', { RecordType: 'Bounce', Type: 'HardBounce', MessageID: 'pm-1' });
+            expect(EmailSuppression.suppress).toHaveBeenCalledWith('tester@example.com', 'bounce', expect.anything());
+        });
+
+        it('records clicks with the earliest click time', async () => {
+            const entry = useSentEmail('pm-2');
+
+            await processEmailEvents('postmark', { RecordType: 'Click', MessageID: 'pm-2', ReceivedAt: '2025-03-02T10:00:00Z' });
+            await processEmailEvents('postmark', { RecordType: 'Click', MessageID: 'pm-2', ReceivedAt: '2025-03-01T10:00:00Z' });
+
+            expect(entry).toMatchObject({ status: 'delivered', clickCount: 2, clickedAt: new Date('2025-03-01T10:00:00Z') });
+        });
+    });
+
+    it('rejects unknown providers', async () => {
+        await expect(processEmailEvents('mailgun', [])).rejects.toMatchObject({ code: 'INVALID_EMAIL_EVENT' });
+    });
+
+    describe('confirmSnsSubscription', () => {
+        it('only calls Amazon SNS URLs', async () => {
+            jest.spyOn(global, 'fetch').mockResolvedValue({ ok: true, status: 200 });
+
+            await confirmSnsSubscription({ SubscribeURL: 'https://sns.eu-central-1.amazonaws.com/?Action=ConfirmSubscription' });
+            await expect(confirmSnsSubscription({ SubscribeURL: 'https://sns.eu-central-1.amazonaws.com.evil.example/' }))
+                .rejects.toMatchObject({ code: 'INVALID_EMAIL_EVENT' });
+            await expect(confirmSnsSubscription({ SubscribeURL: 'http://sns.eu-central-1.amazonaws.com/' }))
+                .rejects.toMatchObject({ code: 'INVALID_EMAIL_EVENT' });
+
+            expect(fetch).toHaveBeenCalledTimes(1);
+        });
+    });
+});
@@ -0,0 +1,261 @@
+// Email outbox: persistent queue and worker for all outgoing beta emails
+
+const BetaSignup = require('../../models/BetaSignup');
+const EmailOutbox = require('../../models/EmailOutbox');
+const {
+    sendConfirmationEmail,
+    sendWelcomeEmail,
+    sendTestFlightInvite,
+    sendReminderEmail
+} = require('./emailService');
+const { logger } = require('../logger');
+const { recordEmailSend } = require('../metrics');
+
+const MAX_ATTEMPTS = parseInt(process.env.EMAIL_MAX_ATTEMPTS) || 5;
+const RETRY_BASE_MS = parseInt(process.env.EMAIL_RETRY_BASE_MS) || 60 * 1000;
+const RETRY_MAX_MS = parseInt(process.env.EMAIL_RETRY_MAX_MS) || 6 * 60 * 60 * 1000;
+const WORKER_INTERVAL_MS = parseInt(process.env.EMAIL_WORKER_INTERVAL_MS) || 10 * 1000;
+const BATCH_SIZE = parseInt(process.env.EMAIL_WORKER_BATCH_SIZE) || 20;
+// Jobs stuck in processing longer than this (e.g. after a crash) are retried
+const LOCK_TIMEOUT_MS = 5 * 60 * 1000;
+
+// Send function per email type
+const senders = {
+    confirmation: (signup, payload) => sendConfirmationEmail(signup, payload.confirmUrl),
+    welcome: (signup, payload) => sendWelcomeEmail(signup, payload.estimatedWaitDays),
+    invite: (signup, payload) => sendTestFlightInvite(signup, payload.testflightUrl),
+    reminder: (signup) => sendReminderEmail(signup)
+};
+
+let workerTimer = null;
+// Run in progress, waited for by stopOutboxWorker
+let currentRun = null;
+
+/**
+ * Compute the delay before the next attempt (exponential backoff)
+ * @param {number} attempts - Attempts made so far
+ * @returns {number} Delay in milliseconds
+ */
+const getBackoffDelay = (attempts) => {
+    return Math.min(RETRY_BASE_MS * Math.pow(2, attempts - 1), RETRY_MAX_MS);
+};
+
+/**
+ * Queue an email for a signup. Queuing the same key twice is a no-op.
+ * @param {Object} signup - Beta signup object
+ * @param {string} type - Email type (confirmation, welcome, invite, reminder)
+ * @param {Object} [payload] - Template arguments
+ * @param {Object} [options] - { key } to override the "<signupId>:<type>" idempotency key
+ * @returns {Object} Outbox entry
+ */
+const enqueueEmail = async (signup, type, payload = {}, options = {}) => {
+    if (!senders[type]) {
+        throw new Error(`Unknown email type: ${type}`);
+    }
+
+    const idempotencyKey = options.key || `${signup._id}:${type}`;
+
+    let entry;
+    try {
+        entry = await EmailOutbox.create({
+            signupId: signup._id,
+            type,
+            payload,
+            idempotencyKey,
+            maxAttempts: MAX_ATTEMPTS
+        });
+    } catch (error) {
+        if (error.code === 11000) {
+            return EmailOutbox.findOne({ idempotencyKey });
+        }
+        throw error;
+    }
+
+    await BetaSignup.updateOne(
+        { _id: signup._id },
+        { $push: { emailSent: { type, status: 'queued', outboxId: entry._id } } }
+    );
+
+    return entry;
+};
+
+/**
+ * Mirror the outbox state into the signup's emailSent entry
+ * @param {Object} entry - Outbox entry
+ * @param {Object} update - Fields to set on the emailSent entry
+ */
+const updateEmailHistory = (entry, update) => {
+    const fields = {};
+    Object.keys(update).forEach((key) => {
+        fields[`emailSent.$.${key}`] = update[key];
+    });
+
+    return BetaSignup.updateOne(
+        { _id: entry.signupId, 'emailSent.outboxId': entry._id },
+        { $set: fields }
+    );
+};
+
+/**
+ * Atomically claim the next due outbox entry
+ * @returns {Object|null} Claimed entry
+ */
+const claimNext = () => {
+    const now = new Date();
+
+    return EmailOutbox.findOneAndUpdate(
+        {
+            $or: [
+                { status: 'queued', nextAttemptAt: { $lte: now } },
+                { status: 'processing', lockedAt: { $lte: new Date(now - LOCK_TIMEOUT_MS) } }
+            ]
+        },
+        { $set: { status: 'processing', lockedAt: now, updatedAt: now }, $inc: { attempts: 1 } },
+        { new: true, sort: { nextAttemptAt: 1 } }
+    );
+};
+
+/**
+ * Deliver a claimed outbox entry and record the outcome
+ * @param {Object} entry - Claimed outbox entry
+ */
+const processEntry = async (entry) => {
+    const signup = await BetaSignup.findById(entry.signupId);
+
+    // Signup was erased or expired in the meantime
+    if (!signup) {
+        entry.status = 'cancelled';
+        entry.lastError = 'Signup no longer exists';
+        entry.lockedAt = undefined;
+        return entry.save();
+    }
+
+    try {
+        const result = await senders[entry.type](signup, entry.payload || {});
+        recordEmailSend(entry.type, 'sent');
+
+        entry.status = 'sent';
+        entry.sentAt = new Date();
+        entry.messageId = result.messageId;
+        entry.lastError = undefined;
+        entry.lockedAt = undefined;
+        await entry.save();
+
+        await updateEmailHistory(entry, {
+            status: 'sent',
+            sentAt: entry.sentAt,
+            attempts: entry.attempts,
+            emailId: result.messageId
+        });
+    } catch (error) {
+        entry.lastError = error.message;
+        entry.lockedAt = undefined;
+
+        if (error.code === 'EMAIL_SUPPRESSED') {
+            recordEmailSend(entry.type, 'suppressed');
+            entry.status = 'cancelled';
+            await entry.save();
+            return updateEmailHistory(entry, { status: 'suppressed', attempts: entry.attempts, lastError: error.message });
+        }
+
+        recordEmailSend(entry.type, 'failed');
+
+        if (entry.attempts >= entry.maxAttempts) {
+            logger.error('Email moved to dead letter', { type: entry.type, signupId: entry.signupId, attempts: entry.attempts });
+            entry.status = 'dead';
+            await entry.save();
+            return updateEmailHistory(entry, { status: 'failed', attempts: entry.attempts, lastError: error.message });
+        }
+
+        entry.status = 'queued';
+        entry.nextAttemptAt = new Date(Date.now() + getBackoffDelay(entry.attempts));
+        await entry.save();
+        await updateEmailHistory(entry, { attempts: entry.attempts, lastError: error.message });
+    }
+};
+
+/**
+ * Process due outbox entries
+ * @param {number} [limit] - Maximum number of entries to process
+ * @returns {number} Number of processed entries
+ */
+const processOutbox = async (limit = BATCH_SIZE) => {
+    let processed = 0;
+
+    while (processed < limit) {
+        const entry = await claimNext();
+        if (!entry) {
+            break;
+        }
+
+        await processEntry(entry);
+        processed++;
+    }
+
+    return processed;
+};
+
+/**
+ * Put a dead or cancelled entry back into the queue
+ * @param {string} id - Outbox entry id
+ * @returns {Object|null} Requeued entry
+ */
+const retryEntry = async (id) => {
+    const entry = await EmailOutbox.findOneAndUpdate(
+        { _id: id, status: { $in: ['dead', 'cancelled'] } },
+        { $set: { status: 'queued', attempts: 0, nextAttemptAt: new Date(), updatedAt: new Date() } },
+        { new: true }
+    );
+
+    if (entry) {
+        await updateEmailHistory(entry, { status: 'queued', attempts: 0 });
+    }
+
+    return entry;
+};
+
+/**
+ * Start polling the outbox in the background
+ * @param {number} [intervalMs] - Poll interval
+ */
+const startOutboxWorker = (intervalMs = WORKER_INTERVAL_MS) => {
+    if (workerTimer) {
+        return;
+    }
+
+    workerTimer = setInterval(() => {
+        // Skip a tick while the previous run is still going
+        if (currentRun) {
+            return;
+        }
+
+        currentRun = processOutbox()
+            .catch((error) => {
+                logger.error('Email outbox worker error', { err: error });
+            })
+            .finally(() => {
+                currentRun = null;
+            });
+    }, intervalMs);
+};
+
+/**
+ * Stop the background worker
+ * @returns {Promise} Resolves once a run in progress has finished
+ */
+const stopOutboxWorker = async () => {
+    if (workerTimer) {
+        clearInterval(workerTimer);
+        workerTimer = null;
+    }
+    await currentRun;
+};
+
+module.exports = {
+    getBackoffDelay,
+    enqueueEmail,
+    processOutbox,
+    retryEntry,
+    startOutboxWorker,
+    stopOutboxWorker
+};
@@ -0,0 +1,203 @@
+const mongoose = require('mongoose');
+const BetaSignup = require('../../models/BetaSignup');
+const EmailOutbox = require('../../models/EmailOutbox');
+
+jest.mock('./emailService', () => ({
+    sendConfirmationEmail: jest.fn(),
+    sendWelcomeEmail: jest.fn(),
+    sendTestFlightInvite: jest.fn(),
+    sendReminderEmail: jest.fn()
+}));
+
+const { sendWelcomeEmail, sendTestFlightInvite } = require('./emailService');
+const { getBackoffDelay, enqueueEmail, processOutbox } = require('./emailOutbox');
+const { logger } = require('../logger');
+
+const MINUTE_MS = 60 * 1000;
+
+/**
+ * Back the outbox with an in-memory queue; claims follow the worker's rules
+ * (due queued entries, or processing entries whose lock went stale)
+ */
+const useQueue = (entries) => {
+    jest.spyOn(EmailOutbox, 'findOneAndUpdate').mockImplementation(async () => {
+        const now = Date.now();
+        const entry = entries.find((candidate) => (
+            (candidate.status === 'queued' && candidate.nextAttemptAt <= now) ||
+            (candidate.status === 'processing' && candidate.lockedAt <= now - 5 * MINUTE_MS)
+        ));
+        if (!entry) return null;
+
+        entry.status = 'processing';
+        entry.lockedAt = new Date(now);
+        entry.attempts += 1;
+        return entry;
+    });
+    entries.forEach((entry) => jest.spyOn(entry, 'save').mockResolvedValue(entry));
+};
+
+describe('emailOutbox', () => {
+    let signup;
+
+    beforeEach(() => {
+        signup = new BetaSignup({ email: 'tester@example.com', name: 'Tester', device: 'iphone', status: 'invited' });
+        jest.spyOn(BetaSignup, 'findById').mockResolvedValue(signup);
+        jest.spyOn(BetaSignup, 'updateOne').mockResolvedValue({});
+        sendWelcomeEmail.mockReset().mockResolvedValue({ success: true, messageId: '<1@bahnblitz.app>' });
+        sendTestFlightInvite.mockReset();
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    const newEntry = (fields = {}) => new EmailOutbox({
+        signupId: signup._id,
+        type: 'welcome',
+        idempotencyKey: `${signup._id}:welcome`,
+        ...fields
+    });
+
+    describe('getBackoffDelay', () => {
+        it('doubles the delay per attempt up to the maximum', () => {
+            expect(getBackoffDelay(1)).toBe(MINUTE_MS);
+            expect(getBackoffDelay(2)).toBe(2 * MINUTE_MS);
+            expect(getBackoffDelay(4)).toBe(8 * MINUTE_MS);
+            expect(getBackoffDelay(20)).toBe(6 * 60 * MINUTE_MS);
+        });
+    });
+
+    describe('enqueueEmail', () => {
+        it('queues the email and records it in the signup history', async () => {
+            jest.spyOn(EmailOutbox, 'create').mockImplementation(async (doc) => ({ _id: new mongoose.Types.ObjectId(), ...doc }));
+
+            const entry = await enqueueEmail(signup, 'invite', { testflightUrl: 'https://testflight.apple.com/join/ABC' });
+
+            expect(entry).toEqual(expect.objectContaining({
+                type: 'invite',
+                idempotencyKey: `${signup._id}:invite`,
+                payload: { testflightUrl: 'https://testflight.apple.com/join/ABC' },
+                maxAttempts: 5
+            }));
+            expect(BetaSignup.updateOne).toHaveBeenCalledWith(
+                { _id: signup._id },
+                { $push: { emailSent: { type: 'invite', status: 'queued', outboxId: entry._id } } }
+            );
+        });
+
+        it('returns the existing entry for a key queued before', async () => {
+            const existing = newEntry();
+            jest.spyOn(EmailOutbox, 'create').mockRejectedValue(Object.assign(new Error('E11000'), { code: 11000 }));
+            jest.spyOn(EmailOutbox, 'findOne').mockResolvedValue(existing);
+
+            const entry = await enqueueEmail(signup, 'welcome');
+
+            expect(entry).toBe(existing);
+            expect(EmailOutbox.findOne).toHaveBeenCalledWith({ idempotencyKey: `${signup._id}:welcome` });
+            expect(BetaSignup.updateOne).not.toHaveBeenCalled();
+        });
+
+        it('refuses unknown email types', async () => {
+            await expect(enqueueEmail(signup, 'newsletter')).rejects.toThrow('Unknown email type: newsletter');
+        });
+    });
+
+    describe('processOutbox', () => {
+        it('sends due emails and mirrors the result into the signup history', async () => {
+            const entry = newEntry({ payload: { estimatedWaitDays: 3 } });
+            useQueue([entry]);
+
+            const processed = await processOutbox();
+
+            expect(processed).toBe(1);
+            expect(sendWelcomeEmail).toHaveBeenCalledWith(signup, 3);
+            expect(entry.status).toBe('sent');
+            expect(entry.messageId).toBe('<1@bahnblitz.app>');
+            expect(BetaSignup.updateOne).toHaveBeenCalledWith(
+                { _id: signup._id, 'emailSent.outboxId': entry._id },
+                { $set: expect.objectContaining({ 'emailSent.$.status': 'sent', 'emailSent.$.attempts': 1 }) }
+            );
+        });
+
+        it('retries failed sends with exponential backoff', async () => {
+            const entry = newEntry();
+            useQueue([entry]);
+            sendWelcomeEmail.mockRejectedValue(new Error('Connection timeout'));
+
+            const before = Date.now();
+            await processOutbox();
+
+            expect(entry.status).toBe('queued');
+            expect(entry.lastError).toBe('Connection timeout');
+            expect(entry.nextAttemptAt.getTime()).toBeGreaterThanOrEqual(before + MINUTE_MS);
+
+            // Not due again within the same run
+            expect(await processOutbox()).toBe(0);
+
+            entry.nextAttemptAt = new Date(Date.now() - 1);
+            await processOutbox();
+            expect(entry.attempts).toBe(2);
+            expect(entry.nextAttemptAt.getTime()).toBeGreaterThanOrEqual(before + 2 * MINUTE_MS);
+        });
+
+        it('moves an email to the dead letters after the last attempt', async () => {
+            const entry = newEntry({ attempts: 4, maxAttempts: 5 });
+            useQueue([entry]);
+            sendWelcomeEmail.mockRejectedValue(new Error('Mailbox unavailable'));
+            jest.spyOn(logger, 'error').mockImplementation(() => {});
+
+            await processOutbox();
+
+            expect(entry.status).toBe('dead');
+            expect(BetaSignup.updateOne).toHaveBeenCalledWith(
+                expect.anything(),
+                { $set: expect.objectContaining({ 'emailSent.$.status': 'failed', 'emailSent.$.attempts': 5 }) }
+            );
+        });
+
+        it('cancels emails to suppressed addresses without retrying', async () => {
+            const entry = newEntry();
+            useQueue([entry]);
+            sendWelcomeEmail.mockRejectedValue(Object.assign(new Error('Recipient is on the suppression list'), { code: 'EMAIL_SUPPRESSED' }));
+
+            await processOutbox();
+
+            expect(entry.status).toBe('cancelled');
+            expect(BetaSignup.updateOne).toHaveBeenCalledWith(
+                expect.anything(),
+                { $set: expect.objectContaining({ 'emailSent.$.status': 'suppressed' }) }
+            );
+        });
+
+        it('cancels emails of signups that no longer exist', async () => {
+            const entry = newEntry();
+            useQueue([entry]);
+            BetaSignup.findById.mockResolvedValue(null);
+
+            await processOutbox();
+
+            expect(entry.status).toBe('cancelled');
+            expect(sendWelcomeEmail).not.toHaveBeenCalled();
+        });
+
+        it('takes over entries whose worker stopped while sending', async () => {
+            const stale = newEntry({ status: 'processing', attempts: 1, lockedAt: new Date(Date.now() - 10 * MINUTE_MS) });
+            const locked = newEntry({ status: 'processing', attempts: 1, lockedAt: new Date() });
+            useQueue([locked, stale]);
+
+            const processed = await processOutbox();
+
+            expect(processed).toBe(1);
+            expect(stale.status).toBe('sent');
+            expect(locked.status).toBe('processing');
+        });
+
+        it('stops after the batch limit', async () => {
+            const entries = [1, 2, 3].map((index) => newEntry({ idempotencyKey: `key-${index}` }));
+            useQueue(entries);
+
+            expect(await processOutbox(2)).toBe(2);
+            expect(entries.map((entry) => entry.status)).toEqual(['sent', 'sent', 'queued']);
+        });
+    });
+});
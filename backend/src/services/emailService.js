@@ -1,274 +1,199 @@
-const nodemailer = require('nodemailer');
-
-// Create transporter based on environment
-const createTransporter = () => {
-    if (process.env.NODE_ENV === 'production') {
-        // Use production email service (SendGrid, AWS SES, etc.)
-        return nodemailer.createTransporter({
-            host: process.env.SMTP_HOST,
-            port: process.env.SMTP_PORT,
-            secure: process.env.SMTP_SECURE === 'true',
-            auth: {
-                user: process.env.SMTP_USER,
-                pass: process.env.SMTP_PASS
-            }
-        });
-    } else {
-        // Use Gmail for development (or Ethereal for testing)
-        return nodemailer.createTransporter({
-            service: 'gmail',
-            auth: {
-                user: process.env.GMAIL_USER,
-                pass: process.env.GMAIL_APP_PASSWORD
-            }
-        });
-    }
+const crypto = require('crypto');
+const EmailSuppression = require('../../models/EmailSuppression');
+const { getTransport } = require('./mailTransport');
+const { renderEmail } = require('./templateService');
+const { logger } = require('../logger');
+
+// Public base URL used for links in emails. Never derived from the request's Host
+// header; production refuses to start without PUBLIC_API_URL (see server.js).
+const getPublicUrl = () => {
+    return process.env.PUBLIC_API_URL || `http://localhost:${process.env.PORT || 3001}`;
 };
 
-// HTML email templates
-const getWelcomeEmailTemplate = (signup) => {
-    return `
-<!DOCTYPE html>
-<html>
-<head>
-    <meta charset="utf-8">
-    <title>Welcome to BahnBlitz Beta</title>
-    <style>
-        body { font-family: 'Inter', Arial, sans-serif; line-height: 1.6; color: #333; }
-        .container { max-width: 600px; margin: 0 auto; padding: 20px; }
-        .header { background: linear-gradient(135deg, #1a73e8, #00d4aa); color: white; padding: 30px; text-align: center; border-radius: 10px 10px 0 0; }
-        .content { background: #f9f9f9; padding: 30px; border-radius: 0 0 10px 10px; }
-        .button { display: inline-block; background: #1a73e8; color: white; padding: 12px 30px; text-decoration: none; border-radius: 5px; margin: 20px 0; }
-        .footer { text-align: center; color: #666; font-size: 12px; margin-top: 30px; }
-        .features { background: white; padding: 20px; border-radius: 8px; margin: 20px 0; }
-    </style>
-</head>
-<body>
-    <div class="container">
-        <div class="header">
-            <h1>🚂 Welcome to BahnBlitz Beta!</h1>
-            <p>You're now part of our exclusive beta testing program</p>
-        </div>
-
-        <div class="content">
-            <h2>Hi ${signup.name}!</h2>
-
-            <p>Thank you for joining the BahnBlitz beta program! We're excited to have you as part of our community of German commuters who are helping shape the future of train travel apps.</p>
+// Sender address used in the From header
+const getSenderAddress = () => process.env.EMAIL_FROM || 'noreply@bahnblitz.app';
 
-            <div class="features">
-                <h3>🎯 What to expect:</h3>
-                <ul>
-                    <li>📧 <strong>Regular Updates:</strong> We'll keep you informed about new features and improvements</li>
-                    <li>🎫 <strong>Early Access:</strong> Be among the first to try new features</li>
-                    <li>💬 <strong>Direct Feedback:</strong> Your input helps us build a better app</li>
-                    <li>🎁 <strong>Exclusive Content:</strong> Beta-only features and early releases</li>
-                </ul>
-            </div>
+// Build the signed per-recipient unsubscribe, data-access, waitlist and referral links
+const getRecipientLinks = (signup) => {
+    const token = encodeURIComponent(signup.generateSubscriberToken());
+    const baseUrl = `${getPublicUrl()}/api/beta-signup`;
 
-            <p><strong>Your beta application is being reviewed.</strong> We'll send you a TestFlight invitation within 24-48 hours if approved.</p>
-
-            <p>In the meantime, you can:</p>
-            <ul>
-                <li>Follow us on social media for updates</li>
-                <li>Read our blog for behind-the-scenes content</li>
-                <li>Share your feedback about German public transport</li>
-            </ul>
-
-            <p>Questions? Just reply to this email!</p>
-
-            <p>Best regards,<br>The BahnBlitz Team</p>
-        </div>
-
-        <div class="footer">
-            <p>This email was sent to ${signup.email} because you signed up for BahnBlitz beta testing.</p>
-            <p>You can unsubscribe at any time by replying with "UNSUBSCRIBE".</p>
-        </div>
-    </div>
-</body>
-</html>`;
+    return {
+        unsubscribeUrl: `${baseUrl}/unsubscribe/${token}`,
+        exportUrl: `${baseUrl}/privacy/export/${token}`,
+        eraseUrl: `${baseUrl}/privacy/erase/${token}`,
+        positionUrl: `${baseUrl}/position/${token}`,
+        referralUrl: signup.getReferralUrl()
+    };
 };
 
-const getTestFlightInviteTemplate = (signup, testflightUrl) => {
-    return `
-<!DOCTYPE html>
-<html>
-<head>
-    <meta charset="utf-8">
-    <title>Your BahnBlitz TestFlight Invite</title>
-    <style>
-        body { font-family: 'Inter', Arial, sans-serif; line-height: 1.6; color: #333; }
-        .container { max-width: 600px; margin: 0 auto; padding: 20px; }
-        .header { background: linear-gradient(135deg, #ff6b35, #ef4444); color: white; padding: 30px; text-align: center; border-radius: 10px 10px 0 0; }
-        .content { background: #f9f9f9; padding: 30px; border-radius: 0 0 10px 10px; }
-        .button { display: inline-block; background: #ff6b35; color: white; padding: 15px 40px; text-decoration: none; border-radius: 8px; margin: 20px 0; font-weight: bold; }
-        .button:hover { background: #e55a2b; }
-        .urgent { background: #fef3c7; border: 1px solid #f59e0b; padding: 15px; border-radius: 5px; margin: 20px 0; }
-        .footer { text-align: center; color: #666; font-size: 12px; margin-top: 30px; }
-        .code { background: #e5e7eb; padding: 10px; border-radius: 5px; font-family: monospace; font-size: 16px; margin: 10px 0; }
-    </style>
-</head>
-<body>
-    <div class="container">
-        <div class="header">
-            <h1>🎉 Your TestFlight Invite is Here!</h1>
-            <p>Start testing BahnBlitz today</p>
-        </div>
-
-        <div class="content">
-            <h2>Congratulations, ${signup.name}!</h2>
-
-            <p>Your beta application has been approved! 🎊</p>
-
-            <div class="urgent">
-                <strong>⚡ Limited Time:</strong> This invite expires in 90 days. Make sure to download and install the app before then!
-            </div>
-
-            <p>Click the button below to download BahnBlitz via TestFlight:</p>
-
-            <div style="text-align: center;">
-                <a href="${testflightUrl}" class="button">🚀 Download BahnBlitz Beta</a>
-            </div>
+// Plain template data for a signup (templates never see the Mongoose document)
+const getRecipient = (signup) => ({
+    name: signup.name,
+    email: signup.email,
+    testflightUrl: signup.testflightUrl
+});
+
+// Render a template in the recipient's locale
+const render = (name, signup, links, context = {}) => {
+    return renderEmail(name, signup.locale, {
+        ...context,
+        signup: getRecipient(signup),
+        links
+    });
+};
 
-            <p><strong>Installation Steps:</strong></p>
-            <ol>
-                <li>Tap the "Download" button above</li>
-                <li>Install TestFlight if prompted</li>
-                <li>Open TestFlight and install BahnBlitz</li>
-                <li>Start using the app and send us feedback!</li>
-            </ol>
+// Send an email to a signup right away. Delivery tracking in emailSent is done
+// by the email outbox (emailOutbox.js), which is how routes should send mail.
+// Suppressed (unsubscribed, bounced, complained) addresses are refused with code EMAIL_SUPPRESSED.
+const deliver = async (signup, type, email, links) => {
+    if (await EmailSuppression.isSuppressed(signup.email)) {
+        const error = new Error(`Recipient is on the suppression list, ${type} email not sent`);
+        error.code = 'EMAIL_SUPPRESSED';
+        throw error;
+    }
 
-            <p><strong>What you'll get in this beta:</strong></p>
-            <ul>
-                <li>✅ Real-time German train departures</li>
-                <li>✅ Smart route management</li>
-                <li>✅ Semester ticket support</li>
-                <li>✅ Offline functionality</li>
-                <li>🚧 Voice commands (coming soon)</li>
-            </ul>
+    // Our own Message-ID, also passed as SendGrid unique arg and Postmark metadata,
+    // so provider events can be matched to emailSent.emailId (see emailEventService.js)
+    const messageId = `<${crypto.randomUUID()}@${getSenderAddress().split('@')[1]}>`;
 
-            <p><strong>How to provide feedback:</strong></p>
-            <ul>
-                <li>Open TestFlight app</li>
-                <li>Tap on BahnBlitz</li>
-                <li>Scroll down and tap "Send Beta Feedback"</li>
-                <li>Include screenshots and detailed descriptions</li>
-            </ul>
+    const mailOptions = {
+        messageId,
+        from: `"BahnBlitz Team" <${getSenderAddress()}>`,
+        to: signup.email,
+        subject: email.subject,
+        html: email.html,
+        text: email.text,
+        // List-Unsubscribe plus RFC 8058 one-click unsubscribe
+        list: {
+            unsubscribe: {
+                url: links.unsubscribeUrl,
+                comment: 'Unsubscribe'
+            }
+        },
+        headers: {
+            'List-Unsubscribe-Post': 'List-Unsubscribe=One-Click',
+            'X-SMTPAPI': JSON.stringify({ unique_args: { email_id: messageId } }),
+            'X-PM-Metadata-email-id': messageId
+        }
+    };
 
-            <p>Your feedback is crucial for making BahnBlitz the best train app for German commuters!</p>
+    const info = await getTransport().sendMail(mailOptions);
 
-            <p>Happy testing! 🚂🇩🇪</p>
+    return { success: true, messageId: info.messageId };
+};
 
-            <p>Best regards,<br>The BahnBlitz Team</p>
-        </div>
+// Send double opt-in confirmation email
+const sendConfirmationEmail = async (signup, confirmUrl) => {
+    const links = getRecipientLinks(signup);
 
-        <div class="footer">
-            <p>This email was sent to ${signup.email} because you signed up for BahnBlitz beta testing.</p>
-            <p>Invite expires: ${new Date(Date.now() + 90 * 24 * 60 * 60 * 1000).toLocaleDateString()}</p>
-        </div>
-    </div>
-</body>
-</html>`;
+    try {
+        const result = await deliver(
+            signup,
+            'confirmation',
+            render('confirmation', signup, links, { confirmUrl, expiresAt: signup.confirmationExpiresAt }),
+            links
+        );
+        logger.info('Confirmation email sent', { signupId: signup._id, messageId: result.messageId });
+
+        return result;
+    } catch (error) {
+        if (error.code === 'EMAIL_SUPPRESSED') {
+            throw error;
+        }
+        logger.error('Confirmation email failed', { signupId: signup._id, err: error });
+        throw new Error('Failed to send confirmation email');
+    }
 };
 
-// Send welcome email
-const sendWelcomeEmail = async (signup) => {
-    const transporter = createTransporter();
+// Message key for the expected wait until the invite, from the waitlist estimate in days
+const getWaitMessage = (estimatedWaitDays) => {
+    if (estimatedWaitDays === undefined || estimatedWaitDays === null) {
+        return { key: 'welcome.reviewingBody' };
+    }
+    if (estimatedWaitDays <= 1) {
+        return { key: 'welcome.reviewingBodySoon' };
+    }
+    return { key: 'welcome.reviewingBodyDays', days: estimatedWaitDays };
+};
 
-    const mailOptions = {
-        from: `"BahnBlitz Team" <${process.env.EMAIL_FROM || 'noreply@bahnblitz.app'}>`,
-        to: signup.email,
-        subject: '🚂 Welcome to BahnBlitz Beta - Your Application is Being Reviewed!',
-        html: getWelcomeEmailTemplate(signup)
-    };
+// Send welcome email with the wait estimated when the address was confirmed
+const sendWelcomeEmail = async (signup, estimatedWaitDays) => {
+    const links = getRecipientLinks(signup);
 
     try {
-        const info = await transporter.sendMail(mailOptions);
-        console.log('Welcome email sent:', info.messageId);
-
-        // Track email sent
-        signup.emailSent.push({
-            type: 'welcome',
-            emailId: info.messageId
-        });
-        await signup.save();
-
-        return { success: true, messageId: info.messageId };
+        const result = await deliver(
+            signup,
+            'welcome',
+            render('welcome', signup, links, { wait: getWaitMessage(estimatedWaitDays) }),
+            links
+        );
+        logger.info('Welcome email sent', { signupId: signup._id, messageId: result.messageId });
+
+        return result;
     } catch (error) {
-        console.error('Welcome email error:', error);
+        if (error.code === 'EMAIL_SUPPRESSED') {
+            throw error;
+        }
+        logger.error('Welcome email failed', { signupId: signup._id, err: error });
         throw new Error('Failed to send welcome email');
     }
 };
 
 // Send TestFlight invite email
 const sendTestFlightInvite = async (signup, testflightUrl) => {
-    const transporter = createTransporter();
-
-    const mailOptions = {
-        from: `"BahnBlitz Team" <${process.env.EMAIL_FROM || 'noreply@bahnblitz.app'}>`,
-        to: signup.email,
-        subject: '🎉 Your BahnBlitz TestFlight Invite is Ready!',
-        html: getTestFlightInviteTemplate(signup, testflightUrl)
-    };
+    const links = getRecipientLinks(signup);
 
     try {
-        const info = await transporter.sendMail(mailOptions);
-        console.log('TestFlight invite email sent:', info.messageId);
-
-        // Track email sent
-        signup.emailSent.push({
-            type: 'invite',
-            emailId: info.messageId
-        });
-        await signup.save();
-
-        return { success: true, messageId: info.messageId };
+        const result = await deliver(
+            signup,
+            'invite',
+            render('invite', signup, links, {
+                testflightUrl,
+                expiresAt: signup.inviteExpiresAt,
+                validityDays: Math.round((signup.inviteExpiresAt - signup.inviteSentAt) / (24 * 60 * 60 * 1000))
+            }),
+            links
+        );
+        logger.info('TestFlight invite email sent', { signupId: signup._id, messageId: result.messageId });
+
+        return result;
     } catch (error) {
-        console.error('TestFlight invite email error:', error);
+        if (error.code === 'EMAIL_SUPPRESSED') {
+            throw error;
+        }
+        logger.error('TestFlight invite email failed', { signupId: signup._id, err: error });
         throw new Error('Failed to send TestFlight invite email');
     }
 };
 
 // Send reminder email
 const sendReminderEmail = async (signup) => {
-    const transporter = createTransporter();
-
-    const reminderTemplate = `
-        <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
-            <h2>⏰ Gentle Reminder: Your BahnBlitz Beta Invite</h2>
-            <p>Hi ${signup.name},</p>
-            <p>We noticed you haven't installed BahnBlitz yet. Your TestFlight invite is waiting!</p>
-            <p><a href="${signup.testflightUrl}" style="background: #1a73e8; color: white; padding: 10px 20px; text-decoration: none; border-radius: 5px;">Install Now</a></p>
-            <p>The BahnBlitz Team</p>
-        </div>
-    `;
-
-    const mailOptions = {
-        from: `"BahnBlitz Team" <${process.env.EMAIL_FROM || 'noreply@bahnblitz.app'}>`,
-        to: signup.email,
-        subject: '⏰ Don\'t Forget: Your BahnBlitz Beta Invite',
-        html: reminderTemplate
-    };
+    const links = getRecipientLinks(signup);
 
     try {
-        const info = await transporter.sendMail(mailOptions);
-        console.log('Reminder email sent:', info.messageId);
-
-        signup.emailSent.push({
-            type: 'reminder',
-            emailId: info.messageId
-        });
-        await signup.save();
-
-        return { success: true, messageId: info.messageId };
+        const result = await deliver(
+            signup,
+            'reminder',
+            render('reminder', signup, links),
+            links
+        );
+        logger.info('Reminder email sent', { signupId: signup._id, messageId: result.messageId });
+
+        return result;
     } catch (error) {
-        console.error('Reminder email error:', error);
+        if (error.code === 'EMAIL_SUPPRESSED') {
+            throw error;
+        }
+        logger.error('Reminder email failed', { signupId: signup._id, err: error });
         throw new Error('Failed to send reminder email');
     }
 };
 
 module.exports = {
+    getPublicUrl,
+    sendConfirmationEmail,
     sendWelcomeEmail,
     sendTestFlightInvite,
     sendReminderEmail
 };
-
@@ -0,0 +1,61 @@
+const BetaSignup = require('../../models/BetaSignup');
+const EmailSuppression = require('../../models/EmailSuppression');
+const { getCapturedMessages, clearCapturedMessages } = require('./mailTransport');
+const { sendWelcomeEmail, sendConfirmationEmail } = require('./emailService');
+
+describe('emailService', () => {
+    beforeEach(() => {
+        clearCapturedMessages();
+        jest.spyOn(EmailSuppression, 'isSuppressed').mockResolvedValue(false);
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    const newSignup = (locale = 'en') => new BetaSignup({
+        email: 'tester@example.com',
+        name: 'Tester',
+        device: 'iphone',
+        locale
+    });
+
+    describe('sendWelcomeEmail', () => {
+        it.each([
+            ['en', 5, 'we expect to send you a TestFlight invitation in about 5 days'],
+            ['en', 1, 'we expect to send you a TestFlight invitation within a day'],
+            ['en', null, 'as soon as a spot opens up'],
+            ['de', 5, 'voraussichtlich in etwa 5 Tagen'],
+            ['de', undefined, 'sobald ein Platz frei wird']
+        ])('tells %s recipients the estimated wait of %s days', async (locale, days, expected) => {
+            await sendWelcomeEmail(newSignup(locale), days);
+
+            const [message] = getCapturedMessages();
+            expect(message.mailOptions.text).toContain(expected);
+            expect(message.mailOptions.html).toContain(expected);
+            expect(message.mailOptions.text).not.toMatch(/24.48/);
+        });
+
+        it('refuses suppressed addresses', async () => {
+            EmailSuppression.isSuppressed.mockResolvedValue(true);
+
+            await expect(sendWelcomeEmail(newSignup(), 5)).rejects.toMatchObject({ code: 'EMAIL_SUPPRESSED' });
+            expect(getCapturedMessages()).toHaveLength(0);
+        });
+    });
+
+    describe('sendConfirmationEmail', () => {
+        it('sends the confirmation link with one-click unsubscribe headers', async () => {
+            const signup = newSignup();
+            signup.generateConfirmationToken();
+
+            await sendConfirmationEmail(signup, 'https://api.bahnblitz.app/api/beta-signup/confirm/abc');
+
+            const [message] = getCapturedMessages();
+            expect(message.mailOptions.to).toBe('tester@example.com');
+            expect(message.mailOptions.text).toContain('https://api.bahnblitz.app/api/beta-signup/confirm/abc');
+            expect(message.mailOptions.headers['List-Unsubscribe-Post']).toBe('List-Unsubscribe=One-Click');
+            expect(message.mailOptions.list.unsubscribe.url).toMatch(/\/api\/beta-signup\/unsubscribe\//);
+        });
+    });
+});
@@ -0,0 +1,110 @@
+// Invite expiry service: expires unused TestFlight invites and renews them
+
+const BetaSignup = require('../../models/BetaSignup');
+const { sendInvite } = require('./testflightService');
+const { getCapacity } = require('./waitlistService');
+const { logger } = require('../logger');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Read the expiry settings
+ * @returns {Object} { autoReinvite, maxReinvites }
+ */
+const getExpiryConfig = () => ({
+    autoReinvite: process.env.INVITE_AUTO_REINVITE === 'true',
+    maxReinvites: parseInt(process.env.INVITE_MAX_REINVITES) || 1
+});
+
+/**
+ * Query for invited signups whose invite has run out. Invites sent before
+ * inviteExpiresAt existed fall back to inviteSentAt + validity.
+ * @param {Date} now - Reference time
+ * @returns {Object} MongoDB query
+ */
+const staleInviteQuery = (now) => ({
+    status: 'invited',
+    $or: [
+        { inviteExpiresAt: { $lte: now } },
+        {
+            inviteExpiresAt: { $exists: false },
+            inviteSentAt: { $lte: new Date(now - BetaSignup.INVITE_VALIDITY_DAYS * DAY_MS) }
+        }
+    ]
+});
+
+/**
+ * Expire stale invites and optionally re-invite while tester capacity is left.
+ * Each signup is claimed atomically, so instances running the job at the same
+ * time never expire or re-invite it twice; a failing signup does not stop the rest.
+ * @param {Object} [options] - { now }
+ * @returns {Object} Expiry report
+ */
+const expireStaleInvites = async ({ now = new Date() } = {}) => {
+    const config = getExpiryConfig();
+    const testflightUrl = process.env.TESTFLIGHT_URL;
+    const report = { evaluatedAt: now, expired: [], reinvited: [], skipped: [], failed: [] };
+
+    const stale = await BetaSignup.find(staleInviteQuery(now)).select('_id');
+    // Read once the first re-invite is due, after the expired invites freed their seats
+    let remainingCapacity = null;
+
+    for (const { _id } of stale) {
+        try {
+            const signup = await BetaSignup.claimTransition(
+                { _id, ...staleInviteQuery(now) },
+                'expired',
+                { note: 'Invite not used in time' }
+            );
+            // Expired by another instance or changed since the query
+            if (!signup) {
+                continue;
+            }
+            report.expired.push({ id: signup._id, email: signup.email, inviteSentAt: signup.inviteSentAt });
+
+            const reinvites = Math.max((signup.inviteCount || 1) - 1, 0);
+            if (!config.autoReinvite || !testflightUrl || reinvites >= config.maxReinvites) {
+                continue;
+            }
+
+            if (remainingCapacity === null) {
+                remainingCapacity = (await getCapacity()).remaining;
+            }
+            if (remainingCapacity <= 0) {
+                report.skipped.push({ id: signup._id, email: signup.email, reason: 'capacity' });
+                continue;
+            }
+
+            await sendInvite(signup, testflightUrl, 'auto-reinvite');
+            remainingCapacity--;
+            report.reinvited.push({ id: signup._id, email: signup.email, inviteExpiresAt: signup.inviteExpiresAt });
+        } catch (error) {
+            logger.error('Invite expiry failed', { signupId: _id, err: error });
+            report.failed.push({ id: _id, error: error.message });
+        }
+    }
+
+    return report;
+};
+
+/**
+ * List invites expiring within the next days
+ * @param {number} days - Look-ahead window in days
+ * @returns {Object[]} Invited signups ordered by expiry
+ */
+const findExpiringInvites = (days) => {
+    const now = new Date();
+
+    return BetaSignup
+        .find({
+            status: 'invited',
+            inviteExpiresAt: { $gt: now, $lte: new Date(now.getTime() + days * DAY_MS) }
+        })
+        .sort({ inviteExpiresAt: 1 })
+        .select('email name device inviteSentAt inviteExpiresAt inviteCount invitedBy');
+};
+
+module.exports = {
+    expireStaleInvites,
+    findExpiringInvites
+};
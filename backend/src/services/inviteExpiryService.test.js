@@ -0,0 +1,143 @@
+const BetaSignup = require('../../models/BetaSignup');
+
+jest.mock('./testflightService', () => ({
+    ...jest.requireActual('./testflightService'),
+    sendInvite: jest.fn()
+}));
+
+const { sendInvite } = require('./testflightService');
+const { expireStaleInvites } = require('./inviteExpiryService');
+const { logger } = require('../logger');
+
+/**
+ * Stale invited signups shared by all "instances": claimTransition only
+ * succeeds for a signup that is still invited, like the real conditional update
+ */
+const useStaleSignups = (count, { inviteCount = 1 } = {}) => {
+    const signups = Array.from({ length: count }, (value, index) => new BetaSignup({
+        email: `tester${index}@example.com`,
+        name: `Tester ${index}`,
+        device: 'iphone',
+        status: 'invited',
+        inviteCount
+    }));
+
+    jest.spyOn(BetaSignup, 'find').mockReturnValue({
+        select: async () => signups.map(({ _id }) => ({ _id }))
+    });
+    jest.spyOn(BetaSignup, 'claimTransition').mockImplementation(async (filter, status) => {
+        await new Promise((resolve) => setImmediate(resolve));
+        const signup = signups.find(({ _id }) => String(_id) === String(filter._id));
+        if (!signup || signup.status !== filter.status) {
+            return null;
+        }
+        signup.status = status;
+        return signup;
+    });
+
+    return signups;
+};
+
+describe('expireStaleInvites', () => {
+    beforeEach(() => {
+        process.env.INVITE_AUTO_REINVITE = 'true';
+        process.env.INVITE_MAX_REINVITES = '1';
+        process.env.TESTFLIGHT_URL = 'https://testflight.apple.com/join/ABC';
+        process.env.TESTER_CAPACITY = '100';
+        jest.spyOn(BetaSignup, 'countDocuments').mockResolvedValue(0);
+        sendInvite.mockReset().mockResolvedValue({ status: 'queued' });
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+        delete process.env.INVITE_AUTO_REINVITE;
+        delete process.env.INVITE_MAX_REINVITES;
+        delete process.env.TESTFLIGHT_URL;
+        delete process.env.TESTER_CAPACITY;
+    });
+
+    it('claims each stale invite with its status and staleness in the filter', async () => {
+        const [signup] = useStaleSignups(1);
+        const now = new Date('2025-09-12T08:00:00Z');
+
+        await expireStaleInvites({ now });
+
+        expect(BetaSignup.claimTransition).toHaveBeenCalledWith(
+            expect.objectContaining({ _id: signup._id, status: 'invited', $or: expect.any(Array) }),
+            'expired',
+            { note: 'Invite not used in time' }
+        );
+    });
+
+    it('expires and re-invites every signup once when two instances run at the same time', async () => {
+        useStaleSignups(3);
+
+        const reports = await Promise.all([expireStaleInvites(), expireStaleInvites()]);
+
+        expect(reports[0].expired.length + reports[1].expired.length).toBe(3);
+        expect(sendInvite).toHaveBeenCalledTimes(3);
+    });
+
+    it('keeps going when one signup fails', async () => {
+        jest.spyOn(logger, 'error').mockImplementation(() => {});
+        const signups = useStaleSignups(3);
+        sendInvite.mockImplementation(async (signup) => {
+            if (signup === signups[1]) {
+                throw new Error('outbox unavailable');
+            }
+            return { status: 'queued' };
+        });
+
+        const report = await expireStaleInvites();
+
+        expect(report.expired).toHaveLength(3);
+        expect(report.reinvited.map(({ id }) => id)).toEqual([signups[0]._id, signups[2]._id]);
+        expect(report.failed).toEqual([{ id: signups[1]._id, error: 'outbox unavailable' }]);
+        expect(logger.error).toHaveBeenCalledWith('Invite expiry failed', expect.objectContaining({ signupId: signups[1]._id }));
+    });
+
+    it('does not re-invite beyond tester capacity', async () => {
+        process.env.TESTER_CAPACITY = '10';
+        BetaSignup.countDocuments.mockResolvedValue(9);
+        const signups = useStaleSignups(3);
+
+        const report = await expireStaleInvites();
+
+        expect(report.expired).toHaveLength(3);
+        expect(report.reinvited.map(({ id }) => id)).toEqual([signups[0]._id]);
+        expect(report.skipped).toEqual([
+            expect.objectContaining({ id: signups[1]._id, reason: 'capacity' }),
+            expect.objectContaining({ id: signups[2]._id, reason: 'capacity' })
+        ]);
+    });
+
+    it('stops re-inviting after INVITE_MAX_REINVITES', async () => {
+        useStaleSignups(1, { inviteCount: 2 });
+
+        const report = await expireStaleInvites();
+
+        expect(report.expired).toHaveLength(1);
+        expect(sendInvite).not.toHaveBeenCalled();
+    });
+
+    it('only expires without INVITE_AUTO_REINVITE', async () => {
+        delete process.env.INVITE_AUTO_REINVITE;
+        useStaleSignups(2);
+
+        const report = await expireStaleInvites();
+
+        expect(report.expired).toHaveLength(2);
+        expect(report.reinvited).toHaveLength(0);
+        expect(sendInvite).not.toHaveBeenCalled();
+    });
+
+    it('ignores signups claimed by someone else', async () => {
+        const [signup] = useStaleSignups(1);
+        signup.status = 'installed';
+
+        const report = await expireStaleInvites();
+
+        expect(report.expired).toHaveLength(0);
+        expect(sendInvite).not.toHaveBeenCalled();
+    });
+});
@@ -0,0 +1,224 @@
+// Mail transport layer: selects how outgoing email is delivered
+
+const fs = require('fs');
+const path = require('path');
+const nodemailer = require('nodemailer');
+
+const DEFAULT_OUTBOX_DIR = path.join(__dirname, '../../outbox');
+
+// Messages captured by the json/stream transports, newest last. Only the latest
+// EMAIL_CAPTURE_LIMIT are kept, so a long-running process does not grow without bound.
+const CAPTURE_LIMIT = parseInt(process.env.EMAIL_CAPTURE_LIMIT) || 100;
+const capturedMessages = [];
+
+/**
+ * Create a transport that writes every message as an .eml file
+ * @param {string} outboxDir - Directory to write messages to
+ * @returns {Object} Nodemailer transport
+ */
+const createFileTransport = (outboxDir) => ({
+    name: 'file',
+    version: '1.0.0',
+    send(mail, callback) {
+        mail.message.build((buildError, message) => {
+            if (buildError) {
+                return callback(buildError);
+            }
+
+            const messageId = mail.message.messageId();
+            const safeId = messageId.replace(/[<>]/g, '').replace(/[^\w.@-]/g, '_');
+            const filePath = path.join(outboxDir, `${Date.now()}-${safeId}.eml`);
+
+            fs.promises.mkdir(outboxDir, { recursive: true })
+                .then(() => fs.promises.writeFile(filePath, message))
+                .then(() => callback(null, {
+                    envelope: mail.message.getEnvelope(),
+                    messageId,
+                    path: filePath
+                }))
+                .catch(callback);
+        });
+    }
+});
+
+// Available transports by name; extend with registerTransport
+const transportFactories = {
+    smtp: () => nodemailer.createTransport({
+        host: process.env.SMTP_HOST,
+        port: process.env.SMTP_PORT,
+        secure: process.env.SMTP_SECURE === 'true',
+        auth: {
+            user: process.env.SMTP_USER,
+            pass: process.env.SMTP_PASS
+        }
+    }),
+    gmail: () => nodemailer.createTransport({
+        service: 'gmail',
+        auth: {
+            user: process.env.GMAIL_USER,
+            pass: process.env.GMAIL_APP_PASSWORD
+        }
+    }),
+    json: () => nodemailer.createTransport({ jsonTransport: true }),
+    stream: () => nodemailer.createTransport({ streamTransport: true, buffer: true }),
+    file: () => nodemailer.createTransport(
+        createFileTransport(process.env.EMAIL_OUTBOX_DIR || DEFAULT_OUTBOX_DIR)
+    )
+};
+
+// Transports whose results are kept in memory for assertions
+const CAPTURING_TRANSPORTS = ['json', 'stream'];
+
+// How long a transport check is reused, so readiness probes do not log in to SMTP every few seconds
+const VERIFY_CACHE_MS = parseInt(process.env.EMAIL_VERIFY_CACHE_MS) || 60 * 1000;
+
+let activeTransport = null;
+// Last transport check { result, checkedAt } and the check in progress
+let lastVerification = null;
+let pendingVerification = null;
+
+/**
+ * Resolve the transport name from EMAIL_TRANSPORT or the environment
+ * @returns {string} Transport name
+ */
+const getTransportName = () => {
+    if (process.env.EMAIL_TRANSPORT) {
+        return process.env.EMAIL_TRANSPORT;
+    }
+
+    if (process.env.NODE_ENV === 'production') {
+        return 'smtp';
+    }
+
+    if (process.env.NODE_ENV === 'test') {
+        return 'json';
+    }
+
+    return process.env.GMAIL_USER ? 'gmail' : 'file';
+};
+
+/**
+ * Create a transport by name
+ * @param {string} name - Registered transport name
+ * @returns {Object} Object with name and sendMail(mailOptions)
+ */
+const createTransport = (name) => {
+    const factory = transportFactories[name];
+    if (!factory) {
+        throw new Error(`Unknown email transport: ${name}`);
+    }
+
+    const transporter = factory();
+
+    return {
+        name,
+        transporter,
+        sendMail: async (mailOptions) => {
+            const info = await transporter.sendMail(mailOptions);
+
+            if (CAPTURING_TRANSPORTS.includes(name)) {
+                capturedMessages.push({
+                    mailOptions,
+                    messageId: info.messageId,
+                    envelope: info.envelope,
+                    message: Buffer.isBuffer(info.message) ? info.message.toString() : info.message
+                });
+
+                if (capturedMessages.length > CAPTURE_LIMIT) {
+                    capturedMessages.splice(0, capturedMessages.length - CAPTURE_LIMIT);
+                }
+            }
+
+            return info;
+        }
+    };
+};
+
+/**
+ * Get the configured transport (created once and reused)
+ * @returns {Object} Active transport
+ */
+const getTransport = () => {
+    if (!activeTransport) {
+        activeTransport = createTransport(getTransportName());
+    }
+    return activeTransport;
+};
+
+/**
+ * Check that the active transport can deliver: SMTP-based transports connect and log in,
+ * transports without a server (file, json, stream) always pass.
+ * Results are cached for EMAIL_VERIFY_CACHE_MS.
+ * @returns {Object} { ok, transport, error }
+ */
+const verifyTransport = async () => {
+    if (lastVerification && Date.now() - lastVerification.checkedAt < VERIFY_CACHE_MS) {
+        return lastVerification.result;
+    }
+
+    if (!pendingVerification) {
+        pendingVerification = (async () => {
+            const { name, transporter } = getTransport();
+            let result = { ok: true, transport: name };
+
+            if (typeof transporter.transporter.verify === 'function') {
+                try {
+                    await transporter.verify();
+                } catch (error) {
+                    result = { ok: false, transport: name, error: error.message };
+                }
+            }
+
+            lastVerification = { result, checkedAt: Date.now() };
+            return result;
+        })().finally(() => {
+            pendingVerification = null;
+        });
+    }
+
+    return pendingVerification;
+};
+
+/**
+ * Register an additional transport
+ * @param {string} name - Name used in EMAIL_TRANSPORT
+ * @param {Function} factory - Returns a nodemailer transporter
+ */
+const registerTransport = (name, factory) => {
+    transportFactories[name] = factory;
+};
+
+/**
+ * Drop the active transport so the next send re-reads the configuration
+ */
+const resetTransport = () => {
+    if (activeTransport && typeof activeTransport.transporter.close === 'function') {
+        activeTransport.transporter.close();
+    }
+    activeTransport = null;
+    lastVerification = null;
+};
+
+/**
+ * Get messages captured by the json/stream transports
+ * @returns {Object[]} Captured messages, at most EMAIL_CAPTURE_LIMIT, oldest first
+ */
+const getCapturedMessages = () => capturedMessages.slice();
+
+/**
+ * Clear captured messages
+ */
+const clearCapturedMessages = () => {
+    capturedMessages.length = 0;
+};
+
+module.exports = {
+    getTransport,
+    getTransportName,
+    createTransport,
+    registerTransport,
+    resetTransport,
+    verifyTransport,
+    getCapturedMessages,
+    clearCapturedMessages
+};
@@ -0,0 +1,80 @@
+const {
+    createTransport,
+    registerTransport,
+    getTransportName,
+    getCapturedMessages,
+    clearCapturedMessages
+} = require('./mailTransport');
+
+const send = (transport, index) => transport.sendMail({
+    from: 'beta@bahnblitz.app',
+    to: `tester${index}@example.com`,
+    subject: `Message ${index}`,
+    text: 'Hello'
+});
+
+describe('mailTransport', () => {
+    beforeEach(() => {
+        clearCapturedMessages();
+    });
+
+    afterEach(() => {
+        delete process.env.EMAIL_TRANSPORT;
+    });
+
+    it('uses the json transport in tests', () => {
+        expect(getTransportName()).toBe('json');
+    });
+
+    it('prefers EMAIL_TRANSPORT', () => {
+        process.env.EMAIL_TRANSPORT = 'stream';
+
+        expect(getTransportName()).toBe('stream');
+    });
+
+    it('captures messages sent with the json transport', async () => {
+        await send(createTransport('json'), 1);
+
+        const [message] = getCapturedMessages();
+        expect(message.mailOptions.to).toBe('tester1@example.com');
+        expect(JSON.parse(message.message).subject).toBe('Message 1');
+    });
+
+    it('captures raw messages from the stream transport', async () => {
+        await send(createTransport('stream'), 1);
+
+        expect(getCapturedMessages()[0].message).toContain('Subject: Message 1');
+    });
+
+    it('keeps only the latest 100 messages', async () => {
+        const transport = createTransport('json');
+        for (let index = 1; index <= 105; index++) {
+            await send(transport, index);
+        }
+
+        const messages = getCapturedMessages();
+        expect(messages).toHaveLength(100);
+        expect(messages[0].mailOptions.subject).toBe('Message 6');
+        expect(messages[99].mailOptions.subject).toBe('Message 105');
+    });
+
+    it('returns a copy of the captured messages', async () => {
+        await send(createTransport('json'), 1);
+
+        getCapturedMessages().pop();
+
+        expect(getCapturedMessages()).toHaveLength(1);
+    });
+
+    it('does not capture other transports', async () => {
+        registerTransport('test-noop', () => ({ sendMail: async () => ({ messageId: '<noop@test>' }) }));
+
+        await send(createTransport('test-noop'), 1);
+
+        expect(getCapturedMessages()).toHaveLength(0);
+    });
+
+    it('refuses unknown transports', () => {
+        expect(() => createTransport('pigeon')).toThrow('Unknown email transport: pigeon');
+    });
+});
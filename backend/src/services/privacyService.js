@@ -0,0 +1,120 @@
+// Privacy service for unsubscribes and GDPR data-subject requests
+
+const BetaSignup = require('../../models/BetaSignup');
+const DataRequest = require('../../models/DataRequest');
+const EmailOutbox = require('../../models/EmailOutbox');
+const EmailSuppression = require('../../models/EmailSuppression');
+const SignupAttempt = require('../../models/SignupAttempt');
+const WebhookDelivery = require('../../models/WebhookDelivery');
+const { getEmailKey } = require('./signupValidation');
+const { anonymiseIp } = require('../ip');
+
+/**
+ * Log a data-subject request for accountability
+ * @param {string} type - export, erasure or unsubscribe
+ * @param {Object} signup - Beta signup object
+ * @param {Object} [snapshot] - Non-identifying facts to keep
+ */
+const logRequest = (type, signup, snapshot) => {
+    return DataRequest.create({
+        type,
+        signupId: signup._id,
+        emailHash: EmailSuppression.hashEmail(signup.email),
+        snapshot
+    });
+};
+
+/**
+ * Opt a signup out of all further emails
+ * @param {Object} signup - Beta signup object
+ * @returns {Object} Updated signup
+ */
+const unsubscribe = async (signup) => {
+    await EmailSuppression.suppress(signup.email, 'unsubscribe', signup._id);
+
+    if (!signup.unsubscribedAt) {
+        signup.unsubscribedAt = new Date();
+        await signup.save();
+        await logRequest('unsubscribe', signup);
+    }
+
+    return signup;
+};
+
+/**
+ * Collect all data stored about a signup (GDPR Art. 15)
+ * @param {Object} signup - Beta signup object
+ * @returns {Object} Export document
+ */
+const exportSignupData = async (signup) => {
+    const record = await BetaSignup
+        .findById(signup._id)
+        .select('-__v -confirmationNonceHash')
+        .lean();
+
+    const suppressed = await EmailSuppression.isSuppressed(signup.email);
+
+    await logRequest('export', signup);
+
+    return {
+        exportedAt: new Date().toISOString(),
+        controller: 'BahnBlitz',
+        purpose: 'Management of the BahnBlitz TestFlight beta program',
+        signup: record,
+        emailSuppressed: suppressed
+    };
+};
+
+/**
+ * Remove personal data about a signup from the collections that refer to it:
+ * outbox entries are deleted, webhook deliveries lose email and name, and
+ * signup attempts of the address are deleted. Provider events live on the
+ * signup itself; the suppression list keeps only a hash and stays in place.
+ * @param {Object} signup - Beta signup object
+ * @returns {Object} Number of records removed or anonymised per collection
+ */
+const purgeRelatedData = async (signup) => {
+    const [outbox, webhookDeliveries, signupAttempts] = await Promise.all([
+        EmailOutbox.deleteMany({ signupId: signup._id }),
+        WebhookDelivery.updateMany(
+            { 'payload.data.signup.id': String(signup._id) },
+            { $unset: { 'payload.data.signup.email': '', 'payload.data.signup.name': '' } }
+        ),
+        SignupAttempt.deleteMany({ emailHash: EmailSuppression.hashEmail(getEmailKey(signup.email)) })
+    ]);
+
+    return {
+        outbox: outbox.deletedCount,
+        webhookDeliveries: webhookDeliveries.modifiedCount,
+        signupAttempts: signupAttempts.deletedCount
+    };
+};
+
+/**
+ * Erase a signup (GDPR Art. 17). The record and the personal data other
+ * collections hold about it are removed, and an audit tombstone without
+ * personal data is kept in its place.
+ * @param {Object} signup - Beta signup object
+ * @returns {Object} Tombstone entry
+ */
+const eraseSignup = async (signup) => {
+    const tombstone = await logRequest('erasure', signup, {
+        status: signup.status,
+        device: signup.device,
+        source: signup.source,
+        anonymisedIp: anonymiseIp(signup.ipAddress),
+        signedUpAt: signup.createdAt
+    });
+
+    // Related data first, so a failure leaves the signup in place to retry the erasure
+    await purgeRelatedData(signup);
+    await BetaSignup.deleteOne({ _id: signup._id });
+
+    return tombstone;
+};
+
+module.exports = {
+    unsubscribe,
+    exportSignupData,
+    eraseSignup
+};
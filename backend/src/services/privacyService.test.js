@@ -0,0 +1,143 @@
+const mongoose = require('mongoose');
+const BetaSignup = require('../../models/BetaSignup');
+const DataRequest = require('../../models/DataRequest');
+const EmailOutbox = require('../../models/EmailOutbox');
+const EmailSuppression = require('../../models/EmailSuppression');
+const SignupAttempt = require('../../models/SignupAttempt');
+const WebhookDelivery = require('../../models/WebhookDelivery');
+const { getEmailKey } = require('./signupValidation');
+const { eraseSignup } = require('./privacyService');
+
+// Read a dotted path such as "payload.data.signup.id"
+const getPath = (doc, path) => path.split('.').reduce((value, key) => (value == null ? undefined : value[key]), doc);
+
+const matches = (doc, filter) => Object.entries(filter).every(([path, value]) => String(getPath(doc, path)) === String(value));
+
+/**
+ * Back a model's write methods with an in-memory collection
+ * @param {Object} Model - Mongoose model
+ * @param {Object[]} docs - Initial documents
+ * @returns {Object[]} The collection, updated in place
+ */
+const useCollection = (Model, docs) => {
+    const collection = docs.map((doc) => JSON.parse(JSON.stringify(doc)));
+
+    jest.spyOn(Model, 'deleteMany').mockImplementation(async (filter) => {
+        const before = collection.length;
+        collection.splice(0, collection.length, ...collection.filter((doc) => !matches(doc, filter)));
+        return { deletedCount: before - collection.length };
+    });
+    jest.spyOn(Model, 'deleteOne').mockImplementation(async (filter) => {
+        const index = collection.findIndex((doc) => matches(doc, filter));
+        if (index >= 0) collection.splice(index, 1);
+        return { deletedCount: index >= 0 ? 1 : 0 };
+    });
+    jest.spyOn(Model, 'updateMany').mockImplementation(async (filter, update) => {
+        const matched = collection.filter((doc) => matches(doc, filter));
+        matched.forEach((doc) => Object.keys(update.$unset || {}).forEach((path) => {
+            const keys = path.split('.');
+            const parent = getPath(doc, keys.slice(0, -1).join('.'));
+            if (parent) delete parent[keys[keys.length - 1]];
+        }));
+        return { modifiedCount: matched.length };
+    });
+
+    return collection;
+};
+
+describe('privacyService', () => {
+    describe('eraseSignup', () => {
+        const signupId = new mongoose.Types.ObjectId();
+        const otherId = new mongoose.Types.ObjectId();
+        const signup = {
+            _id: signupId,
+            email: 'Jane.Doe@Example.com',
+            name: 'Jane Doe',
+            status: 'invited',
+            device: 'iphone',
+            source: 'website',
+            ipAddress: '203.0.113.42',
+            createdAt: new Date('2025-09-01T10:00:00Z')
+        };
+        const emailHash = EmailSuppression.hashEmail(getEmailKey(signup.email));
+
+        let collections;
+        let tombstones;
+
+        beforeEach(() => {
+            tombstones = [];
+            jest.spyOn(DataRequest, 'create').mockImplementation(async (doc) => {
+                tombstones.push(doc);
+                return { _id: new mongoose.Types.ObjectId(), createdAt: new Date(), ...doc };
+            });
+
+            collections = {
+                signups: useCollection(BetaSignup, [signup, { _id: otherId, email: 'other@example.com', name: 'Other' }]),
+                outbox: useCollection(EmailOutbox, [
+                    { signupId, type: 'confirmation', payload: { confirmUrl: 'https://api.example/confirm/abc' } },
+                    { signupId, type: 'invite', payload: { testflightUrl: 'https://testflight.apple.com/join/x' } },
+                    { signupId: otherId, type: 'welcome', payload: {} }
+                ]),
+                deliveries: useCollection(WebhookDelivery, [
+                    { event: 'signup.created', payload: { data: { signup: { id: String(signupId), email: signup.email, name: signup.name, device: 'iphone' } } } },
+                    { event: 'signup.invited', payload: { data: { signup: { id: String(signupId), email: signup.email, name: signup.name } } } },
+                    { event: 'signup.created', payload: { data: { signup: { id: String(otherId), email: 'other@example.com', name: 'Other' } } } }
+                ]),
+                attempts: useCollection(SignupAttempt, [
+                    { emailHash, subnet: '203.0.113.0', outcome: 'accepted' },
+                    { emailHash: 'other-hash', subnet: '198.51.100.0', outcome: 'accepted' }
+                ])
+            };
+        });
+
+        afterEach(() => {
+            jest.restoreAllMocks();
+        });
+
+        it('leaves no personal data of the signup in any collection', async () => {
+            await eraseSignup(signup);
+
+            const remaining = JSON.stringify([collections.signups, collections.outbox, collections.deliveries, collections.attempts]);
+            expect(remaining).not.toContain(signup.email);
+            expect(remaining).not.toContain(signup.name);
+            expect(remaining).not.toContain(emailHash);
+        });
+
+        it('anonymises webhook deliveries instead of deleting the delivery log', async () => {
+            await eraseSignup(signup);
+
+            expect(collections.deliveries).toHaveLength(3);
+            expect(collections.deliveries[0].payload.data.signup).toEqual({ id: String(signupId), device: 'iphone' });
+        });
+
+        it('keeps data of other signups', async () => {
+            await eraseSignup(signup);
+
+            expect(collections.signups).toHaveLength(1);
+            expect(collections.outbox).toEqual([expect.objectContaining({ signupId: String(otherId) })]);
+            expect(collections.deliveries[2].payload.data.signup.email).toBe('other@example.com');
+            expect(collections.attempts).toEqual([expect.objectContaining({ emailHash: 'other-hash' })]);
+        });
+
+        it('keeps a tombstone without personal data', async () => {
+            await eraseSignup(signup);
+
+            expect(tombstones).toHaveLength(1);
+            expect(tombstones[0].snapshot).toEqual({
+                status: 'invited',
+                device: 'iphone',
+                source: 'website',
+                anonymisedIp: '203.0.113.0',
+                signedUpAt: signup.createdAt
+            });
+            expect(JSON.stringify(tombstones[0])).not.toContain(signup.email);
+        });
+
+        it('keeps the signup when related data cannot be purged', async () => {
+            EmailOutbox.deleteMany.mockRejectedValue(new Error('connection lost'));
+
+            await expect(eraseSignup(signup)).rejects.toThrow('connection lost');
+            expect(collections.signups).toHaveLength(2);
+        });
+    });
+});
@@ -0,0 +1,90 @@
+// Referral service: referral codes, credits and leaderboard
+
+const BetaSignup = require('../../models/BetaSignup');
+
+/**
+ * Find the signup owning a referral code
+ * @param {string} code - Referral code from the ?ref= parameter
+ * @returns {Object|null} Referring signup
+ */
+const findReferrer = (code) => {
+    if (!code || typeof code !== 'string') {
+        return null;
+    }
+
+    return BetaSignup.findOne({ referralCode: code.trim().toUpperCase() });
+};
+
+/**
+ * Credit the referrer once a referred signup confirmed its email
+ * @param {Object} signup - Confirmed beta signup
+ */
+const creditReferral = async (signup) => {
+    if (!signup.referredBy) {
+        return;
+    }
+
+    await BetaSignup.updateOne(
+        { _id: signup.referredBy },
+        { $inc: { referralCount: 1 } }
+    );
+};
+
+/**
+ * Top referrers by confirmed referrals
+ * @param {number} limit - Number of entries
+ * @returns {Object[]} Leaderboard entries
+ */
+const getLeaderboard = async (limit) => {
+    const referrers = await BetaSignup
+        .find({ referralCount: { $gt: 0 } })
+        .sort({ referralCount: -1, createdAt: 1 })
+        .limit(limit)
+        .select('name email status referralCode referralCount createdAt');
+
+    return referrers.map((referrer, index) => ({
+        rank: index + 1,
+        id: referrer._id,
+        name: referrer.name,
+        email: referrer.email,
+        status: referrer.status,
+        referralCode: referrer.referralCode,
+        referralCount: referrer.referralCount
+    }));
+};
+
+/**
+ * Overall referral program statistics
+ * @returns {Object} Referral stats
+ */
+const getReferralStats = async () => {
+    const [totalSignups, referred, referrers] = await Promise.all([
+        BetaSignup.countDocuments(),
+        BetaSignup.aggregate([
+            { $match: { referredBy: { $exists: true } } },
+            { $group: { _id: '$status', count: { $sum: 1 } } }
+        ]),
+        BetaSignup.countDocuments({ referralCount: { $gt: 0 } })
+    ]);
+
+    const byStatus = referred.reduce((all, { _id, count }) => ({ ...all, [_id]: count }), {});
+    const referredSignups = referred.reduce((sum, { count }) => sum + count, 0);
+    const confirmedReferrals = referredSignups - (byStatus.unconfirmed || 0);
+
+    return {
+        totalSignups,
+        referredSignups,
+        confirmedReferrals,
+        activeReferrers: referrers,
+        referralShare: totalSignups ? Number((referredSignups / totalSignups * 100).toFixed(1)) : 0,
+        confirmationRate: referredSignups ? Number((confirmedReferrals / referredSignups * 100).toFixed(1)) : 0,
+        byStatus
+    };
+};
+
+module.exports = {
+    findReferrer,
+    creditReferral,
+    getLeaderboard,
+    getReferralStats
+};
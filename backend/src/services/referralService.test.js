@@ -0,0 +1,100 @@
+const mongoose = require('mongoose');
+const BetaSignup = require('../../models/BetaSignup');
+const { findReferrer, creditReferral, getLeaderboard, getReferralStats } = require('./referralService');
+
+describe('referralService', () => {
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    it('gives every signup a referral code without confusable characters', async () => {
+        const signup = new BetaSignup({ email: 'tester@example.com', name: 'Tester', device: 'iphone' });
+
+        await signup.validate();
+
+        expect(signup.referralCode).toMatch(/^[A-HJ-NP-Z2-9]{8}$/);
+        expect(signup.getReferralUrl()).toBe(`https://bahnblitz.app/?ref=${signup.referralCode}`);
+    });
+
+    describe('findReferrer', () => {
+        it('looks up the normalised code', async () => {
+            jest.spyOn(BetaSignup, 'findOne').mockResolvedValue(null);
+
+            await findReferrer(' abcd2345 ');
+
+            expect(BetaSignup.findOne).toHaveBeenCalledWith({ referralCode: 'ABCD2345' });
+        });
+
+        it('ignores missing and malformed codes', () => {
+            jest.spyOn(BetaSignup, 'findOne');
+
+            expect(findReferrer(undefined)).toBeNull();
+            expect(findReferrer(['ABCD2345'])).toBeNull();
+            expect(BetaSignup.findOne).not.toHaveBeenCalled();
+        });
+    });
+
+    describe('creditReferral', () => {
+        it('increments the referrer count', async () => {
+            const referredBy = new mongoose.Types.ObjectId();
+            jest.spyOn(BetaSignup, 'updateOne').mockResolvedValue({});
+
+            await creditReferral({ referredBy });
+
+            expect(BetaSignup.updateOne).toHaveBeenCalledWith({ _id: referredBy }, { $inc: { referralCount: 1 } });
+        });
+
+        it('does nothing for signups without a referrer', async () => {
+            jest.spyOn(BetaSignup, 'updateOne');
+
+            await creditReferral({});
+
+            expect(BetaSignup.updateOne).not.toHaveBeenCalled();
+        });
+    });
+
+    it('ranks the leaderboard by referrals, earliest signup first on ties', async () => {
+        const query = {
+            sort: jest.fn().mockReturnThis(),
+            limit: jest.fn().mockReturnThis(),
+            select: jest.fn().mockResolvedValue([
+                { _id: 'a', name: 'Anna', email: 'anna@example.com', status: 'invited', referralCode: 'AAAA2222', referralCount: 5 },
+                { _id: 'b', name: 'Ben', email: 'ben@example.com', status: 'pending', referralCode: 'BBBB3333', referralCount: 2 }
+            ])
+        };
+        jest.spyOn(BetaSignup, 'find').mockReturnValue(query);
+
+        const leaderboard = await getLeaderboard(2);
+
+        expect(BetaSignup.find).toHaveBeenCalledWith({ referralCount: { $gt: 0 } });
+        expect(query.sort).toHaveBeenCalledWith({ referralCount: -1, createdAt: 1 });
+        expect(query.limit).toHaveBeenCalledWith(2);
+        expect(leaderboard.map(({ rank, name }) => [rank, name])).toEqual([[1, 'Anna'], [2, 'Ben']]);
+    });
+
+    it('reports the share and confirmation rate of referred signups', async () => {
+        jest.spyOn(BetaSignup, 'countDocuments').mockImplementation(async (filter) => (filter ? 4 : 200));
+        jest.spyOn(BetaSignup, 'aggregate').mockResolvedValue([
+            { _id: 'unconfirmed', count: 5 },
+            { _id: 'pending', count: 10 },
+            { _id: 'invited', count: 15 }
+        ]);
+
+        expect(await getReferralStats()).toEqual({
+            totalSignups: 200,
+            referredSignups: 30,
+            confirmedReferrals: 25,
+            activeReferrers: 4,
+            referralShare: 15,
+            confirmationRate: 83.3,
+            byStatus: { unconfirmed: 5, pending: 10, invited: 15 }
+        });
+    });
+
+    it('reports zero rates without signups', async () => {
+        jest.spyOn(BetaSignup, 'countDocuments').mockResolvedValue(0);
+        jest.spyOn(BetaSignup, 'aggregate').mockResolvedValue([]);
+
+        expect(await getReferralStats()).toMatchObject({ referralShare: 0, confirmationRate: 0 });
+    });
+});
@@ -0,0 +1,98 @@
+// Reminder service: finds invited testers who have not installed yet
+
+const BetaSignup = require('../../models/BetaSignup');
+const { enqueueEmail } = require('./emailOutbox');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Read the reminder campaign settings
+ * @returns {Object} { firstAfterDays, intervalDays, maxReminders }
+ */
+const getReminderConfig = () => ({
+    firstAfterDays: parseFloat(process.env.REMINDER_FIRST_AFTER_DAYS) || 3,
+    intervalDays: parseFloat(process.env.REMINDER_INTERVAL_DAYS) || 4,
+    maxReminders: parseInt(process.env.REMINDER_MAX_COUNT) || 2
+});
+
+/**
+ * Decide whether a signup is due for its next reminder
+ * @param {Object} signup - Beta signup object
+ * @param {Object} config - Reminder settings
+ * @param {Date} now - Reference time
+ * @returns {Object|null} Reminder info, or null if not due
+ */
+const getDueReminder = (signup, config, now) => {
+    // Only reminders for the current invite round count
+    const reminders = signup.emailSent.filter((email) => (
+        email.type === 'reminder' && (email.queuedAt || email.sentAt) >= signup.inviteSentAt
+    ));
+
+    if (reminders.length >= config.maxReminders) {
+        return null;
+    }
+
+    const last = reminders[reminders.length - 1];
+    const lastReminderAt = last ? last.queuedAt || last.sentAt : null;
+
+    if (lastReminderAt && lastReminderAt > new Date(now - config.intervalDays * DAY_MS)) {
+        return null;
+    }
+
+    return {
+        number: reminders.length + 1,
+        lastReminderAt
+    };
+};
+
+/**
+ * Run the reminder campaign
+ * @param {Object} [options] - { dryRun, now }
+ * @returns {Object} Campaign report
+ */
+const runReminderCampaign = async ({ dryRun = false, now = new Date() } = {}) => {
+    const config = getReminderConfig();
+
+    const candidates = await BetaSignup.find({
+        status: 'invited',
+        inviteSentAt: { $lte: new Date(now - config.firstAfterDays * DAY_MS) },
+        inviteExpiresAt: { $not: { $lte: now } },
+        unsubscribedAt: { $exists: false }
+    }).sort({ inviteSentAt: 1 });
+
+    const reminders = [];
+
+    for (const signup of candidates) {
+        const due = getDueReminder(signup, config, now);
+        if (!due) {
+            continue;
+        }
+
+        if (!dryRun) {
+            await enqueueEmail(signup, 'reminder', {}, { key: `${signup._id}:reminder:${signup.inviteCount || 1}:${due.number}` });
+        }
+
+        reminders.push({
+            id: signup._id,
+            email: signup.email,
+            name: signup.name,
+            inviteSentAt: signup.inviteSentAt,
+            reminderNumber: due.number,
+            lastReminderAt: due.lastReminderAt
+        });
+    }
+
+    return {
+        dryRun,
+        evaluatedAt: now,
+        config,
+        candidatesChecked: candidates.length,
+        remindersQueued: dryRun ? 0 : reminders.length,
+        reminders
+    };
+};
+
+module.exports = {
+    getReminderConfig,
+    runReminderCampaign
+};
@@ -0,0 +1,133 @@
+const BetaSignup = require('../../models/BetaSignup');
+
+jest.mock('./emailOutbox', () => ({
+    ...jest.requireActual('./emailOutbox'),
+    enqueueEmail: jest.fn()
+}));
+
+const { enqueueEmail } = require('./emailOutbox');
+const { getReminderConfig, runReminderCampaign } = require('./reminderService');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const now = new Date('2025-06-20T12:00:00Z');
+const daysAgo = (days) => new Date(now - days * DAY_MS);
+
+/**
+ * An invited signup with the given invite time and earlier emails
+ */
+const invitedSignup = (inviteSentAt, emailSent = [], inviteCount = 1) => new BetaSignup({
+    email: 'tester@example.com',
+    name: 'Tester',
+    device: 'iphone',
+    status: 'invited',
+    inviteSentAt,
+    inviteCount,
+    emailSent
+});
+
+const useCandidates = (signups) => {
+    const sort = jest.fn().mockResolvedValue(signups);
+    jest.spyOn(BetaSignup, 'find').mockReturnValue({ sort });
+    return sort;
+};
+
+describe('reminderService', () => {
+    beforeEach(() => {
+        enqueueEmail.mockReset().mockResolvedValue({});
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+        delete process.env.REMINDER_FIRST_AFTER_DAYS;
+        delete process.env.REMINDER_INTERVAL_DAYS;
+        delete process.env.REMINDER_MAX_COUNT;
+    });
+
+    describe('getReminderConfig', () => {
+        it('uses the defaults when nothing is configured', () => {
+            expect(getReminderConfig()).toEqual({ firstAfterDays: 3, intervalDays: 4, maxReminders: 2 });
+        });
+
+        it('reads the campaign settings from the environment', () => {
+            process.env.REMINDER_FIRST_AFTER_DAYS = '1.5';
+            process.env.REMINDER_INTERVAL_DAYS = '7';
+            process.env.REMINDER_MAX_COUNT = '3';
+
+            expect(getReminderConfig()).toEqual({ firstAfterDays: 1.5, intervalDays: 7, maxReminders: 3 });
+        });
+    });
+
+    describe('runReminderCampaign', () => {
+        it('only looks at current invites older than the first reminder delay', async () => {
+            const sort = useCandidates([]);
+
+            await runReminderCampaign({ now });
+
+            expect(BetaSignup.find).toHaveBeenCalledWith({
+                status: 'invited',
+                inviteSentAt: { $lte: daysAgo(3) },
+                inviteExpiresAt: { $not: { $lte: now } },
+                unsubscribedAt: { $exists: false }
+            });
+            expect(sort).toHaveBeenCalledWith({ inviteSentAt: 1 });
+        });
+
+        it('queues the first reminder with a key per invite round and reminder', async () => {
+            const signup = invitedSignup(daysAgo(5), [], 2);
+            useCandidates([signup]);
+
+            const report = await runReminderCampaign({ now });
+
+            expect(enqueueEmail).toHaveBeenCalledWith(signup, 'reminder', {}, { key: `${signup._id}:reminder:2:1` });
+            expect(report).toMatchObject({ candidatesChecked: 1, remindersQueued: 1 });
+            expect(report.reminders[0]).toMatchObject({ reminderNumber: 1, lastReminderAt: null });
+        });
+
+        it('waits the interval between reminders', async () => {
+            const recent = invitedSignup(daysAgo(10), [{ type: 'reminder', queuedAt: daysAgo(2) }]);
+            const due = invitedSignup(daysAgo(10), [{ type: 'reminder', queuedAt: daysAgo(5) }]);
+            useCandidates([recent, due]);
+
+            const report = await runReminderCampaign({ now });
+
+            expect(enqueueEmail).toHaveBeenCalledTimes(1);
+            expect(enqueueEmail).toHaveBeenCalledWith(due, 'reminder', {}, { key: `${due._id}:reminder:1:2` });
+            expect(report.reminders[0]).toMatchObject({ reminderNumber: 2, lastReminderAt: daysAgo(5) });
+        });
+
+        it('stops after the maximum number of reminders', async () => {
+            useCandidates([invitedSignup(daysAgo(20), [
+                { type: 'reminder', queuedAt: daysAgo(15) },
+                { type: 'reminder', sentAt: daysAgo(10) }
+            ])]);
+
+            const report = await runReminderCampaign({ now });
+
+            expect(enqueueEmail).not.toHaveBeenCalled();
+            expect(report.reminders).toEqual([]);
+        });
+
+        it('starts over for a new invite round', async () => {
+            const signup = invitedSignup(daysAgo(4), [
+                { type: 'reminder', queuedAt: daysAgo(30) },
+                { type: 'reminder', queuedAt: daysAgo(25) },
+                { type: 'invite', queuedAt: daysAgo(4) }
+            ], 2);
+            useCandidates([signup]);
+
+            await runReminderCampaign({ now });
+
+            expect(enqueueEmail).toHaveBeenCalledWith(signup, 'reminder', {}, { key: `${signup._id}:reminder:2:1` });
+        });
+
+        it('reports due reminders without queuing them in a dry run', async () => {
+            useCandidates([invitedSignup(daysAgo(5))]);
+
+            const report = await runReminderCampaign({ dryRun: true, now });
+
+            expect(enqueueEmail).not.toHaveBeenCalled();
+            expect(report).toMatchObject({ dryRun: true, remindersQueued: 0 });
+            expect(report.reminders).toHaveLength(1);
+        });
+    });
+});
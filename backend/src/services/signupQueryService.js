@@ -0,0 +1,230 @@
+// Signup query service: filtered, searchable admin listing with cursor pagination
+
+const mongoose = require('mongoose');
+const BetaSignup = require('../../models/BetaSignup');
+
+// Fields the list can be sorted by; all of them are set on every signup
+// (referralCount on older signups by BetaSignup.ensureReferralCounts at startup)
+const SORT_FIELDS = {
+    createdAt: 'date',
+    updatedAt: 'date',
+    name: 'string',
+    email: 'string',
+    referralCount: 'number'
+};
+
+// Personal data only returned to admins allowed to see it
+const PII_FIELDS = ['ipAddress', 'userAgent'];
+
+const DEFAULT_LIMIT = 50;
+const MAX_LIMIT = 200;
+
+/**
+ * Fields to select for signups returned to an admin
+ * @param {boolean} includePii - Whether the admin may see PII_FIELDS
+ * @returns {string} Mongoose select string
+ */
+const getSignupProjection = (includePii) => {
+    return ['-__v', ...(includePii ? [] : PII_FIELDS.map((field) => `-${field}`))].join(' ');
+};
+
+/**
+ * Plain copy of a fully loaded signup with the fields of getSignupProjection,
+ * for responses about documents that had to be loaded whole (e.g. to save them)
+ * @param {Object} signup - Beta signup document
+ * @param {boolean} includePii - Whether the admin may see PII_FIELDS
+ * @returns {Object} Signup data
+ */
+const toAdminSignup = (signup, includePii) => {
+    const data = signup.toJSON();
+    delete data.__v;
+    if (!includePii) {
+        PII_FIELDS.forEach((field) => delete data[field]);
+    }
+    return data;
+};
+
+/**
+ * Create an error for an invalid list request (answered with 400)
+ * @param {string} message - Error message
+ * @returns {Error} Error with code INVALID_QUERY
+ */
+const invalidQuery = (message) => {
+    const error = new Error(message);
+    error.code = 'INVALID_QUERY';
+    return error;
+};
+
+/**
+ * Escape user input for use in a regular expression
+ * @param {string} value - Raw input
+ * @returns {string} Escaped pattern
+ */
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Parse a sort parameter like "-createdAt"
+ * @param {string} [sort] - Field name, prefixed with - for descending
+ * @returns {Object} { field, direction } with direction 1 or -1
+ */
+const parseSort = (sort = '-createdAt') => {
+    const direction = sort.startsWith('-') ? -1 : 1;
+    const field = sort.replace(/^[-+]/, '');
+
+    if (!SORT_FIELDS[field]) {
+        throw invalidQuery(`Cannot sort by ${field}`);
+    }
+
+    return { field, direction };
+};
+
+/**
+ * Encode the position after a signup as an opaque cursor
+ * @param {Object} signup - Last signup of the page
+ * @param {string} field - Sort field
+ * @returns {string} Cursor
+ */
+const encodeCursor = (signup, field) => {
+    return Buffer.from(JSON.stringify([signup[field], String(signup._id)])).toString('base64url');
+};
+
+/**
+ * Decode a cursor produced by encodeCursor
+ * @param {string} cursor - Cursor from a previous page
+ * @param {string} field - Sort field
+ * @returns {Object} { value, id }
+ */
+const decodeCursor = (cursor, field) => {
+    try {
+        const [value, id] = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+
+        if (!mongoose.Types.ObjectId.isValid(id)) {
+            throw new Error('Invalid id');
+        }
+
+        return {
+            value: SORT_FIELDS[field] === 'date' ? new Date(value) : value,
+            id: new mongoose.Types.ObjectId(id)
+        };
+    } catch (error) {
+        throw invalidQuery('Invalid cursor');
+    }
+};
+
+/**
+ * Build the MongoDB filter for the admin list
+ * @param {Object} filters - { status, device, experience, features, source, tags, flagged,
+ *   createdFrom, createdTo, invitedFrom, invitedTo, search }
+ * @returns {Object} MongoDB query
+ */
+const buildListQuery = (filters = {}) => {
+    const query = {};
+
+    ['status', 'device', 'experience', 'source'].forEach((field) => {
+        if (filters[field] && filters[field].length) {
+            query[field] = { $in: filters[field] };
+        }
+    });
+
+    if (filters.features && filters.features.length) {
+        // Any of the requested features
+        query.features = { $in: filters.features };
+    }
+    if (filters.tags && filters.tags.length) {
+        // All of the requested tags
+        query.tags = { $all: filters.tags };
+    }
+
+    if (filters.flagged !== undefined) {
+        // Signups from before risk scoring count as not flagged
+        query['risk.flagged'] = filters.flagged ? true : { $ne: true };
+    }
+
+    const range = (from, to) => {
+        const condition = {};
+        if (from) {
+            condition.$gte = new Date(from);
+        }
+        if (to) {
+            condition.$lte = new Date(to);
+        }
+        return condition;
+    };
+
+    if (filters.createdFrom || filters.createdTo) {
+        query.createdAt = range(filters.createdFrom, filters.createdTo);
+    }
+    if (filters.invitedFrom || filters.invitedTo) {
+        query.inviteSentAt = range(filters.invitedFrom, filters.invitedTo);
+    }
+
+    if (filters.search) {
+        const pattern = new RegExp(escapeRegex(filters.search.trim()), 'i');
+        query.$or = [{ name: pattern }, { email: pattern }];
+    }
+
+    return query;
+};
+
+/**
+ * List signups with keyset pagination. Pages stay stable when new signups
+ * are inserted because each page continues after the last (sort value, _id).
+ * @param {Object} filters - See buildListQuery
+ * @param {Object} [options] - { sort, limit, cursor, includePii }
+ * @returns {Object} { signups, pagination }
+ */
+const listSignups = async (filters, options = {}) => {
+    const { field, direction } = parseSort(options.sort);
+    const limit = Math.min(Math.max(parseInt(options.limit) || DEFAULT_LIMIT, 1), MAX_LIMIT);
+    const query = buildListQuery(filters);
+
+    const conditions = [query];
+    if (options.cursor) {
+        const { value, id } = decodeCursor(options.cursor, field);
+        const operator = direction === 1 ? '$gt' : '$lt';
+
+        conditions.push({
+            $or: [
+                { [field]: { [operator]: value } },
+                { [field]: value, _id: { [operator]: id } }
+            ]
+        });
+    }
+
+    // The status history is served by GET /api/beta-signup/:id/history
+    const projection = ['-__v', '-statusHistory'];
+    if (!options.includePii) {
+        projection.push(...PII_FIELDS.map((name) => `-${name}`));
+    }
+
+    const [signups, total] = await Promise.all([
+        BetaSignup
+            .find(conditions.length > 1 ? { $and: conditions } : query)
+            .sort({ [field]: direction, _id: direction })
+            .limit(limit + 1)
+            .select(projection.join(' ')),
+        BetaSignup.countDocuments(query)
+    ]);
+
+    const hasMore = signups.length > limit;
+    const page = hasMore ? signups.slice(0, limit) : signups;
+
+    return {
+        signups: page,
+        pagination: {
+            limit,
+            total,
+            sort: `${direction === -1 ? '-' : ''}${field}`,
+            nextCursor: hasMore ? encodeCursor(page[page.length - 1], field) : null
+        }
+    };
+};
+
+module.exports = {
+    SORT_FIELDS,
+    PII_FIELDS,
+    getSignupProjection,
+    toAdminSignup,
+    buildListQuery,
+    listSignups
+};
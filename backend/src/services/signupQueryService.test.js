@@ -0,0 +1,152 @@
+const mongoose = require('mongoose');
+const BetaSignup = require('../../models/BetaSignup');
+const { buildListQuery, listSignups, toAdminSignup, getSignupProjection } = require('./signupQueryService');
+
+const compare = (a, b) => (a < b ? -1 : a > b ? 1 : 0);
+
+// Evaluate the subset of MongoDB filters the cursor conditions use
+const matches = (doc, filter) => Object.entries(filter).every(([key, condition]) => {
+    if (key === '$and') return condition.every((part) => matches(doc, part));
+    if (key === '$or') return condition.some((part) => matches(doc, part));
+
+    const value = doc[key];
+    if (condition && condition.$gt !== undefined) return compare(value, condition.$gt) > 0;
+    if (condition && condition.$lt !== undefined) return compare(value, condition.$lt) < 0;
+    return compare(value, condition) === 0;
+});
+
+/**
+ * Back find/countDocuments with an in-memory list honouring sort, limit and the cursor filter
+ */
+const useSignups = (signups) => {
+    jest.spyOn(BetaSignup, 'find').mockImplementation((filter) => {
+        const query = {
+            sort: (order) => {
+                query.order = Object.entries(order);
+                return query;
+            },
+            limit: (limit) => {
+                query.max = limit;
+                return query;
+            },
+            select: async () => signups
+                .filter((signup) => matches(signup, filter))
+                .sort((a, b) => query.order.reduce((result, [field, direction]) => (
+                    result || compare(a[field], b[field]) * direction
+                ), 0))
+                .slice(0, query.max)
+        };
+        return query;
+    });
+    jest.spyOn(BetaSignup, 'countDocuments').mockResolvedValue(signups.length);
+};
+
+// Names of all signups from the given cursor (or the first page) to the last page
+const readPages = async (options, cursor) => {
+    const seen = [];
+    do {
+        const { signups, pagination } = await listSignups({}, { ...options, cursor });
+        seen.push(...signups.map(({ name }) => name));
+        cursor = pagination.nextCursor;
+    } while (cursor);
+    return seen;
+};
+
+describe('signupQueryService', () => {
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    describe('buildListQuery', () => {
+        it('combines list, feature, tag, flag and date filters', () => {
+            expect(buildListQuery({
+                status: ['pending', 'approved'],
+                device: ['iphone'],
+                features: ['siri', 'widgets'],
+                tags: ['vip', 'press'],
+                flagged: false,
+                createdFrom: '2025-01-01',
+                invitedTo: '2025-02-01'
+            })).toEqual({
+                status: { $in: ['pending', 'approved'] },
+                device: { $in: ['iphone'] },
+                features: { $in: ['siri', 'widgets'] },
+                tags: { $all: ['vip', 'press'] },
+                'risk.flagged': { $ne: true },
+                createdAt: { $gte: new Date('2025-01-01') },
+                inviteSentAt: { $lte: new Date('2025-02-01') }
+            });
+        });
+
+        it('searches name and email case-insensitively with regex characters escaped', () => {
+            const { $or } = buildListQuery({ search: ' a.b+c@example.com ' });
+
+            expect($or[0].name.test('A.B+C@EXAMPLE.COM')).toBe(true);
+            expect($or[1].email.test('axb+c@example.com')).toBe(false);
+        });
+    });
+
+    describe('listSignups', () => {
+        // Ties on createdAt make sure the _id tie-breaker is part of the cursor
+        const createdAt = [3, 1, 2, 2, 2, 1, 3].map((day) => new Date(`2025-03-0${day}T10:00:00Z`));
+        const signups = createdAt.map((date, index) => ({
+            _id: new mongoose.Types.ObjectId(),
+            name: `Tester ${index}`,
+            email: `tester${index}@example.com`,
+            createdAt: date
+        }));
+
+        beforeEach(() => {
+            useSignups(signups);
+        });
+
+        it.each(['-createdAt', 'createdAt', 'name'])('returns every signup exactly once when paging by %s', async (sort) => {
+            const names = await readPages({ sort, limit: 2 });
+
+            expect(names).toHaveLength(signups.length);
+            expect(new Set(names).size).toBe(signups.length);
+        });
+
+        it('keeps later pages stable when new signups arrive', async () => {
+            const first = await listSignups({}, { limit: 3 });
+            signups.push({ _id: new mongoose.Types.ObjectId(), name: 'Newcomer', createdAt: new Date('2025-03-09T10:00:00Z') });
+
+            const names = [...first.signups.map(({ name }) => name), ...await readPages({ limit: 3 }, first.pagination.nextCursor)];
+            signups.pop();
+
+            expect(names).not.toContain('Newcomer');
+            expect(names).toHaveLength(7);
+        });
+
+        it('clamps the page size and reports the pagination', async () => {
+            const { signups: page, pagination } = await listSignups({}, { limit: '1000' });
+
+            expect(page).toHaveLength(7);
+            expect(pagination).toEqual({ limit: 200, total: 7, sort: '-createdAt', nextCursor: null });
+        });
+
+        it('leaves out the status history and, unless allowed, IP address and user agent', async () => {
+            const select = jest.fn().mockResolvedValue([]);
+            BetaSignup.find.mockReturnValue({ sort: () => ({ limit: () => ({ select }) }) });
+
+            await listSignups({});
+            await listSignups({}, { includePii: true });
+
+            expect(select).toHaveBeenNthCalledWith(1, '-__v -statusHistory -ipAddress -userAgent');
+            expect(select).toHaveBeenNthCalledWith(2, '-__v -statusHistory');
+        });
+
+        it('rejects unknown sort fields and broken cursors', async () => {
+            await expect(listSignups({}, { sort: 'ipAddress' })).rejects.toMatchObject({ code: 'INVALID_QUERY', message: 'Cannot sort by ipAddress' });
+            await expect(listSignups({}, { cursor: 'not-a-cursor' })).rejects.toMatchObject({ code: 'INVALID_QUERY', message: 'Invalid cursor' });
+        });
+    });
+
+    it('hides IP address and user agent from admins without PII access', () => {
+        const signup = new BetaSignup({ email: 'tester@example.com', name: 'Tester', device: 'iphone', ipAddress: '203.0.113.0', userAgent: 'Safari' });
+
+        expect(toAdminSignup(signup, false)).not.toHaveProperty('ipAddress');
+        expect(toAdminSignup(signup, true)).toMatchObject({ ipAddress: '203.0.113.0', userAgent: 'Safari' });
+        expect(getSignupProjection(false)).toBe('-__v -ipAddress -userAgent');
+    });
+});
@@ -0,0 +1,124 @@
+// Signup risk service: velocity limits and risk scoring for public signups
+
+const SignupAttempt = require('../../models/SignupAttempt');
+const EmailSuppression = require('../../models/EmailSuppression');
+const { anonymiseIp } = require('../ip');
+const { getEmailKey } = require('./signupValidation');
+
+const WINDOW_MINUTES = parseInt(process.env.SIGNUP_VELOCITY_WINDOW_MINUTES) || 60;
+const EMAIL_LIMIT = parseInt(process.env.SIGNUP_EMAIL_LIMIT) || 3;
+const SUBNET_LIMIT = parseInt(process.env.SIGNUP_SUBNET_LIMIT) || 20;
+const REVIEW_THRESHOLD = parseInt(process.env.SIGNUP_RISK_REVIEW_THRESHOLD) || 50;
+
+// Points added to the risk score per signal; the score is capped at 100
+const RISK_SIGNALS = {
+    bot_user_agent: 40,
+    no_accept_language: 15,
+    suspicious_name: 20,
+    repeat_email: 15,
+    busy_subnet: 25,
+    rejected_subnet: 30
+};
+
+// Scripts, HTTP libraries and headless browsers
+const BOT_USER_AGENT_PATTERN = /bot|crawl|spider|curl|wget|python|httpclient|okhttp|axios|node-fetch|go-http|java\/|libwww|scrapy|headless|phantom|selenium|puppeteer|playwright/i;
+
+// Links, markup or no letters at all
+const SUSPICIOUS_NAME_PATTERN = /https?:|www\.|<|>|^[^\p{L}]*$/u;
+
+/**
+ * Describe where a signup comes from without storing identifying data
+ * @param {string} email - Email address
+ * @param {string} ip - Client IP
+ * @returns {Object} { emailHash, subnet } with the /24 (IPv4) or /48 (IPv6) subnet
+ */
+const getAttemptKeys = (email, ip) => ({
+    emailHash: EmailSuppression.hashEmail(getEmailKey(email)),
+    subnet: anonymiseIp(ip) || 'unknown'
+});
+
+/**
+ * Record a signup attempt
+ * @param {Object} keys - Result of getAttemptKeys
+ * @param {Object} [details] - { outcome, reason, formTokenId }
+ * @returns {Object} SignupAttempt; throws a duplicate key error (11000) for a reused form token
+ */
+const recordAttempt = (keys, details = {}) => SignupAttempt.create({ ...keys, ...details });
+
+/**
+ * Count recent attempts per address and per subnet and apply the velocity limits.
+ * The attempt being checked must already be recorded.
+ * @param {Object} keys - Result of getAttemptKeys
+ * @returns {Object} { limited ('email', 'subnet' or null), emailCount, subnetCount, rejectedCount }
+ */
+const checkVelocity = async (keys) => {
+    const since = new Date(Date.now() - WINDOW_MINUTES * 60 * 1000);
+    const recent = { createdAt: { $gte: since } };
+
+    const [emailCount, subnetCount, rejectedCount] = await Promise.all([
+        SignupAttempt.countDocuments({ ...recent, emailHash: keys.emailHash, outcome: 'accepted' }),
+        SignupAttempt.countDocuments({ ...recent, subnet: keys.subnet, outcome: 'accepted' }),
+        SignupAttempt.countDocuments({ ...recent, subnet: keys.subnet, outcome: 'rejected' })
+    ]);
+
+    let limited = null;
+    if (emailCount > EMAIL_LIMIT) {
+        limited = 'email';
+    } else if (subnetCount > SUBNET_LIMIT) {
+        limited = 'subnet';
+    }
+
+    return { limited, emailCount, subnetCount, rejectedCount };
+};
+
+/**
+ * Score how likely a signup is automated or abusive
+ * @param {Object} req - Express request of the signup
+ * @param {Object} checks - { challengeScore, velocity }
+ * @returns {Object} { score, signals, flagged } as stored on the signup
+ */
+const assessRisk = (req, { challengeScore = 0, velocity }) => {
+    const signals = [];
+
+    if (!req.get('User-Agent') || BOT_USER_AGENT_PATTERN.test(req.get('User-Agent'))) {
+        signals.push('bot_user_agent');
+    }
+    if (!req.get('Accept-Language')) {
+        signals.push('no_accept_language');
+    }
+    if (SUSPICIOUS_NAME_PATTERN.test(req.body.name || '')) {
+        signals.push('suspicious_name');
+    }
+    if (velocity.emailCount > 1) {
+        signals.push('repeat_email');
+    }
+    if (velocity.subnetCount > SUBNET_LIMIT / 2) {
+        signals.push('busy_subnet');
+    }
+    if (velocity.rejectedCount > 0) {
+        signals.push('rejected_subnet');
+    }
+
+    const points = signals.reduce((sum, signal) => sum + RISK_SIGNALS[signal], 0);
+
+    // Score reported by the challenge verifier, e.g. a CAPTCHA provider
+    if (challengeScore > 0) {
+        signals.push('challenge_score');
+    }
+
+    const score = Math.min(100, points + Math.max(0, challengeScore));
+
+    return {
+        score,
+        signals,
+        flagged: score >= REVIEW_THRESHOLD
+    };
+};
+
+module.exports = {
+    RISK_SIGNALS,
+    getAttemptKeys,
+    recordAttempt,
+    checkVelocity,
+    assessRisk
+};
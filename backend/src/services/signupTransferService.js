@@ -0,0 +1,326 @@
+// Signup transfer service: CSV/NDJSON export and CSV status imports
+
+const { once } = require('events');
+const BetaSignup = require('../../models/BetaSignup');
+const { PII_FIELDS, buildListQuery } = require('./signupQueryService');
+
+// Exported columns in order; PII_FIELDS are appended for admins allowed to see them
+const EXPORT_FIELDS = [
+    '_id',
+    'email',
+    'name',
+    'device',
+    'experience',
+    'features',
+    'status',
+    'source',
+    'locale',
+    'waitlistPosition',
+    'referralCode',
+    'referralCount',
+    'createdAt',
+    'confirmedAt',
+    'inviteSentAt',
+    'inviteExpiresAt',
+    'installedAt',
+    'inviteCount',
+    'testflightCode',
+    'adminNotes'
+];
+
+// Statuses an import may set (invites go through the invite endpoints)
+const IMPORT_STATUSES = ['pending', 'approved', 'installed', 'rejected', 'expired'];
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+/**
+ * Format a value as a CSV cell. Values starting with =, +, - or @ are
+ * prefixed with ' so spreadsheets do not run them as formulas.
+ * @param {*} value - Cell value
+ * @returns {string} CSV cell
+ */
+const toCsvCell = (value) => {
+    if (value === undefined || value === null) {
+        return '';
+    }
+
+    let text;
+    if (value instanceof Date) {
+        text = value.toISOString();
+    } else if (Array.isArray(value)) {
+        text = value.join(';');
+    } else {
+        text = String(value);
+    }
+
+    if (/^[=+\-@\t\r]/.test(text)) {
+        text = `'${text}`;
+    }
+
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Parse CSV text (RFC 4180: quoted cells, "" escapes, CRLF or LF).
+ * Semicolon-separated files as saved by German Excel are detected.
+ * @param {string} text - CSV content
+ * @returns {string[][]} Rows of cells, blank lines skipped
+ */
+const parseCsv = (text) => {
+    const rows = [];
+    let row = [];
+    let cell = '';
+    let quoted = false;
+
+    const input = text.replace(/^\uFEFF/, '');
+    const firstLine = input.split(/\r?\n/, 1)[0];
+    const delimiter = firstLine.includes(';') && !firstLine.includes(',') ? ';' : ',';
+
+    const endRow = () => {
+        row.push(cell);
+        if (row.some((value) => value.trim() !== '')) {
+            rows.push(row);
+        }
+        row = [];
+        cell = '';
+    };
+
+    for (let i = 0; i < input.length; i++) {
+        const char = input[i];
+
+        if (quoted) {
+            if (char === '"' && input[i + 1] === '"') {
+                cell += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                cell += char;
+            }
+        } else if (char === '"') {
+            quoted = true;
+        } else if (char === delimiter) {
+            row.push(cell);
+            cell = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && input[i + 1] === '\n') {
+                i++;
+            }
+            endRow();
+        } else {
+            cell += char;
+        }
+    }
+
+    if (cell !== '' || row.length) {
+        endRow();
+    }
+
+    return rows;
+};
+
+/**
+ * Create an error for an export whose stream went away (e.g. the client disconnected)
+ * @returns {Error} Error with code EXPORT_ABORTED
+ */
+const exportAborted = () => {
+    const error = new Error('Export stream closed before the export finished');
+    error.code = 'EXPORT_ABORTED';
+    return error;
+};
+
+/**
+ * Write a chunk and wait if the stream asks us to slow down. Rejects when the
+ * stream is closed or fails instead of draining, so the export stops.
+ * @param {Object} stream - Writable stream (e.g. the HTTP response)
+ * @param {string} chunk - Data to write
+ */
+const write = async (stream, chunk) => {
+    if (stream.destroyed) {
+        throw exportAborted();
+    }
+    if (stream.write(chunk)) {
+        return;
+    }
+
+    // once() rejects on 'error'; the abort removes the listener that lost the race
+    const controller = new AbortController();
+    const { signal } = controller;
+    try {
+        await Promise.race([
+            once(stream, 'drain', { signal }),
+            once(stream, 'close', { signal }).then(() => {
+                throw exportAborted();
+            })
+        ]);
+    } finally {
+        controller.abort();
+    }
+};
+
+/**
+ * Stream signups matching the admin list filters as CSV or NDJSON.
+ * Stops and closes the cursor with an EXPORT_ABORTED error when the stream closes early.
+ * @param {Object} stream - Writable stream
+ * @param {Object} filters - Filters as accepted by buildListQuery
+ * @param {Object} [options] - { format: csv|ndjson, includePii }
+ * @returns {number} Number of exported signups
+ */
+const exportSignups = async (stream, filters, options = {}) => {
+    const { format = 'csv', includePii = false } = options;
+    const fields = includePii ? [...EXPORT_FIELDS, ...PII_FIELDS] : EXPORT_FIELDS;
+
+    const cursor = BetaSignup
+        .find(buildListQuery(filters))
+        .sort({ createdAt: 1, _id: 1 })
+        .select(fields.join(' '))
+        .lean()
+        .cursor();
+
+    if (format === 'csv') {
+        await write(stream, `${fields.map((field) => (field === '_id' ? 'id' : field)).join(',')}\r\n`);
+    }
+
+    let count = 0;
+    for await (const signup of cursor) {
+        if (format === 'csv') {
+            await write(stream, `${fields.map((field) => toCsvCell(signup[field])).join(',')}\r\n`);
+        } else {
+            const record = fields.reduce((all, field) => {
+                all[field === '_id' ? 'id' : field] = signup[field];
+                return all;
+            }, {});
+            await write(stream, `${JSON.stringify(record)}\n`);
+        }
+        count++;
+    }
+
+    return count;
+};
+
+/**
+ * Find the email column: a header named like "email"/"E-Mail" or, for
+ * files without a header row, the first column containing an address
+ * @param {string[][]} rows - Parsed CSV rows
+ * @param {string} [emailColumn] - Explicit header name
+ * @returns {Object} { index, hasHeader }
+ */
+const findEmailColumn = (rows, emailColumn) => {
+    const header = (rows[0] || []).map((cell) => cell.trim().toLowerCase());
+
+    const named = emailColumn
+        ? header.indexOf(emailColumn.trim().toLowerCase())
+        : header.findIndex((cell) => /^e-?mail( address)?$/.test(cell));
+
+    if (named !== -1) {
+        return { index: named, hasHeader: true };
+    }
+
+    if (emailColumn) {
+        const error = new Error(`Column "${emailColumn}" not found`);
+        error.code = 'INVALID_IMPORT';
+        throw error;
+    }
+
+    const guessed = header.findIndex((cell) => EMAIL_PATTERN.test(cell));
+    if (guessed === -1) {
+        const error = new Error('No email column found');
+        error.code = 'INVALID_IMPORT';
+        throw error;
+    }
+
+    return { index: guessed, hasHeader: false };
+};
+
+/**
+ * Set the status of all signups listed in a CSV of tester emails,
+ * e.g. an App Store Connect tester export to mark installs
+ * @param {string} csv - CSV content
+ * @param {Object} options - { status, dryRun, emailColumn, note, changedBy }
+ * @returns {Object} Import report
+ */
+const importStatusUpdates = async (csv, options) => {
+    const { status, dryRun = false, emailColumn, note, changedBy } = options;
+
+    if (!IMPORT_STATUSES.includes(status)) {
+        const error = new Error(`Invalid status: ${status}`);
+        error.code = 'INVALID_IMPORT';
+        throw error;
+    }
+
+    const rows = parseCsv(csv);
+    const { index, hasHeader } = findEmailColumn(rows, emailColumn);
+
+    const report = {
+        dryRun,
+        status,
+        totalRows: 0,
+        updated: [],
+        unchanged: [],
+        notAllowed: [],
+        notFound: [],
+        invalid: [],
+        duplicates: []
+    };
+
+    // Row numbers are 1-based and count the header like a spreadsheet does
+    const seen = new Set();
+    const emails = [];
+    rows.slice(hasHeader ? 1 : 0).forEach((row, i) => {
+        const line = i + (hasHeader ? 2 : 1);
+        const email = (row[index] || '').trim().toLowerCase();
+        report.totalRows++;
+
+        if (!EMAIL_PATTERN.test(email)) {
+            report.invalid.push({ row: line, value: row[index] || '', reason: 'Not a valid email address' });
+        } else if (seen.has(email)) {
+            report.duplicates.push({ row: line, email });
+        } else {
+            seen.add(email);
+            emails.push({ row: line, email });
+        }
+    });
+
+    const signups = await BetaSignup.find({ email: { $in: emails.map(({ email }) => email) } });
+    const byEmail = new Map(signups.map((signup) => [signup.email, signup]));
+
+    const toUpdate = [];
+    emails.forEach(({ row, email }) => {
+        const signup = byEmail.get(email);
+
+        if (!signup) {
+            report.notFound.push({ row, email });
+        } else if (signup.status === status) {
+            report.unchanged.push({ row, email, id: signup._id });
+        } else if (!signup.canTransitionTo(status)) {
+            report.notAllowed.push({ row, email, id: signup._id, from: signup.status, to: status });
+        } else {
+            report.updated.push({ row, email, id: signup._id, from: signup.status, to: status });
+            toUpdate.push(signup.transitionTo(status, { by: changedBy, note }));
+        }
+    });
+
+    if (!dryRun && toUpdate.length) {
+        await BetaSignup.bulkSave(toUpdate);
+    }
+
+    report.summary = {
+        updated: report.updated.length,
+        unchanged: report.unchanged.length,
+        notAllowed: report.notAllowed.length,
+        notFound: report.notFound.length,
+        invalid: report.invalid.length,
+        duplicates: report.duplicates.length
+    };
+
+    return report;
+};
+
+module.exports = {
+    EXPORT_FIELDS,
+    IMPORT_STATUSES,
+    toCsvCell,
+    parseCsv,
+    exportSignups,
+    importStatusUpdates
+};
@@ -0,0 +1,191 @@
+const { Writable } = require('stream');
+const BetaSignup = require('../../models/BetaSignup');
+const { toCsvCell, parseCsv, exportSignups, importStatusUpdates } = require('./signupTransferService');
+
+/**
+ * Let BetaSignup.find(...).sort().select().lean().cursor() yield the given rows
+ * @param {Object[]} rows - Lean signups
+ * @returns {Object} { query, state } with state.closed once the cursor was closed
+ */
+const useCursor = (rows) => {
+    const state = { closed: false, read: 0 };
+    const query = {
+        sort: () => query,
+        select: () => query,
+        lean: () => query,
+        cursor: () => (async function* () {
+            try {
+                for (const row of rows) {
+                    state.read++;
+                    yield row;
+                }
+            } finally {
+                state.closed = true;
+            }
+        })()
+    };
+    jest.spyOn(BetaSignup, 'find').mockReturnValue(query);
+    return state;
+};
+
+const collect = () => {
+    const chunks = [];
+    const stream = new Writable({
+        write(chunk, encoding, callback) {
+            chunks.push(chunk.toString());
+            callback();
+        }
+    });
+    return { stream, text: () => chunks.join('') };
+};
+
+describe('signupTransferService', () => {
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    describe('toCsvCell', () => {
+        it('quotes cells with delimiters, quotes and line breaks', () => {
+            expect(toCsvCell('plain')).toBe('plain');
+            expect(toCsvCell('a,b')).toBe('"a,b"');
+            expect(toCsvCell('say "hi"')).toBe('"say ""hi"""');
+            expect(toCsvCell('two\nlines')).toBe('"two\nlines"');
+        });
+
+        it('defuses spreadsheet formulas', () => {
+            expect(toCsvCell('=HYPERLINK("x")')).toBe('"\'=HYPERLINK(""x"")"');
+            expect(toCsvCell('+49 30 1234')).toBe("'+49 30 1234");
+            expect(toCsvCell('@SUM(A1)')).toBe("'@SUM(A1)");
+        });
+
+        it('formats dates, arrays and missing values', () => {
+            expect(toCsvCell(new Date('2025-09-12T08:00:00Z'))).toBe('2025-09-12T08:00:00.000Z');
+            expect(toCsvCell(['siri', 'widgets'])).toBe('siri;widgets');
+            expect(toCsvCell(null)).toBe('');
+            expect(toCsvCell(undefined)).toBe('');
+        });
+    });
+
+    describe('parseCsv', () => {
+        it('reads quoted cells, escaped quotes and CRLF line ends', () => {
+            expect(parseCsv('email,note\r\na@example.com,"x, ""y"""\r\n\r\nb@example.com,\r\n')).toEqual([
+                ['email', 'note'],
+                ['a@example.com', 'x, "y"'],
+                ['b@example.com', '']
+            ]);
+        });
+
+        it('detects semicolon-separated files and strips a BOM', () => {
+            expect(parseCsv('﻿E-Mail;Name\nA@example.com;Anna')).toEqual([
+                ['E-Mail', 'Name'],
+                ['A@example.com', 'Anna']
+            ]);
+        });
+    });
+
+    describe('exportSignups', () => {
+        const rows = [
+            { _id: 'a1', email: 'a@example.com', name: 'Anna', features: ['siri'], createdAt: new Date('2025-09-01T00:00:00Z'), ipAddress: '203.0.113.1' },
+            { _id: 'b2', email: 'b@example.com', name: '=cmd', features: [], createdAt: new Date('2025-09-02T00:00:00Z'), ipAddress: '203.0.113.2' }
+        ];
+
+        it('writes a CSV header and one line per signup without PII', async () => {
+            useCursor(rows);
+            const { stream, text } = collect();
+
+            const count = await exportSignups(stream, {}, { format: 'csv' });
+
+            const lines = text().trim().split('\r\n');
+            expect(count).toBe(2);
+            expect(lines).toHaveLength(3);
+            expect(lines[0].startsWith('id,email,name,device')).toBe(true);
+            expect(lines[0]).not.toContain('ipAddress');
+            expect(lines[2]).toContain("b@example.com,'=cmd");
+            expect(text()).not.toContain('203.0.113');
+        });
+
+        it('writes NDJSON with PII for admins allowed to see it', async () => {
+            useCursor(rows);
+            const { stream, text } = collect();
+
+            await exportSignups(stream, {}, { format: 'ndjson', includePii: true });
+
+            const records = text().trim().split('\n').map((line) => JSON.parse(line));
+            expect(records[0]).toEqual(expect.objectContaining({ id: 'a1', email: 'a@example.com', ipAddress: '203.0.113.1' }));
+        });
+
+        it('stops and closes the cursor when the client disconnects while waiting for drain', async () => {
+            const state = useCursor(Array.from({ length: 100 }, (value, index) => ({ _id: String(index), email: `t${index}@example.com` })));
+            // Never drains: every write fills the buffer, like a client that stopped reading
+            const stream = new Writable({ highWaterMark: 1, write() {} });
+
+            const exporting = exportSignups(stream, {}, { format: 'ndjson' });
+            await new Promise((resolve) => setImmediate(resolve));
+            stream.destroy();
+
+            await expect(exporting).rejects.toMatchObject({ code: 'EXPORT_ABORTED' });
+            expect(state.closed).toBe(true);
+            expect(state.read).toBeLessThan(100);
+        });
+
+        it('stops when the stream fails while waiting for drain', async () => {
+            const state = useCursor([{ _id: '1' }, { _id: '2' }]);
+            const stream = new Writable({ highWaterMark: 1, write() {} });
+
+            const exporting = exportSignups(stream, {}, { format: 'ndjson' });
+            await new Promise((resolve) => setImmediate(resolve));
+            stream.destroy(new Error('socket hang up'));
+
+            await expect(exporting).rejects.toThrow(/socket hang up|closed/);
+            expect(state.closed).toBe(true);
+        });
+    });
+
+    describe('importStatusUpdates', () => {
+        const signup = (email, status) => new BetaSignup({ email, name: email, device: 'iphone', status });
+
+        beforeEach(() => {
+            jest.spyOn(BetaSignup, 'bulkSave').mockResolvedValue({});
+        });
+
+        it('reports each row and updates only allowed transitions', async () => {
+            const invited = signup('invited@example.com', 'invited');
+            const installed = signup('installed@example.com', 'installed');
+            const pending = signup('pending@example.com', 'pending');
+            jest.spyOn(BetaSignup, 'find').mockResolvedValue([invited, installed, pending]);
+
+            const csv = [
+                'Email,First Name',
+                'Invited@example.com,A',
+                'installed@example.com,B',
+                'pending@example.com,C',
+                'unknown@example.com,D',
+                'not-an-email,E',
+                'invited@example.com,F'
+            ].join('\n');
+
+            const report = await importStatusUpdates(csv, { status: 'installed', changedBy: 'admin@bahnblitz.app' });
+
+            expect(report.summary).toEqual({ updated: 1, unchanged: 1, notAllowed: 1, notFound: 1, invalid: 1, duplicates: 1 });
+            expect(report.updated[0]).toMatchObject({ row: 2, email: 'invited@example.com', from: 'invited', to: 'installed' });
+            expect(report.notAllowed[0]).toMatchObject({ row: 4, from: 'pending' });
+            expect(invited.status).toBe('installed');
+            expect(BetaSignup.bulkSave).toHaveBeenCalledWith([invited]);
+        });
+
+        it('changes nothing on a dry run', async () => {
+            const invited = signup('invited@example.com', 'invited');
+            jest.spyOn(BetaSignup, 'find').mockResolvedValue([invited]);
+
+            const report = await importStatusUpdates('invited@example.com\n', { status: 'installed', dryRun: true });
+
+            expect(report.summary.updated).toBe(1);
+            expect(BetaSignup.bulkSave).not.toHaveBeenCalled();
+        });
+
+        it('refuses statuses an import may not set', async () => {
+            await expect(importStatusUpdates('a@example.com', { status: 'invited' }))
+                .rejects.toMatchObject({ code: 'INVALID_IMPORT' });
+        });
+    });
+});
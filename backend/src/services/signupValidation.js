@@ -0,0 +1,273 @@
+// Signup validation: email syntax, normalisation, disposable domains and MX checks.
+// Shared by the signup route and the BetaSignup model so both accept the same addresses.
+
+const dns = require('dns');
+const fs = require('fs');
+const path = require('path');
+const { domainToASCII } = require('url');
+const { logger } = require('../logger');
+
+const DEFAULT_DISPOSABLE_FILE = path.join(__dirname, '../data/disposable-domains.txt');
+// The disposable list is re-read at most this often when the file changed
+const DISPOSABLE_RELOAD_MS = 60 * 1000;
+const MX_TIMEOUT_MS = parseInt(process.env.EMAIL_MX_TIMEOUT_MS) || 3000;
+
+// RFC 5322 local part: dot-atom or quoted string
+const LOCAL_PART_PATTERN = /^[A-Za-z0-9!#$%&'*+/=?^_`{|}~-]+(\.[A-Za-z0-9!#$%&'*+/=?^_`{|}~-]+)*$/;
+const QUOTED_LOCAL_PART_PATTERN = /^"([\x20\x21\x23-\x5b\x5d-\x7e]|\\[\x20-\x7e])*"$/;
+// RFC 1035 host label
+const LABEL_PATTERN = /^[A-Za-z0-9]([A-Za-z0-9-]{0,61}[A-Za-z0-9])?$/;
+// Alphabetic or punycode top-level domain
+const TLD_PATTERN = /^([A-Za-z]{2,63}|xn--[A-Za-z0-9-]{1,59})$/;
+
+// Providers that ignore dots in the local part
+const DOTLESS_DOMAINS = ['gmail.com', 'googlemail.com'];
+const DOMAIN_ALIASES = { 'googlemail.com': 'gmail.com' };
+
+// DNS answers meaning the domain has no such record or does not exist
+const NO_RECORD_CODES = ['ENOTFOUND', 'ENODATA'];
+
+let disposableCache = { file: null, domains: new Set(), mtimeMs: 0, checkedAt: 0 };
+let mxResolver = {
+    resolveMx: (domain) => dns.promises.resolveMx(domain),
+    resolveAddresses: async (domain) => {
+        const results = await Promise.allSettled([dns.promises.resolve4(domain), dns.promises.resolve6(domain)]);
+        const addresses = results.filter((result) => result.status === 'fulfilled').flatMap((result) => result.value);
+        if (addresses.length) {
+            return addresses;
+        }
+
+        // Neither A nor AAAA: pass a DNS failure on before a missing record
+        const errors = results.map((result) => result.reason);
+        throw errors.find((error) => !NO_RECORD_CODES.includes(error.code)) || errors[0];
+    }
+};
+
+/**
+ * Split an address at its last @
+ * @param {string} email - Email address
+ * @returns {Object|null} { local, domain }, null without @
+ */
+const splitEmail = (email) => {
+    const at = String(email).lastIndexOf('@');
+    if (at < 1) {
+        return null;
+    }
+    return { local: email.slice(0, at), domain: email.slice(at + 1) };
+};
+
+/**
+ * Convert a domain to its ASCII (punycode) form
+ * @param {string} domain - Domain, possibly internationalised
+ * @returns {string} Lowercase ASCII domain, empty if invalid
+ */
+const toAsciiDomain = (domain) => domainToASCII(String(domain).toLowerCase());
+
+/**
+ * Check an address against RFC 5321/5322 syntax and length limits
+ * @param {string} email - Email address
+ * @returns {boolean} True if the address is valid
+ */
+const isValidEmail = (email) => {
+    if (typeof email !== 'string' || email.length > 254) {
+        return false;
+    }
+
+    const parts = splitEmail(email);
+    if (!parts || parts.local.length > 64) {
+        return false;
+    }
+    if (!LOCAL_PART_PATTERN.test(parts.local) && !QUOTED_LOCAL_PART_PATTERN.test(parts.local)) {
+        return false;
+    }
+
+    const domain = toAsciiDomain(parts.domain);
+    const labels = domain.split('.');
+
+    return domain.length > 0 &&
+        domain.length <= 253 &&
+        labels.length >= 2 &&
+        labels.every((label) => LABEL_PATTERN.test(label)) &&
+        TLD_PATTERN.test(labels[labels.length - 1]);
+};
+
+/**
+ * Normalise an address for storage: trimmed and lowercased, nothing else rewritten
+ * @param {string} email - Email address as entered
+ * @returns {string} Stored form
+ */
+const normaliseEmail = (email) => String(email).trim().toLowerCase();
+
+/**
+ * Key shared by all variants of one mailbox, used to detect duplicate signups:
+ * "+tag" suffixes are dropped, and dots for providers that ignore them
+ * @param {string} email - Email address
+ * @returns {string} Variant key, e.g. "annamueller@gmail.com" for "Anna.Mueller+beta@googlemail.com"
+ */
+const getEmailKey = (email) => {
+    const parts = splitEmail(normaliseEmail(email));
+    // Quoted local parts are compared as they are
+    if (!parts || parts.local.startsWith('"')) {
+        return normaliseEmail(email);
+    }
+
+    const domain = DOMAIN_ALIASES[parts.domain] || toAsciiDomain(parts.domain) || parts.domain;
+    let local = parts.local.split('+')[0] || parts.local;
+
+    if (DOTLESS_DOMAINS.includes(domain)) {
+        local = local.replace(/\./g, '');
+    }
+
+    return `${local}@${domain}`;
+};
+
+/**
+ * Load the disposable domain list, re-reading the file when it changed
+ * @returns {Set<string>} Disposable domains
+ */
+const getDisposableDomains = () => {
+    const file = process.env.DISPOSABLE_DOMAINS_FILE || DEFAULT_DISPOSABLE_FILE;
+    const now = Date.now();
+
+    if (disposableCache.file === file && now - disposableCache.checkedAt < DISPOSABLE_RELOAD_MS) {
+        return disposableCache.domains;
+    }
+
+    try {
+        const { mtimeMs } = fs.statSync(file);
+
+        if (disposableCache.file !== file || mtimeMs !== disposableCache.mtimeMs) {
+            const domains = fs.readFileSync(file, 'utf8')
+                .split(/\r?\n/)
+                .map((line) => line.replace(/#.*/, '').trim().toLowerCase())
+                .filter(Boolean);
+
+            disposableCache = { file, domains: new Set(domains), mtimeMs, checkedAt: now };
+        } else {
+            disposableCache.checkedAt = now;
+        }
+    } catch (error) {
+        logger.error('Disposable domain list could not be read', { file, err: error });
+        disposableCache = { file, domains: new Set(), mtimeMs: 0, checkedAt: now };
+    }
+
+    return disposableCache.domains;
+};
+
+/**
+ * Check if an address uses a disposable domain (subdomains included)
+ * @param {string} email - Email address
+ * @returns {boolean} True for disposable addresses
+ */
+const isDisposableEmail = (email) => {
+    const parts = splitEmail(normaliseEmail(email));
+    if (!parts) {
+        return false;
+    }
+
+    const domains = getDisposableDomains();
+    const labels = toAsciiDomain(parts.domain).split('.');
+
+    // mail.tempmail.com matches tempmail.com
+    return labels.some((label, index) => domains.has(labels.slice(index).join('.')));
+};
+
+/**
+ * Replace the DNS resolver used for MX checks (e.g. in tests or with a custom DNS server)
+ * @param {Object} resolver - Object with resolveMx(domain) returning [{ exchange, priority }]
+ *   and resolveAddresses(domain) returning the domain's A/AAAA addresses
+ */
+const setMxResolver = (resolver) => {
+    if (!resolver || typeof resolver.resolveMx !== 'function' || typeof resolver.resolveAddresses !== 'function') {
+        throw new Error('MX resolver must implement resolveMx(domain) and resolveAddresses(domain)');
+    }
+    mxResolver = resolver;
+};
+
+/**
+ * Check the MX records of a domain, falling back to its A/AAAA records when it has
+ * none (implicit MX, RFC 5321 section 5.1)
+ * @param {string} domain - ASCII domain
+ * @param {Object} resolver - MX resolver
+ * @returns {boolean} False for a null MX (RFC 7505)
+ */
+const resolveMailHost = async (domain, resolver) => {
+    try {
+        const records = await resolver.resolveMx(domain);
+        return records.some(({ exchange }) => exchange && exchange !== '.');
+    } catch (error) {
+        if (error.code !== 'ENODATA') {
+            throw error;
+        }
+
+        const addresses = await resolver.resolveAddresses(domain);
+        return addresses.length > 0;
+    }
+};
+
+/**
+ * Check that the domain of an address accepts mail.
+ * Missing domains, domains with neither MX nor A/AAAA records and null MX (RFC 7505) fail;
+ * DNS timeouts and server errors pass so an outage does not block signups.
+ * @param {string} email - Email address
+ * @param {Object} [resolver] - Resolver to use instead of the configured one
+ * @returns {boolean} False if the domain cannot receive mail
+ */
+const hasMailExchanger = async (email, resolver = mxResolver) => {
+    const parts = splitEmail(normaliseEmail(email));
+    if (!parts) {
+        return false;
+    }
+
+    let timer;
+    const timeout = new Promise((resolve) => {
+        timer = setTimeout(() => resolve(null), MX_TIMEOUT_MS);
+    });
+
+    try {
+        const accepted = await Promise.race([resolveMailHost(toAsciiDomain(parts.domain), resolver), timeout]);
+
+        // null: the lookup timed out
+        return accepted !== false;
+    } catch (error) {
+        return !NO_RECORD_CODES.includes(error.code);
+    } finally {
+        clearTimeout(timer);
+    }
+};
+
+/**
+ * Run all signup checks on an address
+ * @param {string} email - Email address as entered
+ * @param {Object} [options] - { checkMx (on when EMAIL_MX_CHECK=true), resolver }
+ * @returns {Object} { valid, reason, message, email, emailKey }
+ */
+const validateSignupEmail = async (email, options = {}) => {
+    const normalised = normaliseEmail(email || '');
+    const checkMx = options.checkMx !== undefined ? options.checkMx : process.env.EMAIL_MX_CHECK === 'true';
+    const result = (reason, message) => ({ valid: !reason, reason, message, email: normalised, emailKey: getEmailKey(normalised) });
+
+    if (!isValidEmail(normalised)) {
+        return result('invalid', 'Please provide a valid email address');
+    }
+
+    if (isDisposableEmail(normalised)) {
+        return result('disposable', 'Please use a permanent email address, disposable addresses are not accepted');
+    }
+
+    if (checkMx && !(await hasMailExchanger(normalised, options.resolver))) {
+        return result('no_mx', 'This email domain cannot receive email');
+    }
+
+    return result(null);
+};
+
+module.exports = {
+    isValidEmail,
+    normaliseEmail,
+    getEmailKey,
+    isDisposableEmail,
+    setMxResolver,
+    hasMailExchanger,
+    validateSignupEmail
+};
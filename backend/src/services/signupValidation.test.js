@@ -0,0 +1,164 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+    isValidEmail,
+    getEmailKey,
+    isDisposableEmail,
+    setMxResolver,
+    hasMailExchanger,
+    validateSignupEmail
+} = require('./signupValidation');
+
+/**
+ * Resolver answering from fixed records; a string answer is thrown as DNS error code
+ */
+const fakeResolver = ({ mx = 'ENODATA', addresses = 'ENODATA' }) => {
+    const answer = async (value) => {
+        if (typeof value === 'string') {
+            throw Object.assign(new Error(`DNS lookup failed: ${value}`), { code: value });
+        }
+        return value;
+    };
+
+    return {
+        resolveMx: jest.fn(() => answer(mx)),
+        resolveAddresses: jest.fn(() => answer(addresses))
+    };
+};
+
+describe('signupValidation', () => {
+    describe('isValidEmail', () => {
+        it.each([
+            'anna@example.com',
+            'anna.mueller+beta@example.co.uk',
+            '"anna mueller"@example.com',
+            'anna@müller.de',
+            'anna@xn--mller-kva.de'
+        ])('accepts %s', (email) => {
+            expect(isValidEmail(email)).toBe(true);
+        });
+
+        it.each([
+            'anna',
+            '@example.com',
+            'anna@localhost',
+            'anna..mueller@example.com',
+            'anna@-example.com',
+            'anna@example.c0m',
+            `${'a'.repeat(65)}@example.com`,
+            `anna@${'a'.repeat(250)}.com`
+        ])('refuses %s', (email) => {
+            expect(isValidEmail(email)).toBe(false);
+        });
+    });
+
+    describe('getEmailKey', () => {
+        it('drops +tags and gmail dots and maps googlemail to gmail', () => {
+            expect(getEmailKey('Anna.Mueller+beta@googlemail.com')).toBe('annamueller@gmail.com');
+        });
+
+        it('keeps dots for other providers', () => {
+            expect(getEmailKey('anna.mueller+beta@example.com')).toBe('anna.mueller@example.com');
+        });
+    });
+
+    describe('isDisposableEmail', () => {
+        let file;
+
+        afterEach(() => {
+            delete process.env.DISPOSABLE_DOMAINS_FILE;
+            if (file) fs.rmSync(file, { force: true });
+        });
+
+        it('refuses domains from the bundled list, subdomains included', () => {
+            expect(isDisposableEmail('anna@10minutemail.com')).toBe(true);
+            expect(isDisposableEmail('anna@inbox.10minutemail.com')).toBe(true);
+            expect(isDisposableEmail('anna@example.com')).toBe(false);
+        });
+
+        it('reads DISPOSABLE_DOMAINS_FILE, ignoring comments', () => {
+            file = path.join(os.tmpdir(), `disposable-${process.pid}.txt`);
+            fs.writeFileSync(file, '# test list\nthrowaway.example  # inline comment\n');
+            process.env.DISPOSABLE_DOMAINS_FILE = file;
+
+            expect(isDisposableEmail('anna@throwaway.example')).toBe(true);
+            expect(isDisposableEmail('anna@10minutemail.com')).toBe(false);
+        });
+    });
+
+    describe('hasMailExchanger', () => {
+        it('accepts a domain with MX records', async () => {
+            const resolver = fakeResolver({ mx: [{ exchange: 'mx.example.com', priority: 10 }] });
+
+            expect(await hasMailExchanger('anna@example.com', resolver)).toBe(true);
+            expect(resolver.resolveAddresses).not.toHaveBeenCalled();
+        });
+
+        it('refuses a null MX without looking at addresses', async () => {
+            const resolver = fakeResolver({ mx: [{ exchange: '.', priority: 0 }], addresses: ['192.0.2.1'] });
+
+            expect(await hasMailExchanger('anna@example.com', resolver)).toBe(false);
+            expect(resolver.resolveAddresses).not.toHaveBeenCalled();
+        });
+
+        it('falls back to A/AAAA records when there is no MX (implicit MX)', async () => {
+            const resolver = fakeResolver({ addresses: ['2001:db8::25'] });
+
+            expect(await hasMailExchanger('anna@example.com', resolver)).toBe(true);
+            expect(resolver.resolveAddresses).toHaveBeenCalledWith('example.com');
+        });
+
+        it('refuses a domain with neither MX nor address records', async () => {
+            expect(await hasMailExchanger('anna@example.com', fakeResolver({}))).toBe(false);
+        });
+
+        it('refuses a domain that does not exist', async () => {
+            expect(await hasMailExchanger('anna@example.com', fakeResolver({ mx: 'ENOTFOUND' }))).toBe(false);
+        });
+
+        it('lets DNS failures pass', async () => {
+            expect(await hasMailExchanger('anna@example.com', fakeResolver({ mx: 'ESERVFAIL' }))).toBe(true);
+            expect(await hasMailExchanger('anna@example.com', fakeResolver({ addresses: 'ETIMEOUT' }))).toBe(true);
+        });
+
+        it('looks up internationalised domains in punycode', async () => {
+            const resolver = fakeResolver({ mx: [{ exchange: 'mx.example.com', priority: 10 }] });
+
+            await hasMailExchanger('anna@müller.de', resolver);
+
+            expect(resolver.resolveMx).toHaveBeenCalledWith('xn--mller-kva.de');
+        });
+    });
+
+    describe('setMxResolver', () => {
+        it('requires both lookups', () => {
+            expect(() => setMxResolver({ resolveMx: async () => [] })).toThrow('resolveAddresses');
+        });
+    });
+
+    describe('validateSignupEmail', () => {
+        it('returns the normalised address and its variant key', async () => {
+            const result = await validateSignupEmail('  Anna+Beta@Example.com ', { checkMx: false });
+
+            expect(result).toEqual(expect.objectContaining({
+                valid: true,
+                email: 'anna+beta@example.com',
+                emailKey: 'anna@example.com'
+            }));
+        });
+
+        it.each([
+            ['not-an-email', 'invalid'],
+            ['anna@10minutemail.com', 'disposable']
+        ])('refuses %s as %s', async (email, reason) => {
+            expect(await validateSignupEmail(email, { checkMx: false })).toEqual(expect.objectContaining({ valid: false, reason }));
+        });
+
+        it('refuses domains without mail hosts when the MX check is on', async () => {
+            const result = await validateSignupEmail('anna@example.com', { checkMx: true, resolver: fakeResolver({}) });
+
+            expect(result).toEqual(expect.objectContaining({ valid: false, reason: 'no_mx' }));
+        });
+    });
+});
@@ -0,0 +1,168 @@
+// Template service: renders localised HTML and plain-text emails
+
+const fs = require('fs');
+const path = require('path');
+const Handlebars = require('handlebars');
+
+const TEMPLATES_DIR = path.join(__dirname, '../templates/emails');
+const LOCALES_DIR = path.join(__dirname, '../templates/locales');
+
+const SUPPORTED_LOCALES = ['de', 'en'];
+const DEFAULT_LOCALE = SUPPORTED_LOCALES.includes(process.env.DEFAULT_LOCALE)
+    ? process.env.DEFAULT_LOCALE
+    : 'de';
+
+// Date formats per locale
+const DATE_LOCALES = {
+    de: 'de-DE',
+    en: 'en-GB'
+};
+
+const messages = SUPPORTED_LOCALES.reduce((all, locale) => {
+    all[locale] = JSON.parse(fs.readFileSync(path.join(LOCALES_DIR, `${locale}.json`), 'utf8'));
+    return all;
+}, {});
+
+// HTML output is escaped automatically, plain text is not
+const environments = {
+    html: { handlebars: Handlebars.create(), options: {} },
+    text: { handlebars: Handlebars.create(), options: { noEscape: true } }
+};
+
+const compiled = {};
+
+/**
+ * Look up a message for a locale, falling back to English
+ * @param {string} locale - Locale code
+ * @param {string} key - Dotted message key, e.g. "welcome.subject"
+ * @param {Object} [params] - Values for {placeholders}
+ * @returns {string} Message
+ */
+const translate = (locale, key, params = {}) => {
+    const lookup = (source) => key.split('.').reduce((node, part) => (node ? node[part] : undefined), source);
+    const message = lookup(messages[locale]) || lookup(messages.en);
+
+    if (typeof message !== 'string') {
+        throw new Error(`Missing email message: ${key}`);
+    }
+
+    return message.replace(/\{(\w+)\}/g, (match, name) => (
+        params[name] !== undefined && params[name] !== null ? String(params[name]) : match
+    ));
+};
+
+/**
+ * Format a date for a locale
+ * @param {Date|string} date - Date to format
+ * @param {string} locale - Locale code
+ * @param {boolean} [withTime] - Include the time of day
+ * @returns {string} Formatted date
+ */
+const formatDate = (date, locale, withTime = false) => {
+    const options = withTime
+        ? { dateStyle: 'long', timeStyle: 'short', timeZone: 'Europe/Berlin' }
+        : { dateStyle: 'long', timeZone: 'Europe/Berlin' };
+
+    return new Intl.DateTimeFormat(DATE_LOCALES[locale] || DATE_LOCALES.en, options).format(new Date(date));
+};
+
+Object.values(environments).forEach(({ handlebars }) => {
+    // {{t "key" name=value}} - returned strings are escaped like any other value
+    handlebars.registerHelper('t', function(key, options) {
+        return translate(options.data.root.locale, key, options.hash);
+    });
+
+    // {{formatDate date time=true}}
+    handlebars.registerHelper('formatDate', function(date, options) {
+        return formatDate(date, options.data.root.locale, Boolean(options.hash.time));
+    });
+});
+
+// Register partials: *.hbs for HTML, *Text.hbs for plain text
+fs.readdirSync(path.join(TEMPLATES_DIR, 'partials')).forEach((file) => {
+    const name = path.basename(file, '.hbs');
+    const source = fs.readFileSync(path.join(TEMPLATES_DIR, 'partials', file), 'utf8');
+    const format = name.endsWith('Text') ? 'text' : 'html';
+    const { handlebars, options } = environments[format];
+
+    handlebars.registerPartial(name, handlebars.compile(source, options));
+});
+
+/**
+ * Get a compiled template (cached)
+ * @param {string} name - Template name, e.g. "welcome"
+ * @param {string} format - html or text
+ * @returns {Function} Compiled template
+ */
+const getTemplate = (name, format) => {
+    const cacheKey = `${name}.${format}`;
+
+    if (!compiled[cacheKey]) {
+        const { handlebars, options } = environments[format];
+        const source = fs.readFileSync(path.join(TEMPLATES_DIR, `${cacheKey}.hbs`), 'utf8');
+        compiled[cacheKey] = handlebars.compile(source, options);
+    }
+
+    return compiled[cacheKey];
+};
+
+/**
+ * Pick a supported locale from a form value or Accept-Language header
+ * @param {...string} candidates - Locale values in order of preference
+ * @returns {string} Supported locale code
+ */
+const resolveLocale = (...candidates) => {
+    for (const candidate of candidates) {
+        if (!candidate || typeof candidate !== 'string') {
+            continue;
+        }
+
+        // "de-DE,de;q=0.9,en;q=0.8" -> ['de', 'de', 'en'] ordered by quality
+        const ranked = candidate
+            .split(',')
+            .map((part) => {
+                const [tag, ...params] = part.trim().split(';');
+                const quality = params.find((param) => param.trim().startsWith('q='));
+                return {
+                    language: tag.trim().toLowerCase().split(/[-_]/)[0],
+                    quality: quality ? parseFloat(quality.trim().slice(2)) : 1
+                };
+            })
+            .sort((a, b) => b.quality - a.quality);
+
+        const match = ranked.find(({ language }) => SUPPORTED_LOCALES.includes(language));
+        if (match) {
+            return match.language;
+        }
+    }
+
+    return DEFAULT_LOCALE;
+};
+
+/**
+ * Render an email in the recipient's locale
+ * @param {string} name - Template name (confirmation, welcome, invite, reminder)
+ * @param {string} locale - Recipient locale
+ * @param {Object} context - Template data (signup, links, ...)
+ * @returns {Object} { subject, html, text }
+ */
+const renderEmail = (name, locale, context) => {
+    const data = {
+        ...context,
+        locale: SUPPORTED_LOCALES.includes(locale) ? locale : DEFAULT_LOCALE
+    };
+
+    return {
+        subject: translate(data.locale, `${name}.subject`),
+        html: getTemplate(name, 'html')(data),
+        text: getTemplate(name, 'text')(data)
+    };
+};
+
+module.exports = {
+    SUPPORTED_LOCALES,
+    DEFAULT_LOCALE,
+    translate,
+    resolveLocale,
+    renderEmail
+};
@@ -0,0 +1,91 @@
+const en = require('../templates/locales/en.json');
+const de = require('../templates/locales/de.json');
+const { translate, resolveLocale, renderEmail } = require('./templateService');
+
+const links = {
+    unsubscribeUrl: 'https://api.bahnblitz.app/api/beta-signup/unsubscribe/t',
+    exportUrl: 'https://api.bahnblitz.app/api/beta-signup/privacy/export/t',
+    eraseUrl: 'https://api.bahnblitz.app/api/beta-signup/privacy/erase/t',
+    positionUrl: 'https://api.bahnblitz.app/api/beta-signup/position/t',
+    referralUrl: 'https://bahnblitz.app/?ref=ABC123'
+};
+
+// Template data as passed by emailService, per email
+const contexts = {
+    confirmation: { confirmUrl: 'https://api.bahnblitz.app/api/beta-signup/confirm/t', expiresAt: new Date('2025-03-14T10:00:00Z') },
+    welcome: { wait: { key: 'welcome.reviewingBodyDays', days: 4 } },
+    invite: { testflightUrl: 'https://testflight.apple.com/join/ABC123', expiresAt: new Date('2025-06-01T10:00:00Z'), validityDays: 90 },
+    reminder: {}
+};
+
+// Dotted keys of a locale file
+const keysOf = (messages, prefix = '') => Object.entries(messages).flatMap(([key, value]) => (
+    typeof value === 'object' ? keysOf(value, `${prefix}${key}.`) : [`${prefix}${key}`]
+));
+
+const render = (name, locale, signup = {}) => renderEmail(name, locale, {
+    ...contexts[name],
+    signup: { name: 'Anna', email: 'anna@example.com', testflightUrl: 'https://testflight.apple.com/join/ABC123', ...signup },
+    links
+});
+
+describe('templateService', () => {
+    it('has the same messages in German and English', () => {
+        expect(keysOf(de).sort()).toEqual(keysOf(en).sort());
+    });
+
+    describe.each(Object.keys(contexts))('%s email', (name) => {
+        it.each(['de', 'en'])('renders in %s with subject, HTML and text', (locale) => {
+            const email = render(name, locale);
+
+            expect(email.subject).toBe(translate(locale, `${name}.subject`));
+            expect(email.html).toContain(`lang="${locale}"`);
+            expect(email.html).toContain(links.unsubscribeUrl);
+            expect(email.text).toContain(links.eraseUrl);
+            expect(`${email.html}${email.text}`).not.toMatch(/\{\w+\}|undefined/);
+        });
+    });
+
+    it('escapes values in HTML but not in plain text', () => {
+        const email = render('welcome', 'en', { name: 'Anna <b>&</b>' });
+
+        expect(email.html).toContain('Anna &lt;b&gt;&amp;&lt;/b&gt;');
+        expect(email.text).toContain('Anna <b>&</b>');
+    });
+
+    it('formats dates for the recipient locale', () => {
+        expect(render('invite', 'de').html).toContain('1. Juni 2025');
+        expect(render('invite', 'en').html).toContain('1 June 2025');
+    });
+
+    it('falls back to the default locale for unsupported ones', () => {
+        expect(render('welcome', 'fr').subject).toBe(de.welcome.subject);
+    });
+
+    describe('translate', () => {
+        it('fills in placeholders and keeps unknown ones', () => {
+            expect(translate('en', 'invite.urgentBody', { days: 90 })).toContain('90 days');
+            expect(translate('en', 'invite.urgentBody')).toContain('{days}');
+        });
+
+        it('throws for missing messages', () => {
+            expect(() => translate('en', 'welcome.missing')).toThrow('Missing email message: welcome.missing');
+        });
+    });
+
+    describe('resolveLocale', () => {
+        it('prefers the form value over the Accept-Language header', () => {
+            expect(resolveLocale('en', 'de-DE,de;q=0.9')).toBe('en');
+        });
+
+        it('picks the supported language with the highest quality', () => {
+            expect(resolveLocale(undefined, 'fr-FR,fr;q=0.9,en;q=0.8,de;q=0.5')).toBe('en');
+            expect(resolveLocale('de_AT')).toBe('de');
+        });
+
+        it('falls back to the default locale', () => {
+            expect(resolveLocale(undefined, 'fr-FR,es;q=0.5')).toBe('de');
+            expect(resolveLocale()).toBe('de');
+        });
+    });
+});
@@ -1,5 +1,8 @@
 // TestFlight service for managing beta invites and codes
 
+const { enqueueEmail } = require('./emailOutbox');
+const { logger } = require('../logger');
+
 /**
  * Generate a unique TestFlight invite code
  * @returns {string} 6-character alphanumeric code
@@ -71,6 +74,17 @@ const checkEligibility = (signup) => {
         result.priority = 'medium'; // Recent signup
     }
 
+    // Optionally move active referrers up the queue
+    if (process.env.REFERRAL_PRIORITY_BOOST === 'true' && signup.referralCount > 0) {
+        const highPriorityAt = parseInt(process.env.REFERRAL_HIGH_PRIORITY_AT) || 3;
+
+        if (signup.referralCount >= highPriorityAt) {
+            result.priority = 'high';
+        } else if (result.priority === 'normal') {
+            result.priority = 'medium';
+        }
+    }
+
     result.eligible = true;
     return result;
 };
@@ -109,63 +123,135 @@ const createInviteLink = (baseUrl, code) => {
  * @param {string} inviteUrl - TestFlight URL sent
  */
 const trackInviteMetrics = async (signup, inviteUrl) => {
-    // This would integrate with your analytics system
-    console.log(`TestFlight invite sent to ${signup.email}`);
-    console.log(`Invite URL: ${inviteUrl}`);
-    console.log(`User device: ${signup.device}`);
-    console.log(`Signup date: ${signup.createdAt}`);
-    console.log(`Priority: ${checkEligibility(signup).priority}`);
+    // This would integrate with your analytics system; the address is not logged
+    logger.info('TestFlight invite sent', {
+        signupId: signup._id,
+        inviteUrl,
+        device: signup.device,
+        signedUpAt: signup.createdAt,
+        priority: checkEligibility(signup).priority
+    });
 
     // In production, you'd send this to your analytics service
     // Example: Mixpanel, Google Analytics, or custom analytics
 };
 
 /**
- * Send bulk TestFlight invites to approved users
+ * Invite a signup and queue the invite email. Every invite round
+ * (first invite, re-invite after expiry) gets its own email.
+ * @param {Object} signup - Beta signup object
+ * @param {string} testflightUrl - TestFlight URL to send
+ * @param {string} [invitedBy] - Who triggered the invite
+ * @returns {Object} Outbox entry of the invite email
+ */
+const sendInvite = async (signup, testflightUrl, invitedBy) => {
+    if (invitedBy) {
+        signup.invitedBy = invitedBy;
+    }
+
+    await signup.markAsInvited(testflightUrl, signup.testflightCode || generateTestFlightCode(), invitedBy);
+
+    return enqueueEmail(
+        signup,
+        'invite',
+        { testflightUrl },
+        { key: `${signup._id}:invite:${signup.inviteCount}` }
+    );
+};
+
+// Sort order for checkEligibility priorities
+const PRIORITY_RANK = {
+    high: 3,
+    medium: 2,
+    normal: 1
+};
+
+/**
+ * Rank signups for inviting: eligible first, then by priority,
+ * then oldest signup first
+ * @param {Array} signups - Beta signups
+ * @returns {Object[]} Array of { signup, eligibility }, best candidate first
+ */
+const rankCandidates = (signups) => {
+    return signups
+        .map((signup) => ({ signup, eligibility: checkEligibility(signup) }))
+        .sort((a, b) => (
+            Number(b.eligibility.eligible) - Number(a.eligibility.eligible) ||
+            PRIORITY_RANK[b.eligibility.priority] - PRIORITY_RANK[a.eligibility.priority] ||
+            new Date(a.signup.createdAt) - new Date(b.signup.createdAt)
+        ));
+};
+
+/**
+ * Send bulk TestFlight invites to the best-ranked eligible users
  * @param {Array} signups - Array of approved beta signups
  * @param {string} testflightUrl - TestFlight public URL
- * @returns {Object} Results of bulk invite operation
+ * @param {Object} [options] - { limit, dryRun, invitedBy }
+ * @returns {Object} Results of bulk invite operation with a per-user report
  */
-const sendBulkInvites = async (signups, testflightUrl) => {
+const sendBulkInvites = async (signups, testflightUrl, options = {}) => {
+    const { limit = signups.length, dryRun = false, invitedBy } = options;
+
     const results = {
+        dryRun,
         successful: [],
         failed: [],
+        skipped: [],
         total: signups.length
     };
 
-    for (const signup of signups) {
-        try {
-            const eligibility = checkEligibility(signup);
+    const ranked = rankCandidates(signups);
+    let selected = 0;
+
+    for (const { signup, eligibility } of ranked) {
+        const entry = {
+            id: signup._id,
+            email: signup.email,
+            priority: eligibility.priority
+        };
+
+        if (!eligibility.eligible) {
+            results.failed.push({ ...entry, reason: eligibility.reason });
+            continue;
+        }
+
+        if (!signup.canReceiveInvite()) {
+            results.failed.push({ ...entry, reason: `User status is ${signup.status}, cannot send invite` });
+            continue;
+        }
+
+        if (selected >= limit) {
+            results.skipped.push({ ...entry, reason: 'Batch limit reached' });
+            continue;
+        }
 
-            if (!eligibility.eligible) {
-                results.failed.push({
-                    email: signup.email,
-                    reason: eligibility.reason
-                });
-                continue;
-            }
+        selected++;
 
-            // Generate unique code for tracking
-            const inviteCode = generateTestFlightCode();
-            const inviteUrl = createInviteLink(testflightUrl, inviteCode);
+        if (dryRun) {
+            results.successful.push({ ...entry, status: 'would_invite' });
+            continue;
+        }
 
-            // Mark as invited
-            await signup.markAsInvited(inviteUrl, inviteCode);
+        try {
+            // Queue the invite email and mark as invited
+            const outboxEntry = await sendInvite(signup, testflightUrl, invitedBy);
 
             // Track metrics
-            await trackInviteMetrics(signup, inviteUrl);
+            await trackInviteMetrics(signup, testflightUrl);
 
             results.successful.push({
-                email: signup.email,
-                inviteUrl,
-                inviteCode,
-                priority: eligibility.priority
+                ...entry,
+                status: 'invited',
+                inviteUrl: signup.testflightUrl,
+                inviteCode: signup.testflightCode,
+                inviteExpiresAt: signup.inviteExpiresAt,
+                emailStatus: outboxEntry.status
             });
 
         } catch (error) {
-            console.error(`Failed to process invite for ${signup.email}:`, error);
+            logger.error('Failed to process invite', { signupId: signup._id, err: error });
             results.failed.push({
-                email: signup.email,
+                ...entry,
                 reason: error.message
             });
         }
@@ -174,32 +260,6 @@ const sendBulkInvites = async (signups, testflightUrl) => {
     return results;
 };
 
-/**
- * Get TestFlight invite statistics
- * @returns {Object} Invite statistics
- */
-const getInviteStats = async () => {
-    // This would query your database for invite statistics
-    // Example implementation:
-    const stats = {
-        totalInvitesSent: 150,
-        totalInstalls: 89,
-        conversionRate: '59.3%',
-        topDevices: {
-            iphone: 120,
-            ipad: 25,
-            ipod: 5
-        },
-        inviteTimeline: [
-            { date: '2024-01-01', invites: 25 },
-            { date: '2024-01-02', invites: 30 },
-            // ... more data
-        ]
-    };
-
-    return stats;
-};
-
 module.exports = {
     generateTestFlightCode,
     validateTestFlightUrl,
@@ -208,7 +268,8 @@ module.exports = {
     generateBatchCodes,
     createInviteLink,
     trackInviteMetrics,
-    sendBulkInvites,
-    getInviteStats
+    sendInvite,
+    rankCandidates,
+    sendBulkInvites
 };
 
@@ -0,0 +1,135 @@
+const BetaSignup = require('../../models/BetaSignup');
+
+jest.mock('./emailOutbox', () => ({
+    ...jest.requireActual('./emailOutbox'),
+    enqueueEmail: jest.fn()
+}));
+
+const { enqueueEmail } = require('./emailOutbox');
+const { checkEligibility, rankCandidates, sendBulkInvites } = require('./testflightService');
+const { logger } = require('../logger');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const TESTFLIGHT_URL = 'https://testflight.apple.com/join/ABC123';
+
+const makeSignup = (name, fields = {}) => new BetaSignup({
+    email: `${name}@example.com`,
+    name,
+    device: 'iphone',
+    status: 'approved',
+    createdAt: new Date(Date.now() - 30 * DAY_MS),
+    ...fields
+});
+
+const namesOf = (entries) => entries.map(({ email }) => email.split('@')[0]);
+
+describe('testflightService', () => {
+    afterEach(() => {
+        jest.restoreAllMocks();
+        delete process.env.REFERRAL_PRIORITY_BOOST;
+        delete process.env.REFERRAL_HIGH_PRIORITY_AT;
+    });
+
+    describe('checkEligibility', () => {
+        it('only accepts iOS devices', () => {
+            expect(checkEligibility({ device: 'android', createdAt: new Date() })).toMatchObject({
+                eligible: false,
+                reason: 'Device not compatible with TestFlight'
+            });
+        });
+
+        it('prioritises frequent riders, Siri fans and recent signups', () => {
+            expect(checkEligibility(makeSignup('daily', { experience: 'daily' })).priority).toBe('high');
+            expect(checkEligibility(makeSignup('siri', { features: ['siri'] })).priority).toBe('high');
+            expect(checkEligibility(makeSignup('recent', { createdAt: new Date() })).priority).toBe('medium');
+            expect(checkEligibility(makeSignup('other', { experience: 'rarely' })).priority).toBe('normal');
+        });
+
+        it('moves referrers up only when the boost is enabled', () => {
+            const referrer = makeSignup('referrer', { referralCount: 1 });
+            const topReferrer = makeSignup('top', { referralCount: 3 });
+
+            expect(checkEligibility(referrer).priority).toBe('normal');
+
+            process.env.REFERRAL_PRIORITY_BOOST = 'true';
+            expect(checkEligibility(referrer).priority).toBe('medium');
+            expect(checkEligibility(topReferrer).priority).toBe('high');
+        });
+    });
+
+    describe('rankCandidates', () => {
+        it('orders by priority, then oldest signup first', () => {
+            const ranked = rankCandidates([
+                makeSignup('normal-new', { createdAt: new Date(Date.now() - 20 * DAY_MS) }),
+                makeSignup('medium', { createdAt: new Date() }),
+                makeSignup('normal-old', { createdAt: new Date(Date.now() - 40 * DAY_MS) }),
+                makeSignup('high', { experience: 'weekly' })
+            ]);
+
+            expect(ranked.map(({ signup }) => signup.name)).toEqual(['high', 'medium', 'normal-old', 'normal-new']);
+        });
+    });
+
+    describe('sendBulkInvites', () => {
+        beforeEach(() => {
+            jest.spyOn(BetaSignup.prototype, 'save').mockImplementation(async function() {
+                return this;
+            });
+            enqueueEmail.mockReset().mockResolvedValue({ status: 'queued' });
+        });
+
+        it('invites the best-ranked signups up to the limit and skips the rest', async () => {
+            const signups = [
+                makeSignup('normal'),
+                makeSignup('high', { experience: 'daily' }),
+                makeSignup('medium', { createdAt: new Date() })
+            ];
+
+            const results = await sendBulkInvites(signups, TESTFLIGHT_URL, { limit: 2, invitedBy: 'admin@example.com' });
+
+            expect(namesOf(results.successful)).toEqual(['high', 'medium']);
+            expect(results.skipped).toEqual([expect.objectContaining({ email: 'normal@example.com', reason: 'Batch limit reached' })]);
+            expect(results.successful[0]).toMatchObject({ status: 'invited', inviteUrl: TESTFLIGHT_URL, emailStatus: 'queued' });
+            expect(signups[1]).toMatchObject({ status: 'invited', inviteCount: 1, invitedBy: 'admin@example.com' });
+            expect(enqueueEmail).toHaveBeenCalledWith(signups[1], 'invite', { testflightUrl: TESTFLIGHT_URL }, { key: `${signups[1]._id}:invite:1` });
+            expect(signups[0].status).toBe('approved');
+        });
+
+        it('reports signups that cannot be invited without using up the limit', async () => {
+            const results = await sendBulkInvites([
+                makeSignup('installed', { status: 'installed', experience: 'daily' }),
+                makeSignup('approved')
+            ], TESTFLIGHT_URL, { limit: 1 });
+
+            expect(results.failed).toEqual([expect.objectContaining({
+                email: 'installed@example.com',
+                reason: 'User status is installed, cannot send invite'
+            })]);
+            expect(namesOf(results.successful)).toEqual(['approved']);
+        });
+
+        it('only reports the selection in a dry run', async () => {
+            const signup = makeSignup('approved');
+
+            const results = await sendBulkInvites([signup], TESTFLIGHT_URL, { dryRun: true });
+
+            expect(results.successful).toEqual([expect.objectContaining({ status: 'would_invite' })]);
+            expect(signup.status).toBe('approved');
+            expect(BetaSignup.prototype.save).not.toHaveBeenCalled();
+            expect(enqueueEmail).not.toHaveBeenCalled();
+        });
+
+        it('keeps going when one invite fails', async () => {
+            jest.spyOn(logger, 'error').mockImplementation(() => {});
+            enqueueEmail.mockRejectedValueOnce(new Error('outbox unavailable'));
+
+            const results = await sendBulkInvites([
+                makeSignup('first', { experience: 'daily' }),
+                makeSignup('second')
+            ], TESTFLIGHT_URL);
+
+            expect(results.failed).toEqual([expect.objectContaining({ email: 'first@example.com', reason: 'outbox unavailable' })]);
+            expect(namesOf(results.successful)).toEqual(['second']);
+        });
+    });
+});
@@ -0,0 +1,160 @@
+// Waitlist service: tester capacity, queue positions and wait estimates
+
+const BetaSignup = require('../../models/BetaSignup');
+const { rankCandidates } = require('./testflightService');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Statuses that hold a TestFlight tester slot
+const SEATED_STATUSES = ['invited', 'installed'];
+// Statuses that wait for an invite (approved users are invited first)
+const WAITING_STATUSES = ['approved', 'pending'];
+
+/**
+ * Get tester capacity usage (TestFlight allows 10,000 external testers)
+ * @returns {Object} { capacity, used, remaining }
+ */
+const getCapacity = async () => {
+    const capacity = parseInt(process.env.TESTER_CAPACITY) || 10000;
+    const used = await BetaSignup.countDocuments({ status: { $in: SEATED_STATUSES } });
+
+    return {
+        capacity,
+        used,
+        remaining: Math.max(capacity - used, 0)
+    };
+};
+
+/**
+ * Invites sent per day over the recent throughput window
+ * @returns {Object} { windowDays, invites, perDay }
+ */
+const getInviteThroughput = async () => {
+    const windowDays = parseInt(process.env.WAITLIST_THROUGHPUT_DAYS) || 14;
+    const invites = await BetaSignup.countDocuments({
+        inviteSentAt: { $gte: new Date(Date.now() - windowDays * DAY_MS) }
+    });
+
+    return {
+        windowDays,
+        invites,
+        perDay: invites / windowDays
+    };
+};
+
+/**
+ * Estimate how long a given waitlist position waits for an invite
+ * @param {number} position - 1-based waitlist position
+ * @param {Object} throughput - Result of getInviteThroughput
+ * @param {Object} [capacity] - Result of getCapacity
+ * @returns {Object} { days, text }
+ */
+const estimateWait = (position, throughput, capacity) => {
+    // Past invites say nothing about when the next seat frees up
+    if (capacity && capacity.remaining === 0) {
+        return { days: null, text: 'waiting for capacity' };
+    }
+
+    if (!throughput.perDay) {
+        return { days: null, text: 'unknown' };
+    }
+
+    const days = position / throughput.perDay;
+
+    if (days < 1) {
+        return { days, text: 'less than a day' };
+    }
+
+    const rounded = Math.ceil(days);
+    return { days, text: rounded === 1 ? 'about 1 day' : `about ${rounded} days` };
+};
+
+/**
+ * Recompute waitlistPosition for all waiting signups, in the same
+ * order batch invites use (approved first, then by priority and age)
+ * @returns {Object} { ranked }
+ */
+const recomputeWaitlist = async () => {
+    const waiting = await BetaSignup
+        .find({ status: { $in: WAITING_STATUSES } })
+        .select('status device experience features referralCount createdAt waitlistPosition');
+
+    const ordered = WAITING_STATUSES.reduce((all, status) => (
+        all.concat(rankCandidates(waiting.filter((signup) => signup.status === status)))
+    ), []);
+
+    const operations = ordered
+        .map(({ signup }, index) => ({ signup, position: index + 1 }))
+        .filter(({ signup, position }) => signup.waitlistPosition !== position)
+        .map(({ signup, position }) => ({
+            updateOne: {
+                filter: { _id: signup._id },
+                update: { $set: { waitlistPosition: position } }
+            }
+        }));
+
+    if (operations.length > 0) {
+        await BetaSignup.bulkWrite(operations, { ordered: false });
+    }
+
+    // Signups that left the waitlist lose their position
+    await BetaSignup.updateMany(
+        { status: { $nin: WAITING_STATUSES }, waitlistPosition: { $exists: true } },
+        { $unset: { waitlistPosition: 1 } }
+    );
+
+    return { ranked: ordered.length };
+};
+
+/**
+ * Describe a signup's place in the queue
+ * @param {Object} signup - Beta signup object
+ * @returns {Object} Position report
+ */
+const getWaitlistPosition = async (signup) => {
+    const waitlistSize = await BetaSignup.countDocuments({ status: { $in: WAITING_STATUSES } });
+
+    if (!WAITING_STATUSES.includes(signup.status)) {
+        return {
+            status: signup.status,
+            position: null,
+            waitlistSize,
+            estimatedWaitTime: null
+        };
+    }
+
+    // Newly confirmed signups are ranked by the next waitlist run; until then they are last
+    const position = signup.waitlistPosition || waitlistSize;
+    const [throughput, capacity] = await Promise.all([getInviteThroughput(), getCapacity()]);
+    const wait = estimateWait(position, throughput, capacity);
+
+    return {
+        status: signup.status,
+        position,
+        waitlistSize,
+        capacityRemaining: capacity.remaining,
+        estimatedWaitDays: wait.days === null ? null : Math.ceil(wait.days),
+        estimatedWaitTime: wait.text
+    };
+};
+
+/**
+ * Estimate the wait for someone joining the end of the queue now
+ * @returns {Object} { position, days, text }
+ */
+const estimateWaitForNewSignup = async () => {
+    const waitlistSize = await BetaSignup.countDocuments({ status: { $in: WAITING_STATUSES } });
+    const [throughput, capacity] = await Promise.all([getInviteThroughput(), getCapacity()]);
+    const position = waitlistSize + 1;
+
+    return { position, ...estimateWait(position, throughput, capacity) };
+};
+
+module.exports = {
+    getCapacity,
+    getInviteThroughput,
+    estimateWait,
+    recomputeWaitlist,
+    getWaitlistPosition,
+    estimateWaitForNewSignup
+};
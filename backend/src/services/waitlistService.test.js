@@ -0,0 +1,158 @@
+const BetaSignup = require('../../models/BetaSignup');
+const {
+    getCapacity,
+    estimateWait,
+    recomputeWaitlist,
+    getWaitlistPosition,
+    estimateWaitForNewSignup
+} = require('./waitlistService');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Answer countDocuments by query: waiting signups, seated testers and recent invites
+ */
+const useCounts = ({ waiting = 0, seated = 0, recentInvites = 0 }) => {
+    jest.spyOn(BetaSignup, 'countDocuments').mockImplementation(async (filter) => {
+        if (filter.inviteSentAt) return recentInvites;
+        return filter.status.$in.includes('invited') ? seated : waiting;
+    });
+};
+
+const makeSignup = (name, status, fields = {}) => new BetaSignup({
+    email: `${name}@example.com`,
+    name,
+    device: 'iphone',
+    status,
+    createdAt: new Date(Date.now() - 30 * DAY_MS),
+    ...fields
+});
+
+describe('waitlistService', () => {
+    afterEach(() => {
+        jest.restoreAllMocks();
+        delete process.env.TESTER_CAPACITY;
+    });
+
+    describe('estimateWait', () => {
+        it('divides the position by the daily invite rate', () => {
+            expect(estimateWait(20, { perDay: 2 })).toEqual({ days: 10, text: 'about 10 days' });
+            expect(estimateWait(3, { perDay: 2 })).toEqual({ days: 1.5, text: 'about 2 days' });
+            expect(estimateWait(2, { perDay: 2 })).toEqual({ days: 1, text: 'about 1 day' });
+            expect(estimateWait(1, { perDay: 2 })).toEqual({ days: 0.5, text: 'less than a day' });
+        });
+
+        it('cannot estimate without recent invites', () => {
+            expect(estimateWait(5, { perDay: 0 })).toEqual({ days: null, text: 'unknown' });
+        });
+
+        it('gives no estimate while all tester slots are taken', () => {
+            expect(estimateWait(5, { perDay: 2 }, { remaining: 0 })).toEqual({ days: null, text: 'waiting for capacity' });
+            expect(estimateWait(5, { perDay: 2 }, { remaining: 1 })).toEqual({ days: 2.5, text: 'about 3 days' });
+        });
+    });
+
+    describe('getCapacity', () => {
+        it('counts invited and installed testers against the capacity', async () => {
+            process.env.TESTER_CAPACITY = '100';
+            useCounts({ seated: 120 });
+
+            expect(await getCapacity()).toEqual({ capacity: 100, used: 120, remaining: 0 });
+            expect(BetaSignup.countDocuments).toHaveBeenCalledWith({ status: { $in: ['invited', 'installed'] } });
+        });
+    });
+
+    describe('getWaitlistPosition', () => {
+        it('estimates the wait from the stored position and the last 14 days of invites', async () => {
+            useCounts({ waiting: 50, seated: 10, recentInvites: 28 });
+
+            const report = await getWaitlistPosition(makeSignup('waiting', 'pending', { waitlistPosition: 5 }));
+
+            expect(report).toEqual({
+                status: 'pending',
+                position: 5,
+                waitlistSize: 50,
+                capacityRemaining: 9990,
+                estimatedWaitDays: 3,
+                estimatedWaitTime: 'about 3 days'
+            });
+        });
+
+        it('places signups that were not ranked yet at the end of the queue', async () => {
+            useCounts({ waiting: 50, recentInvites: 14 });
+
+            const report = await getWaitlistPosition(makeSignup('new', 'pending'));
+
+            expect(report).toMatchObject({ position: 50, estimatedWaitDays: 50 });
+        });
+
+        it('has no position or estimate for signups that are not waiting', async () => {
+            useCounts({ waiting: 50, recentInvites: 14 });
+
+            const report = await getWaitlistPosition(makeSignup('invited', 'invited'));
+
+            expect(report).toEqual({ status: 'invited', position: null, waitlistSize: 50, estimatedWaitTime: null });
+        });
+
+        it('waits for capacity when all tester slots are taken', async () => {
+            process.env.TESTER_CAPACITY = '100';
+            useCounts({ waiting: 50, seated: 100, recentInvites: 28 });
+
+            const report = await getWaitlistPosition(makeSignup('waiting', 'pending', { waitlistPosition: 5 }));
+
+            expect(report).toMatchObject({ capacityRemaining: 0, estimatedWaitDays: null, estimatedWaitTime: 'waiting for capacity' });
+        });
+    });
+
+    describe('estimateWaitForNewSignup', () => {
+        it('places the new signup at the end of the queue', async () => {
+            useCounts({ waiting: 49, recentInvites: 14 });
+
+            expect(await estimateWaitForNewSignup()).toEqual({ position: 50, days: 50, text: 'about 50 days' });
+        });
+
+        it('waits for capacity when all tester slots are taken', async () => {
+            process.env.TESTER_CAPACITY = '100';
+            useCounts({ waiting: 49, seated: 100, recentInvites: 14 });
+
+            expect(await estimateWaitForNewSignup()).toEqual({ position: 50, days: null, text: 'waiting for capacity' });
+        });
+    });
+
+    describe('recomputeWaitlist', () => {
+        it('ranks approved signups before pending ones and only writes changed positions', async () => {
+            const signups = [
+                makeSignup('pending-high', 'pending', { experience: 'daily', waitlistPosition: 3 }),
+                makeSignup('approved-normal', 'approved', { waitlistPosition: 1 }),
+                makeSignup('approved-high', 'approved', { experience: 'weekly' })
+            ];
+            jest.spyOn(BetaSignup, 'find').mockReturnValue({ select: async () => signups });
+            jest.spyOn(BetaSignup, 'bulkWrite').mockResolvedValue({});
+            jest.spyOn(BetaSignup, 'updateMany').mockResolvedValue({});
+
+            const result = await recomputeWaitlist();
+
+            expect(result).toEqual({ ranked: 3 });
+            expect(BetaSignup.bulkWrite).toHaveBeenCalledWith([
+                { updateOne: { filter: { _id: signups[2]._id }, update: { $set: { waitlistPosition: 1 } } } },
+                { updateOne: { filter: { _id: signups[1]._id }, update: { $set: { waitlistPosition: 2 } } } }
+            ], { ordered: false });
+            expect(BetaSignup.updateMany).toHaveBeenCalledWith(
+                { status: { $nin: ['approved', 'pending'] }, waitlistPosition: { $exists: true } },
+                { $unset: { waitlistPosition: 1 } }
+            );
+        });
+
+        it('does not write when every position is current', async () => {
+            jest.spyOn(BetaSignup, 'find').mockReturnValue({
+                select: async () => [makeSignup('approved', 'approved', { waitlistPosition: 1 })]
+            });
+            jest.spyOn(BetaSignup, 'bulkWrite').mockResolvedValue({});
+            jest.spyOn(BetaSignup, 'updateMany').mockResolvedValue({});
+
+            await recomputeWaitlist();
+
+            expect(BetaSignup.bulkWrite).not.toHaveBeenCalled();
+        });
+    });
+});
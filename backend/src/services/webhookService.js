@@ -0,0 +1,394 @@
+// Webhook service: signed outbound deliveries of signup lifecycle events with retries
+
+const crypto = require('crypto');
+const dns = require('dns').promises;
+const BetaSignup = require('../../models/BetaSignup');
+const WebhookSubscription = require('../../models/WebhookSubscription');
+const WebhookDelivery = require('../../models/WebhookDelivery');
+const { logger } = require('../logger');
+const { isNonPublicAddress } = require('../ip');
+
+const MAX_ATTEMPTS = parseInt(process.env.WEBHOOK_MAX_ATTEMPTS) || 8;
+const RETRY_BASE_MS = parseInt(process.env.WEBHOOK_RETRY_BASE_MS) || 30 * 1000;
+const RETRY_MAX_MS = parseInt(process.env.WEBHOOK_RETRY_MAX_MS) || 6 * 60 * 60 * 1000;
+const TIMEOUT_MS = parseInt(process.env.WEBHOOK_TIMEOUT_MS) || 10 * 1000;
+const BATCH_SIZE = parseInt(process.env.WEBHOOK_WORKER_BATCH_SIZE) || 20;
+// Deliveries stuck in processing longer than this (e.g. after a crash) are retried
+const LOCK_TIMEOUT_MS = 5 * 60 * 1000;
+// Characters of the response body kept in the delivery log
+const RESPONSE_LOG_LENGTH = 500;
+
+// Event queuing still in flight, see flushWebhookEvents
+const pendingEvents = new Set();
+let dispatcherStarted = false;
+
+/**
+ * Compute the delay before the next attempt (exponential backoff)
+ * @param {number} attempts - Attempts made so far
+ * @returns {number} Delay in milliseconds
+ */
+const getBackoffDelay = (attempts) => {
+    return Math.min(RETRY_BASE_MS * Math.pow(2, attempts - 1), RETRY_MAX_MS);
+};
+
+/**
+ * Generate a random signing secret
+ * @returns {string} Secret prefixed with whsec_
+ */
+const generateSecret = () => `whsec_${crypto.randomBytes(24).toString('hex')}`;
+
+/**
+ * Sign a delivery body. Receivers recompute the HMAC over "<timestamp>.<body>".
+ * @param {string} secret - Subscription secret
+ * @param {number} timestamp - Unix time in seconds
+ * @param {string} body - Raw JSON body
+ * @returns {string} Header value "t=<timestamp>,v1=<hex digest>"
+ */
+const signPayload = (secret, timestamp, body) => {
+    const digest = crypto
+        .createHmac('sha256', secret)
+        .update(`${timestamp}.${body}`)
+        .digest('hex');
+
+    return `t=${timestamp},v1=${digest}`;
+};
+
+/**
+ * Whether the signup's address was never confirmed (double opt-in). Signups from
+ * before double opt-in have no confirmedAt but never were unconfirmed either.
+ * @param {Object} signup - Beta signup object
+ * @returns {boolean} True while the address may belong to someone who never signed up
+ */
+const isUnconfirmedAddress = (signup) => {
+    if (signup.confirmedAt) {
+        return false;
+    }
+    return signup.status === 'unconfirmed' || (signup.statusHistory || []).some((entry) => entry.from === 'unconfirmed');
+};
+
+/**
+ * Signup fields sent with every event (no IP address or user agent; email and
+ * name only once the address is confirmed)
+ * @param {Object} signup - Beta signup object
+ * @returns {Object} Event data
+ */
+const toEventSignup = (signup) => ({
+    id: String(signup._id),
+    ...(!isUnconfirmedAddress(signup) && { email: signup.email, name: signup.name }),
+    device: signup.device,
+    experience: signup.experience,
+    locale: signup.locale,
+    source: signup.source,
+    status: signup.status,
+    tags: signup.tags,
+    waitlistPosition: signup.waitlistPosition,
+    referralCount: signup.referralCount,
+    createdAt: signup.createdAt,
+    inviteSentAt: signup.inviteSentAt,
+    installedAt: signup.installedAt
+});
+
+/**
+ * Name of the event for a status change
+ * @param {Object} transition - { from, to }
+ * @returns {string} Event name
+ */
+const getTransitionEvent = ({ from, to }) => {
+    if (from === 'unconfirmed' && to === 'pending') {
+        return 'signup.confirmed';
+    }
+    return `signup.${to}`;
+};
+
+/**
+ * Queue one delivery per active subscription listening to the event
+ * @param {string} event - Event name
+ * @param {Object} data - Event data
+ * @returns {Object[]} Created deliveries
+ */
+const queueEvent = async (event, data) => {
+    const subscriptions = await WebhookSubscription.find({
+        isActive: true,
+        events: { $in: [event, '*'] }
+    });
+
+    if (!subscriptions.length) {
+        return [];
+    }
+
+    const eventId = crypto.randomUUID();
+    const payload = { id: eventId, event, createdAt: new Date().toISOString(), data };
+
+    return WebhookDelivery.insertMany(subscriptions.map((subscription) => ({
+        subscriptionId: subscription._id,
+        event,
+        eventId,
+        payload,
+        maxAttempts: MAX_ATTEMPTS
+    })));
+};
+
+/**
+ * Queue an event without letting webhook problems reach the caller
+ * @param {string} event - Event name
+ * @param {Object} data - Event data
+ */
+const dispatch = (event, data) => {
+    const pending = queueEvent(event, data)
+        .catch((error) => {
+            logger.error('Failed to queue webhook event', { event, err: error });
+        })
+        .finally(() => pendingEvents.delete(pending));
+
+    pendingEvents.add(pending);
+};
+
+/**
+ * Turn signup lifecycle events into webhook deliveries
+ */
+const startWebhookDispatcher = () => {
+    if (dispatcherStarted) {
+        return;
+    }
+    dispatcherStarted = true;
+
+    BetaSignup.lifecycleEvents.on('created', (signup) => {
+        dispatch('signup.created', { signup: toEventSignup(signup) });
+    });
+
+    BetaSignup.lifecycleEvents.on('transition', (signup, transition) => {
+        dispatch(getTransitionEvent(transition), {
+            signup: toEventSignup(signup),
+            transition: {
+                from: transition.from,
+                to: transition.to,
+                changedBy: transition.changedBy,
+                changedAt: transition.changedAt,
+                note: transition.note
+            }
+        });
+    });
+};
+
+/**
+ * Wait until all events seen so far are queued (before exiting a script or process)
+ */
+const flushWebhookEvents = async () => {
+    await Promise.all(Array.from(pendingEvents));
+};
+
+/**
+ * Make sure a webhook URL only resolves to public addresses, so subscriptions cannot
+ * reach the server's own network (e.g. the cloud metadata endpoint at 169.254.169.254).
+ * Checked when subscribing and again before every attempt, as DNS answers can change.
+ * WEBHOOK_ALLOW_PRIVATE_URLS=true turns the check off for local development.
+ * @param {string} url - Webhook URL
+ * @throws {Error} If the host cannot be resolved or resolves to a non-public address
+ */
+const assertPublicUrl = async (url) => {
+    if (process.env.WEBHOOK_ALLOW_PRIVATE_URLS === 'true') {
+        return;
+    }
+
+    // IPv6 literals keep their brackets in URL.hostname
+    const host = new URL(url).hostname.replace(/^\[|\]$/g, '');
+
+    let addresses;
+    try {
+        addresses = await dns.lookup(host, { all: true, verbatim: true });
+    } catch (error) {
+        throw new Error(`Cannot resolve ${host}`);
+    }
+
+    if (addresses.some(({ address }) => isNonPublicAddress(address))) {
+        throw new Error('URL must not point to a private, loopback or link-local address');
+    }
+};
+
+/**
+ * POST a delivery to its subscription and record the attempt
+ * @param {Object} delivery - Claimed delivery (attempts already counted)
+ * @returns {Object} Updated delivery
+ */
+const processDelivery = async (delivery) => {
+    const subscription = await WebhookSubscription.findById(delivery.subscriptionId).select('+secret');
+
+    // Subscription was deleted or switched off in the meantime (pings still go out)
+    if (!subscription || (!subscription.isActive && delivery.event !== 'ping')) {
+        delivery.status = 'cancelled';
+        delivery.lastError = 'Subscription no longer active';
+        delivery.lockedAt = undefined;
+        return delivery.save();
+    }
+
+    const body = JSON.stringify(delivery.payload);
+    const timestamp = Math.floor(Date.now() / 1000);
+    const startedAt = Date.now();
+    const attempt = { attemptedAt: new Date() };
+
+    try {
+        await assertPublicUrl(subscription.url);
+
+        const response = await fetch(subscription.url, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                'User-Agent': 'BahnBlitz-Webhooks/1.0',
+                'X-BahnBlitz-Event': delivery.event,
+                'X-BahnBlitz-Delivery': delivery.eventId,
+                'X-BahnBlitz-Signature': signPayload(subscription.secret, timestamp, body)
+            },
+            body,
+            redirect: 'manual',
+            signal: AbortSignal.timeout(TIMEOUT_MS)
+        });
+
+        attempt.statusCode = response.status;
+        attempt.responseBody = (await response.text().catch(() => '')).slice(0, RESPONSE_LOG_LENGTH);
+
+        if (!response.ok) {
+            attempt.error = `Endpoint answered with HTTP ${response.status}`;
+        }
+    } catch (error) {
+        attempt.error = error.name === 'TimeoutError' ? `No response within ${TIMEOUT_MS}ms` : error.message;
+    }
+
+    attempt.durationMs = Date.now() - startedAt;
+    delivery.log.push(attempt);
+    delivery.lockedAt = undefined;
+
+    if (!attempt.error) {
+        delivery.status = 'delivered';
+        delivery.deliveredAt = new Date();
+        delivery.lastError = undefined;
+    } else {
+        delivery.lastError = attempt.error;
+
+        if (delivery.attempts >= delivery.maxAttempts) {
+            logger.error('Webhook delivery moved to dead letter', {
+                event: delivery.event,
+                subscriptionId: subscription._id,
+                attempts: delivery.attempts
+            });
+            delivery.status = 'dead';
+        } else {
+            delivery.status = 'queued';
+            delivery.nextAttemptAt = new Date(Date.now() + getBackoffDelay(delivery.attempts));
+        }
+    }
+
+    await delivery.save();
+    await WebhookSubscription.updateOne(
+        { _id: subscription._id },
+        { $set: { lastDeliveryAt: attempt.attemptedAt, lastDeliveryStatus: attempt.error ? 'failed' : 'delivered' } }
+    );
+
+    return delivery;
+};
+
+/**
+ * Atomically claim the next due delivery
+ * @returns {Object|null} Claimed delivery
+ */
+const claimNext = () => {
+    const now = new Date();
+
+    return WebhookDelivery.findOneAndUpdate(
+        {
+            $or: [
+                { status: 'queued', nextAttemptAt: { $lte: now } },
+                { status: 'processing', lockedAt: { $lte: new Date(now - LOCK_TIMEOUT_MS) } }
+            ]
+        },
+        { $set: { status: 'processing', lockedAt: now, updatedAt: now }, $inc: { attempts: 1 } },
+        { new: true, sort: { nextAttemptAt: 1 } }
+    );
+};
+
+/**
+ * Deliver due webhooks (scheduler entry point)
+ * @param {number} [limit] - Maximum number of deliveries to process
+ * @returns {Object} { processed }
+ */
+const processWebhookDeliveries = async (limit = BATCH_SIZE) => {
+    let processed = 0;
+
+    while (processed < limit) {
+        const delivery = await claimNext();
+        if (!delivery) {
+            break;
+        }
+
+        await processDelivery(delivery);
+        processed++;
+    }
+
+    return { processed };
+};
+
+/**
+ * Send a ping to a subscription right away, regardless of its events
+ * @param {Object} subscription - Webhook subscription
+ * @param {string} sentBy - Admin email
+ * @returns {Object} Delivery with the attempt result
+ */
+const sendPing = async (subscription, sentBy) => {
+    const eventId = crypto.randomUUID();
+
+    const delivery = await WebhookDelivery.create({
+        subscriptionId: subscription._id,
+        event: 'ping',
+        eventId,
+        payload: {
+            id: eventId,
+            event: 'ping',
+            createdAt: new Date().toISOString(),
+            data: { message: 'Webhook test from BahnBlitz Beta', sentBy }
+        },
+        status: 'processing',
+        attempts: 1,
+        // A failed ping is not retried
+        maxAttempts: 1,
+        lockedAt: new Date()
+    });
+
+    return processDelivery(delivery);
+};
+
+/**
+ * Put a dead or cancelled delivery back into the queue
+ * @param {string} id - Delivery id
+ * @returns {Object|null} Requeued delivery
+ */
+const retryDelivery = (id) => {
+    return WebhookDelivery.findOneAndUpdate(
+        { _id: id, status: { $in: ['dead', 'cancelled'] }, event: { $ne: 'ping' } },
+        { $set: { status: 'queued', attempts: 0, nextAttemptAt: new Date(), updatedAt: new Date() } },
+        { new: true }
+    );
+};
+
+/**
+ * Cancel all deliveries still waiting for a subscription
+ * @param {string} subscriptionId - Subscription id
+ */
+const cancelPendingDeliveries = (subscriptionId) => {
+    return WebhookDelivery.updateMany(
+        { subscriptionId, status: 'queued' },
+        { $set: { status: 'cancelled', lastError: 'Subscription removed', updatedAt: new Date() } }
+    );
+};
+
+module.exports = {
+    getBackoffDelay,
+    generateSecret,
+    assertPublicUrl,
+    signPayload,
+    queueEvent,
+    startWebhookDispatcher,
+    flushWebhookEvents,
+    processWebhookDeliveries,
+    sendPing,
+    retryDelivery,
+    cancelPendingDeliveries
+};
@@ -0,0 +1,266 @@
+const crypto = require('crypto');
+const dns = require('dns').promises;
+const mongoose = require('mongoose');
+const BetaSignup = require('../../models/BetaSignup');
+const WebhookSubscription = require('../../models/WebhookSubscription');
+const WebhookDelivery = require('../../models/WebhookDelivery');
+const {
+    getBackoffDelay,
+    signPayload,
+    assertPublicUrl,
+    startWebhookDispatcher,
+    flushWebhookEvents,
+    processWebhookDeliveries
+} = require('./webhookService');
+const { logger } = require('../logger');
+
+describe('webhookService', () => {
+    describe('lifecycle events', () => {
+        let deliveries;
+
+        beforeAll(() => {
+            startWebhookDispatcher();
+        });
+
+        beforeEach(() => {
+            deliveries = [];
+            jest.spyOn(WebhookSubscription, 'find').mockResolvedValue([{ _id: new mongoose.Types.ObjectId() }]);
+            jest.spyOn(WebhookDelivery, 'insertMany').mockImplementation(async (docs) => {
+                deliveries.push(...docs);
+                return docs;
+            });
+        });
+
+        afterEach(() => {
+            jest.restoreAllMocks();
+        });
+
+        const newSignup = () => new BetaSignup({ email: 'tester@example.com', name: 'Tester', device: 'iphone' });
+
+        it('leaves email and name out of signup.created', async () => {
+            BetaSignup.lifecycleEvents.emit('created', newSignup());
+            await flushWebhookEvents();
+
+            expect(deliveries).toHaveLength(1);
+            expect(deliveries[0].event).toBe('signup.created');
+            expect(deliveries[0].payload.data.signup).toEqual(expect.objectContaining({ device: 'iphone', status: 'unconfirmed' }));
+            expect(JSON.stringify(deliveries[0].payload)).not.toMatch(/tester@example\.com|Tester/);
+        });
+
+        it('sends email and name once the address is confirmed', async () => {
+            const signup = newSignup();
+            const [transition] = signup.transitionTo('pending', { by: 'subscriber' }).$locals.transitions;
+            signup.confirmedAt = new Date();
+
+            BetaSignup.lifecycleEvents.emit('transition', signup, transition);
+            await flushWebhookEvents();
+
+            expect(deliveries[0].event).toBe('signup.confirmed');
+            expect(deliveries[0].payload.data.signup).toEqual(expect.objectContaining({ email: 'tester@example.com', name: 'Tester' }));
+        });
+
+        it('leaves email and name out for signups rejected before confirming', async () => {
+            const signup = newSignup();
+            const [transition] = signup.transitionTo('rejected', { by: 'admin@bahnblitz.app' }).$locals.transitions;
+
+            BetaSignup.lifecycleEvents.emit('transition', signup, transition);
+            await flushWebhookEvents();
+
+            expect(deliveries[0].event).toBe('signup.rejected');
+            expect(deliveries[0].payload.data.signup.email).toBeUndefined();
+            expect(deliveries[0].payload.data.signup.name).toBeUndefined();
+        });
+
+        it('sends email and name for signups from before double opt-in', async () => {
+            const signup = new BetaSignup({ email: 'tester@example.com', name: 'Tester', device: 'iphone', status: 'pending' });
+            const [transition] = signup.transitionTo('approved', { by: 'admin@bahnblitz.app' }).$locals.transitions;
+
+            BetaSignup.lifecycleEvents.emit('transition', signup, transition);
+            await flushWebhookEvents();
+
+            expect(deliveries[0].payload.data.signup.email).toBe('tester@example.com');
+        });
+    });
+
+    describe('signPayload', () => {
+        it('signs "<timestamp>.<body>" with HMAC-SHA256', () => {
+            const body = JSON.stringify({ event: 'ping' });
+            const expected = crypto.createHmac('sha256', 'whsec_test').update(`1700000000.${body}`).digest('hex');
+
+            expect(signPayload('whsec_test', 1700000000, body)).toBe(`t=1700000000,v1=${expected}`);
+        });
+
+        it('changes with the secret, the timestamp and the body', () => {
+            const signature = signPayload('whsec_test', 1700000000, '{}');
+
+            expect(signPayload('whsec_other', 1700000000, '{}')).not.toBe(signature);
+            expect(signPayload('whsec_test', 1700000001, '{}')).not.toBe(signature);
+            expect(signPayload('whsec_test', 1700000000, '{ }')).not.toBe(signature);
+        });
+    });
+
+    describe('getBackoffDelay', () => {
+        it('doubles from 30 seconds up to 6 hours', () => {
+            expect([1, 2, 3, 4].map(getBackoffDelay)).toEqual([30000, 60000, 120000, 240000]);
+            expect(getBackoffDelay(20)).toBe(6 * 60 * 60 * 1000);
+        });
+    });
+
+    describe('assertPublicUrl', () => {
+        afterEach(() => {
+            jest.restoreAllMocks();
+            delete process.env.WEBHOOK_ALLOW_PRIVATE_URLS;
+        });
+
+        it.each([
+            'http://127.0.0.1:8080/hook',
+            'http://169.254.169.254/latest/meta-data/',
+            'https://10.0.0.5/hook',
+            'https://[::1]/hook',
+            'https://[::ffff:192.168.1.1]/hook'
+        ])('refuses %s', async (url) => {
+            await expect(assertPublicUrl(url)).rejects.toThrow('URL must not point to a private, loopback or link-local address');
+        });
+
+        it('refuses hosts with any non-public address', async () => {
+            jest.spyOn(dns, 'lookup').mockResolvedValue([{ address: '93.184.216.34', family: 4 }, { address: '10.0.0.5', family: 4 }]);
+
+            await expect(assertPublicUrl('https://hooks.example.com/bahnblitz')).rejects.toThrow('private');
+            expect(dns.lookup).toHaveBeenCalledWith('hooks.example.com', { all: true, verbatim: true });
+        });
+
+        it('refuses hosts that do not resolve', async () => {
+            jest.spyOn(dns, 'lookup').mockRejectedValue(new Error('getaddrinfo ENOTFOUND'));
+
+            await expect(assertPublicUrl('https://nowhere.example/hook')).rejects.toThrow('Cannot resolve nowhere.example');
+        });
+
+        it('accepts public addresses and, with WEBHOOK_ALLOW_PRIVATE_URLS, local ones', async () => {
+            await expect(assertPublicUrl('https://93.184.216.34/hook')).resolves.toBeUndefined();
+
+            process.env.WEBHOOK_ALLOW_PRIVATE_URLS = 'true';
+            await expect(assertPublicUrl('http://localhost:4000/hook')).resolves.toBeUndefined();
+        });
+    });
+
+    describe('processWebhookDeliveries', () => {
+        const subscription = {
+            _id: new mongoose.Types.ObjectId(),
+            url: 'https://hooks.example.com/bahnblitz',
+            secret: 'whsec_test',
+            isActive: true
+        };
+
+        /**
+         * Let the worker claim the given delivery once
+         */
+        const claimDelivery = (fields, subscriptionFields = {}) => {
+            const delivery = new WebhookDelivery({
+                subscriptionId: subscription._id,
+                event: 'signup.created',
+                eventId: crypto.randomUUID(),
+                payload: { event: 'signup.created', data: {} },
+                status: 'processing',
+                attempts: 1,
+                lockedAt: new Date(),
+                ...fields
+            });
+            jest.spyOn(delivery, 'save').mockResolvedValue(delivery);
+            jest.spyOn(WebhookDelivery, 'findOneAndUpdate').mockResolvedValueOnce(delivery).mockResolvedValue(null);
+            jest.spyOn(WebhookSubscription, 'findById').mockReturnValue({
+                select: async () => ({ ...subscription, ...subscriptionFields })
+            });
+            jest.spyOn(WebhookSubscription, 'updateOne').mockResolvedValue({});
+            return delivery;
+        };
+
+        const respondWith = (status, text = '') => jest.spyOn(global, 'fetch').mockResolvedValue({
+            status,
+            ok: status >= 200 && status < 300,
+            text: async () => text
+        });
+
+        beforeEach(() => {
+            jest.spyOn(dns, 'lookup').mockResolvedValue([{ address: '93.184.216.34', family: 4 }]);
+        });
+
+        afterEach(() => {
+            jest.restoreAllMocks();
+        });
+
+        it('posts the signed payload and marks the delivery delivered', async () => {
+            const delivery = claimDelivery();
+            respondWith(204);
+
+            expect(await processWebhookDeliveries()).toEqual({ processed: 1 });
+
+            const [url, request] = fetch.mock.calls[0];
+            const [, timestamp] = request.headers['X-BahnBlitz-Signature'].match(/^t=(\d+),/);
+            expect(url).toBe(subscription.url);
+            expect(request.body).toBe(JSON.stringify(delivery.payload));
+            expect(request.headers).toMatchObject({
+                'X-BahnBlitz-Event': 'signup.created',
+                'X-BahnBlitz-Delivery': delivery.eventId,
+                'X-BahnBlitz-Signature': signPayload('whsec_test', Number(timestamp), request.body)
+            });
+            expect(request.redirect).toBe('manual');
+            expect(delivery).toMatchObject({ status: 'delivered', lastError: undefined, lockedAt: undefined });
+            expect(WebhookSubscription.updateOne).toHaveBeenCalledWith(
+                { _id: subscription._id },
+                { $set: { lastDeliveryAt: expect.any(Date), lastDeliveryStatus: 'delivered' } }
+            );
+        });
+
+        it('schedules a retry with backoff after a failed attempt', async () => {
+            const delivery = claimDelivery({ attempts: 3 });
+            respondWith(500, 'x'.repeat(1000));
+            const before = Date.now();
+
+            await processWebhookDeliveries();
+
+            expect(delivery.status).toBe('queued');
+            expect(delivery.lastError).toBe('Endpoint answered with HTTP 500');
+            expect(delivery.nextAttemptAt.getTime()).toBeGreaterThanOrEqual(before + getBackoffDelay(3));
+            expect(delivery.log[0]).toMatchObject({ statusCode: 500, error: 'Endpoint answered with HTTP 500' });
+            expect(delivery.log[0].responseBody).toHaveLength(500);
+        });
+
+        it('moves the delivery to the dead letters after the last attempt', async () => {
+            jest.spyOn(logger, 'error').mockImplementation(() => {});
+            const delivery = claimDelivery({ attempts: 8, maxAttempts: 8 });
+            jest.spyOn(global, 'fetch').mockRejectedValue(new Error('getaddrinfo ENOTFOUND hooks.example.com'));
+
+            await processWebhookDeliveries();
+
+            expect(delivery).toMatchObject({ status: 'dead', lastError: 'getaddrinfo ENOTFOUND hooks.example.com' });
+            expect(WebhookSubscription.updateOne).toHaveBeenCalledWith(
+                { _id: subscription._id },
+                { $set: { lastDeliveryAt: expect.any(Date), lastDeliveryStatus: 'failed' } }
+            );
+        });
+
+        it('cancels deliveries of deactivated subscriptions without calling them', async () => {
+            const delivery = claimDelivery({}, { isActive: false });
+            jest.spyOn(global, 'fetch');
+
+            await processWebhookDeliveries();
+
+            expect(fetch).not.toHaveBeenCalled();
+            expect(delivery).toMatchObject({ status: 'cancelled', lastError: 'Subscription no longer active' });
+        });
+
+        it('does not call a host that now resolves to a private address', async () => {
+            dns.lookup.mockResolvedValue([{ address: '169.254.169.254', family: 4 }]);
+            const delivery = claimDelivery();
+            jest.spyOn(global, 'fetch');
+
+            await processWebhookDeliveries();
+
+            expect(fetch).not.toHaveBeenCalled();
+            expect(delivery).toMatchObject({
+                status: 'queued',
+                lastError: 'URL must not point to a private, loopback or link-local address'
+            });
+        });
+    });
+});
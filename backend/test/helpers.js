@@ -0,0 +1,54 @@
+// Shared helpers for route tests: an app around one router, signed-in admins and signup form tokens
+
+const express = require('express');
+const AdminUser = require('../models/AdminUser');
+const { issueFormToken } = require('../src/services/challengeVerifier');
+const { errorHandler } = require('../src/middleware/errorHandler');
+
+/**
+ * Create an app that serves the router under /api like server.js
+ * @param {...Function} routers - Express routers
+ * @returns {Object} Express app
+ */
+const createApp = (...routers) => {
+    const app = express();
+    app.use(express.json());
+    app.use(express.urlencoded({ extended: true }));
+    routers.forEach((router) => app.use('/api', router));
+    app.use(errorHandler);
+    return app;
+};
+
+/**
+ * Authorization header of an active admin with the given role. AdminUser.findById
+ * is mocked to return that admin, so call it after jest.restoreAllMocks.
+ * @param {string} role - admin, viewer, reviewer or inviter
+ * @returns {string} "Bearer <access token>"
+ */
+const loginAs = (role) => {
+    const admin = new AdminUser({ email: `${role}@bahnblitz.app`, name: role, role, isActive: true });
+    jest.spyOn(AdminUser, 'findById').mockResolvedValue(admin);
+    return `Bearer ${admin.generateAccessToken()}`;
+};
+
+/**
+ * Issue a form token as if the signup form had been loaded a while ago
+ * @param {number} [ageMs] - Time since the form loaded, above the minimum fill time by default
+ * @returns {Object} { formToken, challenge, expiresIn }
+ */
+const issueFormTokenAgo = (ageMs = 60 * 1000) => {
+    const now = Date.now();
+    const spy = jest.spyOn(Date, 'now').mockReturnValue(now - ageMs);
+
+    try {
+        return issueFormToken();
+    } finally {
+        spy.mockRestore();
+    }
+};
+
+module.exports = {
+    createApp,
+    loginAs,
+    issueFormTokenAgo
+};
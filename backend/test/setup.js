@@ -0,0 +1,5 @@
+// Environment for the test suite, loaded by Jest before every test file
+
+process.env.NODE_ENV = 'test';
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-jwt-secret';
+process.env.LOG_LEVEL = process.env.LOG_LEVEL || 'error';
@@ -13,6 +13,8 @@ REGION="${REGION:-europe-west1}"
 SERVICE_NAME_BACKEND="bahnblitz-backend"
 SERVICE_NAME_WEBSITE="bahnblitz-website"
 IMAGE_TAG="${IMAGE_TAG:-latest}"
+# Public URL of the backend, used for links in emails
+PUBLIC_API_URL="${PUBLIC_API_URL:-https://api.bahnblitz.app}"
 
 # Colors for output
 RED='\033[0;31m'
@@ -122,8 +124,9 @@ deploy_backend() {
         --max-instances 10 \
         --timeout 300 \
         --concurrency 80 \
-        --set-env-vars "NODE_ENV=production" \
+        --set-env-vars "NODE_ENV=production,PUBLIC_API_URL=$PUBLIC_API_URL" \
         --set-secrets "MONGODB_URI=mongodb-connection-string:latest" \
+        --set-secrets "JWT_SECRET=jwt-secret:latest" \
         --set-secrets "TESTFLIGHT_URL=testflight-url:latest" \
         --set-secrets "EMAIL_CONFIG=email-config:latest"
 
@@ -170,6 +173,9 @@ setup_secrets() {
     read TESTFLIGHT_URL
     echo $TESTFLIGHT_URL | gcloud secrets create testflight-url --data-file=-
 
+    # JWT signing secret (random)
+    openssl rand -hex 32 | tr -d '\n' | gcloud secrets create jwt-secret --data-file=-
+
     # Email configuration (JSON format)
     cat > /tmp/email-config.json << EOF
 {
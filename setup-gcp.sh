@@ -181,7 +181,7 @@ setup_monitoring() {
         --project=$PROJECT_ID \
         --display-name="BahnBlitz Backend Uptime Check" \
         --resource-type=uptime-url \
-        --http-check-path="/health" \
+        --http-check-path="/health/ready" \
         --timeout=10 \
         --period=300 \
         --selected-regions=$REGION
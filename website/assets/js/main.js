@@ -3,20 +3,105 @@
  * Handles form submission, cookie consent, and interactive elements
  */
 
+// Backend API (replace with the actual domain)
+const API_BASE_URL = 'https://your-backend-domain.com/api';
+
 // DOM Content Loaded
 document.addEventListener('DOMContentLoaded', function() {
+    initializeReferral();
     initializeForm();
     initializeCookieBanner();
     initializeScrollEffects();
     initializeAnimations();
 });
 
+// Referral Handling
+// Remember ?ref=CODE for the session so it survives navigation before signup
+function initializeReferral() {
+    const ref = new URLSearchParams(window.location.search).get('ref');
+    if (ref && /^[a-zA-Z0-9]{1,16}$/.test(ref)) {
+        sessionStorage.setItem('bahnblitz_referral', ref);
+    }
+}
+
+function getReferralCode() {
+    return sessionStorage.getItem('bahnblitz_referral') || undefined;
+}
+
 // Form Handling
 function initializeForm() {
     const form = document.getElementById('betaForm');
     if (!form) return;
 
     form.addEventListener('submit', handleFormSubmission);
+    loadSignupChallenge();
+}
+
+// Signup Challenge
+// The form token is fetched when the form loads; the backend checks how long the form took
+// to fill in and, depending on SIGNUP_CHALLENGE, a proof-of-work or CAPTCHA solution
+let signupChallenge = null;
+
+// Returns true once a form token is available
+async function loadSignupChallenge() {
+    signupChallenge = null;
+
+    try {
+        const response = await fetch(`${API_BASE_URL}/beta-signup/challenge`);
+        if (!response.ok) {
+            throw new Error(`HTTP ${response.status}`);
+        }
+
+        const result = await response.json();
+        const { formToken, challenge } = result.data;
+
+        signupChallenge = {
+            formToken,
+            // Solved in the background while the form is being filled in
+            solution: solveChallenge(challenge)
+        };
+        return true;
+    } catch (error) {
+        // The backend rejects signups without a form token; submitting tries again
+        console.warn('Signup challenge unavailable:', error);
+        return false;
+    }
+}
+
+async function solveChallenge(challenge) {
+    if (!challenge) return undefined;
+
+    if (challenge.type === 'stub') {
+        return challenge.token;
+    }
+
+    if (challenge.type === 'pow') {
+        return solveProofOfWork(challenge.nonce, challenge.difficulty);
+    }
+
+    return undefined;
+}
+
+// Find a counter so that SHA-256("<nonce>:<counter>") starts with `difficulty` zero bits
+async function solveProofOfWork(nonce, difficulty) {
+    const encoder = new TextEncoder();
+
+    for (let counter = 0; ; counter++) {
+        const hash = new Uint8Array(await crypto.subtle.digest('SHA-256', encoder.encode(`${nonce}:${counter}`)));
+
+        let bits = 0;
+        for (const byte of hash) {
+            if (byte !== 0) {
+                bits += Math.clz32(byte) - 24;
+                break;
+            }
+            bits += 8;
+        }
+
+        if (bits >= difficulty) {
+            return String(counter);
+        }
+    }
 }
 
 // Form Submission Handler
@@ -42,10 +127,14 @@ async function handleFormSubmission(event) {
             device: formData.get('device'),
             experience: formData.get('experience'),
             features: formData.getAll('features[]'),
+            locale: document.documentElement.lang || navigator.language,
+            ref: getReferralCode(),
             privacy: formData.get('privacy'),
             timestamp: new Date().toISOString(),
             userAgent: navigator.userAgent,
-            source: 'website_beta_signup'
+            source: 'website_beta_signup',
+            // Honeypot, empty unless filled in by a bot
+            website: formData.get('website')
         };
 
         // Validate required fields
@@ -53,6 +142,14 @@ async function handleFormSubmission(event) {
             throw new Error('Please fill in all required fields');
         }
 
+        // The token may have failed to load with the page
+        if (!signupChallenge && !(await loadSignupChallenge())) {
+            throw new Error('The signup form could not be loaded. Please check your connection and try again.');
+        }
+
+        data.formToken = signupChallenge.formToken;
+        data.challengeSolution = await signupChallenge.solution;
+
         // Simulate API call (replace with actual endpoint)
         await submitBetaSignup(data);
 
@@ -70,6 +167,9 @@ async function handleFormSubmission(event) {
         submitBtn.disabled = false;
         btnText.style.display = 'flex';
         btnLoading.style.display = 'none';
+
+        // Form tokens are single-use
+        loadSignupChallenge();
     }
 }
 
@@ -101,7 +201,7 @@ function validateForm(data) {
 // Submit Beta Signup (Production API)
 async function submitBetaSignup(data) {
     try {
-        const response = await fetch('https://your-backend-domain.com/api/beta-signup', {
+        const response = await fetch(`${API_BASE_URL}/beta-signup`, {
             method: 'POST',
             headers: {
                 'Content-Type': 'application/json',